@@ -0,0 +1,95 @@
+// Mock telemetry server for development and tests
+// Streams random panel readings over WebSocket (ws://host:port) and
+// Server-Sent Events (http://host:port/events).
+//
+//   node scripts/mockTelemetryServer.js [--port 8081] [--interval 2000] [--panels 5]
+const http = require('http');
+const { WebSocketServer } = require('ws');
+
+const DEFAULT_OPTIONS = {
+  port: 8081,
+  interval: 2000,
+  panels: 5,
+  offlineChance: 0.05,
+};
+
+// One reading per panel; now and random are injectable for tests
+const generateReadings = ({ panels, offlineChance }, now = new Date(), random = Math.random) =>
+  Array.from({ length: panels }, (_, i) => {
+    const offline = random() < offlineChance;
+    return {
+      id_panel: `PV${String(i + 1).padStart(3, '0')}`,
+      power: offline ? 0 : Number((350 + random() * 200).toFixed(1)),
+      voltage: Number((210 + random() * 20).toFixed(1)),
+      timestamp: now.toISOString(),
+    };
+  });
+
+const createMockTelemetryServer = (options = {}) => {
+  const config = { ...DEFAULT_OPTIONS, ...options };
+  const sseClients = new Set();
+
+  const server = http.createServer((req, res) => {
+    if (req.url === '/events') {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*',
+      });
+      res.write(': connected\n\n');
+      sseClients.add(res);
+      req.on('close', () => sseClients.delete(res));
+      return;
+    }
+    res.writeHead(404);
+    res.end();
+  });
+  const wss = new WebSocketServer({ server });
+
+  const broadcast = (readings) => {
+    const message = JSON.stringify(readings);
+    wss.clients.forEach(client => {
+      if (client.readyState === client.OPEN) client.send(message);
+    });
+    sseClients.forEach(res => res.write(`data: ${message}\n\n`));
+  };
+
+  let timer = null;
+
+  const start = () => new Promise(resolve => {
+    server.listen(config.port, () => {
+      timer = setInterval(() => broadcast(generateReadings(config)), config.interval);
+      resolve(server.address().port);
+    });
+  });
+
+  const stop = () => new Promise(resolve => {
+    clearInterval(timer);
+    sseClients.forEach(res => res.end());
+    sseClients.clear();
+    wss.clients.forEach(client => client.terminate());
+    wss.close(() => server.close(() => resolve()));
+  });
+
+  return { start, stop, broadcast };
+};
+
+module.exports = { createMockTelemetryServer, generateReadings };
+
+if (require.main === module) {
+  const args = process.argv.slice(2);
+  const option = (name) => {
+    const index = args.indexOf(`--${name}`);
+    return index >= 0 ? Number(args[index + 1]) : undefined;
+  };
+  const options = {};
+  ['port', 'interval', 'panels'].forEach(name => {
+    if (option(name) !== undefined) options[name] = option(name);
+  });
+  const mock = createMockTelemetryServer(options);
+  mock.start().then(port => {
+    console.log(`Mock telemetry: ws://localhost:${port} and http://localhost:${port}/events`);
+  });
+  process.on('SIGINT', () => mock.stop().then(() => process.exit(0)));
+}
@@ -1,7 +1,7 @@
 
 // Solar PV Security Alarm System
 // Enhanced with custom alarm sounds and rules for advanced monitoring
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import Papa from 'papaparse';
 import { Line } from 'react-chartjs-2';
 import {
@@ -14,89 +14,337 @@ import {
   Tooltip,
   Legend,
 } from 'chart.js';
+import {
+  DEFAULT_THRESHOLDS,
+  METRICS,
+  OPTIONAL_METRICS,
+  metricValue,
+  validateRows,
+  runAlarmEngine,
+  sourceUnreachableAlert,
+} from './engine/alarmEngine';
+import { createTelemetryClient } from './ingest/telemetry';
+import { DEFAULT_DATA_SOURCE, MAPPED_FIELDS, createPoller } from './ingest/polling';
+import { mergeReadings } from './engine/history';
+import { backtestRule, describeRule } from './engine/rules';
+import { describeScope } from './engine/scope';
+import { DEFAULT_DETECTORS } from './engine/anomaly';
+import { DEFAULT_PEER_SETTINGS } from './engine/peers';
+import { DEFAULT_SITE, siteConfigured } from './engine/solar';
+import { DEFAULT_REGISTRY_SETTINGS, healthPercent, registryIndex } from './engine/registry';
+import { LEVELS, aggregateTrend, childNodes, latestByPanel, panelLocations, panelsOf, summarize, underPath } from './engine/hierarchy';
+import { DEFAULT_LAYOUT, offlineClusters } from './engine/layout';
+import { DEFAULT_THEFT_SETTINGS } from './engine/theft';
+import { ALERT_CATEGORIES, DEFAULT_INTEGRITY_CHECKS, alertCategory } from './engine/integrity';
+import { applyMaintenance, maintenanceFor } from './engine/maintenance';
+import { ALERT_STATES, isOpen, matchesStateFilter, updateAlert } from './engine/alertLifecycle';
+import { DEFAULT_ESCALATION, applyAlerts, closeIncident, escalateIncidents } from './engine/incidents';
+import { createSoundManager, withSoundDefaults } from './audio/soundManager';
+import { DEFAULT_RETENTION, describeStorageError, importLocalStorage, openStore, recordChanges, retentionCutoffs, unexpired } from './storage/db';
+import { buildProfile, mergeProfile, validateProfile } from './storage/profile';
+import { DEFAULT_IMPORT_SETTINGS, applyImportSettings, columnsMatch, guessSettings, parseCsv } from './ingest/csvImport';
+import ImportWizard from './components/ImportWizard';
+import ImportReport from './components/ImportReport';
+import RuleEditor from './components/RuleEditor';
+import PanelGroups from './components/PanelGroups';
+import ThresholdOverrides from './components/ThresholdOverrides';
+import AnomalySettings from './components/AnomalySettings';
+import IntegritySettings from './components/IntegritySettings';
+import MaintenanceWindows from './components/MaintenanceWindows';
+import PeerSettings from './components/PeerSettings';
+import SiteSettings from './components/SiteSettings';
+import TheftSettings from './components/TheftSettings';
+import AlertDetails from './components/AlertDetails';
+import IncidentSettings from './components/IncidentSettings';
+import SoundSettings from './components/SoundSettings';
+import RetentionSettings from './components/RetentionSettings';
+import ProfileImport from './components/ProfileImport';
+import PanelRegistry from './components/PanelRegistry';
+import HierarchyNav from './components/HierarchyNav';
+import PanelMap from './components/PanelMap';
+import LayoutEditor from './components/LayoutEditor';
+import PanelDetails from './components/PanelDetails';
 import './App.css';
 
 // Register Chart.js components for power trend visualization
 ChartJS.register(LineElement, PointElement, LinearScale, CategoryScale, Title, Tooltip, Legend);
 
+// Run a storage write, reporting failures to the operator
+const persist = (store, write, onError) => {
+  write(store).catch(error => {
+    console.error('Failed to save to IndexedDB:', error);
+    onError(describeStorageError(error));
+  });
+};
+
+// Write a record store's new, changed and removed records since the last save;
+// saved holds each store's contents as last written
+const syncRecords = (store, saved, name, records, onError) => {
+  const changes = recordChanges(saved[name] || [], records);
+  saved[name] = records;
+  if (changes.put.length > 0 || changes.removed.length > 0) persist(store, s => s.saveChanges(name, changes), onError);
+};
+
+// How often data past its retention is dropped while the dashboard stays open
+const RETENTION_CHECK_MS = 60 * 60 * 1000;
+
+// How often open incidents are checked for escalation between batches
+const ESCALATION_CHECK_MS = 60 * 1000;
+
+// Chart labels: times of day, with the date once the trend spans more than one day
+const trendLabels = (trend) => {
+  const multiDay = trend.length > 0 && trend[0].when.toDateString() !== trend[trend.length - 1].when.toDateString();
+  return trend.map(point => (multiDay ? point.when.toLocaleString() : point.when.toLocaleTimeString()));
+};
+
+// Time-based record IDs that stay unique across batches arriving in the same millisecond
+let lastId = 0;
+const nextId = () => {
+  lastId = Math.max(Date.now(), lastId + 1);
+  return lastId;
+};
+
 function App() {
   // State for panels, alerts, rules, audio, and UI controls
   const [panels, setPanels] = useState([]);
-  const [alerts, setAlerts] = useState([]);
+  const panelsRef = useRef(panels); // Reading history, current even between live batches
+  const [alerts, setAlerts] = useState([]); // Raw alert occurrences
+  const [incidents, setIncidents] = useState([]); // Alerts grouped by panel and rule
+  const incidentsRef = useRef(incidents); // Live batches can arrive before a re-render
+  const [alertView, setAlertView] = useState('incidents');
+  const [expandedIncidents, setExpandedIncidents] = useState([]);
+  const [escalation, setEscalation] = useState(DEFAULT_ESCALATION);
   const [rules, setRules] = useState([]);
   const [inputData, setInputData] = useState('');
-  const [selectedPanel, setSelectedPanel] = useState('All');
+  const [drillPath, setDrillPath] = useState([]); // Site, inverter, string and panel IDs drilled into
+  const [layout, setLayout] = useState(DEFAULT_LAYOUT); // Where each panel sits on the physical array
+  const [mapMode, setMapMode] = useState('live'); // 'live' map or 'edit' layout
+  const [detailsPanel, setDetailsPanel] = useState(null); // Panel ID shown in the panel details
   const [selectedSeverity, setSelectedSeverity] = useState('All');
-  const [powerThreshold, setPowerThreshold] = useState(50);
-  const [voltageThreshold, setVoltageThreshold] = useState(200);
+  const [selectedState, setSelectedState] = useState('open');
+  const [selectedCategory, setSelectedCategory] = useState('All');
+  const [operator, setOperator] = useState(localStorage.getItem('operator') || '');
+  const [chartMetric, setChartMetric] = useState('power');
+  const [powerThreshold, setPowerThreshold] = useState(DEFAULT_THRESHOLDS.power);
+  const [voltageThreshold, setVoltageThreshold] = useState(DEFAULT_THRESHOLDS.voltage);
   const [theme, setTheme] = useState(localStorage.getItem('theme') || 'light');
   const [selectedAlert, setSelectedAlert] = useState(null);
-  const [ruleForm, setRuleForm] = useState({
-    metric: 'power',
-    condition: '<',
-    value: '',
-    severity: 'warning',
-    message: '',
-    editId: null,
-  });
+  const [groups, setGroups] = useState([]); // Named panel groups for scoping rules and thresholds
+  const [thresholdOverrides, setThresholdOverrides] = useState([]);
+  const [maintenanceWindows, setMaintenanceWindows] = useState([]); // Scheduled work that suppresses or downgrades alerts
+  const [ruleScopeFilter, setRuleScopeFilter] = useState('All');
+  const [anomalyDetectors, setAnomalyDetectors] = useState(DEFAULT_DETECTORS);
+  const [integrityChecks, setIntegrityChecks] = useState(DEFAULT_INTEGRITY_CHECKS);
+  const [peerSettings, setPeerSettings] = useState(DEFAULT_PEER_SETTINGS);
+  const [site, setSite] = useState(DEFAULT_SITE);
+  const [theftSettings, setTheftSettings] = useState(DEFAULT_THEFT_SETTINGS);
+  const [registry, setRegistry] = useState([]); // Installed panels with their nameplate data
+  const [registrySettings, setRegistrySettings] = useState(DEFAULT_REGISTRY_SETTINGS);
+  const [ruleDraft, setRuleDraft] = useState(null); // { rule } while the rule editor is open; rule is null for a new one
+  const [ruleTest, setRuleTest] = useState(null); // Backtest of the draft rule, marked on the trend chart until cleared
   const [criticalAudio, setCriticalAudio] = useState(null); // Custom critical audio URL
   const [warningAudio, setWarningAudio] = useState(null); // Custom warning audio URL
+  const [soundSettings, setSoundSettings] = useState(withSoundDefaults());
+  const [silencedUntil, setSilencedUntil] = useState(null);
+  const [silenceMinutes, setSilenceMinutes] = useState(15);
+  const soundRef = useRef(null); // One sound manager for the life of the dashboard
+  if (!soundRef.current) soundRef.current = createSoundManager();
   const [criticalFileName, setCriticalFileName] = useState('Default (880 Hz)');
   const [warningFileName, setWarningFileName] = useState('Default (440 Hz)');
+  const [telemetryUrl, setTelemetryUrl] = useState(localStorage.getItem('telemetryUrl') || 'ws://localhost:8081');
+  const [telemetryTransport, setTelemetryTransport] = useState(localStorage.getItem('telemetryTransport') || 'websocket');
+  const [telemetryStatus, setTelemetryStatus] = useState('disconnected');
+  const telemetryClientRef = useRef(null);
+  const [dataSource, setDataSource] = useState(DEFAULT_DATA_SOURCE);
+  const [pollStatus, setPollStatus] = useState('idle');
+  const [lastPoll, setLastPoll] = useState(null);
+  const [pollProblem, setPollProblem] = useState(null); // Why the last poll failed, or how many items it dropped
+  const pollerRef = useRef(null);
+  const pipelineRef = useRef(null);
+  const [importMode, setImportMode] = useState(localStorage.getItem('importMode') || 'replace');
+  const [importSummary, setImportSummary] = useState(null);
+  const [importPresets, setImportPresets] = useState([{ name: 'Default', settings: DEFAULT_IMPORT_SETTINGS }]);
+  const [activePreset, setActivePreset] = useState(localStorage.getItem('activePreset') || 'Default');
+  const [importDraft, setImportDraft] = useState(null); // { text, settings } while the wizard is open
+  const [retention, setRetention] = useState(DEFAULT_RETENTION);
+  const [profileDraft, setProfileDraft] = useState(null); // { fileName, settings, warnings } while previewing an import
+  const storeRef = useRef(null); // IndexedDB store, once the saved data has loaded
+  const savedRecordsRef = useRef({}); // Each record store's contents as last written
+  const [storageReady, setStorageReady] = useState(false);
+  const [storageError, setStorageError] = useState(() => (
+    window.indexedDB ? null : 'IndexedDB is not available in this browser, so data will not be kept after a reload.'
+  ));
 
-  // Load saved data on mount
+  // Load saved data on mount: move anything earlier versions left in
+  // localStorage into IndexedDB, drop data past its retention, then load the rest
   useEffect(() => {
-    const savedPanels = localStorage.getItem('panels');
-    const savedAlerts = localStorage.getItem('alerts');
-    const savedRules = localStorage.getItem('rules');
-    const savedCriticalAudio = localStorage.getItem('criticalAudio');
-    const savedWarningAudio = localStorage.getItem('warningAudio');
-    try {
-      if (savedPanels) setPanels(JSON.parse(savedPanels));
-      if (savedAlerts) setAlerts(JSON.parse(savedAlerts));
-      if (savedRules) setRules(JSON.parse(savedRules));
-      if (savedCriticalAudio) setCriticalAudio(savedCriticalAudio);
-      if (savedWarningAudio) setWarningAudio(savedWarningAudio);
-      document.documentElement.setAttribute('data-bs-theme', theme);
-    } catch (error) {
-      console.error('Failed to load localStorage data:', error);
-      localStorage.removeItem('panels');
-      localStorage.removeItem('alerts');
-      localStorage.removeItem('rules');
-      localStorage.removeItem('criticalAudio');
-      localStorage.removeItem('warningAudio');
-    }
-  }, [theme]);
+    if (!window.indexedDB) return undefined;
+    let cancelled = false;
+    openStore()
+      .then(async (store) => {
+        await importLocalStorage(store);
+        await store.prune({ ...DEFAULT_RETENTION, ...(await store.getSetting('retention')) }, new Date());
+        return { store, data: await store.loadAll() };
+      })
+      .then(({ store, data }) => {
+        if (cancelled) {
+          store.close();
+          return;
+        }
+        const { settings } = data;
+        panelsRef.current = data.readings;
+        setPanels(data.readings);
+        setAlerts(data.alerts);
+        incidentsRef.current = data.incidents;
+        setIncidents(data.incidents);
+        setRules(data.rules);
+        if (settings.thresholds) {
+          setPowerThreshold(settings.thresholds.power);
+          setVoltageThreshold(settings.thresholds.voltage);
+        }
+        if (settings.groups) setGroups(settings.groups);
+        if (settings.thresholdOverrides) setThresholdOverrides(settings.thresholdOverrides);
+        if (settings.maintenanceWindows) setMaintenanceWindows(settings.maintenanceWindows);
+        if (settings.anomalyDetectors) setAnomalyDetectors({ ...DEFAULT_DETECTORS, ...settings.anomalyDetectors });
+        if (settings.integrityChecks) setIntegrityChecks({ ...DEFAULT_INTEGRITY_CHECKS, ...settings.integrityChecks });
+        if (settings.peerSettings) setPeerSettings({ ...DEFAULT_PEER_SETTINGS, ...settings.peerSettings });
+        if (settings.site) setSite({ ...DEFAULT_SITE, ...settings.site });
+        if (settings.theftSettings) setTheftSettings({ ...DEFAULT_THEFT_SETTINGS, ...settings.theftSettings });
+        if (settings.registry) setRegistry(settings.registry);
+        if (settings.registrySettings) setRegistrySettings({ ...DEFAULT_REGISTRY_SETTINGS, ...settings.registrySettings });
+        if (settings.layout) setLayout({ ...DEFAULT_LAYOUT, ...settings.layout });
+        if (settings.escalation) setEscalation({ ...DEFAULT_ESCALATION, ...settings.escalation });
+        if (settings.soundSettings) setSoundSettings(withSoundDefaults(settings.soundSettings));
+        if (settings.criticalAudio) setCriticalAudio(settings.criticalAudio);
+        if (settings.warningAudio) setWarningAudio(settings.warningAudio);
+        if (settings.dataSource) {
+          const saved = settings.dataSource;
+          setDataSource({ ...DEFAULT_DATA_SOURCE, ...saved, mapping: { ...DEFAULT_DATA_SOURCE.mapping, ...saved.mapping } });
+        }
+        if (settings.importPresets) setImportPresets(settings.importPresets);
+        if (settings.retention) setRetention({ ...DEFAULT_RETENTION, ...settings.retention });
+        savedRecordsRef.current = { readings: data.readings, alerts: data.alerts, incidents: data.incidents, rules: data.rules };
+        storeRef.current = store;
+        setStorageReady(true);
+      })
+      .catch(error => {
+        console.error('Failed to load saved data:', error);
+        setStorageError(describeStorageError(error));
+      });
+    return () => {
+      cancelled = true;
+      if (storeRef.current) storeRef.current.close();
+      storeRef.current = null;
+    };
+  }, []);
+
+  // Save to IndexedDB once loaded; when a collection changes only its new,
+  // changed and removed records are written
+  useEffect(() => {
+    if (storageReady) syncRecords(storeRef.current, savedRecordsRef.current, 'readings', panels, setStorageError);
+  }, [storageReady, panels]);
+
+  useEffect(() => {
+    if (storageReady) syncRecords(storeRef.current, savedRecordsRef.current, 'alerts', alerts, setStorageError);
+  }, [storageReady, alerts]);
+
+  useEffect(() => {
+    if (storageReady) syncRecords(storeRef.current, savedRecordsRef.current, 'incidents', incidents, setStorageError);
+  }, [storageReady, incidents]);
+
+  useEffect(() => {
+    if (storageReady) syncRecords(storeRef.current, savedRecordsRef.current, 'rules', rules, setStorageError);
+  }, [storageReady, rules]);
+
+  // Drop data past its retention while the dashboard stays open, as the
+  // startup prune does; the record sync then deletes it from the store
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const cutoffs = retentionCutoffs(retention, new Date());
+      panelsRef.current = unexpired(panelsRef.current, 'when', cutoffs.readings);
+      setPanels(panelsRef.current);
+      setAlerts(prev => unexpired(prev, 'when', cutoffs.alerts));
+      const kept = unexpired(incidentsRef.current, 'lastSeen', cutoffs.alerts, isOpen);
+      if (kept === incidentsRef.current) return;
+      incidentsRef.current = kept;
+      setIncidents(kept);
+    }, RETENTION_CHECK_MS);
+    return () => clearInterval(timer);
+  }, [retention]);
+
+  // Incidents keep escalating by the clock while no readings arrive
+  useEffect(() => {
+    const timer = setInterval(() => pipelineRef.current.escalateOpenIncidents(), ESCALATION_CHECK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    if (!storageReady) return;
+    persist(storeRef.current, store => store.saveSettings({
+      thresholds: { power: powerThreshold, voltage: voltageThreshold },
+      groups,
+      thresholdOverrides,
+      maintenanceWindows,
+      anomalyDetectors,
+      integrityChecks,
+      peerSettings,
+      site,
+      theftSettings,
+      registry,
+      registrySettings,
+      layout,
+      escalation,
+      soundSettings,
+      dataSource,
+      importPresets,
+      retention,
+    }), setStorageError);
+  }, [storageReady, powerThreshold, voltageThreshold, groups, thresholdOverrides, maintenanceWindows, anomalyDetectors, integrityChecks, peerSettings, site, theftSettings, registry, registrySettings, layout, escalation, soundSettings, dataSource, importPresets, retention]);
 
-  // Save data to localStorage
+  useEffect(() => {
+    if (storageReady) persist(storeRef.current, store => store.saveSettings({ criticalAudio, warningAudio }), setStorageError);
+  }, [storageReady, criticalAudio, warningAudio]);
+
+  // UI preferences are small and read on startup, so they stay in localStorage
   useEffect(() => {
     try {
-      localStorage.setItem('panels', JSON.stringify(panels));
-      localStorage.setItem('alerts', JSON.stringify(alerts));
-      localStorage.setItem('rules', JSON.stringify(rules));
       localStorage.setItem('theme', theme);
-      if (criticalAudio) localStorage.setItem('criticalAudio', criticalAudio);
-      if (warningAudio) localStorage.setItem('warningAudio', warningAudio);
+      localStorage.setItem('operator', operator);
+      localStorage.setItem('telemetryUrl', telemetryUrl);
+      localStorage.setItem('telemetryTransport', telemetryTransport);
+      localStorage.setItem('importMode', importMode);
+      localStorage.setItem('activePreset', activePreset);
       document.documentElement.setAttribute('data-bs-theme', theme);
     } catch (error) {
       console.error('Failed to save to localStorage:', error);
     }
-  }, [panels, alerts, rules, theme, criticalAudio, warningAudio]);
+  }, [theme, operator, telemetryUrl, telemetryTransport, importMode, activePreset]);
+
+  // Close any live telemetry connection or poller on unmount
+  useEffect(() => () => {
+    if (telemetryClientRef.current) telemetryClientRef.current.disconnect();
+    if (pollerRef.current) pollerRef.current.stop();
+    soundRef.current.stop();
+  }, []);
+
+  // Keep the sound manager on the current settings and custom sounds
+  useEffect(() => {
+    soundRef.current.configure({ settings: soundSettings, sounds: { critical: criticalAudio, warning: warningAudio } });
+  }, [soundSettings, criticalAudio, warningAudio]);
+
+  // Critical incidents nobody has acknowledged keep the siren repeating
+  useEffect(() => {
+    soundRef.current.setPendingCritical(incidents.some(i => i.state === 'new' && i.severityLevel === 'critical' && !i.maintenance));
+  }, [incidents]);
 
   // Handle CSV file upload
   const handleFileUpload = (event) => {
     const file = event.target.files[0];
     if (file) {
-      Papa.parse(file, {
-        header: true,
-        skipEmptyLines: true,
-        complete: (result) => {
-          processData(result.data);
-        },
-        error: (error) => {
-          alert('Error parsing CSV file: ' + error.message);
-        },
-      });
+      const reader = new FileReader();
+      reader.onload = () => startImport(reader.result);
+      reader.onerror = () => alert('Error reading CSV file.');
+      reader.readAsText(file);
     }
   };
 
@@ -106,126 +354,232 @@ function App() {
       alert('Please paste CSV data to analyze.');
       return;
     }
-    Papa.parse(inputData, {
-      header: true,
-      skipEmptyLines: true,
-      complete: (result) => {
-        processData(result.data);
-      },
-      error: (error) => {
-        alert('Error parsing pasted CSV: ' + error.message);
-      },
-    });
+    startImport(inputData);
+  };
+
+  // Parse CSV text with the active preset; open the import wizard when its columns
+  // don't fit the file or when the user asks to review the import
+  const startImport = (text, review = false) => {
+    const preset = importPresets.find(p => p.name === activePreset) || importPresets[0];
+    const settings = (preset && preset.settings) || DEFAULT_IMPORT_SETTINGS;
+    const { headers, rows } = parseCsv(text, settings.delimiter);
+    const matches = columnsMatch(headers, settings);
+    if (matches && !review) {
+      processData(applyImportSettings(rows, settings));
+    } else {
+      setImportDraft({ text, settings: matches ? settings : guessSettings(headers, settings) });
+    }
+  };
+
+  // Import wizard callbacks
+  const completeImport = (rows) => {
+    setImportDraft(null);
+    processData(rows);
+  };
+
+  const saveImportPreset = (name, settings) => {
+    const others = importPresets.filter(p => p.name !== name);
+    setImportPresets([...others, { name, settings }]);
+    setActivePreset(name);
+  };
+
+  const deleteImportPreset = (name) => {
+    setImportPresets(importPresets.filter(p => p.name !== name));
+    setActivePreset('Default');
   };
 
   // Process CSV data and generate alerts
   const processData = (data) => {
-    let tempId = 0;
-    const parsedData = data
-      .filter(row => row.id_panel && row.power && row.voltage && row.timestamp)
-      .map(row => {
-        const power = parseFloat(row.power);
-        const voltage = parseFloat(row.voltage);
-        const timestamp = new Date(row.timestamp);
-
-        let status = 'normal';
-        if (isNaN(power) || power === 0) {
-          status = 'offline';
-          playTheftAlertSound();
-        } else if (power < powerThreshold) {
-          status = 'low';
-          playWarningAlertSound();
-        }
-
-        return {
-          _id: Date.now() + tempId++,
-          id_panel: row.id_panel,
-          powerOut: !isNaN(power) ? power : 0,
-          voltage: !isNaN(voltage) ? voltage : 0,
-          panelStatus: status,
-          when: isNaN(timestamp.getTime()) ? new Date() : timestamp,
-        };
-      });
+    const { readings, report } = validateRows(data);
+    if (importMode === 'merge') {
+      setImportSummary({ ...report, ...ingestReadings(readings) });
+      return;
+    }
+    const result = runAlarmEngine(readings, {
+      thresholds: { power: powerThreshold, voltage: voltageThreshold },
+      overrides: thresholdOverrides,
+      groups,
+      rules,
+      detectors: anomalyDetectors,
+      peers: peerSettings,
+      site,
+      registry,
+      registrySettings,
+      theft: theftSettings,
+      layout,
+      integrity: integrityChecks,
+      now: new Date(),
+      maintenance: maintenanceWindows,
+    });
 
-    setPanels(parsedData);
-
-    const powerOutputs = parsedData
-      .map(p => p.powerOut)
-      .filter(val => !isNaN(val) && val > 0);
-    const meanPower = powerOutputs.length > 0
-      ? powerOutputs.reduce((sum, val) => sum + val, 0) / powerOutputs.length
-      : 0;
-    const stdDevPower = powerOutputs.length > 0
-      ? Math.sqrt(powerOutputs.reduce((sum, val) => sum + Math.pow(val - meanPower, 2), 0) / powerOutputs.length)
-      : 0;
-
-    const newAlerts = parsedData
-      .map(p => {
-        const alerts = [];
-        // Default rules
-        if (p.panelStatus === 'offline') {
-          alerts.push({
-            _id: Date.now() + tempId++,
-            id_panel: p.id_panel,
-            alertMessage: `Panel ${p.id_panel} is offline: Potential theft detected`,
-            severityLevel: 'critical',
-            when: p.when,
-          });
-        } else if (p.panelStatus === 'low') {
-          alerts.push({
-            _id: Date.now() + tempId++,
-            id_panel: p.id_panel,
-            alertMessage: `Panel ${p.id_panel} has low power: ${p.powerOut.toFixed(2)}W`,
-            severityLevel: 'warning',
-            when: p.when,
-          });
-        }
-        if (p.voltage < voltageThreshold) {
-          alerts.push({
-            _id: Date.now() + tempId++,
-            id_panel: p.id_panel,
-            alertMessage: `Panel ${p.id_panel} has low voltage: ${p.voltage.toFixed(2)}V`,
-            severityLevel: 'warning',
-            when: p.when,
-          });
-          playWarningAlertSound();
-        }
-        if (meanPower > 0 && stdDevPower > 0 && Math.abs(p.powerOut - meanPower) > 2 * stdDevPower) {
-          alerts.push({
-            _id: Date.now() + tempId++,
-            id_panel: p.id_panel,
-            alertMessage: `Anomaly in ${p.id_panel}: Power ${p.powerOut.toFixed(2)}W deviates significantly`,
-            severityLevel: 'warning',
-            when: p.when,
-          });
-          playWarningAlertSound();
-        }
-        // Custom rules
-        rules.forEach(rule => {
-          const value = rule.metric === 'power' ? p.powerOut : p.voltage;
-          let conditionMet = false;
-          if (rule.condition === '<' && value < parseFloat(rule.value)) conditionMet = true;
-          else if (rule.condition === '>' && value > parseFloat(rule.value)) conditionMet = true;
-          else if (rule.condition === '=' && value === parseFloat(rule.value)) conditionMet = true;
-          if (conditionMet) {
-            alerts.push({
-              _id: Date.now() + tempId++,
-              id_panel: p.id_panel,
-              alertMessage: rule.message || `Custom alert: ${rule.metric} ${rule.condition} ${rule.value}`,
-              severityLevel: rule.severity,
-              when: p.when,
-            });
-            rule.severity === 'critical' ? playTheftAlertSound() : playWarningAlertSound();
-          }
-        });
-        return alerts;
-      })
-      .flat();
+    // Engine output carries no IDs; assign them here
+    const parsedData = result.panels.map(p => ({ _id: nextId(), ...p }));
+    const newAlerts = result.alerts.map(a => ({ _id: nextId(), ...a }));
 
-    setAlerts(newAlerts);
+    // Replacing the data keeps the incidents, with their occurrences, assignees
+    // and history; the new readings continue or close the open ones
+    const keptIncidents = incidentsRef.current;
+    const keptAlerts = new Set(keptIncidents.flatMap(i => i.occurrences));
+    updatePanels(parsedData);
+    setAlerts(prev => [...prev.filter(a => keptAlerts.has(a._id)), ...newAlerts]);
+    trackIncidents(keptIncidents, newAlerts, parsedData);
+    setImportSummary({ ...report, added: parsedData.length, duplicates: 0 });
     console.log('Processed Data:', parsedData, 'Alerts:', newAlerts, 'Rules:', rules);
   };
 
+  // Merge readings into the loaded history; only readings not seen before are evaluated.
+  // The history comes from a ref, as live batches can arrive before a re-render.
+  const ingestReadings = (readings) => {
+    const history = panelsRef.current;
+    const { added, dropped, duplicates } = mergeReadings(history, readings);
+    const result = runAlarmEngine(added, {
+      thresholds: { power: powerThreshold, voltage: voltageThreshold },
+      overrides: thresholdOverrides,
+      groups,
+      rules,
+      detectors: anomalyDetectors,
+      peers: peerSettings,
+      site,
+      registry,
+      registrySettings,
+      theft: theftSettings,
+      layout,
+      integrity: integrityChecks,
+      now: new Date(),
+      maintenance: maintenanceWindows,
+      history,
+      resent: dropped,
+    });
+    const newPanels = result.panels.map(p => ({ _id: nextId(), ...p }));
+    const newAlerts = result.alerts.map(a => ({ _id: nextId(), ...a }));
+
+    updatePanels(mergeReadings(history, newPanels).merged);
+    setAlerts(prev => [...prev, ...newAlerts]);
+    trackIncidents(incidentsRef.current, newAlerts, newPanels, history);
+    return { added: added.length, duplicates };
+  };
+
+  // Raise an alert that did not come from a reading (e.g. a lost data source)
+  const raiseAlert = (newAlert) => {
+    const [raised] = applyMaintenance([{ _id: nextId(), ...newAlert }], maintenanceWindows, { groups });
+    setAlerts(prev => [...prev, raised]);
+    trackIncidents(incidentsRef.current, [raised], []);
+  };
+
+  // Close the incident for a data source that answers again
+  const resolveSource = (name) => {
+    const at = new Date();
+    updateIncidents(incidentsRef.current.map(i => (
+      i.key === `${name}|source_unreachable` && isOpen(i) ? closeIncident(i, at, 'Data source answered again') : i
+    )));
+  };
+
+  // Fold new alerts into incidents; only newly opened or escalated incidents sound.
+  // history holds the readings before this batch.
+  const trackIncidents = (current, newAlerts, readings, history = []) => {
+    const { incidents: next, opened, escalated } = applyAlerts(current, newAlerts, readings, {
+      rules,
+      groups,
+      peers: peerSettings,
+      site,
+      registry,
+      escalation,
+      history,
+      at: new Date(),
+    });
+    updateIncidents(next.map(i => (i._id ? i : { _id: nextId(), ...i })));
+    soundIncidents([...opened, ...escalated]);
+  };
+
+  // Escalate incidents left open while no readings arrive
+  const escalateOpenIncidents = () => {
+    const { incidents: next, escalated } = escalateIncidents(incidentsRef.current, escalation, new Date());
+    if (escalated.length === 0) return;
+    updateIncidents(next);
+    soundIncidents(escalated);
+  };
+
+  // Work in a maintenance window stays quiet
+  const soundIncidents = (list) => {
+    list.filter(i => !i.maintenance).forEach(i => {
+      const rule = i.ruleId ? rules.find(r => r._id === i.ruleId) : null;
+      soundRef.current.alarm(i.severityLevel, { sound: rule && rule.sound, type: i.type });
+    });
+  };
+
+  const updatePanels = (next) => {
+    panelsRef.current = next;
+    setPanels(next);
+  };
+
+  const updateIncidents = (next) => {
+    incidentsRef.current = next;
+    setIncidents(next);
+  };
+
+  // Live clients outlive renders, so they call through a ref to see current rules, thresholds and sounds
+  pipelineRef.current = { ingestReadings, raiseAlert, resolveSource, escalateOpenIncidents };
+
+  // Connect to or disconnect from the live telemetry endpoint
+  const toggleTelemetry = () => {
+    if (telemetryClientRef.current) {
+      telemetryClientRef.current.disconnect();
+      telemetryClientRef.current = null;
+      return;
+    }
+    if (!telemetryUrl.trim()) {
+      alert('Please enter a telemetry endpoint URL.');
+      return;
+    }
+    const client = createTelemetryClient({
+      url: telemetryUrl.trim(),
+      transport: telemetryTransport,
+      onReadings: (readings) => pipelineRef.current.ingestReadings(readings),
+      onStatus: (status) => setTelemetryStatus(status),
+    });
+    telemetryClientRef.current = client;
+    client.connect();
+  };
+
+  // Handle data source form changes
+  const handleDataSourceChange = (e) => {
+    const { name, value } = e.target;
+    setDataSource({ ...dataSource, [name]: name === 'interval' ? parseFloat(value) || DEFAULT_DATA_SOURCE.interval : value });
+  };
+
+  const handleMappingChange = (e) => {
+    const { name, value } = e.target;
+    setDataSource({ ...dataSource, mapping: { ...dataSource.mapping, [name]: value } });
+  };
+
+  // Start or stop polling the REST data source
+  const togglePolling = () => {
+    if (pollerRef.current) {
+      pollerRef.current.stop();
+      pollerRef.current = null;
+      return;
+    }
+    if (!dataSource.url.trim()) {
+      alert('Please enter a data source URL.');
+      return;
+    }
+    const source = { ...dataSource, url: dataSource.url.trim() };
+    const poller = createPoller({
+      source,
+      onReadings: (readings) => pipelineRef.current.ingestReadings(readings),
+      onUnreachable: (error) => pipelineRef.current.raiseAlert(sourceUnreachableAlert(source, error, new Date())),
+      onRecovered: () => pipelineRef.current.resolveSource(source.name),
+      onStatus: (status, info) => {
+        setPollStatus(status);
+        if (info.lastPoll) setLastPoll(info.lastPoll);
+        if (info.error) setPollProblem(info.error.message);
+        else setPollProblem(info.dropped ? `${info.dropped} item${info.dropped === 1 ? '' : 's'} in the last response could not be mapped` : null);
+      },
+    });
+    pollerRef.current = poller;
+    poller.start();
+  };
+
   // Handle audio file upload
   const handleAudioUpload = (event, type) => {
     const file = event.target.files[0];
@@ -258,58 +612,29 @@ function App() {
     if (type === 'critical') {
       setCriticalAudio(null);
       setCriticalFileName('Default (880 Hz)');
-      localStorage.removeItem('criticalAudio');
     } else {
       setWarningAudio(null);
       setWarningFileName('Default (440 Hz)');
-      localStorage.removeItem('warningAudio');
     }
   };
 
-  // Play audio alerts
-  const playTheftAlertSound = () => {
-    if (criticalAudio) {
-      const audio = new Audio(criticalAudio);
-      audio.play().catch(error => {
-        console.error('Error playing custom critical audio:', error);
-        playDefaultTheftSound();
-      });
-    } else {
-      playDefaultTheftSound();
-    }
-  };
-
-  const playWarningAlertSound = () => {
-    if (warningAudio) {
-      const audio = new Audio(warningAudio);
-      audio.play().catch(error => {
-        console.error('Error playing custom warning audio:', error);
-        playDefaultWarningSound();
-      });
-    } else {
-      playDefaultWarningSound();
-    }
+  // Silence all alarm sounds for a while, or end the silence early
+  const silenceAlarms = () => {
+    setSilencedUntil(soundRef.current.silence(silenceMinutes));
   };
 
-  // Default synthesized sounds
-  const playDefaultTheftSound = () => {
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
-    const oscillator = ctx.createOscillator();
-    oscillator.type = 'sine';
-    oscillator.frequency.setValueAtTime(880, ctx.currentTime);
-    oscillator.connect(ctx.destination);
-    oscillator.start();
-    oscillator.stop(ctx.currentTime + 0.5);
+  const unsilenceAlarms = () => {
+    soundRef.current.unsilence();
+    setSilencedUntil(null);
   };
 
-  const playDefaultWarningSound = () => {
-    const ctx = new (window.AudioContext || window.webkitAudioContext)();
-    const oscillator = ctx.createOscillator();
-    oscillator.type = 'sine';
-    oscillator.frequency.setValueAtTime(440, ctx.currentTime);
-    oscillator.connect(ctx.destination);
-    oscillator.start();
-    oscillator.stop(ctx.currentTime + 0.3);
+  // Acknowledge every new critical incident, which stops the repeating siren
+  const acknowledgeCritical = () => {
+    const at = new Date();
+    const user = operator.trim() || 'Operator';
+    updateIncidents(incidentsRef.current.map(i => (
+      i.state === 'new' && i.severityLevel === 'critical' ? updateAlert(i, { state: 'acknowledged' }, { user, at }) : i
+    )));
   };
 
   // Toggle theme
@@ -319,29 +644,30 @@ function App() {
 
   // Clear all data
   const clearData = () => {
-    setPanels([]);
+    updatePanels([]);
     setAlerts([]);
+    updateIncidents([]);
     setRules([]);
     setInputData('');
-    setSelectedPanel('All');
+    setImportSummary(null);
+    setDrillPath([]);
     setSelectedSeverity('All');
     setCriticalAudio(null);
     setWarningAudio(null);
     setCriticalFileName('Default (880 Hz)');
     setWarningFileName('Default (440 Hz)');
-    localStorage.removeItem('panels');
-    localStorage.removeItem('alerts');
-    localStorage.removeItem('rules');
-    localStorage.removeItem('criticalAudio');
-    localStorage.removeItem('warningAudio');
     console.log('Data cleared');
   };
 
-  // Export alerts to CSV
+  // Export the current alerts view (incidents or raw occurrences) to CSV
   const exportAlerts = () => {
-    const csv = Papa.unparse(alerts, {
-      columns: ['id_panel', 'alertMessage', 'severityLevel', 'when'],
-    });
+    const csv = alertView === 'incidents'
+      ? Papa.unparse(incidents, {
+        columns: ['id_panel', 'type', 'category', 'alertMessage', 'severityLevel', 'ruleId', 'scope', 'firstSeen', 'lastSeen', 'count', 'escalation', 'maintenance', 'state', 'assignee', 'notes', 'closedAt'],
+      })
+      : Papa.unparse(alerts, {
+        columns: ['id_panel', 'type', 'category', 'alertMessage', 'severityLevel', 'ruleId', 'scope', 'when', 'maintenance', 'suppressed'],
+      });
     const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
     const url = URL.createObjectURL(blob);
     const link = document.createElement('a');
@@ -351,50 +677,144 @@ function App() {
     URL.revokeObjectURL(url);
   };
 
-  // Dismiss an alert
-  const dismissAlert = (alertId) => {
-    setAlerts(alerts.filter(a => a._id !== alertId));
-    setSelectedAlert(null);
+  // Everything a settings profile carries, by section
+  const currentSettings = () => ({
+    thresholds: { power: powerThreshold, voltage: voltageThreshold },
+    thresholdOverrides,
+    maintenanceWindows,
+    rules,
+    groups,
+    anomalyDetectors,
+    integrityChecks,
+    peerSettings,
+    site,
+    theftSettings,
+    registry,
+    registrySettings,
+    layout,
+    escalation,
+    soundSettings,
+    sounds: { critical: criticalAudio, warning: warningAudio },
+    dataSource,
+    importPresets,
+    retention,
+    theme,
+  });
+
+  // Download the configuration as a settings profile
+  const exportProfile = () => {
+    const json = JSON.stringify(buildProfile(currentSettings()), null, 2);
+    const blob = new Blob([json], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', 'solar-pv-settings-profile.json');
+    link.click();
+    URL.revokeObjectURL(url);
   };
 
-  // Handle rule form changes
-  const handleRuleChange = (e) => {
-    const { name, value } = e.target;
-    setRuleForm({ ...ruleForm, [name]: value });
+  // Read a settings profile and preview it against the current settings
+  const handleProfileUpload = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      let doc;
+      try {
+        doc = JSON.parse(reader.result);
+      } catch (error) {
+        alert('The settings profile is not valid JSON.');
+        return;
+      }
+      const { settings, errors, warnings } = validateProfile(doc);
+      if (errors.length > 0) {
+        alert(`The settings profile cannot be imported:\n${errors.join('\n')}`);
+        return;
+      }
+      setProfileDraft({ fileName: file.name, settings, warnings });
+    };
+    reader.onerror = () => alert('Error reading settings profile.');
+    reader.readAsText(file);
+    event.target.value = '';
   };
 
-  // Add or update a rule
-  const saveRule = () => {
-    if (!ruleForm.value || isNaN(parseFloat(ruleForm.value)) || !ruleForm.message) {
-      alert('Please enter a valid number for value and a message.');
-      return;
+  // Apply the chosen profile sections
+  const applyProfile = (sections, mode) => {
+    const next = mergeProfile(currentSettings(), profileDraft.settings, sections, mode);
+    if (next.thresholds) {
+      setPowerThreshold(next.thresholds.power);
+      setVoltageThreshold(next.thresholds.voltage);
     }
-    const newRule = {
-      _id: ruleForm.editId || Date.now(),
-      metric: ruleForm.metric,
-      condition: ruleForm.condition,
-      value: parseFloat(ruleForm.value),
-      severity: ruleForm.severity,
-      message: ruleForm.message,
-    };
-    if (ruleForm.editId) {
-      setRules(rules.map(r => (r._id === ruleForm.editId ? newRule : r)));
-    } else {
-      setRules([...rules, newRule]);
+    if (next.thresholdOverrides) setThresholdOverrides(next.thresholdOverrides);
+    if (next.maintenanceWindows) setMaintenanceWindows(next.maintenanceWindows);
+    if (next.rules) setRules(next.rules);
+    if (next.groups) setGroups(next.groups);
+    if (next.anomalyDetectors) setAnomalyDetectors({ ...DEFAULT_DETECTORS, ...next.anomalyDetectors });
+    if (next.integrityChecks) setIntegrityChecks({ ...DEFAULT_INTEGRITY_CHECKS, ...next.integrityChecks });
+    if (next.peerSettings) setPeerSettings({ ...DEFAULT_PEER_SETTINGS, ...next.peerSettings });
+    if (next.site) setSite({ ...DEFAULT_SITE, ...next.site });
+    if (next.theftSettings) setTheftSettings({ ...DEFAULT_THEFT_SETTINGS, ...next.theftSettings });
+    if (next.registry) setRegistry(next.registry);
+    if (next.registrySettings) setRegistrySettings({ ...DEFAULT_REGISTRY_SETTINGS, ...next.registrySettings });
+    if (next.layout) setLayout({ ...DEFAULT_LAYOUT, ...next.layout });
+    if (next.escalation) setEscalation({ ...DEFAULT_ESCALATION, ...next.escalation });
+    if (next.soundSettings) setSoundSettings(withSoundDefaults(next.soundSettings));
+    if (next.sounds) {
+      setCriticalAudio(next.sounds.critical || null);
+      setCriticalFileName(next.sounds.critical ? 'From settings profile' : 'Default (880 Hz)');
+      setWarningAudio(next.sounds.warning || null);
+      setWarningFileName(next.sounds.warning ? 'From settings profile' : 'Default (440 Hz)');
     }
-    setRuleForm({ metric: 'power', condition: '<', value: '', severity: 'warning', message: '', editId: null });
-  };
-
-  // Edit a rule
-  const editRule = (rule) => {
-    setRuleForm({
-      metric: rule.metric,
-      condition: rule.condition,
-      value: rule.value,
-      severity: rule.severity,
-      message: rule.message,
-      editId: rule._id,
-    });
+    if (next.dataSource) {
+      // Profiles carry no request headers, so the local credentials stay
+      setDataSource({
+        ...DEFAULT_DATA_SOURCE,
+        headers: dataSource.headers,
+        ...next.dataSource,
+        mapping: { ...DEFAULT_DATA_SOURCE.mapping, ...next.dataSource.mapping },
+      });
+    }
+    if (next.importPresets) setImportPresets(next.importPresets);
+    if (next.retention) setRetention({ ...DEFAULT_RETENTION, ...next.retention });
+    if (next.theme) setTheme(next.theme);
+    setProfileDraft(null);
+  };
+
+  // Save state, assignee and notes changes to the selected incident
+  const saveAlertChanges = (changes) => {
+    const updated = updateAlert(selectedAlert, changes, { user: operator.trim() || 'Operator', at: new Date() });
+    updateIncidents(incidentsRef.current.map(i => (i._id === updated._id ? updated : i)));
+    setSelectedAlert(null);
+  };
+
+  // Show or hide an incident's raw occurrences
+  const toggleIncident = (id) => {
+    setExpandedIncidents(expandedIncidents.includes(id) ? expandedIncidents.filter(x => x !== id) : [...expandedIncidents, id]);
+  };
+
+  // Add or update a rule from the rule editor
+  const saveRule = (fields) => {
+    const { rule } = ruleDraft;
+    const newRule = { ...fields, _id: rule ? rule._id : nextId() };
+    setRules(rule ? rules.map(r => (r._id === rule._id ? newRule : r)) : [...rules, newRule]);
+    closeRuleEditor();
+  };
+
+  // Open the rule editor on a rule, or on a new one; an earlier test is cleared
+  const openRuleEditor = (rule) => {
+    setRuleDraft({ rule });
+    setRuleTest(null);
+  };
+
+  // The last test stays on the trend chart after the editor closes
+  const closeRuleEditor = () => {
+    setRuleDraft(null);
+  };
+
+  // Backtest a draft rule on the loaded history; live alerts, incidents and sounds are untouched
+  const testRule = (fields) => {
+    const { fired, panels: firedPanels } = backtestRule(fields, panels, groups);
+    setRuleTest({ rule: fields, readings: panels.length, fired, panels: firedPanels });
   };
 
   // Delete a rule
@@ -402,46 +822,127 @@ function App() {
     setRules(rules.filter(r => r._id !== ruleId));
   };
 
+  // Add a named panel group
+  const addGroup = (group) => {
+    setGroups([...groups, group]);
+  };
+
+  // Delete a panel group unless a rule or override is scoped to it
+  const deleteGroup = (name) => {
+    const inUse = rules.concat(thresholdOverrides).some(x => x.scope && x.scope.type === 'group' && x.scope.group === name);
+    if (inUse) {
+      alert(`Group "${name}" is used by a rule or threshold override.`);
+      return;
+    }
+    setGroups(groups.filter(g => g.name !== name));
+  };
+
+  // Add or delete a scoped threshold override
+  const addThresholdOverride = (override) => {
+    setThresholdOverrides([...thresholdOverrides, { _id: nextId(), ...override }]);
+  };
+
+  const deleteThresholdOverride = (id) => {
+    setThresholdOverrides(thresholdOverrides.filter(o => o._id !== id));
+  };
+
+  // Add or delete a maintenance window
+  const addMaintenanceWindow = (window) => {
+    setMaintenanceWindows([...maintenanceWindows, { _id: nextId(), ...window }]);
+  };
+
+  const deleteMaintenanceWindow = (id) => {
+    setMaintenanceWindows(maintenanceWindows.filter(w => w._id !== id));
+  };
+
+  // Everything below follows the level drilled into; at the top, alerts from
+  // data sources and panels no longer reporting are shown too
+  const ratings = registryIndex(registry);
+  const locations = panelLocations(panels, ratings);
+  const inScope = (id) => drillPath.length === 0 || underPath(locations.get(id), drillPath);
+  const concernsScope = (item) => drillPath.length === 0 || panelsOf(item).some(inScope);
+  const scopeLabel = drillPath.length > 0 ? drillPath[drillPath.length - 1] : 'All sites';
+  const hierarchyNodes = childNodes(panels, drillPath, locations, incidents.filter(isOpen));
+
+  // Live map: each panel's latest status, its open alerts and offline clusters
+  const latestStatuses = new Map([...latestByPanel(panels)].map(([id, r]) => [id, r.panelStatus]));
+  const openAlertCounts = new Map();
+  incidents.filter(isOpen).forEach(i => panelsOf(i).forEach(id => openAlertCounts.set(id, (openAlertCounts.get(id) || 0) + 1)));
+  const clusters = offlineClusters(layout, latestStatuses);
+  // Panels with a maintenance window open right now
+  const now = new Date();
+  const inMaintenance = new Set([...latestByPanel(panels).values()]
+    .filter(r => maintenanceFor(maintenanceWindows, r, groups, now))
+    .map(r => r.id_panel));
+  const knownPanelIds = [...new Set([...registry.map(e => e.id_panel), ...latestStatuses.keys()])]
+    .sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+
   // Dashboard stats
-  const totalPanels = panels.length;
-  const activePanels = panels.filter(p => p.panelStatus === 'normal').length;
-  const offlinePanels = panels.filter(p => p.panelStatus === 'offline').length;
-  const avgPower = panels.length > 0
-    ? panels.reduce((sum, p) => sum + p.powerOut, 0) / panels.length
-    : 0;
-
-  // Filter panels and alerts
-  const panelIds = ['All', ...new Set(panels.map(p => p.id_panel).filter(id => id))];
-  const filteredPanels = selectedPanel === 'All'
-    ? panels
-    : panels.filter(p => p.id_panel === selectedPanel);
-  const filteredAlerts = selectedSeverity === 'All'
-    ? alerts.filter(a => selectedPanel === 'All' || a.id_panel === selectedPanel)
-    : alerts.filter(a => a.severityLevel === selectedSeverity && (selectedPanel === 'All' || a.id_panel === selectedPanel));
-
-  // Chart configuration
+  const unacknowledgedCritical = incidents.filter(i => i.state === 'new' && i.severityLevel === 'critical').length;
+  const filteredPanels = panels.filter(p => inScope(p.id_panel));
+  const stats = summarize(filteredPanels);
+
+  // Filter alerts
+  const filteredIncidents = incidents.filter(i =>
+    (selectedSeverity === 'All' || i.severityLevel === selectedSeverity)
+    && (selectedCategory === 'All' || alertCategory(i) === selectedCategory)
+    && concernsScope(i)
+    && matchesStateFilter(i, selectedState));
+
+  // Raw occurrences follow the state of the incident they belong to
+  const incidentOf = new Map(incidents.flatMap(i => i.occurrences.map(id => [id, i])));
+  const alertsById = new Map(alerts.map(a => [a._id, a]));
+  const filteredAlerts = alerts.filter(a =>
+    (selectedSeverity === 'All' || a.severityLevel === selectedSeverity)
+    && (selectedCategory === 'All' || alertCategory(a) === selectedCategory)
+    && concernsScope(a)
+    && (!incidentOf.has(a._id) || matchesStateFilter(incidentOf.get(a._id), selectedState)));
+
+  // Rules filtered by their scope label
+  const ruleScopes = ['All', ...new Set(rules.map(r => describeScope(r.scope)))];
+  const filteredRules = ruleScopeFilter === 'All'
+    ? rules
+    : rules.filter(r => describeScope(r.scope) === ruleScopeFilter);
+
+  // Optional metrics and equipment IDs present in the visible readings
+  const presentMetrics = OPTIONAL_METRICS.filter(m => filteredPanels.some(p => metricValue(p, m) !== null));
+  const hasEquipment = filteredPanels.some(p => p.inverterId || p.stringId);
+  const chartMetricInfo = METRICS[chartMetric] || METRICS.power;
+  const formatMetric = (p, metric) => {
+    const value = metricValue(p, metric);
+    return value === null ? '—' : value.toFixed(2);
+  };
+
+  // Chart configuration: total power, or the mean of other metrics, across the level
+  const trend = aggregateTrend(filteredPanels, chartMetric, alerts.filter(concernsScope));
+  // Where the tested rule would have fired, on the same readings
+  const testedTrend = ruleTest && aggregateTrend(filteredPanels, chartMetric, ruleTest.fired);
   const chartData = {
-    labels: filteredPanels.map(p => p.when.toLocaleTimeString()),
+    labels: trendLabels(trend),
     datasets: [
       {
-        label: `Power Output (W) - ${selectedPanel}`,
-        data: filteredPanels.map(p => p.powerOut),
+        label: `${chartMetric === 'power' ? 'Power Output' : chartMetricInfo.label} (${chartMetricInfo.unit}) - ${scopeLabel}`,
+        data: trend.map(point => point.value),
         borderColor: '#0d6efd',
         backgroundColor: 'rgba(13, 110, 253, 0.1)',
         fill: true,
       },
       {
         label: 'Alerts',
-        data: filteredPanels.map((p, index) =>
-          alerts.some(a => a.id_panel === p.id_panel && a.when.toLocaleTimeString() === p.when.toLocaleTimeString())
-            ? p.powerOut
-            : null
-        ),
+        data: trend.map(point => (point.alert ? point.value : null)),
         pointBackgroundColor: 'red',
         pointRadius: 6,
         pointStyle: 'circle',
         showLine: false,
       },
+      ...(testedTrend ? [{
+        label: `Rule would fire: ${describeRule(ruleTest.rule)}`,
+        data: testedTrend.map(point => (point.alert ? point.value : null)),
+        pointBackgroundColor: 'orange',
+        pointRadius: 6,
+        pointStyle: 'triangle',
+        showLine: false,
+      }] : []),
     ],
   };
 
@@ -449,21 +950,25 @@ function App() {
     responsive: true,
     plugins: {
       legend: { position: 'top' },
-      title: { display: true, text: 'Power Output Over Time' },
+      title: { display: true, text: `${chartMetric === 'power' ? 'Power Output' : chartMetricInfo.label} Over Time` },
     },
     scales: {
-      y: { beginAtZero: true, title: { display: true, text: 'Power Output (W)' } },
+      y: {
+        beginAtZero: true,
+        title: { display: true, text: `${chartMetric === 'power' ? 'Power Output' : chartMetricInfo.label} (${chartMetricInfo.unit})` },
+      },
       x: { title: { display: true, text: 'Timestamp' } },
     },
   };
 
   // Enable Bootstrap tooltips
   useEffect(() => {
+    if (!window.bootstrap) return;
     const tooltipTriggerList = [].slice.call(document.querySelectorAll('[data-bs-toggle="tooltip"]'));
     tooltipTriggerList.forEach(tooltipTriggerEl => {
       new window.bootstrap.Tooltip(tooltipTriggerEl);
     });
-  }, [filteredPanels, filteredAlerts]);
+  }, [filteredPanels, filteredAlerts, filteredIncidents]);
 
   return (
     <div className="container-fluid py-4 min-vh-100">
@@ -471,23 +976,60 @@ function App() {
         <h1 className="display-4 animate__animated animate__pulse fw-bolder">
           Solar PV Security Dashboard
         </h1>
-        <button
-          className="btn btn-outline-secondary"
-          onClick={toggleTheme}
-          data-bs-toggle="tooltip"
-          title={theme === 'light' ? 'Switch to Dark Mode' : 'Switch to Light Mode'}
-        >
-          {theme === 'light' ? '🌙 Dark' : '☀ Light'}
-        </button>
+        <div className="d-flex align-items-center">
+          {unacknowledgedCritical > 0 && (
+            <button className="btn btn-danger me-2" onClick={acknowledgeCritical}>
+              Acknowledge {unacknowledgedCritical} Critical
+            </button>
+          )}
+          {silencedUntil && silencedUntil > new Date() ? (
+            <button className="btn btn-warning me-2" onClick={unsilenceAlarms} title="Turn alarm sounds back on">
+              🔇 Silenced until {silencedUntil.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+            </button>
+          ) : (
+            <div className="input-group me-2" style={{ width: 'auto' }}>
+              <select
+                className="form-select"
+                aria-label="Silence duration"
+                value={silenceMinutes}
+                onChange={(e) => setSilenceMinutes(parseInt(e.target.value, 10))}
+              >
+                {[5, 15, 30, 60, 120].map(m => (
+                  <option key={m} value={m}>{m} min</option>
+                ))}
+              </select>
+              <button className="btn btn-outline-warning" onClick={silenceAlarms}>🔇 Silence</button>
+            </div>
+          )}
+          <button
+            className="btn btn-outline-secondary"
+            onClick={toggleTheme}
+            data-bs-toggle="tooltip"
+            title={theme === 'light' ? 'Switch to Dark Mode' : 'Switch to Light Mode'}
+          >
+            {theme === 'light' ? '🌙 Dark' : '☀ Light'}
+          </button>
+        </div>
       </div>
 
+      {/* Storage Errors */}
+      {storageError && (
+        <div className="alert alert-danger d-flex justify-content-between align-items-center" role="alert">
+          <span><strong>Storage problem:</strong> {storageError}</span>
+          <button type="button" className="btn-close" aria-label="Dismiss storage problem" onClick={() => setStorageError(null)}></button>
+        </div>
+      )}
+
+      {/* Site Hierarchy */}
+      <HierarchyNav path={drillPath} nodes={hierarchyNodes} onNavigate={setDrillPath} />
+
       {/* Dashboard Overview */}
       <div className="row g-4 mb-5">
         <div className="col-md-3">
           <div className="card shadow animate__animated animate__fadeIn">
             <div className="card-body text-center">
               <h5 className="card-title">Total Panels</h5>
-              <p className="display-6 animate__animated animate__flipInX">{totalPanels}</p>
+              <p className="display-6 animate__animated animate__flipInX">{stats.panels}</p>
             </div>
           </div>
         </div>
@@ -495,7 +1037,7 @@ function App() {
           <div className="card shadow animate__animated animate__fadeIn">
             <div className="card-body text-center">
               <h5 className="card-title">Active Panels</h5>
-              <p className="display-6 animate__animated animate__flipInX">{activePanels}</p>
+              <p className="display-6 animate__animated animate__flipInX">{stats.active}</p>
             </div>
           </div>
         </div>
@@ -503,7 +1045,7 @@ function App() {
           <div className="card shadow animate__animated animate__fadeIn">
             <div className="card-body text-center">
               <h5 className="card-title">Offline Panels</h5>
-              <p className="display-6 text-danger animate__animated animate__flipInX">{offlinePanels}</p>
+              <p className="display-6 text-danger animate__animated animate__flipInX">{stats.offline}</p>
             </div>
           </div>
         </div>
@@ -511,7 +1053,7 @@ function App() {
           <div className="card shadow animate__animated animate__fadeIn">
             <div className="card-body text-center">
               <h5 className="card-title">Average Power (W)</h5>
-              <p className="display-6 animate__animated animate__flipInX">{avgPower.toFixed(2)}</p>
+              <p className="display-6 animate__animated animate__flipInX">{stats.avgPower.toFixed(2)}</p>
             </div>
           </div>
         </div>
@@ -522,7 +1064,9 @@ function App() {
         <div className="card-body">
           <h2 className="card-title h4 mb-4">Control Panel</h2>
           <p className="text-muted mb-4">
-            Upload or paste CSV data with columns: <strong>id_panel,power,voltage,timestamp</strong>. Example:
+            Upload or paste CSV data with columns: <strong>id_panel,power,voltage,timestamp</strong>.
+            Optional columns: <strong>current_dc,current_ac,temperature,irradiance,site_id,inverter_id,string_id</strong>.
+            Other layouts open the import wizard to map columns, units and timestamp formats. Example:
             <pre className="bg-light p-3 rounded">
               id_panel,power,voltage,timestamp
               PV001,500.0,220.5,2025-07-20 10:00:00
@@ -551,35 +1095,48 @@ function App() {
               />
             </div>
             <div className="col-md-2">
-              <label className="form-label">Power Threshold (W):</label>
+              <label className="form-label">Import Mode:</label>
+              <select
+                className="form-select"
+                value={importMode}
+                onChange={(e) => setImportMode(e.target.value)}
+              >
+                <option value="replace">Replace data</option>
+                <option value="merge">Merge into history</option>
+              </select>
+            </div>
+            <div className="col-md-2">
+              <label className="form-label">Import Preset:</label>
+              <select
+                className="form-select"
+                value={activePreset}
+                onChange={(e) => setActivePreset(e.target.value)}
+              >
+                {importPresets.map(p => (
+                  <option key={p.name} value={p.name}>{p.name}</option>
+                ))}
+              </select>
+            </div>
+            <div className="col-md-2">
+              <label className="form-label" htmlFor="powerThreshold">Power Threshold (W):</label>
               <input
+                id="powerThreshold"
                 type="number"
                 className="form-control"
                 value={powerThreshold}
-                onChange={(e) => setPowerThreshold(parseFloat(e.target.value) || 50)}
+                onChange={(e) => setPowerThreshold(parseFloat(e.target.value) || DEFAULT_THRESHOLDS.power)}
               />
             </div>
             <div className="col-md-2">
-              <label className="form-label">Voltage Threshold (V):</label>
+              <label className="form-label" htmlFor="voltageThreshold">Voltage Threshold (V):</label>
               <input
+                id="voltageThreshold"
                 type="number"
                 className="form-control"
                 value={voltageThreshold}
-                onChange={(e) => setVoltageThreshold(parseFloat(e.target.value) || 200)}
+                onChange={(e) => setVoltageThreshold(parseFloat(e.target.value) || DEFAULT_THRESHOLDS.voltage)}
               />
             </div>
-            <div className="col-md-2">
-              <label className="form-label">Select Panel:</label>
-              <select
-                className="form-select"
-                value={selectedPanel}
-                onChange={(e) => setSelectedPanel(e.target.value)}
-              >
-                {panelIds.map(id => (
-                  <option key={id} value={id}>{id}</option>
-                ))}
-              </select>
-            </div>
             <div className="col-md-3">
               <button
                 className="btn btn-primary me-2"
@@ -587,6 +1144,12 @@ function App() {
               >
                 Analyze Data
               </button>
+              <button
+                className="btn btn-outline-primary me-2"
+                onClick={() => (inputData.trim() ? startImport(inputData, true) : alert('Please paste CSV data to import.'))}
+              >
+                Import Wizard
+              </button>
               <button
                 className="btn btn-danger"
                 onClick={clearData}
@@ -596,37 +1159,190 @@ function App() {
             </div>
           </div>
 
+          {importSummary && <ImportReport summary={importSummary} />}
+
+          {/* Live Telemetry */}
+          <div className="mt-4">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <h3 className="h5 mb-0">Live Telemetry</h3>
+              <span className={`badge ${
+                telemetryStatus === 'connected' ? 'bg-success' :
+                telemetryStatus === 'connecting' || telemetryStatus === 'reconnecting' ? 'bg-warning' :
+                telemetryStatus === 'error' ? 'bg-danger' : 'bg-secondary'
+              }`}>
+                {telemetryStatus}
+              </span>
+            </div>
+            <div className="row g-3 align-items-end">
+              <div className="col-md-2">
+                <label className="form-label">Transport:</label>
+                <select
+                  className="form-select"
+                  value={telemetryTransport}
+                  onChange={(e) => setTelemetryTransport(e.target.value)}
+                  disabled={telemetryStatus !== 'disconnected'}
+                >
+                  <option value="websocket">WebSocket</option>
+                  <option value="sse">Server-Sent Events</option>
+                </select>
+              </div>
+              <div className="col-md-7">
+                <label className="form-label">Endpoint URL:</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  value={telemetryUrl}
+                  onChange={(e) => setTelemetryUrl(e.target.value)}
+                  placeholder="ws://localhost:8081 or http://localhost:8081/events"
+                  disabled={telemetryStatus !== 'disconnected'}
+                />
+              </div>
+              <div className="col-md-3">
+                <button
+                  className={`btn ${telemetryStatus === 'disconnected' ? 'btn-success' : 'btn-outline-danger'}`}
+                  onClick={toggleTelemetry}
+                >
+                  {telemetryStatus === 'disconnected' ? 'Connect' : 'Disconnect'}
+                </button>
+              </div>
+            </div>
+          </div>
+
+          {/* REST Data Source */}
+          <div className="mt-4">
+            <div className="d-flex justify-content-between align-items-center mb-3">
+              <h3 className="h5 mb-0">REST Data Source</h3>
+              <span>
+                {pollProblem && <small className="text-warning me-2">{pollProblem}</small>}
+                {lastPoll && <small className="text-muted me-2">Last poll: {lastPoll.toLocaleTimeString()}</small>}
+                <span className={`badge ${
+                  pollStatus === 'polling' ? 'bg-success' :
+                  pollStatus === 'unreachable' ? 'bg-danger' :
+                  pollStatus.endsWith('_error') ? 'bg-warning text-dark' : 'bg-secondary'
+                }`}>
+                  {pollStatus.replace('_', ' ')}
+                </span>
+              </span>
+            </div>
+            <div className="row g-3">
+              <div className="col-md-3">
+                <label className="form-label">Name:</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  name="name"
+                  value={dataSource.name}
+                  onChange={handleDataSourceChange}
+                  disabled={pollStatus !== 'idle'}
+                />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Endpoint URL:</label>
+                <input
+                  type="text"
+                  className="form-control"
+                  name="url"
+                  value={dataSource.url}
+                  onChange={handleDataSourceChange}
+                  placeholder="https://datalogger.local/api/readings"
+                  disabled={pollStatus !== 'idle'}
+                />
+              </div>
+              <div className="col-md-3">
+                <label className="form-label">Interval (s):</label>
+                <input
+                  type="number"
+                  min="1"
+                  className="form-control"
+                  name="interval"
+                  value={dataSource.interval}
+                  onChange={handleDataSourceChange}
+                  disabled={pollStatus !== 'idle'}
+                />
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Headers (one per line):</label>
+                <textarea
+                  className="form-control"
+                  rows="3"
+                  name="headers"
+                  value={dataSource.headers}
+                  onChange={handleDataSourceChange}
+                  placeholder="Authorization: Bearer <token>"
+                  disabled={pollStatus !== 'idle'}
+                ></textarea>
+              </div>
+              <div className="col-md-6">
+                <label className="form-label">Response mapping (JSON paths):</label>
+                <div className="row g-2">
+                  {['root', ...MAPPED_FIELDS].map(field => (
+                    <div className="col-6" key={field}>
+                      <div className="input-group input-group-sm">
+                        <span className="input-group-text">{field}</span>
+                        <input
+                          type="text"
+                          className="form-control"
+                          name={field}
+                          value={dataSource.mapping[field]}
+                          onChange={handleMappingChange}
+                          disabled={pollStatus !== 'idle'}
+                        />
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+              <div className="col-12">
+                <button
+                  className={`btn ${pollStatus === 'idle' ? 'btn-success' : 'btn-outline-danger'}`}
+                  onClick={togglePolling}
+                >
+                  {pollStatus === 'idle' ? 'Start Polling' : 'Stop Polling'}
+                </button>
+              </div>
+            </div>
+          </div>
+
           {/* Custom Alarm Rules */}
           <div className="mt-4">
             <div className="d-flex justify-content-between align-items-center mb-3">
               <h3 className="h5 mb-0">Custom Alarm Rules</h3>
-              <button
-                className="btn btn-primary"
-                data-bs-toggle="modal"
-                data-bs-target="#ruleModal"
-                onClick={() => setRuleForm({ metric: 'power', condition: '<', value: '', severity: 'warning', message: '', editId: null })}
-              >
-                Add Rule
-              </button>
+              <div className="d-flex align-items-center">
+                <label className="form-label mb-0 me-2" htmlFor="ruleScopeFilter">Scope:</label>
+                <select
+                  id="ruleScopeFilter"
+                  className="form-select w-auto me-2"
+                  value={ruleScopeFilter}
+                  onChange={(e) => setRuleScopeFilter(e.target.value)}
+                >
+                  {ruleScopes.map(scope => (
+                    <option key={scope} value={scope}>{scope}</option>
+                  ))}
+                </select>
+                <button
+                  className="btn btn-primary"
+                  onClick={() => openRuleEditor(null)}
+                >
+                  Add Rule
+                </button>
+              </div>
             </div>
             <div className="table-responsive">
               <table className="table table-striped table-hover">
                 <thead>
                   <tr>
-                    <th>Metric</th>
-                    <th>Condition</th>
-                    <th>Value</th>
+                    <th>Conditions</th>
+                    <th>Scope</th>
                     <th>Severity</th>
                     <th>Message</th>
                     <th>Actions</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {rules.map(rule => (
+                  {filteredRules.map(rule => (
                     <tr key={rule._id}>
-                      <td>{rule.metric}</td>
-                      <td>{rule.condition}</td>
-                      <td>{rule.value}</td>
+                      <td>{describeRule(rule)}</td>
+                      <td>{describeScope(rule.scope)}</td>
                       <td className={rule.severity === 'critical' ? 'text-danger' : 'text-warning'}>
                         {rule.severity}
                       </td>
@@ -634,9 +1350,7 @@ function App() {
                       <td>
                         <button
                           className="btn btn-sm btn-outline-primary me-2"
-                          data-bs-toggle="modal"
-                          data-bs-target="#ruleModal"
-                          onClick={() => editRule(rule)}
+                          onClick={() => openRuleEditor(rule)}
                         >
                           Edit
                         </button>
@@ -654,12 +1368,148 @@ function App() {
             </div>
           </div>
 
+          {/* Rule Scopes */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Groups and Threshold Overrides</h3>
+            <div className="row">
+              <div className="col-lg-6">
+                <PanelGroups groups={groups} onAdd={addGroup} onDelete={deleteGroup} />
+              </div>
+              <div className="col-lg-6">
+                <ThresholdOverrides
+                  overrides={thresholdOverrides}
+                  groups={groups}
+                  onAdd={addThresholdOverride}
+                  onDelete={deleteThresholdOverride}
+                />
+              </div>
+            </div>
+          </div>
+
+          {/* Maintenance Windows */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Maintenance Windows</h3>
+            <p className="text-muted small">
+              While crews clean or replace modules, alerts from the panels covered are suppressed (still kept
+              in the raw alerts for audit) or downgraded to warnings marked "during maintenance", and no alarm sounds.
+            </p>
+            <MaintenanceWindows
+              windows={maintenanceWindows}
+              groups={groups}
+              onAdd={addMaintenanceWindow}
+              onDelete={deleteMaintenanceWindow}
+            />
+          </div>
+
+          {/* Panel Registry */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Panel Registry</h3>
+            <p className="text-muted small">
+              Registered panels are judged against their own rating instead of the site-wide thresholds,
+              and take their string and inverter from here when readings do not carry them. Once any
+              panel is registered, readings from IDs not listed raise an unregistered device alert.
+            </p>
+            <PanelRegistry
+              registry={registry}
+              settings={registrySettings}
+              onChange={setRegistry}
+              onSettingsChange={setRegistrySettings}
+            />
+          </div>
+
+          {/* Site Location */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Site Location</h3>
+            <SiteSettings site={site} onChange={setSite} />
+          </div>
+
+          {/* Anomaly Detection */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Anomaly Detection</h3>
+            <p className="text-muted small">
+              Each panel is compared with its own recent readings. The window is how many previous
+              readings a detector looks at; CUSUM uses it as the panel's baseline.
+            </p>
+            <AnomalySettings detectors={anomalyDetectors} located={siteConfigured(site)} onChange={setAnomalyDetectors} />
+          </div>
+
+          {/* Data Integrity */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Data Integrity</h3>
+            <p className="text-muted small">
+              Checks on the telemetry itself for a failing logger or a spoofed feed. They raise data integrity
+              alerts, kept apart from equipment faults; replayed sequences are critical.
+            </p>
+            <IntegritySettings checks={integrityChecks} onChange={setIntegrityChecks} />
+          </div>
+
+          {/* Peer Comparison */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Peer Comparison</h3>
+            <p className="text-muted small">
+              Each panel is compared with the median of the other panels on its string (or inverter,
+              or the whole site) at the same timestamp.
+            </p>
+            <PeerSettings settings={peerSettings} onChange={setPeerSettings} />
+          </div>
+
+          {/* Theft Detection */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Theft Detection</h3>
+            <p className="text-muted small">
+              Neighbouring panels (on the layout map or one string) dropping to zero together, voltage lost at
+              night and runs of panels vanishing from the feed raise one theft alert per site, with a confidence score.
+            </p>
+            <TheftSettings settings={theftSettings} onChange={setTheftSettings} />
+          </div>
+
+          {/* Incident Escalation */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Incident Escalation</h3>
+            <p className="text-muted small">
+              Repeated alerts for the same panel and rule form one incident, closed automatically once
+              the condition clears. Open warning incidents become critical when they drag on or spread.
+            </p>
+            <IncidentSettings escalation={escalation} onChange={setEscalation} />
+          </div>
+
+          {/* Settings Profile */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Settings Profile</h3>
+            <p className="text-muted small">
+              Thresholds, rules, groups, the panel registry, detector, site, sound and data source settings as one JSON file,
+              to copy to another site or keep in version control.
+            </p>
+            <div className="row g-2 align-items-end">
+              <div className="col-md-4">
+                <button className="btn btn-outline-primary" onClick={exportProfile}>Export Profile</button>
+              </div>
+              <div className="col-md-8">
+                <label className="form-label" htmlFor="profileFile">Import profile:</label>
+                <input id="profileFile" type="file" accept="application/json,.json" className="form-control" onChange={handleProfileUpload} />
+              </div>
+            </div>
+          </div>
+
+          {/* Data Retention */}
+          <div className="mt-4">
+            <h3 className="h5 mb-3">Data Retention</h3>
+            <p className="text-muted small">
+              Data is kept in the browser's IndexedDB. Older readings and alerts are removed when the
+              dashboard loads and every hour while it stays open; open incidents are kept however old they are.
+            </p>
+            <RetentionSettings retention={retention} onChange={setRetention} />
+          </div>
+
           {/* Custom Alarm Sounds */}
           <div className="mt-4">
             <h3 className="h5 mb-3">Custom Alarm Sounds</h3>
+            <p className="text-muted small">
+              Theft, voltage faults and data-source loss keep their own tones; other alarms play the uploaded sound for their severity.
+            </p>
             <div className="row g-3">
               <div className="col-md-6">
-                <label className="form-label">Critical Alarm Sound (e.g., Theft):</label>
+                <label className="form-label">Critical Alarm Sound:</label>
                 <div className="input-group">
                   <input
                     type="file"
@@ -699,6 +1549,9 @@ function App() {
                 <small className="text-muted">Current: {warningFileName}</small>
               </div>
             </div>
+            <div className="mt-3">
+              <SoundSettings settings={soundSettings} onChange={setSoundSettings} />
+            </div>
           </div>
         </div>
       </div>
@@ -717,7 +1570,12 @@ function App() {
                       <th>Panel ID</th>
                       <th>Power (W)</th>
                       <th>Voltage (V)</th>
+                      {presentMetrics.map(m => (
+                        <th key={m}>{METRICS[m].label} ({METRICS[m].unit})</th>
+                      ))}
+                      {hasEquipment && <th>Inverter / String</th>}
                       <th>Status</th>
+                      <th title="Power as a percentage of the peer median at the same timestamp">Relative Perf.</th>
                       <th>Health</th>
                       <th>Time</th>
                     </tr>
@@ -725,22 +1583,33 @@ function App() {
                   <tbody>
                     {filteredPanels.map(p => (
                       <tr key={p._id}>
-                        <td>{p.id_panel}</td>
+                        <td>
+                          {p.id_panel}
+                          {inMaintenance.has(p.id_panel) && <span className="badge bg-info text-dark ms-2">Maintenance</span>}
+                        </td>
                         <td>{p.powerOut.toFixed(2)}</td>
                         <td>{p.voltage.toFixed(2)}</td>
+                        {presentMetrics.map(m => (
+                          <td key={m}>{formatMetric(p, m)}</td>
+                        ))}
+                        {hasEquipment && <td>{p.inverterId || '—'} / {p.stringId || '—'}</td>}
                         <td className={
                           p.panelStatus === 'offline' ? 'text-danger' :
-                          p.panelStatus === 'low' ? 'text-warning' : 'text-success'
+                          p.panelStatus === 'low' ? 'text-warning' :
+                          p.panelStatus === 'night' ? 'text-secondary' : 'text-success'
                         }>
                           {p.panelStatus}
                         </td>
+                        <td className={p.relativePerformance != null && p.relativePerformance < peerSettings.threshold ? 'text-warning' : ''}>
+                          {p.relativePerformance != null ? `${p.relativePerformance.toFixed(0)}%` : '—'}
+                        </td>
                         <td>
                           <div className="progress" style={{ height: '20px' }}>
                             <div
-                              className={`progress-bar ${p.panelStatus === 'offline' ? 'bg-danger' : p.panelStatus === 'low' ? 'bg-warning' : 'bg-success'} animate__animated animate__fadeIn`}
+                              className={`progress-bar ${p.panelStatus === 'offline' ? 'bg-danger' : p.panelStatus === 'low' ? 'bg-warning' : p.panelStatus === 'night' ? 'bg-secondary' : 'bg-success'} animate__animated animate__fadeIn`}
                               role="progressbar"
-                              style={{ width: `${Math.min((p.powerOut / 600) * 100, 100)}%` }}
-                              aria-valuenow={Math.min((p.powerOut / 600) * 100, 100)}
+                              style={{ width: `${healthPercent(p, ratings.get(p.id_panel))}%` }}
+                              aria-valuenow={healthPercent(p, ratings.get(p.id_panel))}
                               aria-valuemin="0"
                               aria-valuemax="100"
                             ></div>
@@ -763,6 +1632,38 @@ function App() {
               <div className="d-flex justify-content-between align-items-center mb-4">
                 <h2 className="card-title h4 mb-0">Alerts</h2>
                 <div className="d-flex align-items-center">
+                  <input
+                    type="text"
+                    className="form-control me-2"
+                    style={{ width: '140px' }}
+                    aria-label="Operator name"
+                    value={operator}
+                    onChange={(e) => setOperator(e.target.value)}
+                    placeholder="Your name"
+                  />
+                  <select
+                    className="form-select me-2"
+                    style={{ width: '140px' }}
+                    aria-label="Alert view"
+                    value={alertView}
+                    onChange={(e) => setAlertView(e.target.value)}
+                  >
+                    <option value="incidents">Incidents</option>
+                    <option value="raw">Raw alerts</option>
+                  </select>
+                  <select
+                    className="form-select me-2"
+                    style={{ width: '150px' }}
+                    aria-label="Alert state filter"
+                    value={selectedState}
+                    onChange={(e) => setSelectedState(e.target.value)}
+                  >
+                    <option value="open">Open</option>
+                    <option value="all">All States</option>
+                    {Object.entries(ALERT_STATES).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
                   <select
                     className="form-select me-2"
                     style={{ width: '150px' }}
@@ -773,6 +1674,18 @@ function App() {
                     <option value="critical">Critical</option>
                     <option value="warning">Warning</option>
                   </select>
+                  <select
+                    className="form-select me-2"
+                    style={{ width: '160px' }}
+                    aria-label="Alert category filter"
+                    value={selectedCategory}
+                    onChange={(e) => setSelectedCategory(e.target.value)}
+                  >
+                    <option value="All">All Categories</option>
+                    {Object.entries(ALERT_CATEGORIES).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
                   <button
                     className="btn btn-success"
                     onClick={exportAlerts}
@@ -784,56 +1697,181 @@ function App() {
                 </div>
               </div>
               <div className="table-responsive">
-                <table className="table table-striped table-hover">
-                  <thead>
-                    <tr>
-                      <th>Panel ID</th>
-                      <th>Message</th>
-                      <th>Severity</th>
-                      <th>Time</th>
-                      <th>Action</th>
-                    </tr>
-                  </thead>
-                  <tbody>
-                    {filteredAlerts.map(a => (
-                      <tr
-                        key={a._id}
-                        onClick={() => setSelectedAlert(a)}
-                        style={{ cursor: 'pointer' }}
-                      >
-                        <td>{a.id_panel}</td>
-                        <td>{a.alertMessage}</td>
-                        <td className={
-                          a.severityLevel === 'critical' ? 'text-danger' : 'text-warning'
-                        }>
-                          {a.severityLevel}
-                        </td>
-                        <td>{a.when.toLocaleString()}</td>
-                        <td>
-                          <button
-                            className="btn btn-sm btn-outline-primary"
-                            data-bs-toggle="modal"
-                            data-bs-target="#alertModal"
-                            onClick={(e) => { e.stopPropagation(); setSelectedAlert(a); }}
-                          >
-                            View
-                          </button>
-                        </td>
+                {alertView === 'incidents' ? (
+                  <table className="table table-hover">
+                    <thead>
+                      <tr>
+                        <th>Panel ID</th>
+                        <th>Message</th>
+                        <th>Severity</th>
+                        <th>State</th>
+                        <th>Assignee</th>
+                        <th>First Seen</th>
+                        <th>Last Seen</th>
+                        <th>Count</th>
+                        <th>Action</th>
                       </tr>
-                    ))}
-                  </tbody>
-                </table>
+                    </thead>
+                    <tbody>
+                      {filteredIncidents.map(i => (
+                        <React.Fragment key={i._id}>
+                          <tr onClick={() => setSelectedAlert(i)} style={{ cursor: 'pointer' }}>
+                            <td>{i.id_panel}</td>
+                            <td>
+                              {i.alertMessage}
+                              {alertCategory(i) === 'integrity' && <span className="badge bg-info text-dark ms-2">{ALERT_CATEGORIES.integrity}</span>}
+                              {i.maintenance && <span className="badge bg-secondary ms-2" title={i.maintenance}>Maintenance</span>}
+                              {i.escalation && <span className="badge bg-danger ms-2" title={i.escalation}>Escalated</span>}
+                            </td>
+                            <td className={
+                              i.severityLevel === 'critical' ? 'text-danger' : 'text-warning'
+                            }>
+                              {i.severityLevel}
+                            </td>
+                            <td>{ALERT_STATES[i.state]}</td>
+                            <td>{i.assignee || '—'}</td>
+                            <td>{new Date(i.firstSeen).toLocaleString()}</td>
+                            <td>{new Date(i.lastSeen).toLocaleString()}</td>
+                            <td>{i.count}</td>
+                            <td className="text-nowrap">
+                              <button
+                                className="btn btn-sm btn-outline-secondary me-1"
+                                aria-expanded={expandedIncidents.includes(i._id)}
+                                aria-label={`Occurrences of ${i.id_panel}`}
+                                onClick={(e) => { e.stopPropagation(); toggleIncident(i._id); }}
+                              >
+                                {expandedIncidents.includes(i._id) ? '▾' : '▸'}
+                              </button>
+                              <button
+                                className="btn btn-sm btn-outline-primary"
+                                onClick={(e) => { e.stopPropagation(); setSelectedAlert(i); }}
+                              >
+                                View
+                              </button>
+                            </td>
+                          </tr>
+                          {expandedIncidents.includes(i._id) && i.occurrences.map(id => alertsById.get(id)).filter(a => a).map(a => (
+                            <tr key={a._id} className="small text-muted">
+                              <td></td>
+                              <td colSpan="5">{a.alertMessage}</td>
+                              <td colSpan="3">{new Date(a.when).toLocaleString()}</td>
+                            </tr>
+                          ))}
+                        </React.Fragment>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <table className="table table-striped table-hover">
+                    <thead>
+                      <tr>
+                        <th>Panel ID</th>
+                        <th>Message</th>
+                        <th>Severity</th>
+                        <th>Time</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {filteredAlerts.map(a => (
+                        <tr
+                          key={a._id}
+                          onClick={() => incidentOf.has(a._id) && setSelectedAlert(incidentOf.get(a._id))}
+                          style={{ cursor: 'pointer' }}
+                        >
+                          <td>{a.id_panel}</td>
+                          <td>
+                            {a.alertMessage}
+                            {alertCategory(a) === 'integrity' && <span className="badge bg-info text-dark ms-2">{ALERT_CATEGORIES.integrity}</span>}
+                            {a.suppressed && <span className="badge bg-secondary ms-2" title={a.maintenance}>Suppressed</span>}
+                          </td>
+                          <td className={
+                            a.severityLevel === 'critical' ? 'text-danger' : 'text-warning'
+                          }>
+                            {a.severityLevel}
+                          </td>
+                          <td>{new Date(a.when).toLocaleString()}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                )}
               </div>
             </div>
           </div>
         </div>
       </div>
 
+      {/* Panel Map */}
+      <div className="card shadow mt-4 animate__animated animate__fadeIn">
+        <div className="card-body">
+          <div className="d-flex justify-content-between align-items-center mb-3">
+            <h2 className="card-title h4 mb-0">Panel Map</h2>
+            <div className="btn-group" role="group" aria-label="Map mode">
+              <button className={`btn btn-sm ${mapMode === 'live' ? 'btn-primary' : 'btn-outline-primary'}`} onClick={() => setMapMode('live')}>Live Map</button>
+              <button className={`btn btn-sm ${mapMode === 'edit' ? 'btn-primary' : 'btn-outline-primary'}`} onClick={() => setMapMode('edit')}>Edit Layout</button>
+            </div>
+          </div>
+          {mapMode === 'edit' ? (
+            <LayoutEditor
+              layout={layout}
+              panelIds={knownPanelIds}
+              statuses={latestStatuses}
+              alertCounts={openAlertCounts}
+              onChange={setLayout}
+            />
+          ) : Object.keys(layout.positions).length === 0 ? (
+            <p className="text-muted mb-0">No panels placed yet. Use Edit Layout to lay out the array.</p>
+          ) : (
+            <>
+              {clusters.map(cluster => (
+                <div key={cluster[0]} className="alert alert-danger py-2" role="status">
+                  <strong>{cluster.length} adjacent panels offline:</strong> {cluster.join(', ')}
+                </div>
+              ))}
+              <PanelMap
+                layout={layout}
+                statuses={latestStatuses}
+                alertCounts={openAlertCounts}
+                clusters={clusters}
+                onCellClick={(row, col, id) => id && setDetailsPanel(id)}
+              />
+              <div className="small text-muted mt-2">
+                <span className="badge bg-success me-1">normal</span>
+                <span className="badge bg-warning text-dark me-1">low</span>
+                <span className="badge bg-danger me-1">offline</span>
+                <span className="badge bg-secondary me-1">night</span>
+                <span className="badge bg-light text-dark border me-1">no data</span>
+                Outlined panels are part of an offline cluster. Click a panel for its details.
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
       {/* Chart */}
       {filteredPanels.length > 0 && (
         <div className="card shadow mt-4 animate__animated animate__fadeIn">
           <div className="card-body">
-            <h2 className="card-title h4 mb-4">Power Trend</h2>
+            <div className="d-flex justify-content-between align-items-center mb-4">
+              <h2 className="card-title h4 mb-0">{chartMetric === 'power' ? 'Power' : chartMetricInfo.label} Trend</h2>
+              <div className="d-flex align-items-center">
+                {ruleTest && (
+                  <button className="btn btn-sm btn-outline-secondary me-2" onClick={() => setRuleTest(null)}>
+                    Clear Rule Test
+                  </button>
+                )}
+                <select
+                  className="form-select"
+                  style={{ width: '220px' }}
+                  value={chartMetric}
+                  onChange={(e) => setChartMetric(e.target.value)}
+                >
+                  {['power', 'voltage', ...presentMetrics].map(m => (
+                    <option key={m} value={m}>{METRICS[m].label} ({METRICS[m].unit})</option>
+                  ))}
+                </select>
+              </div>
+            </div>
             <div className="chart-container">
               <Line data={chartData} options={chartOptions} />
             </div>
@@ -849,11 +1887,27 @@ function App() {
             This Solar PV Security Dashboard monitors photovoltaic systems for faults, cyber-attacks, and potential theft. Key features include:
             <ul className="list-group list-group-flush mt-2">
               <li className="list-group-item">Real-time dashboard with panel statistics.</li>
-              <li className="list-group-item">Custom audio alerts for critical (theft) and warning conditions.</li>
-              <li className="list-group-item">Customizable alarm rules for power and voltage thresholds.</li>
-              <li className="list-group-item">Interactive modal for alert details and dismissal.</li>
+              <li className="list-group-item">Panel layout map coloured by live status, with open alerts per panel and offline clusters outlined.</li>
+              <li className="list-group-item">Site, inverter, string and panel drill-down: stat cards, alerts and the trend chart aggregate at every level.</li>
+              <li className="list-group-item">Live telemetry over WebSocket or Server-Sent Events with auto-reconnect.</li>
+              <li className="list-group-item">Scheduled polling of inverter/datalogger REST APIs, with alerts when a source goes silent.</li>
+              <li className="list-group-item">Custom audio alerts for critical (theft) and warning conditions, rate limited per severity, with a repeating critical siren, silence and quiet hours; distinct tones for theft, voltage faults and data-source loss, and per-rule sounds.</li>
+              <li className="list-group-item">Customizable alarm rules on power, voltage, current, module temperature and irradiance, combined with AND/OR, held for N readings or M minutes, or on sudden drops between readings.</li>
+              <li className="list-group-item">Rule backtesting: test a draft rule against the loaded history to see how often, on which panels and when it would have fired, marked on the trend chart, before saving it.</li>
+              <li className="list-group-item">Per-panel anomaly detection with EWMA z-score, IQR and CUSUM drift detectors.</li>
+              <li className="list-group-item">Panel registry with nameplate ratings: health, low-power and low-voltage checks use each panel's own rating, and unregistered devices raise alerts.</li>
+              <li className="list-group-item">Day/night awareness from the site location: no offline alarms for zero power after sunset, and night-time voltage loss flagged as disconnection.</li>
+              <li className="list-group-item">Data integrity checks against spoofing and cyber-attacks: duplicate and replayed readings, frozen sensors, impossible values, future or out-of-order timestamps and reporting gaps, alerted in their own category.</li>
+              <li className="list-group-item">Maintenance windows, one-off or recurring, for panels, strings or the whole site: alerts are suppressed or downgraded and the alarm stays quiet.</li>
+              <li className="list-group-item">Theft signature detection: neighbouring panels dropping to zero together, night-time voltage loss and panels vanishing from the feed in sequence raise one confidence-scored theft incident per site, open until its panels report again.</li>
+              <li className="list-group-item">Peer comparison against the string median at each timestamp, with underperformance alerts.</li>
+              <li className="list-group-item">Rules and threshold overrides scoped to panel IDs, wildcard or regex patterns, strings or named panel groups.</li>
+              <li className="list-group-item">Alert lifecycle with states, assignee, notes and a timestamped audit trail; closed alerts are kept for reporting.</li>
+              <li className="list-group-item">Repeated alerts grouped into incidents per panel and rule, closed automatically when the condition clears and escalated when they last or spread.</li>
               <li className="list-group-item">Dark/light mode toggle for user comfort.</li>
+              <li className="list-group-item">Readings, alerts and settings kept in the browser's IndexedDB, with configurable retention.</li>
               <li className="list-group-item">Export alerts to CSV for reporting.</li>
+              <li className="list-group-item">Settings profiles: export the configuration as versioned JSON and import it on another site with a change preview.</li>
               <li className="list-group-item">Animated progress bars for panel health.</li>
             </ul>
             Built with React and Bootstrap 5, this system supports smart protection strategies for solar PV systems.
@@ -861,120 +1915,75 @@ function App() {
         </div>
       </div>
 
+      {/* Settings Profile Import */}
+      {profileDraft && (
+        <ProfileImport
+          fileName={profileDraft.fileName}
+          current={currentSettings()}
+          incoming={profileDraft.settings}
+          warnings={profileDraft.warnings}
+          onApply={applyProfile}
+          onCancel={() => setProfileDraft(null)}
+        />
+      )}
+
+      {/* Panel Details Modal */}
+      {detailsPanel && (
+        <PanelDetails
+          id={detailsPanel}
+          entry={ratings.get(detailsPanel)}
+          location={locations.get(detailsPanel)}
+          readings={panels.filter(p => p.id_panel === detailsPanel)}
+          incidents={incidents.filter(i => panelsOf(i).includes(detailsPanel))}
+          onOpenIncident={(incident) => {
+            setDetailsPanel(null);
+            setSelectedAlert(incident);
+          }}
+          onDrillDown={() => {
+            setDrillPath(LEVELS.map(level => locations.get(detailsPanel)[level]));
+            setDetailsPanel(null);
+          }}
+          onClose={() => setDetailsPanel(null)}
+        />
+      )}
+
       {/* Alert Details Modal */}
       {selectedAlert && (
-        <div className="modal fade" id="alertModal" tabIndex="-1" aria-labelledby="alertModalLabel" aria-hidden="true">
-          <div className="modal-dialog">
-            <div className="modal-content">
-              <div className="modal-header">
-                <h5 className="modal-title" id="alertModalLabel">Alert Details</h5>
-                <button type="button" className="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
-              </div>
-              <div className="modal-body">
-                <p><strong>Panel ID:</strong> {selectedAlert.id_panel}</p>
-                <p><strong>Message:</strong> {selectedAlert.alertMessage}</p>
-                <p><strong>Severity:</strong> {selectedAlert.severityLevel}</p>
-                <p><strong>Time:</strong> {selectedAlert.when.toLocaleString()}</p>
-              </div>
-              <div className="modal-footer">
-                <button
-                  type="button"
-                  className="btn btn-danger"
-                  onClick={() => dismissAlert(selectedAlert._id)}
-                  data-bs-dismiss="modal"
-                >
-                  Dismiss Alert
-                </button>
-                <button type="button" className="btn btn-secondary" data-bs-dismiss="modal">Close</button>
-              </div>
-            </div>
-          </div>
-        </div>
+        <AlertDetails
+          key={selectedAlert._id}
+          alert={selectedAlert}
+          rules={rules}
+          onSave={saveAlertChanges}
+          onClose={() => setSelectedAlert(null)}
+        />
       )}
 
-      {/* Rule Configuration Modal */}
-      <div className="modal fade" id="ruleModal" tabIndex="-1" aria-labelledby="ruleModalLabel" aria-hidden="true">
-        <div className="modal-dialog">
-          <div className="modal-content">
-            <div className="modal-header">
-              <h5 className="modal-title" id="ruleModalLabel">{ruleForm.editId ? 'Edit Rule' : 'Add Rule'}</h5>
-              <button type="button" className="btn-close" data-bs-dismiss="modal" aria-label="Close"></button>
-            </div>
-            <div className="modal-body">
-              <div className="mb-3">
-                <label className="form-label">Metric:</label>
-                <select
-                  className="form-select"
-                  name="metric"
-                  value={ruleForm.metric}
-                  onChange={handleRuleChange}
-                >
-                  <option value="power">Power (W)</option>
-                  <option value="voltage">Voltage (V)</option>
-                </select>
-              </div>
-              <div className="mb-3">
-                <label className="form-label">Condition:</label>
-                <select
-                  className="form-select"
-                  name="condition"
-                  value={ruleForm.condition}
-                  onChange={handleRuleChange}
-                >
-                  <option value="<">Less than</option>
-                  <option value=">">Greater than</option>
-                  <option value="=">Equal to</option>
-                </select>
-              </div>
-              <div className="mb-3">
-                <label className="form-label">Value:</label>
-                <input
-                  type="number"
-                  className="form-control"
-                  name="value"
-                  value={ruleForm.value}
-                  onChange={handleRuleChange}
-                  placeholder="Enter value (e.g., 100)"
-                />
-              </div>
-              <div className="mb-3">
-                <label className="form-label">Severity:</label>
-                <select
-                  className="form-select"
-                  name="severity"
-                  value={ruleForm.severity}
-                  onChange={handleRuleChange}
-                >
-                  <option value="warning">Warning</option>
-                  <option value="critical">Critical</option>
-                </select>
-              </div>
-              <div className="mb-3">
-                <label className="form-label">Message:</label>
-                <input
-                  type="text"
-                  className="form-control"
-                  name="message"
-                  value={ruleForm.message}
-                  onChange={handleRuleChange}
-                  placeholder="e.g., Critical low power detected"
-                />
-              </div>
-            </div>
-            <div className="modal-footer">
-              <button
-                type="button"
-                className="btn btn-primary"
-                onClick={saveRule}
-                data-bs-dismiss="modal"
-              >
-                Save Rule
-              </button>
-              <button type="button" className="btn btn-secondary" data-bs-dismiss="modal">Cancel</button>
-            </div>
-          </div>
-        </div>
-      </div>
+      {/* CSV Import Wizard */}
+      {importDraft && (
+        <ImportWizard
+          text={importDraft.text}
+          initialSettings={importDraft.settings}
+          presets={importPresets}
+          presetName={activePreset}
+          onSavePreset={saveImportPreset}
+          onDeletePreset={deleteImportPreset}
+          onImport={completeImport}
+          onCancel={() => setImportDraft(null)}
+        />
+      )}
+
+      {/* Rule Editor */}
+      {ruleDraft && (
+        <RuleEditor
+          rule={ruleDraft.rule}
+          groups={groups}
+          testResult={ruleTest}
+          onTest={testRule}
+          onSave={saveRule}
+          onCancel={closeRuleEditor}
+          onPreviewSound={(severity, sound) => soundRef.current.preview(severity, { sound })}
+        />
+      )}
     </div>
   );
 }
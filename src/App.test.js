@@ -1,8 +1,589 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent, act, within, waitFor } from '@testing-library/react';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
 import App from './App';
+import { openStore } from './storage/db';
 
-test('renders learn react link', () => {
+// jsdom has no canvas, so keep Chart.js out of the DOM tests; the charts' data is still recorded
+const mockChart = jest.fn();
+jest.mock('react-chartjs-2', () => ({ Line: (props) => { mockChart(props); return null; } }));
+const lastChart = () => mockChart.mock.calls[mockChart.mock.calls.length - 1][0].data;
+
+beforeEach(() => {
+  localStorage.clear();
+  // jsdom has no Web Audio; stub just enough for the default tones
+  window.AudioContext = jest.fn(() => ({
+    currentTime: 0,
+    destination: {},
+    createOscillator: () => ({
+      type: 'sine',
+      frequency: { setValueAtTime: jest.fn(), linearRampToValueAtTime: jest.fn() },
+      connect: jest.fn(),
+      start: jest.fn(),
+      stop: jest.fn(),
+    }),
+    createGain: () => ({
+      gain: { setValueAtTime: jest.fn() },
+      connect: jest.fn(),
+    }),
+  }));
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete window.indexedDB;
+  delete window.IDBKeyRange;
+});
+
+test('renders the dashboard', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /Solar PV Security Dashboard/i })).toBeInTheDocument();
+});
+
+test('analyzes pasted CSV data through the alarm engine', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,500,220,2025-07-20 10:00:00\nPV002,0,220,2025-07-20 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.getByText('Panel PV002 is offline')).toBeInTheDocument();
+});
+
+test('shows optional telemetry columns in the panels table', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp,current_dc,string_id\nPV001,500,220,2025-07-20 10:00:00,2.25,S1' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.getByRole('columnheader', { name: 'DC Current (A)' })).toBeInTheDocument();
+  expect(screen.getByText('2.25')).toBeInTheDocument();
+  expect(screen.getByText('— / S1')).toBeInTheDocument();
+});
+
+test('reports rejected and coerced rows instead of dropping them', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,,220,2025-07-20 10:00:00\nPV002,400,220,not a date' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.getByText('Panel PV001 is offline')).toBeInTheDocument();
+  expect(screen.getByText('1 rejected')).toBeInTheDocument();
+  expect(screen.getByText('1 coerced')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Show Details'));
+  expect(screen.getByText('Unparseable timestamp "not a date"')).toBeInTheDocument();
+  expect(screen.getByText('Blank power treated as offline')).toBeInTheDocument();
+});
+
+test('opens the import wizard for vendor CSV layouts', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'PanelID;P_kW;Udc;Time (UTC)\nPV007;0,45;221;2025-07-20 10:00:00\nPV008;0;220;2025-07-20 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.getByText('Import CSV')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByDisplayValue('Point (1.5)'), { target: { value: ',' } });
+  expect(screen.getByText('450')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText(/Vendor X logger/), { target: { value: 'Vendor X' } });
+  fireEvent.click(screen.getByText('Save Preset'));
+  fireEvent.click(screen.getByText('Import 2 Rows'));
+  expect(screen.queryByText('Import CSV')).not.toBeInTheDocument();
+  expect(screen.getByText('Panel PV008 is offline')).toBeInTheDocument();
+  expect(screen.getByRole('option', { name: 'Vendor X' })).toBeInTheDocument();
+});
+
+test('merge mode builds up history and only alerts on new readings', () => {
+  render(<App />);
+  fireEvent.change(screen.getByDisplayValue('Replace data'), { target: { value: 'merge' } });
+  const analyze = (csv) => {
+    fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), { target: { value: csv } });
+    fireEvent.click(screen.getByText('Analyze Data'));
+  };
+  analyze('id_panel,power,voltage,timestamp\nPV002,0,220,2025-07-20 10:00:00');
+  analyze('id_panel,power,voltage,timestamp\nPV002,0,220,2025-07-20 10:00:00\nPV002,0,220,2025-07-21 10:00:00');
+  expect(screen.getByText(/1 new readings, 1 duplicates skipped/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Alert view'), { target: { value: 'raw' } });
+  expect(screen.getAllByText('Panel PV002 is offline')).toHaveLength(2);
+});
+
+test('streams live telemetry into the panels and alerts tables', () => {
+  const sockets = [];
+  window.WebSocket = jest.fn(function (url) {
+    this.url = url;
+    this.close = jest.fn();
+    sockets.push(this);
+  });
+  render(<App />);
+  fireEvent.click(screen.getByText('Connect'));
+  act(() => sockets[0].onopen());
+  expect(screen.getByText('connected')).toBeInTheDocument();
+
+  act(() => sockets[0].onmessage({
+    data: JSON.stringify({ id_panel: 'PV009', power: 0, voltage: 220, timestamp: '2025-07-20T10:00:00Z' }),
+  }));
+  expect(screen.getByText('Panel PV009 is offline')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByText('Disconnect'));
+  expect(sockets[0].close).toHaveBeenCalled();
+  expect(screen.getByText('disconnected')).toBeInTheDocument();
+});
+
+test('flags a reading resent over the stream as a duplicate', () => {
+  const sockets = [];
+  window.WebSocket = jest.fn(function (url) {
+    this.url = url;
+    this.close = jest.fn();
+    sockets.push(this);
+  });
+  render(<App />);
+  fireEvent.click(screen.getByText('Connect'));
+  act(() => sockets[0].onopen());
+  const message = { data: JSON.stringify({ id_panel: 'PV009', power: 300, voltage: 220, timestamp: '2025-07-20T10:00:00Z' }) };
+  const duplicate = 'Integrity check on PV009 (Duplicate reading): Exact copy of a reading already received';
+  act(() => sockets[0].onmessage(message));
+  expect(screen.queryByText(duplicate)).not.toBeInTheDocument();
+  act(() => sockets[0].onmessage(message));
+  expect(screen.getByText(duplicate)).toBeInTheDocument();
+});
+
+test('judges live batches arriving before a re-render against each other', () => {
+  const sockets = [];
+  window.WebSocket = jest.fn(function (url) {
+    this.url = url;
+    this.close = jest.fn();
+    sockets.push(this);
+  });
+  render(<App />);
+  fireEvent.click(screen.getByText('Connect'));
+  act(() => sockets[0].onopen());
+  const send = (time) => sockets[0].onmessage({
+    data: JSON.stringify({ id_panel: 'PV009', power: 300, voltage: 220, timestamp: `2025-07-20T${time}:00Z` }),
+  });
+  act(() => {
+    send('10:10');
+    send('10:05');
+  });
+  expect(screen.getByText(/^Integrity check on PV009 \(Out-of-order timestamp\)/)).toBeInTheDocument();
+  expect(screen.getAllByRole('row', { name: /^PV009 300\.00 / })).toHaveLength(2);
+});
+
+test('builds a compound duration rule in the rule editor', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Add Rule'));
+  fireEvent.change(screen.getByLabelText('Condition 1 value'), { target: { value: '100' } });
+  fireEvent.click(screen.getByText('Add Condition'));
+  fireEvent.change(screen.getByLabelText('Condition 2 metric'), { target: { value: 'voltage' } });
+  fireEvent.change(screen.getByLabelText('Condition 2 comparison'), { target: { value: '>' } });
+  fireEvent.change(screen.getByLabelText('Condition 2 value'), { target: { value: '200' } });
+  fireEvent.change(screen.getByLabelText('Must persist:'), { target: { value: 'readings' } });
+  fireEvent.change(screen.getByLabelText('Readings:'), { target: { value: '2' } });
+  fireEvent.change(screen.getByLabelText('Message:'), { target: { value: 'Shaded with voltage present' } });
+  fireEvent.click(screen.getByText('Save Rule'));
+  expect(screen.getByText('power < 100 AND voltage > 200 for 2 consecutive readings')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,80,220,2025-07-20 10:00:00\nPV001,80,220,2025-07-20 10:05:00\nPV001,80,220,2025-07-20 10:10:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  // One row in the rules table, one alert for the run of three matching readings
+  expect(screen.getAllByText('Shaded with voltage present')).toHaveLength(2);
+});
+
+test('scopes rules to a panel pattern and filters the rules table by scope', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Add Rule'));
+  const editor = within(screen.getByRole('dialog'));
+  fireEvent.change(editor.getByLabelText('Condition 1 value'), { target: { value: '450' } });
+  fireEvent.change(editor.getByLabelText('Applies to:'), { target: { value: 'pattern' } });
+  fireEvent.change(editor.getByLabelText('Panel ID pattern:'), { target: { value: 'PV0*' } });
+  fireEvent.change(editor.getByLabelText('Message:'), { target: { value: 'Old modules underperforming' } });
+  fireEvent.click(editor.getByText('Save Rule'));
+  expect(screen.getAllByText('Pattern PV0*').length).toBeGreaterThan(0);
+
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,400,220,2025-07-20 10:00:00\nPV101,400,220,2025-07-20 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  // The rules table row plus a single alert for PV001
+  expect(screen.getAllByText('Old modules underperforming')).toHaveLength(2);
+
+  fireEvent.change(screen.getByLabelText('Scope:'), { target: { value: 'All panels' } });
+  expect(screen.getAllByText('Old modules underperforming')).toHaveLength(1);
+});
+
+test('shows relative performance against peers at the same timestamp', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,400,220,2025-07-20 10:00:00\nPV002,400,220,2025-07-20 10:00:00\nPV003,200,220,2025-07-20 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.getByText('50%')).toBeInTheDocument();
+  expect(screen.getAllByText('133%')).toHaveLength(2);
+});
+
+test('does not raise theft alerts for night readings once the site is located', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Latitude:'), { target: { value: '52.52' } });
+  fireEvent.change(screen.getByLabelText('Longitude:'), { target: { value: '13.405' } });
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,0,220,2025-07-20T23:00:00Z\nPV002,0,220,2025-07-20T11:00:00Z' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.queryByText('Panel PV001 is offline')).not.toBeInTheDocument();
+  expect(screen.getByText('Panel PV002 is offline')).toBeInTheDocument();
+  expect(screen.getByText('night')).toBeInTheDocument();
+});
+
+test('says how anomaly detection treats dawn and dusk until the site is located', () => {
+  render(<App />);
+  expect(screen.getByText(/No site location is set, so sunrise and sunset are estimated/)).toBeInTheDocument();
+  fireEvent.change(screen.getByLabelText('Latitude:'), { target: { value: '52.52' } });
+  fireEvent.change(screen.getByLabelText('Longitude:'), { target: { value: '13.405' } });
+  expect(screen.queryByText(/No site location is set/)).not.toBeInTheDocument();
+});
+
+test('moves alerts through their lifecycle and keeps resolved ones', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV002,0,220,2025-07-20 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  fireEvent.change(screen.getByLabelText('Operator name'), { target: { value: 'Alex' } });
+  fireEvent.click(screen.getByText('View'));
+
+  const details = within(screen.getByRole('dialog'));
+  fireEvent.change(details.getByLabelText('State:'), { target: { value: 'resolved' } });
+  fireEvent.change(details.getByLabelText('Assignee:'), { target: { value: 'Sam' } });
+  fireEvent.click(details.getByText('Save Changes'));
+  expect(screen.queryByText('Panel PV002 is offline')).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Alert state filter'), { target: { value: 'resolved' } });
+  expect(screen.getByText('Panel PV002 is offline')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('View'));
+  expect(within(screen.getByRole('dialog')).getByText(/changed state from New to Resolved/)).toBeInTheDocument();
+});
+
+test('groups repeated alerts into one incident that expands to its occurrences', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV002,0,220,2025-07-20 10:00:00\nPV002,0,220,2025-07-20 10:05:00\nPV002,0,220,2025-07-20 10:10:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  const row = screen.getByRole('row', { name: /Panel PV002 is offline/ });
+  expect(within(row).getByRole('cell', { name: '3' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByLabelText('Occurrences of PV002'));
+  expect(screen.getAllByText('Panel PV002 is offline')).toHaveLength(4);
+});
+
+test('closes an incident once the panel recovers', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV002,0,220,2025-07-20 10:00:00\nPV002,450,220,2025-07-20 10:05:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.queryByText('Panel PV002 is offline')).not.toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Alert state filter'), { target: { value: 'resolved' } });
+  fireEvent.click(screen.getByText('View'));
+  const details = within(screen.getByRole('dialog'));
+  expect(details.getByText('System')).toBeInTheDocument();
+  expect(details.getByText(/changed state from New to Resolved/)).toBeInTheDocument();
+});
+
+test('keeps open incidents and their audit trail when replacing the data', () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  const analyze = (csv) => {
+    fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), { target: { value: `id_panel,power,voltage,timestamp\n${csv}` } });
+    fireEvent.click(screen.getByText('Analyze Data'));
+  };
+  analyze('PV002,0,220,2025-07-20 10:00:00');
+  fireEvent.click(screen.getByText('View'));
+  fireEvent.change(within(screen.getByRole('dialog')).getByLabelText('Assignee:'), { target: { value: 'Sam' } });
+  fireEvent.click(within(screen.getByRole('dialog')).getByText('Save Changes'));
+
+  analyze('PV002,0,220,2025-07-20 10:05:00');
+  const row = screen.getByRole('row', { name: /Panel PV002 is offline/ });
+  expect(within(row).getByRole('cell', { name: '2' })).toBeInTheDocument();
+  fireEvent.click(screen.getByText('View'));
+  expect(within(screen.getByRole('dialog')).getByLabelText('Assignee:')).toHaveValue('Sam');
+  fireEvent.click(within(screen.getByRole('dialog')).getByLabelText('Close'));
+
+  analyze('PV002,450,220,2025-07-20 10:10:00');
+  expect(screen.queryByText('Panel PV002 is offline')).not.toBeInTheDocument();
+});
+
+test('sounds one alarm for a burst of critical incidents and stops repeating once acknowledged', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,0,220,2025-07-20 10:00:00\nPV002,0,220,2025-07-20 10:00:00\nPV003,0,220,2025-07-20 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(window.AudioContext).toHaveBeenCalledTimes(1);
+
+  fireEvent.click(screen.getByText('Acknowledge 3 Critical'));
+  expect(screen.queryByText(/Acknowledge \d+ Critical/)).not.toBeInTheDocument();
+  expect(screen.getAllByRole('cell', { name: 'Acknowledged' })).toHaveLength(3);
+});
+
+test('gives a rule its own sound and previews it from the rule editor', () => {
+  render(<App />);
+  fireEvent.click(screen.getByText('Add Rule'));
+  const editor = within(screen.getByRole('dialog'));
+  fireEvent.change(editor.getByLabelText('Condition 1 value'), { target: { value: '100' } });
+  fireEvent.change(editor.getByLabelText('Sound:'), { target: { value: 'siren' } });
+  fireEvent.click(editor.getByText('Preview'));
+  expect(window.AudioContext).toHaveBeenCalledTimes(1);
+
+  fireEvent.change(editor.getByLabelText('Message:'), { target: { value: 'Siren rule' } });
+  fireEvent.click(editor.getByText('Save Rule'));
+  fireEvent.click(screen.getByText('Edit'));
+  expect(within(screen.getByRole('dialog')).getByLabelText('Sound:')).toHaveValue('siren');
+});
+
+test('backtests a draft rule on the loaded readings without raising alerts', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,80,220,2025-07-20 10:00:00\nPV001,80,220,2025-07-20 10:05:00\nPV002,400,220,2025-07-20 10:00:00\nPV003,90,220,2025-07-20 10:05:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  const sounds = window.AudioContext.mock.calls.length;
+
+  fireEvent.click(screen.getByText('Add Rule'));
+  const editor = within(screen.getByRole('dialog'));
+  fireEvent.change(editor.getByLabelText('Condition 1 value'), { target: { value: '100' } });
+  fireEvent.change(editor.getByLabelText('Sound:'), { target: { value: 'siren' } });
+  fireEvent.click(editor.getByText('Test Rule'));
+  expect(editor.getByText('Would have fired 3 times on 2 panels.')).toBeInTheDocument();
+  expect(editor.getByRole('row', { name: /^PV001 2/ })).toBeInTheDocument();
+  expect(editor.getByRole('row', { name: /^PV003 1/ })).toBeInTheDocument();
+  expect(window.AudioContext).toHaveBeenCalledTimes(sounds);
+
+  fireEvent.click(editor.getByText('Cancel'));
+  expect(screen.queryByText('power < 100')).not.toBeInTheDocument();
+  const tested = lastChart().datasets.find(d => d.label === 'Rule would fire: power < 100');
+  expect(tested.data).toEqual([480, 170]);
+  fireEvent.click(screen.getByText('Clear Rule Test'));
+  expect(lastChart().datasets.map(d => d.label)).not.toContain('Rule would fire: power < 100');
+
+  fireEvent.click(screen.getByText('Add Rule'));
+  expect(within(screen.getByRole('dialog')).queryByText('Test Results')).not.toBeInTheDocument();
+});
+
+test('dates the trend chart labels when the readings span more than one day', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,400,220,2025-07-20 10:00:00\nPV001,400,220,2025-07-21 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(lastChart().labels).toEqual([
+    new Date('2025-07-20T10:00:00').toLocaleString(),
+    new Date('2025-07-21T10:00:00').toLocaleString(),
+  ]);
+});
+
+test('reports when browser storage is unavailable', () => {
+  render(<App />);
+  expect(screen.getByRole('alert')).toHaveTextContent('IndexedDB is not available in this browser');
+  fireEvent.click(screen.getByLabelText('Dismiss storage problem'));
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('moves data saved by earlier versions from localStorage into IndexedDB', async () => {
+  window.indexedDB = new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+  localStorage.setItem('incidents', JSON.stringify([{
+    _id: 1,
+    key: 'PV002|offline',
+    id_panel: 'PV002',
+    type: 'offline',
+    alertMessage: 'Panel PV002 is offline',
+    severityLevel: 'critical',
+    state: 'acknowledged',
+    assignee: '',
+    notes: '',
+    history: [],
+    when: '2025-07-20T10:00:00.000Z',
+    firstSeen: '2025-07-20T10:00:00.000Z',
+    lastSeen: '2025-07-20T10:05:00.000Z',
+    count: 2,
+    occurrences: [],
+  }]));
+  render(<App />);
+  expect(await screen.findByText('Panel PV002 is offline')).toBeInTheDocument();
+  expect(localStorage.getItem('incidents')).toBeNull();
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('keeps the thresholds across a reload', async () => {
+  window.indexedDB = new IDBFactory();
+  window.IDBKeyRange = IDBKeyRange;
+  const { unmount } = render(<App />);
+  fireEvent.change(screen.getByLabelText('Power Threshold (W):'), { target: { value: '75' } });
+  const store = await openStore({ indexedDB: window.indexedDB });
+  await waitFor(async () => expect(await store.getSetting('thresholds')).toEqual({ power: 75, voltage: 200 }));
+  store.close();
+  unmount();
+
+  render(<App />);
+  expect(await screen.findByDisplayValue('75')).toBe(screen.getByLabelText('Power Threshold (W):'));
+});
+
+test('previews a settings profile and applies the chosen sections', async () => {
+  render(<App />);
+  const profile = {
+    format: 'solar-pv-settings-profile',
+    version: 1,
+    settings: {
+      thresholds: { power: 80, voltage: 200 },
+      theme: 'dark',
+    },
+  };
+  const file = new File([JSON.stringify(profile)], 'site-a.json', { type: 'application/json' });
+  fireEvent.change(screen.getByLabelText('Import profile:'), { target: { files: [file] } });
+
+  const dialog = within(await screen.findByRole('dialog'));
+  expect(dialog.getByText('Import Settings Profile')).toBeInTheDocument();
+  expect(dialog.getByText('power: 50 → 80')).toBeInTheDocument();
+  fireEvent.click(dialog.getByLabelText(/Theme/));
+  fireEvent.click(dialog.getByRole('button', { name: 'Apply 1 Section' }));
+
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+  expect(screen.getByLabelText('Power Threshold (W):')).toHaveValue(80);
+  expect(localStorage.getItem('theme')).toBe('light');
+});
+
+test('judges registered panels by their rating and flags unregistered devices', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Panel ID'), { target: { value: 'PV001' } });
+  fireEvent.change(screen.getByLabelText('Rated power (Wp)'), { target: { value: '400' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add Panel' }));
+  expect(screen.getByText('400 Wp')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,200,220,2025-07-20 10:00:00\nPV009,500,220,2025-07-20 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.getAllByRole('progressbar').map(bar => bar.getAttribute('aria-valuenow'))).toEqual(['50', '83.33333333333334']);
+  expect(screen.getByText('Unregistered device PV009 is reporting: New panel or spoofed feed')).toBeInTheDocument();
+});
+
+test('drills down from sites to inverters, strings and panels', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: {
+      value: [
+        'id_panel,power,voltage,timestamp,site_id,inverter_id,string_id',
+        'PV001,500,220,2025-07-20 10:00:00,Roof,INV1,S1',
+        'PV002,0,220,2025-07-20 10:00:00,Roof,INV1,S1',
+        'PV003,450,220,2025-07-20 10:00:00,Roof,INV1,S2',
+        'PV100,0,220,2025-07-20 10:00:00,Barn,INV9,S9',
+      ].join('\n'),
+    },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.getByRole('row', { name: /^Roof / })).toHaveTextContent('Roof321950.001');
+  expect(screen.getByText('Panel PV100 is offline')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Open site Roof' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Open inverter INV1' }));
+  expect(screen.getByRole('row', { name: /^S1 / })).toHaveTextContent('S1211500.001');
+  expect(screen.queryByText('Panel PV100 is offline')).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Open string S1' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Open panel PV002' }));
+  const breadcrumb = within(screen.getByRole('navigation', { name: 'Hierarchy' }));
+  expect(breadcrumb.getByText('Panel PV002')).toHaveAttribute('aria-current', 'page');
+  expect(screen.getByText('Panel PV002 is offline')).toBeInTheDocument();
+  expect(screen.queryByRole('columnheader', { name: 'Open Alerts' })).not.toBeInTheDocument();
+
+  fireEvent.click(breadcrumb.getByRole('button', { name: 'All sites' }));
+  expect(screen.getByText('Panel PV100 is offline')).toBeInTheDocument();
+});
+
+test('lays panels out on a live map that outlines offline clusters', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,0,220,2025-07-20 10:00:00\nPV002,0,220,2025-07-20 10:00:00\nPV003,450,220,2025-07-20 10:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.getByText('No panels placed yet. Use Edit Layout to lay out the array.')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Edit Layout' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Place 3 Unplaced' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Live Map' }));
+  expect(screen.getByText('2 adjacent panels offline:')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'PV001: offline, 1 open alert' })).toHaveClass('bg-danger', 'panel-map-cluster');
+  expect(screen.getByRole('button', { name: 'PV003: normal' })).not.toHaveClass('panel-map-cluster');
+
+  fireEvent.click(screen.getByRole('button', { name: 'PV001: offline, 1 open alert' }));
+  const details = within(screen.getByRole('dialog'));
+  expect(details.getByText('Panel PV001 is offline')).toBeInTheDocument();
+  fireEvent.click(details.getByRole('button', { name: 'Details' }));
+  expect(within(screen.getByRole('dialog')).getByText('Alert Details')).toBeInTheDocument();
+});
+
+test('raises one theft incident with its panels and confidence for a string going dark', () => {
+  render(<App />);
+  const rows = ['PV001', 'PV002', 'PV003'].flatMap(id => [
+    `${id},450,220,2025-07-20 10:00:00,S1`,
+    `${id},0,220,2025-07-20 10:05:00,S1`,
+  ]);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: ['id_panel,power,voltage,timestamp,string_id', ...rows].join('\n') },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  const row = screen.getByRole('row', { name: /Theft suspected: 3 panels \(PV001, PV002, PV003\), 60% confidence/ });
+  fireEvent.click(within(row).getByText('View'));
+  const details = within(screen.getByRole('dialog'));
+  expect(details.getByText('PV001, PV002, PV003')).toBeInTheDocument();
+  expect(details.getByText('60%')).toBeInTheDocument();
+  expect(details.getByText('3 panels on one string dropped to zero: PV001, PV002, PV003')).toBeInTheDocument();
+});
+
+test('raises data integrity alerts in their own category', () => {
+  render(<App />);
+  const rows = ['10:00', '10:05', '10:10', '10:15', '10:20'].flatMap(time => [
+    `PV001,300,220,2025-07-20 ${time}:00`,
+    `PV002,0,220,2025-07-20 ${time}:00`,
+  ]);
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: ['id_panel,power,voltage,timestamp', ...rows].join('\n') },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  const frozen = 'Integrity check on PV001 (Frozen sensor): Values unchanged for 5 readings';
+  expect(screen.getByText(frozen)).toBeInTheDocument();
+  expect(screen.getByText('Panel PV002 is offline')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText('Alert category filter'), { target: { value: 'integrity' } });
+  expect(screen.queryByText('Panel PV002 is offline')).not.toBeInTheDocument();
+  fireEvent.click(within(screen.getByRole('row', { name: /Integrity check on PV001/ })).getByText('View'));
+  expect(within(screen.getByRole('dialog')).getByText('Frozen sensor')).toBeInTheDocument();
+  fireEvent.click(within(screen.getByRole('dialog')).getByText('Close'));
+
+  fireEvent.change(screen.getByLabelText('Alert category filter'), { target: { value: 'equipment' } });
+  expect(screen.queryByText(frozen)).not.toBeInTheDocument();
+});
+
+test('keeps alerts from a maintenance window quiet but on record', () => {
+  render(<App />);
+  fireEvent.change(screen.getByPlaceholderText('e.g., Quarterly cleaning'), { target: { value: 'Module swap' } });
+  fireEvent.change(screen.getByLabelText('Starts:'), { target: { value: '2025-07-20T09:00' } });
+  fireEvent.change(screen.getByLabelText('Ends:'), { target: { value: '2099-12-31T23:00' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Add Window' }));
+  expect(screen.getByRole('row', { name: /^Module swap Active All panels/ })).toBeInTheDocument();
+
+  fireEvent.change(screen.getByPlaceholderText(/Paste your CSV data here/i), {
+    target: { value: 'id_panel,power,voltage,timestamp\nPV001,0,220,2025-07-20 10:00:00\nPV002,450,220,2025-07-20 08:00:00' },
+  });
+  fireEvent.click(screen.getByText('Analyze Data'));
+  expect(screen.queryByText('Panel PV001 is offline')).not.toBeInTheDocument();
+  expect(window.AudioContext).not.toHaveBeenCalled();
+  expect(screen.getAllByText('Maintenance')).toHaveLength(2);
+
+  fireEvent.change(screen.getByLabelText('Alert view'), { target: { value: 'raw' } });
+  const row = screen.getByRole('row', { name: /Panel PV001 is offline/ });
+  expect(within(row).getByText('Suppressed')).toHaveAttribute('title', 'Module swap');
 });
@@ -0,0 +1,206 @@
+// Alarm sound manager
+// The one place that decides whether an alarm sounds. Each severity plays at
+// most once per interval, critical alarms repeat until acknowledged, and
+// nothing plays while silenced or, for warnings, during quiet hours. Tones play
+// through a single AudioContext and custom sounds reuse one Audio element each.
+// Built-in tone patterns tell theft, voltage faults and data-source loss apart.
+
+export const SEVERITIES = ['critical', 'warning'];
+
+export const DEFAULT_SOUND_SETTINGS = {
+  critical: { interval: 30, volume: 100 }, // seconds between alarms; volume in %
+  warning: { interval: 60, volume: 60 },
+  repeatCritical: true, // repeat the critical alarm while critical incidents are unacknowledged
+  repeatInterval: 20, // seconds between repeats
+  quietHours: { enabled: false, start: '22:00', end: '06:00', critical: true }, // critical: still sound critical alarms
+};
+
+// One sine tone from start for duration seconds, optionally sweeping to another frequency
+const playTone = (ctx, output, frequency, start, duration, sweepTo = null) => {
+  const oscillator = ctx.createOscillator();
+  oscillator.type = 'sine';
+  oscillator.frequency.setValueAtTime(frequency, start);
+  if (sweepTo) oscillator.frequency.linearRampToValueAtTime(sweepTo, start + duration);
+  oscillator.connect(output);
+  oscillator.start(start);
+  oscillator.stop(start + duration);
+};
+
+// Built-in synthesized sounds, each scheduled from time t on the shared context
+export const TONE_PATTERNS = {
+  high: {
+    label: 'High beep (880 Hz)',
+    play: (ctx, output, t) => playTone(ctx, output, 880, t, 0.5),
+  },
+  low: {
+    label: 'Low beep (440 Hz)',
+    play: (ctx, output, t) => playTone(ctx, output, 440, t, 0.3),
+  },
+  siren: {
+    label: 'Pulsing siren',
+    play: (ctx, output, t) => {
+      for (let i = 0; i < 6; i += 1) playTone(ctx, output, i % 2 === 0 ? 960 : 640, t + i * 0.25, 0.25);
+    },
+  },
+  triple: {
+    label: 'Triple beep',
+    play: (ctx, output, t) => {
+      for (let i = 0; i < 3; i += 1) playTone(ctx, output, 660, t + i * 0.2, 0.12);
+    },
+  },
+  sweep: {
+    label: 'Rising sweep',
+    play: (ctx, output, t) => playTone(ctx, output, 300, t, 1, 1200),
+  },
+};
+
+// Built-in pattern for each severity, and for alert types an operator should
+// recognise by ear: theft, voltage faults and a lost data source
+const SEVERITY_PATTERNS = { critical: 'high', warning: 'low' };
+export const TYPE_PATTERNS = {
+  voltage_lost: 'siren',
+  theft: 'siren',
+  low_voltage: 'triple',
+  source_unreachable: 'sweep',
+};
+
+// Merge saved settings over the defaults, one level deep
+export const withSoundDefaults = (saved = {}) => ({
+  ...DEFAULT_SOUND_SETTINGS,
+  ...saved,
+  critical: { ...DEFAULT_SOUND_SETTINGS.critical, ...saved.critical },
+  warning: { ...DEFAULT_SOUND_SETTINGS.warning, ...saved.warning },
+  quietHours: { ...DEFAULT_SOUND_SETTINGS.quietHours, ...saved.quietHours },
+});
+
+const minutesOf = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + (minutes || 0);
+};
+
+// Is a local time inside the quiet hours? The window may run past midnight.
+export const inQuietHours = (date, quietHours) => {
+  if (!quietHours.enabled) return false;
+  const minute = date.getHours() * 60 + date.getMinutes();
+  const start = minutesOf(quietHours.start);
+  const end = minutesOf(quietHours.end);
+  return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+};
+
+export const createSoundManager = ({
+  settings: initialSettings = DEFAULT_SOUND_SETTINGS,
+  sounds: initialSounds = {}, // custom sound data URLs by severity
+  createContext = () => new (window.AudioContext || window.webkitAudioContext)(),
+  createAudio = (src) => new Audio(src),
+  now = () => new Date(),
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+} = {}) => {
+  let settings = initialSettings;
+  let sounds = initialSounds;
+  let context = null;
+  const elements = {}; // custom sound src -> Audio element
+  const lastPlayed = {};
+  let repeatSound = null; // what the last critical alarm played
+  let silencedUntil = null;
+  let pendingCritical = false;
+  let repeatTimer = null;
+
+  const muted = (severity) => {
+    const at = now();
+    if (silencedUntil && at < silencedUntil) return true;
+    return inQuietHours(at, settings.quietHours) && !(severity === 'critical' && settings.quietHours.critical);
+  };
+
+  const playPattern = (pattern, severity) => {
+    context = context || createContext();
+    const gain = context.createGain();
+    gain.gain.setValueAtTime(settings[severity].volume / 100, context.currentTime);
+    gain.connect(context.destination);
+    (TONE_PATTERNS[pattern] || TONE_PATTERNS[SEVERITY_PATTERNS[severity]]).play(context, gain, context.currentTime);
+  };
+
+  // The sound to play: a rule's own, then the built-in pattern for the alert
+  // type, so an upload cannot drown it out, then the uploaded sound for the
+  // severity, then the severity's beep
+  const choose = (severity, { sound, type } = {}) => {
+    if (sound && (sound.src || sound.pattern)) return sound;
+    if (TYPE_PATTERNS[type]) return { pattern: TYPE_PATTERNS[type] };
+    if (sounds[severity]) return { src: sounds[severity] };
+    return { pattern: SEVERITY_PATTERNS[severity] };
+  };
+
+  const play = (severity, choice) => {
+    if (!choice.src) {
+      playPattern(choice.pattern, severity);
+      return;
+    }
+    if (!elements[choice.src]) elements[choice.src] = createAudio(choice.src);
+    const audio = elements[choice.src];
+    audio.volume = settings[severity].volume / 100;
+    audio.currentTime = 0;
+    audio.play().catch(error => {
+      console.error(`Error playing custom ${severity} audio:`, error);
+      playPattern(SEVERITY_PATTERNS[severity], severity);
+    });
+  };
+
+  const scheduleRepeat = () => {
+    if (repeatTimer) clearTimer(repeatTimer);
+    repeatTimer = null;
+    if (!pendingCritical || !settings.repeatCritical) return;
+    repeatTimer = setTimer(() => {
+      repeatTimer = null;
+      if (!muted('critical')) play('critical', repeatSound || choose('critical'));
+      scheduleRepeat();
+    }, settings.repeatInterval * 1000);
+  };
+
+  // Sound an alarm for a new or escalated incident, unless silenced, in quiet
+  // hours or within the severity's interval. source is { sound, type }: the
+  // rule's sound, if any, and the alert type. Returns whether it played.
+  const alarm = (severity, source) => {
+    if (muted(severity)) return false;
+    const last = lastPlayed[severity];
+    if (last && now() - last < settings[severity].interval * 1000) return false;
+    const choice = choose(severity, source);
+    lastPlayed[severity] = now();
+    if (severity === 'critical') repeatSound = choice;
+    play(severity, choice);
+    return true;
+  };
+
+  // Play a sound straight away, as the rule editor's preview does
+  const preview = (severity, source) => play(severity, choose(severity, source));
+
+  // Tell the manager whether unacknowledged critical incidents exist
+  const setPendingCritical = (pending) => {
+    if (pending === pendingCritical) return;
+    pendingCritical = pending;
+    scheduleRepeat();
+  };
+
+  // Silence everything for a number of minutes; returns when the silence ends
+  const silence = (minutes) => {
+    silencedUntil = new Date(now().getTime() + minutes * 60000);
+    return silencedUntil;
+  };
+
+  const unsilence = () => {
+    silencedUntil = null;
+  };
+
+  const configure = (changes) => {
+    if (changes.settings) settings = changes.settings;
+    if (changes.sounds) sounds = changes.sounds;
+    scheduleRepeat();
+  };
+
+  const stop = () => {
+    if (repeatTimer) clearTimer(repeatTimer);
+    repeatTimer = null;
+    pendingCritical = false;
+  };
+
+  return { alarm, preview, setPendingCritical, silence, unsilence, configure, stop };
+};
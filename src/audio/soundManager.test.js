@@ -0,0 +1,175 @@
+import { DEFAULT_SOUND_SETTINGS, TONE_PATTERNS, createSoundManager, inQuietHours, withSoundDefaults } from './soundManager';
+
+// A fake clock, timers and Web Audio that record what was played
+const setup = (settings = DEFAULT_SOUND_SETTINGS, sounds = {}) => {
+  let time = new Date(2025, 6, 20, 10, 0).getTime();
+  const timers = [];
+  const tones = [];
+  const gains = [];
+  const createContext = jest.fn(() => ({
+    currentTime: 0,
+    destination: {},
+    createOscillator: () => {
+      const tone = { frequency: null };
+      tones.push(tone);
+      return {
+        frequency: {
+          setValueAtTime: (value) => { tone.frequency = value; },
+          linearRampToValueAtTime: (value) => { tone.sweepTo = value; },
+        },
+        connect: jest.fn(),
+        start: jest.fn(),
+        stop: jest.fn(),
+      };
+    },
+    createGain: () => ({
+      gain: { setValueAtTime: (value) => gains.push(value) },
+      connect: jest.fn(),
+    }),
+  }));
+  const audio = { play: jest.fn(() => Promise.resolve()), volume: 1, currentTime: 5 };
+  const createAudio = jest.fn(() => audio);
+  const manager = createSoundManager({
+    settings,
+    sounds,
+    createContext,
+    createAudio,
+    now: () => new Date(time),
+    setTimer: (fn, ms) => {
+      const timer = { fn, ms };
+      timers.push(timer);
+      return timer;
+    },
+    clearTimer: (timer) => timers.splice(timers.indexOf(timer), 1),
+  });
+  const advance = (seconds) => { time += seconds * 1000; };
+  const fire = () => {
+    const timer = timers.shift();
+    advance(timer.ms / 1000);
+    timer.fn();
+  };
+  return { manager, tones, gains, timers, audio, createAudio, createContext, advance, fire };
+};
+
+describe('inQuietHours', () => {
+  const quiet = { enabled: true, start: '22:00', end: '06:00' };
+
+  test('handles windows that run past midnight', () => {
+    expect(inQuietHours(new Date(2025, 6, 20, 23, 30), quiet)).toBe(true);
+    expect(inQuietHours(new Date(2025, 6, 20, 5, 59), quiet)).toBe(true);
+    expect(inQuietHours(new Date(2025, 6, 20, 6, 0), quiet)).toBe(false);
+    expect(inQuietHours(new Date(2025, 6, 20, 13, 0), { ...quiet, start: '12:00', end: '14:00' })).toBe(true);
+  });
+
+  test('is never quiet when disabled', () => {
+    expect(inQuietHours(new Date(2025, 6, 20, 23, 30), { ...quiet, enabled: false })).toBe(false);
+  });
+});
+
+describe('createSoundManager', () => {
+  test('plays each severity at most once per interval through one AudioContext', () => {
+    const { manager, tones, createContext, advance } = setup();
+    expect(manager.alarm('critical')).toBe(true);
+    expect(manager.alarm('critical')).toBe(false);
+    expect(manager.alarm('warning')).toBe(true);
+    advance(30);
+    expect(manager.alarm('critical')).toBe(true);
+    expect(tones.map(t => t.frequency)).toEqual([880, 440, 880]);
+    expect(createContext).toHaveBeenCalledTimes(1);
+  });
+
+  test('sets the volume per severity', () => {
+    const { manager, gains } = setup(withSoundDefaults({ warning: { volume: 25 } }));
+    manager.alarm('critical');
+    manager.alarm('warning');
+    expect(gains).toEqual([1, 0.25]);
+  });
+
+  test('reuses one Audio element per custom sound', () => {
+    const { manager, audio, createAudio, advance } = setup(DEFAULT_SOUND_SETTINGS, { critical: 'data:audio/wav;base64,AAAA' });
+    manager.alarm('critical');
+    advance(30);
+    manager.alarm('critical');
+    expect(createAudio).toHaveBeenCalledTimes(1);
+    expect(audio.play).toHaveBeenCalledTimes(2);
+    expect(audio.currentTime).toBe(0);
+  });
+
+  test('plays a distinct pattern for theft, voltage faults and data-source loss', () => {
+    const { manager, tones, advance } = setup();
+    manager.alarm('critical', { type: 'theft' });
+    expect(tones.map(t => t.frequency)).toEqual([960, 640, 960, 640, 960, 640]);
+
+    tones.length = 0;
+    advance(30);
+    manager.alarm('critical', { type: 'source_unreachable' });
+    expect(tones).toEqual([{ frequency: 300, sweepTo: 1200 }]);
+
+    tones.length = 0;
+    manager.alarm('warning', { type: 'low_voltage' });
+    expect(tones.map(t => t.frequency)).toEqual([660, 660, 660]);
+  });
+
+  test('keeps the type patterns distinct from an uploaded severity sound', () => {
+    const { manager, tones, audio, advance } = setup(DEFAULT_SOUND_SETTINGS, { critical: 'data:audio/wav;base64,AAAA' });
+    manager.alarm('critical', { type: 'theft' });
+    expect(tones.map(t => t.frequency)).toEqual([960, 640, 960, 640, 960, 640]);
+    expect(audio.play).not.toHaveBeenCalled();
+    advance(30);
+    manager.alarm('critical', { type: 'offline' });
+    expect(audio.play).toHaveBeenCalledTimes(1);
+  });
+
+  test("prefers a rule's own sound over uploads and type patterns", () => {
+    const { manager, tones, audio, createAudio, advance } = setup(DEFAULT_SOUND_SETTINGS, { critical: 'data:audio/wav;base64,AAAA' });
+    manager.alarm('critical', { sound: { pattern: 'triple' }, type: 'theft' });
+    expect(tones.map(t => t.frequency)).toEqual([660, 660, 660]);
+    advance(30);
+    manager.alarm('critical', { sound: { name: 'horn.mp3', src: 'data:audio/mp3;base64,BBBB' } });
+    expect(createAudio).toHaveBeenCalledWith('data:audio/mp3;base64,BBBB');
+    expect(audio.play).toHaveBeenCalledTimes(1);
+  });
+
+  test('previews a sound regardless of silence and rate limits', () => {
+    const { manager, tones } = setup();
+    manager.silence(10);
+    manager.preview('warning', { sound: { pattern: 'sweep' } });
+    manager.preview('warning', { sound: { pattern: 'sweep' } });
+    expect(tones).toHaveLength(2);
+    expect(Object.keys(TONE_PATTERNS)).toEqual(['high', 'low', 'siren', 'triple', 'sweep']);
+  });
+
+  test('repeats the critical alarm until acknowledged', () => {
+    const { manager, tones, timers, fire } = setup();
+    manager.setPendingCritical(true);
+    fire();
+    fire();
+    expect(tones).toHaveLength(2);
+    manager.alarm('critical', { type: 'theft' });
+    fire();
+    expect(tones.slice(-6).map(t => t.frequency)).toEqual([960, 640, 960, 640, 960, 640]);
+    manager.setPendingCritical(false);
+    expect(timers).toEqual([]);
+  });
+
+  test('stays quiet while silenced', () => {
+    const { manager, tones, advance, fire } = setup();
+    manager.silence(10);
+    manager.setPendingCritical(true);
+    expect(manager.alarm('critical')).toBe(false);
+    fire();
+    expect(tones).toEqual([]);
+    advance(10 * 60);
+    expect(manager.alarm('critical')).toBe(true);
+  });
+
+  test('mutes warnings but not critical alarms in quiet hours', () => {
+    const settings = withSoundDefaults({ quietHours: { enabled: true, start: '09:00', end: '17:00' } });
+    const { manager } = setup(settings);
+    expect(manager.alarm('warning')).toBe(false);
+    expect(manager.alarm('critical')).toBe(true);
+
+    const strict = setup(withSoundDefaults({ quietHours: { enabled: true, start: '09:00', end: '17:00', critical: false } }));
+    expect(strict.manager.alarm('critical')).toBe(false);
+  });
+});
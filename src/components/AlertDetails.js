@@ -0,0 +1,132 @@
+// Alert Details
+// Shows what raised an incident and how often, and lets the operator set its
+// state, assignee and notes. Every change lands in its history.
+import React, { useState } from 'react';
+import { ALERT_STATES } from '../engine/alertLifecycle';
+import { ANOMALY_DETECTORS } from '../engine/anomaly';
+import { ALERT_CATEGORIES, INTEGRITY_CHECKS, alertCategory } from '../engine/integrity';
+import { describeRule } from '../engine/rules';
+
+const FIELD_LABELS = { state: 'State', assignee: 'Assignee', notes: 'Notes', severity: 'Severity' };
+
+const formatValue = (field, value) => {
+  if (field === 'state') return ALERT_STATES[value] || value;
+  return value === '' ? '(empty)' : value;
+};
+
+function AlertDetails({ alert, rules, onSave, onClose }) {
+  const [form, setForm] = useState({
+    state: alert.state || 'new',
+    assignee: alert.assignee || '',
+    notes: alert.notes || '',
+  });
+  const rule = alert.ruleId ? rules.find(r => r._id === alert.ruleId) : null;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm({ ...form, [name]: value });
+  };
+
+  return (
+    <>
+      <div className="modal d-block" tabIndex="-1" role="dialog" aria-labelledby="alertDetailsLabel">
+        <div className="modal-dialog modal-lg">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title" id="alertDetailsLabel">Alert Details</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onClose}></button>
+            </div>
+            <div className="modal-body">
+              <p><strong>Panel ID:</strong> {alert.id_panel}</p>
+              <p><strong>Message:</strong> {alert.alertMessage}</p>
+              <p><strong>Severity:</strong> {alert.severityLevel}</p>
+              <p><strong>Category:</strong> {ALERT_CATEGORIES[alertCategory(alert)]}</p>
+              {alert.check && <p><strong>Integrity check:</strong> {INTEGRITY_CHECKS[alert.check].label}</p>}
+              {alert.ruleId && <p><strong>Rule:</strong> {rule ? describeRule(rule) : 'Deleted rule'}</p>}
+              {alert.scope && <p><strong>Scope:</strong> {alert.scope}</p>}
+              {alert.detector && (
+                <p>
+                  <strong>Detector:</strong> {ANOMALY_DETECTORS[alert.detector].label},{' '}
+                  {alert.drift
+                    ? `drifted ${alert.drift.direction} the ${alert.drift.baseline.toFixed(2)} W baseline by ${alert.drift.sum.toFixed(1)}σ (limit ${alert.drift.limit}σ)`
+                    : `expected ${alert.expected.low.toFixed(2)}–${alert.expected.high.toFixed(2)} W`}
+                </p>
+              )}
+              {alert.panels && <p><strong>Affected panels:</strong> {alert.panels.join(', ')}</p>}
+              {alert.confidence != null && <p><strong>Confidence:</strong> {alert.confidence}%</p>}
+              {alert.signals && (
+                <>
+                  <p className="mb-1"><strong>Signals:</strong></p>
+                  <ul>
+                    {alert.signals.map(signal => <li key={signal}>{signal}</li>)}
+                  </ul>
+                </>
+              )}
+              {alert.firstSeen ? (
+                <>
+                  <p><strong>First seen:</strong> {new Date(alert.firstSeen).toLocaleString()}</p>
+                  <p><strong>Last seen:</strong> {new Date(alert.lastSeen).toLocaleString()}</p>
+                  <p><strong>Occurrences:</strong> {alert.count}</p>
+                </>
+              ) : (
+                <p><strong>Time:</strong> {new Date(alert.when).toLocaleString()}</p>
+              )}
+              {alert.maintenance && <p><strong>During maintenance:</strong> {alert.maintenance}</p>}
+              {alert.escalation && <p><strong>Escalated:</strong> {alert.escalation}</p>}
+              {alert.closedAt && <p><strong>Closed:</strong> {new Date(alert.closedAt).toLocaleString()}</p>}
+              <hr />
+              <div className="row g-2 mb-3">
+                <div className="col-md-6">
+                  <label className="form-label" htmlFor="alertState">State:</label>
+                  <select id="alertState" className="form-select" name="state" value={form.state} onChange={handleChange}>
+                    {Object.entries(ALERT_STATES).map(([key, label]) => (
+                      <option key={key} value={key}>{label}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-6">
+                  <label className="form-label" htmlFor="alertAssignee">Assignee:</label>
+                  <input
+                    id="alertAssignee"
+                    type="text"
+                    className="form-control"
+                    name="assignee"
+                    value={form.assignee}
+                    onChange={handleChange}
+                    placeholder="e.g., Site technician"
+                  />
+                </div>
+              </div>
+              <div className="mb-3">
+                <label className="form-label" htmlFor="alertNotes">Notes:</label>
+                <textarea id="alertNotes" className="form-control" rows="3" name="notes" value={form.notes} onChange={handleChange} />
+              </div>
+              <h6>History</h6>
+              {(alert.history || []).length === 0 ? (
+                <p className="text-muted small mb-0">No changes yet.</p>
+              ) : (
+                <ul className="list-unstyled small mb-0">
+                  {alert.history.map((entry, i) => (
+                    <li key={i}>
+                      {new Date(entry.at).toLocaleString()} &middot; <strong>{entry.user}</strong> changed{' '}
+                      {FIELD_LABELS[entry.field].toLowerCase()} from {formatValue(entry.field, entry.from)} to{' '}
+                      {formatValue(entry.field, entry.to)}
+                      {entry.reason && <span className="text-muted"> ({entry.reason})</span>}
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn btn-primary" onClick={() => onSave(form)}>Save Changes</button>
+              <button type="button" className="btn btn-secondary" onClick={onClose}>Close</button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+}
+
+export default AlertDetails;
@@ -0,0 +1,70 @@
+// Anomaly Detector Settings
+// Enable each per-panel detector and set its rolling window and sensitivity.
+import React from 'react';
+import { ANOMALY_DETECTORS, RAMP_MINUTES } from '../engine/anomaly';
+
+function AnomalySettings({ detectors, located, onChange }) {
+  const update = (key, changes) => onChange({ ...detectors, [key]: { ...detectors[key], ...changes } });
+
+  return (
+    <div className="table-responsive">
+      {!located && (
+        <p className="text-warning small">
+          No site location is set, so sunrise and sunset are estimated from each panel's readings: readings
+          within {RAMP_MINUTES} minutes of a panel starting or stopping production for the day are not judged.
+          With a site location, only readings taken while the sun is below the daylight elevation are left out.
+        </p>
+      )}
+      <table className="table table-sm align-middle">
+        <thead>
+          <tr>
+            <th>Detector</th>
+            <th>Enabled</th>
+            <th>Window (readings)</th>
+            <th>Sensitivity</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(ANOMALY_DETECTORS).map(([key, info]) => (
+            <tr key={key}>
+              <td>{info.label}</td>
+              <td>
+                <input
+                  type="checkbox"
+                  className="form-check-input"
+                  aria-label={`Enable ${info.label}`}
+                  checked={detectors[key].enabled}
+                  onChange={(e) => update(key, { enabled: e.target.checked })}
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  min="5"
+                  className="form-control form-control-sm"
+                  aria-label={`${info.label} window`}
+                  value={detectors[key].window}
+                  onChange={(e) => update(key, { window: parseInt(e.target.value, 10) || detectors[key].window })}
+                />
+              </td>
+              <td>
+                <input
+                  type="number"
+                  step="0.1"
+                  min="0.1"
+                  className="form-control form-control-sm"
+                  aria-label={`${info.label} ${info.sensitivityLabel}`}
+                  title={info.sensitivityLabel}
+                  value={detectors[key].sensitivity}
+                  onChange={(e) => update(key, { sensitivity: parseFloat(e.target.value) || detectors[key].sensitivity })}
+                />
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default AnomalySettings;
@@ -0,0 +1,79 @@
+// Hierarchy Navigation
+// Breadcrumb from all sites down to the chosen inverter, string or panel, and
+// the next level's sites, inverters, strings or panels to drill into, each with
+// its panel counts, current output and open alerts.
+import React from 'react';
+import { LEVELS, LEVEL_LABELS } from '../engine/hierarchy';
+
+function HierarchyNav({ path, nodes, onNavigate }) {
+  const level = nodes && nodes.length > 0 ? nodes[0].level : LEVELS[path.length];
+
+  return (
+    <div className="card shadow mb-4 animate__animated animate__fadeIn">
+      <div className="card-body">
+        <nav aria-label="Hierarchy">
+          <ol className="breadcrumb mb-3">
+            {[null, ...path].map((id, i) => {
+              const label = i === 0 ? 'All sites' : `${LEVEL_LABELS[LEVELS[i - 1]]} ${id}`;
+              return i === path.length ? (
+                <li key={label} className="breadcrumb-item active" aria-current="page">{label}</li>
+              ) : (
+                <li key={label} className="breadcrumb-item">
+                  <button type="button" className="btn btn-link p-0 align-baseline" onClick={() => onNavigate(path.slice(0, i))}>
+                    {label}
+                  </button>
+                </li>
+              );
+            })}
+          </ol>
+        </nav>
+        {nodes && (
+          <div className="table-responsive">
+            <table className="table table-sm table-hover align-middle mb-0">
+              <thead>
+                <tr>
+                  <th>{LEVEL_LABELS[level]}</th>
+                  <th>Panels</th>
+                  <th>Active</th>
+                  <th>Offline</th>
+                  <th>Output (W)</th>
+                  <th>Open Alerts</th>
+                </tr>
+              </thead>
+              <tbody>
+                {nodes.map(node => (
+                  <tr key={node.id}>
+                    <td>
+                      <button
+                        type="button"
+                        className="btn btn-link p-0"
+                        aria-label={`Open ${LEVEL_LABELS[node.level].toLowerCase()} ${node.id}`}
+                        onClick={() => onNavigate([...path, node.id])}
+                      >
+                        {node.id}
+                      </button>
+                    </td>
+                    <td>{node.panels}</td>
+                    <td>{node.active}</td>
+                    <td className={node.offline > 0 ? 'text-danger' : ''}>{node.offline}</td>
+                    <td>{node.power.toFixed(2)}</td>
+                    <td>
+                      {node.incidents > 0 ? <span className="badge bg-danger">{node.incidents}</span> : '0'}
+                    </td>
+                  </tr>
+                ))}
+                {nodes.length === 0 && (
+                  <tr>
+                    <td colSpan="6" className="text-muted">No readings at this level yet.</td>
+                  </tr>
+                )}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default HierarchyNav;
@@ -0,0 +1,82 @@
+// Import Validation Report
+// Shows what happened to every row of the last import: accepted, rejected or
+// coerced, with line numbers and reasons, and exports the rejected rows.
+import React, { useState } from 'react';
+import Papa from 'papaparse';
+
+function ImportReport({ summary }) {
+  const [showDetails, setShowDetails] = useState(false);
+  const { total, accepted, rejected, coerced, added, duplicates } = summary;
+
+  const issues = [
+    ...rejected.map(r => ({ line: r.line, outcome: 'rejected', reason: r.reason, row: r.row })),
+    ...coerced.map(c => ({ line: c.line, outcome: 'coerced', reason: c.reasons.join('; '), row: c.row })),
+  ].sort((a, b) => a.line - b.line);
+
+  // Export rejected rows to CSV
+  const downloadRejected = () => {
+    const csv = Papa.unparse(
+      rejected.map(r => ({ line: r.line, reason: r.reason, ...r.row })),
+      { columns: ['line', 'reason', 'id_panel', 'power', 'voltage', 'timestamp'] },
+    );
+    const blob = new Blob([csv], { type: 'text/csv;charset=utf-8;' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.setAttribute('href', url);
+    link.setAttribute('download', 'rejected_rows.csv');
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="alert alert-light border mb-0">
+      <div className="d-flex flex-wrap justify-content-between align-items-center">
+        <div>
+          <strong>Last import:</strong> {total} rows &middot;{' '}
+          <span className="text-success">{accepted} accepted</span> &middot;{' '}
+          <span className="text-danger">{rejected.length} rejected</span> &middot;{' '}
+          <span className="text-warning">{coerced.length} coerced</span> &middot;{' '}
+          {added} new readings, {duplicates} duplicates skipped.
+        </div>
+        <div>
+          {issues.length > 0 && (
+            <button className="btn btn-sm btn-outline-secondary me-2" onClick={() => setShowDetails(!showDetails)}>
+              {showDetails ? 'Hide Details' : 'Show Details'}
+            </button>
+          )}
+          {rejected.length > 0 && (
+            <button className="btn btn-sm btn-outline-danger" onClick={downloadRejected}>
+              Download Rejected Rows
+            </button>
+          )}
+        </div>
+      </div>
+      {showDetails && (
+        <div className="table-responsive mt-3" style={{ maxHeight: '300px' }}>
+          <table className="table table-sm table-striped mb-0">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Outcome</th>
+                <th>Reason</th>
+                <th>Row</th>
+              </tr>
+            </thead>
+            <tbody>
+              {issues.map(issue => (
+                <tr key={`${issue.outcome}-${issue.line}`}>
+                  <td>{issue.line}</td>
+                  <td className={issue.outcome === 'rejected' ? 'text-danger' : 'text-warning'}>{issue.outcome}</td>
+                  <td>{issue.reason}</td>
+                  <td><code>{[issue.row.id_panel, issue.row.power, issue.row.voltage, issue.row.timestamp].join(', ')}</code></td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ImportReport;
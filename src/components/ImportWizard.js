@@ -0,0 +1,262 @@
+// CSV Import Wizard
+// Previews a parsed CSV and lets the operator map columns, units, separators,
+// timestamp format and timezone before the rows reach the alarm engine.
+import React, { useState, useMemo } from 'react';
+import {
+  IMPORT_FIELDS,
+  OPTIONAL_IMPORT_FIELDS,
+  POWER_UNITS,
+  VOLTAGE_UNITS,
+  TIMESTAMP_FORMATS,
+  applyImportSettings,
+  parseCsv,
+} from '../ingest/csvImport';
+
+const PREVIEW_ROWS = 5;
+
+const FIELD_LABELS = {
+  id_panel: 'Panel ID',
+  power: 'Power',
+  voltage: 'Voltage',
+  timestamp: 'Timestamp',
+  current_dc: 'DC current (A)',
+  current_ac: 'AC current (A)',
+  temperature: 'Module temp. (°C)',
+  irradiance: 'Irradiance (W/m²)',
+  site_id: 'Site ID',
+  inverter_id: 'Inverter ID',
+  string_id: 'String ID',
+};
+
+function ImportWizard({ text, initialSettings, presets, presetName, onSavePreset, onDeletePreset, onImport, onCancel }) {
+  const [settings, setSettings] = useState(initialSettings);
+  const [newPresetName, setNewPresetName] = useState(presetName === 'Default' ? '' : presetName);
+
+  // Re-parse whenever the delimiter changes
+  const { headers, rows } = useMemo(() => parseCsv(text, settings.delimiter), [text, settings.delimiter]);
+  const previewRows = rows.slice(0, PREVIEW_ROWS);
+  const mappedRows = applyImportSettings(previewRows, settings);
+  const complete = IMPORT_FIELDS.every(field => headers.includes(settings.columns[field]));
+  const mappedOptional = OPTIONAL_IMPORT_FIELDS.filter(field => headers.includes(settings.columns[field]));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setSettings({ ...settings, [name]: value });
+  };
+
+  const handleColumnChange = (e) => {
+    const { name, value } = e.target;
+    setSettings({ ...settings, columns: { ...settings.columns, [name]: value } });
+  };
+
+  const selectPreset = (name) => {
+    const preset = presets.find(p => p.name === name);
+    if (preset) {
+      setSettings(preset.settings);
+      setNewPresetName(name);
+    }
+  };
+
+  const savePreset = () => {
+    if (!newPresetName.trim() || newPresetName.trim() === 'Default') {
+      alert('Please enter a preset name other than "Default".');
+      return;
+    }
+    onSavePreset(newPresetName.trim(), settings);
+  };
+
+  return (
+    <>
+      <div className="modal d-block" tabIndex="-1" role="dialog" aria-labelledby="importWizardLabel">
+        <div className="modal-dialog modal-xl">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title" id="importWizardLabel">Import CSV</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onCancel}></button>
+            </div>
+            <div className="modal-body">
+              {/* Presets */}
+              <div className="row g-2 align-items-end mb-4">
+                <div className="col-md-4">
+                  <label className="form-label">Preset:</label>
+                  <select
+                    className="form-select"
+                    value={presets.some(p => p.name === newPresetName) ? newPresetName : ''}
+                    onChange={(e) => selectPreset(e.target.value)}
+                  >
+                    <option value="" disabled>Custom</option>
+                    {presets.map(p => (
+                      <option key={p.name} value={p.name}>{p.name}</option>
+                    ))}
+                  </select>
+                </div>
+                <div className="col-md-4">
+                  <label className="form-label">Preset name:</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    value={newPresetName}
+                    onChange={(e) => setNewPresetName(e.target.value)}
+                    placeholder="e.g., Vendor X logger"
+                  />
+                </div>
+                <div className="col-md-4">
+                  <button className="btn btn-outline-primary me-2" onClick={savePreset}>Save Preset</button>
+                  {presets.some(p => p.name === newPresetName && p.name !== 'Default') && (
+                    <button className="btn btn-outline-danger" onClick={() => onDeletePreset(newPresetName)}>
+                      Delete Preset
+                    </button>
+                  )}
+                </div>
+              </div>
+
+              {/* Format */}
+              <div className="row g-3 mb-4">
+                <div className="col-md-2">
+                  <label className="form-label">Delimiter:</label>
+                  <select className="form-select" name="delimiter" value={settings.delimiter} onChange={handleChange}>
+                    <option value="">Auto-detect</option>
+                    <option value=",">Comma (,)</option>
+                    <option value=";">Semicolon (;)</option>
+                    <option value={'\t'}>Tab</option>
+                    <option value="|">Pipe (|)</option>
+                  </select>
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Decimal separator:</label>
+                  <select className="form-select" name="decimal" value={settings.decimal} onChange={handleChange}>
+                    <option value=".">Point (1.5)</option>
+                    <option value=",">Comma (1,5)</option>
+                  </select>
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Power unit:</label>
+                  <select className="form-select" name="powerUnit" value={settings.powerUnit} onChange={handleChange}>
+                    {Object.keys(POWER_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Voltage unit:</label>
+                  <select className="form-select" name="voltageUnit" value={settings.voltageUnit} onChange={handleChange}>
+                    {Object.keys(VOLTAGE_UNITS).map(unit => <option key={unit} value={unit}>{unit}</option>)}
+                  </select>
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Timestamp format:</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    name="timestampFormat"
+                    list="timestampFormats"
+                    value={settings.timestampFormat}
+                    onChange={handleChange}
+                  />
+                  <datalist id="timestampFormats">
+                    {TIMESTAMP_FORMATS.map(format => <option key={format} value={format} />)}
+                  </datalist>
+                </div>
+                <div className="col-md-2">
+                  <label className="form-label">Timezone:</label>
+                  <input
+                    type="text"
+                    className="form-control"
+                    name="timezone"
+                    value={settings.timezone}
+                    onChange={handleChange}
+                    placeholder="local, UTC, +02:00, Europe/Berlin"
+                  />
+                </div>
+              </div>
+
+              {/* Column mapping */}
+              <div className="row g-3 mb-4">
+                {IMPORT_FIELDS.map(field => (
+                  <div className="col-md-3" key={field}>
+                    <label className="form-label">{FIELD_LABELS[field]} column:</label>
+                    <select
+                      className={`form-select ${headers.includes(settings.columns[field]) ? '' : 'is-invalid'}`}
+                      name={field}
+                      value={headers.includes(settings.columns[field]) ? settings.columns[field] : ''}
+                      onChange={handleColumnChange}
+                    >
+                      <option value="">Select column...</option>
+                      {headers.map(h => <option key={h} value={h}>{h}</option>)}
+                    </select>
+                  </div>
+                ))}
+                {OPTIONAL_IMPORT_FIELDS.map(field => (
+                  <div className="col-md-2" key={field}>
+                    <label className="form-label small">{FIELD_LABELS[field]}:</label>
+                    <select
+                      className="form-select form-select-sm"
+                      name={field}
+                      value={headers.includes(settings.columns[field]) ? settings.columns[field] : ''}
+                      onChange={handleColumnChange}
+                    >
+                      <option value="">Not mapped</option>
+                      {headers.map(h => <option key={h} value={h}>{h}</option>)}
+                    </select>
+                  </div>
+                ))}
+              </div>
+
+              {/* Preview */}
+              <h6>Source preview ({rows.length} rows)</h6>
+              <div className="table-responsive mb-3">
+                <table className="table table-sm table-bordered">
+                  <thead>
+                    <tr>{headers.map(h => <th key={h}>{h}</th>)}</tr>
+                  </thead>
+                  <tbody>
+                    {previewRows.map((row, i) => (
+                      <tr key={i}>{headers.map(h => <td key={h}>{row[h]}</td>)}</tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              <h6>Imported as</h6>
+              <div className="table-responsive">
+                <table className="table table-sm table-bordered">
+                  <thead>
+                    <tr>
+                      <th>id_panel</th>
+                      <th>Power (W)</th>
+                      <th>Voltage (V)</th>
+                      <th>Timestamp</th>
+                      {mappedOptional.map(field => <th key={field}>{FIELD_LABELS[field]}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {mappedRows.map((row, i) => (
+                      <tr key={i}>
+                        <td>{row.id_panel}</td>
+                        <td>{row.power}</td>
+                        <td>{row.voltage}</td>
+                        <td>{isNaN(new Date(row.timestamp).getTime()) ? row.timestamp : new Date(row.timestamp).toLocaleString()}</td>
+                        {mappedOptional.map(field => <td key={field}>{row[field]}</td>)}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+            <div className="modal-footer">
+              <button
+                type="button"
+                className="btn btn-primary"
+                disabled={!complete}
+                onClick={() => onImport(applyImportSettings(rows, settings), settings)}
+              >
+                Import {rows.length} Rows
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+}
+
+export default ImportWizard;
@@ -0,0 +1,48 @@
+// Incident Escalation Settings
+// When an open warning incident is raised to critical.
+import React from 'react';
+
+function IncidentSettings({ escalation, onChange }) {
+  const update = (name, value) => onChange({ ...escalation, [name]: value });
+
+  return (
+    <div className="row g-2 align-items-end">
+      <div className="col-md-4">
+        <div className="form-check">
+          <input
+            id="escalationEnabled"
+            type="checkbox"
+            className="form-check-input"
+            checked={escalation.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+          />
+          <label className="form-check-label" htmlFor="escalationEnabled">Escalate warnings to critical</label>
+        </div>
+      </div>
+      <div className="col-md-4">
+        <label className="form-label" htmlFor="escalationOpenMinutes">When open longer than (minutes):</label>
+        <input
+          id="escalationOpenMinutes"
+          type="number"
+          min="1"
+          className="form-control"
+          value={escalation.openMinutes}
+          onChange={(e) => update('openMinutes', parseFloat(e.target.value) || escalation.openMinutes)}
+        />
+      </div>
+      <div className="col-md-4">
+        <label className="form-label" htmlFor="escalationPanelCount">Or open on this many panels:</label>
+        <input
+          id="escalationPanelCount"
+          type="number"
+          min="2"
+          className="form-control"
+          value={escalation.panelCount}
+          onChange={(e) => update('panelCount', parseInt(e.target.value, 10) || escalation.panelCount)}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default IncidentSettings;
@@ -0,0 +1,53 @@
+// Data Integrity Settings
+// Enable each telemetry integrity check and set its limit, where it has one.
+import React from 'react';
+import { INTEGRITY_CHECKS } from '../engine/integrity';
+
+function IntegritySettings({ checks, onChange }) {
+  const update = (key, changes) => onChange({ ...checks, [key]: { ...checks[key], ...changes } });
+
+  return (
+    <div className="table-responsive">
+      <table className="table table-sm align-middle">
+        <thead>
+          <tr>
+            <th>Check</th>
+            <th>Enabled</th>
+            <th>Limit</th>
+          </tr>
+        </thead>
+        <tbody>
+          {Object.entries(INTEGRITY_CHECKS).map(([key, info]) => (
+            <tr key={key}>
+              <td>{info.label}</td>
+              <td>
+                <input
+                  type="checkbox"
+                  className="form-check-input"
+                  aria-label={`Enable ${info.label}`}
+                  checked={checks[key].enabled}
+                  onChange={(e) => update(key, { enabled: e.target.checked })}
+                />
+              </td>
+              <td>
+                {info.limitLabel && (
+                  <input
+                    type="number"
+                    min="1"
+                    className="form-control form-control-sm"
+                    aria-label={`${info.label} ${info.limitLabel}`}
+                    title={info.limitLabel}
+                    value={checks[key].limit}
+                    onChange={(e) => update(key, { limit: parseFloat(e.target.value) || checks[key].limit })}
+                  />
+                )}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default IntegritySettings;
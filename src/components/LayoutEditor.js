@@ -0,0 +1,87 @@
+// Layout Editor
+// Size the grid to the physical array, upload a background image, and place
+// panels by choosing one and clicking its cell. Panels not yet placed can be
+// laid out row by row in one go.
+import React, { useState } from 'react';
+import { MAX_GRID, autoPlace, clearCell, isPlaced, placePanel } from '../engine/layout';
+import PanelMap from './PanelMap';
+
+// Largest background image accepted (data URLs live in browser storage)
+const MAX_BACKGROUND_BYTES = 2 * 1024 * 1024;
+
+function LayoutEditor({ layout, panelIds, statuses, alertCounts, onChange }) {
+  const unplaced = panelIds.filter(id => !isPlaced(layout, id));
+  const [placing, setPlacing] = useState(unplaced[0] || '');
+
+  const setSize = (name, value) => {
+    const size = parseInt(value, 10);
+    if (size >= 1 && size <= MAX_GRID) onChange({ ...layout, [name]: size });
+  };
+
+  const handleCellClick = (row, col) => {
+    if (!placing) {
+      onChange(clearCell(layout, row, col));
+      return;
+    }
+    const next = placePanel(layout, placing, row, col);
+    onChange(next);
+    // Move on to the next panel still to place
+    setPlacing(panelIds.find(id => !isPlaced(next, id)) || '');
+  };
+
+  const handleBackground = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    if (file.size > MAX_BACKGROUND_BYTES) {
+      alert('Please choose an image of 2MB or less.');
+      event.target.value = '';
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => onChange({ ...layout, background: reader.result });
+    reader.onerror = () => alert('Error reading background image.');
+    reader.readAsDataURL(file);
+    event.target.value = '';
+  };
+
+  return (
+    <div>
+      <div className="row g-2 align-items-end mb-3">
+        <div className="col-md-2">
+          <label className="form-label" htmlFor="layoutRows">Rows:</label>
+          <input id="layoutRows" type="number" min="1" max={MAX_GRID} className="form-control" value={layout.rows} onChange={(e) => setSize('rows', e.target.value)} />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label" htmlFor="layoutColumns">Columns:</label>
+          <input id="layoutColumns" type="number" min="1" max={MAX_GRID} className="form-control" value={layout.columns} onChange={(e) => setSize('columns', e.target.value)} />
+        </div>
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="layoutPlacing">Click a cell to place:</label>
+          <select id="layoutPlacing" className="form-select" value={placing} onChange={(e) => setPlacing(e.target.value)}>
+            <option value="">(clear the cell)</option>
+            {panelIds.map(id => (
+              <option key={id} value={id}>{id}{isPlaced(layout, id) ? '' : ' (unplaced)'}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-2">
+          <button className="btn btn-outline-primary w-100" disabled={unplaced.length === 0} onClick={() => onChange(autoPlace(layout, panelIds))}>
+            Place {unplaced.length} Unplaced
+          </button>
+        </div>
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="layoutBackground">Background image:</label>
+          <div className="input-group">
+            <input id="layoutBackground" type="file" accept="image/*" className="form-control" onChange={handleBackground} />
+            {layout.background && (
+              <button className="btn btn-outline-danger" onClick={() => onChange({ ...layout, background: null })}>Remove</button>
+            )}
+          </div>
+        </div>
+      </div>
+      <PanelMap layout={layout} statuses={statuses} alertCounts={alertCounts} editing onCellClick={handleCellClick} />
+    </div>
+  );
+}
+
+export default LayoutEditor;
@@ -0,0 +1,97 @@
+// Maintenance Windows
+// Schedule work on some panels, some strings or the whole site, once or
+// repeating daily or weekly, and choose whether alerts raised meanwhile are
+// suppressed or downgraded. Windows open right now are marked.
+import React, { useState } from 'react';
+import { MAINTENANCE_MODES, RECURRENCES, cleanWindow, describeSchedule, windowActiveAt, windowError } from '../engine/maintenance';
+import { describeScope } from '../engine/scope';
+import ScopeFields from './ScopeFields';
+
+const EMPTY_WINDOW = { name: '', scope: { type: 'all' }, start: '', end: '', recurrence: 'none', mode: 'suppress' };
+
+function MaintenanceWindows({ windows, groups, onAdd, onDelete }) {
+  const [draft, setDraft] = useState(EMPTY_WINDOW);
+  const now = new Date();
+
+  const update = (name, value) => setDraft({ ...draft, [name]: value });
+
+  const addWindow = () => {
+    const problem = windowError(draft, groups);
+    if (problem) {
+      alert(problem);
+      return;
+    }
+    onAdd(cleanWindow(draft));
+    setDraft(EMPTY_WINDOW);
+  };
+
+  return (
+    <div>
+      <div className="row g-2 mb-2">
+        <div className="col-md-4">
+          <label className="form-label" htmlFor="maintenanceName">Name:</label>
+          <input
+            id="maintenanceName"
+            type="text"
+            className="form-control"
+            value={draft.name}
+            onChange={(e) => update('name', e.target.value)}
+            placeholder="e.g., Quarterly cleaning"
+          />
+        </div>
+        <div className="col-md-8">
+          <ScopeFields scope={draft.scope} groups={groups} onChange={(scope) => update('scope', scope)} idPrefix="maintenance" />
+        </div>
+      </div>
+      <div className="row g-2 align-items-end mb-2">
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="maintenanceStart">Starts:</label>
+          <input id="maintenanceStart" type="datetime-local" className="form-control" value={draft.start} onChange={(e) => update('start', e.target.value)} />
+        </div>
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="maintenanceEnd">Ends:</label>
+          <input id="maintenanceEnd" type="datetime-local" className="form-control" value={draft.end} onChange={(e) => update('end', e.target.value)} />
+        </div>
+        <div className="col-md-2">
+          <label className="form-label" htmlFor="maintenanceRecurrence">Repeats:</label>
+          <select id="maintenanceRecurrence" className="form-select" value={draft.recurrence} onChange={(e) => update('recurrence', e.target.value)}>
+            {Object.entries(RECURRENCES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-2">
+          <label className="form-label" htmlFor="maintenanceMode">Alerts:</label>
+          <select id="maintenanceMode" className="form-select" value={draft.mode} onChange={(e) => update('mode', e.target.value)}>
+            {Object.entries(MAINTENANCE_MODES).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-2">
+          <button className="btn btn-outline-primary w-100" onClick={addWindow}>Add Window</button>
+        </div>
+      </div>
+      <table className="table table-sm">
+        <tbody>
+          {windows.map(w => (
+            <tr key={w._id}>
+              <td>
+                {w.name}
+                {windowActiveAt(w, now) && <span className="badge bg-info text-dark ms-2">Active</span>}
+              </td>
+              <td>{describeScope(w.scope)}</td>
+              <td>{describeSchedule(w)}</td>
+              <td>{MAINTENANCE_MODES[w.mode]}</td>
+              <td className="text-end">
+                <button className="btn btn-sm btn-outline-danger" aria-label={`Delete ${w.name}`} onClick={() => onDelete(w._id)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default MaintenanceWindows;
@@ -0,0 +1,98 @@
+// Panel Details
+// One panel's registry data, where it sits in the hierarchy, its incidents
+// (open ones first) and its most recent readings.
+import React from 'react';
+import { ALERT_STATES, isOpen } from '../engine/alertLifecycle';
+import { LEVELS, LEVEL_LABELS } from '../engine/hierarchy';
+
+// Readings shown in the history table
+const HISTORY_LIMIT = 20;
+
+function PanelDetails({ id, entry, location, readings, incidents, onOpenIncident, onDrillDown, onClose }) {
+  const recent = [...readings].sort((a, b) => new Date(b.when) - new Date(a.when)).slice(0, HISTORY_LIMIT);
+  const sortedIncidents = [...incidents].sort((a, b) => Number(isOpen(b)) - Number(isOpen(a)) || new Date(b.lastSeen) - new Date(a.lastSeen));
+
+  return (
+    <>
+      <div className="modal d-block" tabIndex="-1" role="dialog" aria-labelledby="panelDetailsLabel">
+        <div className="modal-dialog modal-lg modal-dialog-scrollable">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title" id="panelDetailsLabel">Panel {id}</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onClose}></button>
+            </div>
+            <div className="modal-body">
+              {location && (
+                <p>
+                  {LEVELS.slice(0, 3).map(level => `${LEVEL_LABELS[level]} ${location[level]}`).join(' › ')}
+                </p>
+              )}
+              {entry ? (
+                <p className="small">
+                  {entry.ratedPower != null && <><strong>Rated:</strong> {entry.ratedPower} Wp &middot; </>}
+                  {entry.manufacturer && <><strong>Make:</strong> {entry.manufacturer} &middot; </>}
+                  {entry.serial && <><strong>Serial:</strong> {entry.serial} &middot; </>}
+                  {entry.installDate && <><strong>Installed:</strong> {entry.installDate} &middot; </>}
+                  {entry.location && <><strong>Location:</strong> {entry.location}</>}
+                </p>
+              ) : (
+                <p className="text-muted small">Not in the panel registry.</p>
+              )}
+
+              <h6>Incidents</h6>
+              {sortedIncidents.length === 0 ? (
+                <p className="text-muted small">No incidents.</p>
+              ) : (
+                <ul className="list-group mb-3">
+                  {sortedIncidents.map(i => (
+                    <li key={i._id} className="list-group-item d-flex justify-content-between align-items-center">
+                      <span>
+                        <span className={`badge me-2 ${i.severityLevel === 'critical' ? 'bg-danger' : 'bg-warning text-dark'}`}>{i.severityLevel}</span>
+                        {i.alertMessage}
+                        <span className="text-muted small"> &middot; {ALERT_STATES[i.state]}, {i.count}×, last {new Date(i.lastSeen).toLocaleString()}</span>
+                      </span>
+                      <button type="button" className="btn btn-sm btn-outline-primary" onClick={() => onOpenIncident(i)}>Details</button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <h6>Recent Readings</h6>
+              {recent.length === 0 ? (
+                <p className="text-muted small mb-0">No readings yet.</p>
+              ) : (
+                <table className="table table-sm mb-0">
+                  <thead>
+                    <tr>
+                      <th>Time</th>
+                      <th>Power (W)</th>
+                      <th>Voltage (V)</th>
+                      <th>Status</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {recent.map((r, i) => (
+                      <tr key={r._id || i}>
+                        <td>{new Date(r.when).toLocaleString()}</td>
+                        <td>{r.powerOut.toFixed(2)}</td>
+                        <td>{r.voltage.toFixed(2)}</td>
+                        <td>{r.panelStatus}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+            <div className="modal-footer">
+              {location && <button type="button" className="btn btn-outline-primary" onClick={onDrillDown}>Show in Dashboard</button>}
+              <button type="button" className="btn btn-secondary" onClick={onClose}>Close</button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+}
+
+export default PanelDetails;
@@ -0,0 +1,71 @@
+// Panel Groups
+// Named sets of panel IDs or wildcard patterns that rules and threshold
+// overrides can be scoped to.
+import React, { useState } from 'react';
+import { parseIdList } from '../engine/scope';
+
+function PanelGroups({ groups, onAdd, onDelete }) {
+  const [name, setName] = useState('');
+  const [members, setMembers] = useState('');
+
+  const addGroup = () => {
+    const ids = parseIdList(members);
+    if (!name.trim() || ids.length === 0) {
+      alert('Please enter a group name and at least one panel ID or pattern.');
+      return;
+    }
+    if (groups.some(g => g.name === name.trim())) {
+      alert(`A group named "${name.trim()}" already exists.`);
+      return;
+    }
+    onAdd({ name: name.trim(), members: ids });
+    setName('');
+    setMembers('');
+  };
+
+  return (
+    <div>
+      <h4 className="h6">Panel Groups</h4>
+      <div className="row g-2 mb-2">
+        <div className="col-md-4">
+          <input
+            type="text"
+            className="form-control"
+            aria-label="Group name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g., East roof"
+          />
+        </div>
+        <div className="col-md-6">
+          <input
+            type="text"
+            className="form-control"
+            aria-label="Group members"
+            value={members}
+            onChange={(e) => setMembers(e.target.value)}
+            placeholder="e.g., PV001, PV002, PV1*"
+          />
+        </div>
+        <div className="col-md-2">
+          <button className="btn btn-outline-primary w-100" onClick={addGroup}>Add Group</button>
+        </div>
+      </div>
+      <table className="table table-sm">
+        <tbody>
+          {groups.map(g => (
+            <tr key={g.name}>
+              <td>{g.name}</td>
+              <td><code>{g.members.join(', ')}</code></td>
+              <td className="text-end">
+                <button className="btn btn-sm btn-outline-danger" onClick={() => onDelete(g.name)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default PanelGroups;
@@ -0,0 +1,67 @@
+// Panel Map
+// The physical array as a grid: each placed panel coloured by its latest
+// status, with its open alert count, and clusters of adjacent offline panels
+// outlined. In the layout editor empty cells can be clicked too.
+import React from 'react';
+import { cellIndex } from '../engine/layout';
+
+const STATUS_CLASSES = {
+  normal: 'bg-success',
+  low: 'bg-warning',
+  offline: 'bg-danger',
+  night: 'bg-secondary',
+};
+
+function PanelMap({ layout, statuses, alertCounts, clusters = [], editing = false, onCellClick }) {
+  const cells = cellIndex(layout);
+  const clustered = new Set(clusters.flat());
+  const grid = [];
+  for (let row = 0; row < layout.rows; row += 1) {
+    for (let col = 0; col < layout.columns; col += 1) {
+      const id = cells.get(`${row},${col}`);
+      if (!id) {
+        grid.push(editing ? (
+          <button
+            key={`${row},${col}`}
+            type="button"
+            className="panel-map-cell panel-map-empty"
+            aria-label={`Empty cell row ${row + 1} column ${col + 1}`}
+            onClick={() => onCellClick(row, col, null)}
+          ></button>
+        ) : (
+          <div key={`${row},${col}`} className="panel-map-cell panel-map-empty"></div>
+        ));
+        continue;
+      }
+      const status = statuses.get(id);
+      const count = alertCounts.get(id) || 0;
+      const label = `${id}: ${status || 'no data'}${count > 0 ? `, ${count} open alert${count === 1 ? '' : 's'}` : ''}`;
+      grid.push(
+        <button
+          key={`${row},${col}`}
+          type="button"
+          className={`panel-map-cell ${STATUS_CLASSES[status] || 'bg-light'}${clustered.has(id) ? ' panel-map-cluster' : ''}`}
+          title={label}
+          aria-label={label}
+          onClick={() => onCellClick(row, col, id)}
+        >
+          {count > 0 && <span className="badge rounded-pill bg-dark panel-map-badge">{count}</span>}
+        </button>
+      );
+    }
+  }
+
+  return (
+    <div
+      className="panel-map"
+      style={{
+        gridTemplateColumns: `repeat(${layout.columns}, minmax(12px, 1fr))`,
+        backgroundImage: layout.background ? `url(${layout.background})` : undefined,
+      }}
+    >
+      {grid}
+    </div>
+  );
+}
+
+export default PanelMap;
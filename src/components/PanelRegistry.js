@@ -0,0 +1,187 @@
+// Panel Registry
+// The installed panels with their nameplate ratings and metadata, edited one at a
+// time or imported from a CSV with a column per field (id_panel, rated_power,
+// voc, vmp, manufacturer, serial, install_date, location, site_id, string_id, inverter_id).
+import React, { useState } from 'react';
+import { REGISTRY_FIELDS, cleanEntry, mergeRegistry, parseRegistryRows } from '../engine/registry';
+import { parseCsv } from '../ingest/csvImport';
+
+const emptyForm = () => Object.fromEntries(Object.keys(REGISTRY_FIELDS).map(field => [field, '']));
+
+function PanelRegistry({ registry, settings, onChange, onSettingsChange }) {
+  const [form, setForm] = useState(emptyForm);
+  const [editing, setEditing] = useState(null); // ID of the entry being edited
+  const [importReport, setImportReport] = useState(null);
+
+  const updateSetting = (name, value) => onSettingsChange({ ...settings, [name]: value });
+
+  const savePanel = () => {
+    const { entry, error } = cleanEntry(form);
+    if (error) {
+      alert(`${error}.`);
+      return;
+    }
+    if (entry.id_panel !== editing && registry.some(e => e.id_panel === entry.id_panel)) {
+      alert(`Panel ${entry.id_panel} is already registered.`);
+      return;
+    }
+    onChange(mergeRegistry(registry.filter(e => e.id_panel !== editing), [entry]));
+    setForm(emptyForm());
+    setEditing(null);
+  };
+
+  const editPanel = (entry) => {
+    setForm({ ...emptyForm(), ...entry });
+    setEditing(entry.id_panel);
+  };
+
+  const cancelEdit = () => {
+    setForm(emptyForm());
+    setEditing(null);
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { entries, rejected } = parseRegistryRows(parseCsv(reader.result).rows);
+      onChange(mergeRegistry(registry, entries));
+      setImportReport({ imported: entries.length, rejected });
+    };
+    reader.onerror = () => alert('Error reading registry CSV file.');
+    reader.readAsText(file);
+    event.target.value = '';
+  };
+
+  return (
+    <div>
+      <div className="row g-2 mb-3">
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="registryLowPower">Low power (% of rated):</label>
+          <input
+            id="registryLowPower"
+            type="number"
+            min="0"
+            max="100"
+            className="form-control"
+            value={settings.lowPowerPercent}
+            onChange={(e) => updateSetting('lowPowerPercent', parseFloat(e.target.value) || 0)}
+          />
+        </div>
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="registryLowVoltage">Low voltage (% of Vmp):</label>
+          <input
+            id="registryLowVoltage"
+            type="number"
+            min="0"
+            max="100"
+            className="form-control"
+            value={settings.lowVoltagePercent}
+            onChange={(e) => updateSetting('lowVoltagePercent', parseFloat(e.target.value) || 0)}
+          />
+        </div>
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="registryOverRating">Implausible above (% of rating):</label>
+          <input
+            id="registryOverRating"
+            type="number"
+            min="100"
+            className="form-control"
+            value={settings.overRatingPercent}
+            onChange={(e) => updateSetting('overRatingPercent', parseFloat(e.target.value) || 100)}
+          />
+        </div>
+        <div className="col-md-3 d-flex align-items-end">
+          <div className="form-check">
+            <input
+              id="registryFlagUnregistered"
+              type="checkbox"
+              className="form-check-input"
+              checked={settings.flagUnregistered}
+              onChange={(e) => updateSetting('flagUnregistered', e.target.checked)}
+            />
+            <label className="form-check-label" htmlFor="registryFlagUnregistered">Alert on unregistered devices</label>
+          </div>
+        </div>
+      </div>
+
+      <h4 className="h6">{editing ? `Edit ${editing}` : 'Register a Panel'}</h4>
+      <div className="row g-2 mb-2">
+        {Object.entries(REGISTRY_FIELDS).map(([field, { label, type }]) => (
+          <div className="col-md-3" key={field}>
+            <input
+              type={type}
+              step={type === 'number' ? 'any' : undefined}
+              className="form-control"
+              aria-label={label}
+              placeholder={label}
+              value={form[field]}
+              onChange={(e) => setForm({ ...form, [field]: e.target.value })}
+            />
+          </div>
+        ))}
+        <div className="col-md-3 d-flex gap-2">
+          <button className="btn btn-outline-primary flex-grow-1" onClick={savePanel}>{editing ? 'Save Panel' : 'Add Panel'}</button>
+          {editing && <button className="btn btn-outline-secondary" onClick={cancelEdit}>Cancel</button>}
+        </div>
+      </div>
+
+      <div className="mb-2">
+        <label className="form-label" htmlFor="registryFile">Import registry CSV:</label>
+        <input id="registryFile" type="file" accept=".csv" className="form-control" onChange={handleImport} />
+      </div>
+      {importReport && (
+        <div className={`alert ${importReport.rejected.length > 0 ? 'alert-warning' : 'alert-success'} py-2 small`} role="status">
+          Registered {importReport.imported} panel{importReport.imported === 1 ? '' : 's'} from the CSV.
+          {importReport.rejected.length > 0 && (
+            <ul className="mb-0">
+              {importReport.rejected.map(r => <li key={r.line}>Line {r.line}: {r.reason}</li>)}
+            </ul>
+          )}
+        </div>
+      )}
+
+      <div className="table-responsive">
+        <table className="table table-sm align-middle">
+          <thead>
+            <tr>
+              <th>Panel</th>
+              <th>Rated</th>
+              <th>Voc / Vmp</th>
+              <th>Make / Serial</th>
+              <th>Installed</th>
+              <th>Location</th>
+              <th>Site / Inverter / String</th>
+              <th></th>
+            </tr>
+          </thead>
+          <tbody>
+            {registry.map(e => (
+              <tr key={e.id_panel}>
+                <td>{e.id_panel}</td>
+                <td>{e.ratedPower != null ? `${e.ratedPower} Wp` : '—'}</td>
+                <td>{e.voc != null ? `${e.voc} V` : '—'} / {e.vmp != null ? `${e.vmp} V` : '—'}</td>
+                <td>{e.manufacturer || '—'} / {e.serial || '—'}</td>
+                <td>{e.installDate || '—'}</td>
+                <td>{e.location || '—'}</td>
+                <td>{e.siteId || '—'} / {e.inverterId || '—'} / {e.stringId || '—'}</td>
+                <td className="text-end text-nowrap">
+                  <button className="btn btn-sm btn-outline-secondary me-1" onClick={() => editPanel(e)}>Edit</button>
+                  <button className="btn btn-sm btn-outline-danger" onClick={() => onChange(registry.filter(x => x.id_panel !== e.id_panel))}>Delete</button>
+                </td>
+              </tr>
+            ))}
+            {registry.length === 0 && (
+              <tr>
+                <td colSpan="8" className="text-muted">No panels registered. Every panel is judged by the site-wide thresholds.</td>
+              </tr>
+            )}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
+
+export default PanelRegistry;
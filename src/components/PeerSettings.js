@@ -0,0 +1,60 @@
+// Peer Comparison Settings
+// When a panel counts as underperforming against the other panels on its string.
+import React from 'react';
+
+function PeerSettings({ settings, onChange }) {
+  const update = (name, value) => onChange({ ...settings, [name]: value });
+
+  return (
+    <div className="row g-2 align-items-end">
+      <div className="col-md-3">
+        <div className="form-check">
+          <input
+            id="peerEnabled"
+            type="checkbox"
+            className="form-check-input"
+            checked={settings.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+          />
+          <label className="form-check-label" htmlFor="peerEnabled">Alert on underperformance</label>
+        </div>
+      </div>
+      <div className="col-md-3">
+        <label className="form-label" htmlFor="peerThreshold">Below % of peer median:</label>
+        <input
+          id="peerThreshold"
+          type="number"
+          min="1"
+          max="100"
+          className="form-control"
+          value={settings.threshold}
+          onChange={(e) => update('threshold', parseFloat(e.target.value) || settings.threshold)}
+        />
+      </div>
+      <div className="col-md-3">
+        <label className="form-label" htmlFor="peerReadings">For consecutive readings:</label>
+        <input
+          id="peerReadings"
+          type="number"
+          min="1"
+          className="form-control"
+          value={settings.readings}
+          onChange={(e) => update('readings', parseInt(e.target.value, 10) || settings.readings)}
+        />
+      </div>
+      <div className="col-md-3">
+        <label className="form-label" htmlFor="peerMinPeers">Minimum peers:</label>
+        <input
+          id="peerMinPeers"
+          type="number"
+          min="1"
+          className="form-control"
+          value={settings.minPeers}
+          onChange={(e) => update('minPeers', parseInt(e.target.value, 10) || settings.minPeers)}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default PeerSettings;
@@ -0,0 +1,71 @@
+// Settings Profile Import
+// Previews what an imported settings profile would change, section by section,
+// and applies the chosen sections by replacing or merging them.
+import React, { useState } from 'react';
+import { diffProfile } from '../storage/profile';
+
+function ProfileImport({ fileName, current, incoming, warnings, onApply, onCancel }) {
+  const diff = diffProfile(current, incoming);
+  const [selected, setSelected] = useState(() => diff.filter(d => d.changed).map(d => d.name));
+  const [mode, setMode] = useState('merge');
+
+  const toggle = (name) => setSelected(selected.includes(name) ? selected.filter(n => n !== name) : [...selected, name]);
+
+  return (
+    <>
+      <div className="modal d-block" tabIndex="-1" role="dialog" aria-labelledby="profileImportLabel">
+        <div className="modal-dialog modal-lg modal-dialog-scrollable">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title" id="profileImportLabel">Import Settings Profile</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onCancel}></button>
+            </div>
+            <div className="modal-body">
+              <p className="text-muted small">{fileName}</p>
+              {warnings.map(w => <div key={w} className="alert alert-warning py-1 small">{w}</div>)}
+              <div className="mb-3">
+                <label className="form-label" htmlFor="profileMode">Apply as:</label>
+                <select id="profileMode" className="form-select" value={mode} onChange={(e) => setMode(e.target.value)}>
+                  <option value="merge">Merge (keep rules, groups and fields only found here)</option>
+                  <option value="replace">Replace the chosen sections</option>
+                </select>
+              </div>
+              <ul className="list-group">
+                {diff.map(d => (
+                  <li key={d.name} className="list-group-item">
+                    <div className="form-check">
+                      <input
+                        id={`profileSection-${d.name}`}
+                        type="checkbox"
+                        className="form-check-input"
+                        checked={selected.includes(d.name)}
+                        onChange={() => toggle(d.name)}
+                      />
+                      <label className="form-check-label" htmlFor={`profileSection-${d.name}`}>
+                        {d.label} {!d.changed && <span className="text-muted small">(no changes)</span>}
+                      </label>
+                    </div>
+                    {d.changes.length > 0 && (
+                      <ul className="small mb-0 mt-1">
+                        {d.changes.map(change => <li key={change}>{change}</li>)}
+                      </ul>
+                    )}
+                  </li>
+                ))}
+              </ul>
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn btn-primary" disabled={selected.length === 0} onClick={() => onApply(selected, mode)}>
+                Apply {selected.length} Section{selected.length === 1 ? '' : 's'}
+              </button>
+              <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+}
+
+export default ProfileImport;
@@ -0,0 +1,36 @@
+// Data Retention Settings
+// How long raw readings and alerts are kept in browser storage.
+import React from 'react';
+
+function RetentionSettings({ retention, onChange }) {
+  const update = (name, value) => onChange({ ...retention, [name]: parseInt(value, 10) || retention[name] });
+
+  return (
+    <div className="row g-2">
+      <div className="col-md-6">
+        <label className="form-label" htmlFor="retentionReadings">Keep raw readings for (days):</label>
+        <input
+          id="retentionReadings"
+          type="number"
+          min="1"
+          className="form-control"
+          value={retention.readingsDays}
+          onChange={(e) => update('readingsDays', e.target.value)}
+        />
+      </div>
+      <div className="col-md-6">
+        <label className="form-label" htmlFor="retentionAlerts">Keep alerts and closed incidents for (days):</label>
+        <input
+          id="retentionAlerts"
+          type="number"
+          min="1"
+          className="form-control"
+          value={retention.alertsDays}
+          onChange={(e) => update('alertsDays', e.target.value)}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default RetentionSettings;
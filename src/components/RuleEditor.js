@@ -0,0 +1,395 @@
+// Custom Rule Editor
+// Builds compound alarm rules: threshold and rate-of-change conditions joined
+// with AND/OR, optionally required to hold for N readings or M minutes, and
+// scoped to a subset of panels. A rule can carry its own alarm sound.
+// Test Rule runs the draft over the loaded readings before it is saved and
+// shows what it would have fired on; nothing is raised and no alarm sounds.
+import React, { useState } from 'react';
+import { TONE_PATTERNS } from '../audio/soundManager';
+import { METRICS } from '../engine/metrics';
+import { normalizeRule, describeRule } from '../engine/rules';
+import { ALL_PANELS, cleanScope, scopeError } from '../engine/scope';
+import ScopeFields from './ScopeFields';
+
+const COMPARISON_LABELS = {
+  '<': 'Less than',
+  '<=': 'At most',
+  '>': 'Greater than',
+  '>=': 'At least',
+  '=': 'Equal to',
+};
+
+const newCondition = (type = 'threshold') => (type === 'change'
+  ? { type: 'change', metric: 'power', direction: 'drop', percent: '' }
+  : { type: 'threshold', metric: 'power', condition: '<', value: '' });
+
+const EMPTY_RULE = {
+  logic: 'AND',
+  conditions: [newCondition()],
+  duration: { type: 'none', value: '' },
+  scope: ALL_PANELS,
+  severity: 'warning',
+  message: '',
+  sound: null, // null (severity default), { pattern } or an uploaded { name, src }
+};
+
+// Uploaded rule sounds are stored with the rule, so keep them small
+const MAX_SOUND_BYTES = 1024 * 1024;
+
+const isNumber = (value) => value !== '' && !isNaN(parseFloat(value));
+
+// Collect what is wrong with a draft; an empty list means it can be saved
+const validateDraft = (draft, groups) => {
+  const errors = [];
+  if (draft.conditions.length === 0) errors.push('Add at least one condition.');
+  draft.conditions.forEach((c, i) => {
+    if (c.type === 'change' && !(isNumber(c.percent) && parseFloat(c.percent) > 0)) {
+      errors.push(`Condition ${i + 1}: enter a percentage above 0.`);
+    } else if (c.type === 'threshold' && !isNumber(c.value)) {
+      errors.push(`Condition ${i + 1}: enter a numeric value.`);
+    }
+  });
+  if (draft.duration.type !== 'none' && !(parseInt(draft.duration.value, 10) > 0)) {
+    errors.push('Enter a duration of at least 1.');
+  }
+  const scopeProblem = scopeError(draft.scope, groups);
+  if (scopeProblem) errors.push(scopeProblem);
+  if (!draft.message.trim()) errors.push('Enter a message.');
+  return errors;
+};
+
+// The rule a valid draft describes, with numbers parsed and the scope cleaned
+const toRule = (draft, sound) => ({
+  logic: draft.logic,
+  conditions: draft.conditions.map(c => (c.type === 'change'
+    ? { type: 'change', metric: c.metric, direction: c.direction, percent: parseFloat(c.percent) }
+    : { type: 'threshold', metric: c.metric, condition: c.condition, value: parseFloat(c.value) })),
+  duration: draft.duration.type === 'none'
+    ? { type: 'none', value: 0 }
+    : { type: draft.duration.type, value: parseInt(draft.duration.value, 10) },
+  scope: cleanScope(draft.scope),
+  severity: draft.severity,
+  message: draft.message.trim(),
+  sound,
+});
+
+// Firing times listed per panel before the rest are counted
+const TIMES_SHOWN = 5;
+
+function RuleEditor({ rule, groups, testResult, onTest, onSave, onCancel, onPreviewSound }) {
+  const [draft, setDraft] = useState(() => (rule ? normalizeRule(rule) : EMPTY_RULE));
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setDraft({ ...draft, [name]: value });
+  };
+
+  const handleDurationChange = (e) => {
+    const { name, value } = e.target;
+    setDraft({ ...draft, duration: { ...draft.duration, [name]: value } });
+  };
+
+  const updateCondition = (index, changes) => {
+    setDraft({ ...draft, conditions: draft.conditions.map((c, i) => (i === index ? { ...c, ...changes } : c)) });
+  };
+
+  const changeConditionType = (index, type) => {
+    const { metric } = draft.conditions[index];
+    updateCondition(index, { ...newCondition(type), metric });
+  };
+
+  const addCondition = () => setDraft({ ...draft, conditions: [...draft.conditions, newCondition()] });
+
+  const removeCondition = (index) => setDraft({ ...draft, conditions: draft.conditions.filter((_, i) => i !== index) });
+
+  const sound = draft.sound || null;
+  const soundChoice = !sound ? '' : 'src' in sound ? 'upload' : sound.pattern;
+
+  const changeSound = (choice) => {
+    if (choice === 'upload') setDraft({ ...draft, sound: sound && sound.src ? sound : { name: '', src: '' } });
+    else setDraft({ ...draft, sound: choice ? { pattern: choice } : null });
+  };
+
+  const handleSoundUpload = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    if (!file.type.startsWith('audio/')) {
+      alert('Please upload a valid audio file (MP3, WAV, OGG).');
+      return;
+    }
+    if (file.size > MAX_SOUND_BYTES) {
+      alert('Rule sounds are limited to 1MB.');
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => setDraft(current => ({ ...current, sound: { name: file.name, src: reader.result } }));
+    reader.onerror = () => alert('Error reading audio file.');
+    reader.readAsDataURL(file);
+  };
+
+  const save = () => {
+    const errors = validateDraft(draft, groups);
+    if (sound && sound.src === '') errors.push('Choose a sound file to upload, or another sound.');
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+    onSave(toRule(draft, sound));
+  };
+
+  // The message and sound do not change what a rule fires on
+  const test = () => {
+    const errors = validateDraft({ ...draft, message: 'x' }, groups);
+    if (errors.length > 0) {
+      alert(errors.join('\n'));
+      return;
+    }
+    onTest(toRule(draft, sound));
+  };
+
+  const preview = validateDraft({ ...draft, message: 'x' }, groups).length === 0 ? describeRule(draft) : null;
+
+  return (
+    <>
+      <div className="modal d-block" tabIndex="-1" role="dialog" aria-labelledby="ruleEditorLabel">
+        <div className="modal-dialog modal-lg modal-dialog-scrollable">
+          <div className="modal-content">
+            <div className="modal-header">
+              <h5 className="modal-title" id="ruleEditorLabel">{rule ? 'Edit Rule' : 'Add Rule'}</h5>
+              <button type="button" className="btn-close" aria-label="Close" onClick={onCancel}></button>
+            </div>
+            <div className="modal-body">
+              <div className="d-flex align-items-center mb-2">
+                <label className="form-label mb-0 me-2" htmlFor="ruleLogic">Raise an alert when</label>
+                <select id="ruleLogic" className="form-select form-select-sm w-auto" name="logic" value={draft.logic} onChange={handleChange}>
+                  <option value="AND">all conditions hold (AND)</option>
+                  <option value="OR">any condition holds (OR)</option>
+                </select>
+              </div>
+              {draft.conditions.map((c, i) => (
+                <div className="row g-2 align-items-center mb-2" key={i}>
+                  <div className="col-md-3">
+                    <select
+                      className="form-select"
+                      aria-label={`Condition ${i + 1} type`}
+                      value={c.type}
+                      onChange={(e) => changeConditionType(i, e.target.value)}
+                    >
+                      <option value="threshold">Threshold</option>
+                      <option value="change">Change between readings</option>
+                    </select>
+                  </div>
+                  <div className="col-md-3">
+                    <select
+                      className="form-select"
+                      aria-label={`Condition ${i + 1} metric`}
+                      value={c.metric}
+                      onChange={(e) => updateCondition(i, { metric: e.target.value })}
+                    >
+                      {Object.entries(METRICS).map(([key, m]) => (
+                        <option key={key} value={key}>{m.label} ({m.unit})</option>
+                      ))}
+                    </select>
+                  </div>
+                  {c.type === 'change' ? (
+                    <>
+                      <div className="col-md-3">
+                        <select
+                          className="form-select"
+                          aria-label={`Condition ${i + 1} direction`}
+                          value={c.direction}
+                          onChange={(e) => updateCondition(i, { direction: e.target.value })}
+                        >
+                          <option value="drop">Drops by more than</option>
+                          <option value="rise">Rises by more than</option>
+                        </select>
+                      </div>
+                      <div className="col-md-2">
+                        <div className="input-group">
+                          <input
+                            type="number"
+                            className="form-control"
+                            aria-label={`Condition ${i + 1} percent`}
+                            value={c.percent}
+                            onChange={(e) => updateCondition(i, { percent: e.target.value })}
+                          />
+                          <span className="input-group-text">%</span>
+                        </div>
+                      </div>
+                    </>
+                  ) : (
+                    <>
+                      <div className="col-md-3">
+                        <select
+                          className="form-select"
+                          aria-label={`Condition ${i + 1} comparison`}
+                          value={c.condition}
+                          onChange={(e) => updateCondition(i, { condition: e.target.value })}
+                        >
+                          {Object.entries(COMPARISON_LABELS).map(([op, label]) => (
+                            <option key={op} value={op}>{label}</option>
+                          ))}
+                        </select>
+                      </div>
+                      <div className="col-md-2">
+                        <input
+                          type="number"
+                          className="form-control"
+                          aria-label={`Condition ${i + 1} value`}
+                          value={c.value}
+                          onChange={(e) => updateCondition(i, { value: e.target.value })}
+                          placeholder="e.g., 100"
+                        />
+                      </div>
+                    </>
+                  )}
+                  <div className="col-md-1">
+                    <button
+                      type="button"
+                      className="btn btn-sm btn-outline-danger"
+                      aria-label={`Remove condition ${i + 1}`}
+                      onClick={() => removeCondition(i)}
+                      disabled={draft.conditions.length === 1}
+                    >
+                      &times;
+                    </button>
+                  </div>
+                </div>
+              ))}
+              <button type="button" className="btn btn-sm btn-outline-secondary mb-3" onClick={addCondition}>
+                Add Condition
+              </button>
+              <div className="row g-2 mb-3">
+                <div className="col-md-6">
+                  <label className="form-label" htmlFor="ruleDurationType">Must persist:</label>
+                  <select id="ruleDurationType" className="form-select" name="type" value={draft.duration.type} onChange={handleDurationChange}>
+                    <option value="none">No (fire on every matching reading)</option>
+                    <option value="readings">For N consecutive readings</option>
+                    <option value="minutes">For M minutes</option>
+                  </select>
+                </div>
+                {draft.duration.type !== 'none' && (
+                  <div className="col-md-6">
+                    <label className="form-label" htmlFor="ruleDurationValue">
+                      {draft.duration.type === 'readings' ? 'Readings:' : 'Minutes:'}
+                    </label>
+                    <input
+                      id="ruleDurationValue"
+                      type="number"
+                      min="1"
+                      className="form-control"
+                      name="value"
+                      value={draft.duration.value}
+                      onChange={handleDurationChange}
+                    />
+                  </div>
+                )}
+              </div>
+              <div className="mb-3">
+                <ScopeFields
+                  scope={draft.scope}
+                  groups={groups}
+                  onChange={(scope) => setDraft({ ...draft, scope })}
+                  idPrefix="rule"
+                />
+              </div>
+              <div className="mb-3">
+                <label className="form-label" htmlFor="ruleSeverity">Severity:</label>
+                <select id="ruleSeverity" className="form-select" name="severity" value={draft.severity} onChange={handleChange}>
+                  <option value="warning">Warning</option>
+                  <option value="critical">Critical</option>
+                </select>
+              </div>
+              <div className="mb-3">
+                <label className="form-label" htmlFor="ruleSound">Sound:</label>
+                <div className="input-group">
+                  <select id="ruleSound" className="form-select" value={soundChoice} onChange={(e) => changeSound(e.target.value)}>
+                    <option value="">Default for severity</option>
+                    {Object.entries(TONE_PATTERNS).map(([key, pattern]) => (
+                      <option key={key} value={key}>{pattern.label}</option>
+                    ))}
+                    <option value="upload">Uploaded file</option>
+                  </select>
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary"
+                    onClick={() => onPreviewSound(draft.severity, sound)}
+                    disabled={Boolean(sound && sound.src === '')}
+                  >
+                    Preview
+                  </button>
+                </div>
+                {soundChoice === 'upload' && (
+                  <>
+                    <input type="file" accept="audio/*" className="form-control mt-2" aria-label="Rule sound file" onChange={handleSoundUpload} />
+                    <small className="text-muted">Current: {sound.name || 'none'}</small>
+                  </>
+                )}
+              </div>
+              <div className="mb-3">
+                <label className="form-label" htmlFor="ruleMessage">Message:</label>
+                <input
+                  id="ruleMessage"
+                  type="text"
+                  className="form-control"
+                  name="message"
+                  value={draft.message}
+                  onChange={handleChange}
+                  placeholder="e.g., Critical low power detected"
+                />
+              </div>
+              {preview && <p className="text-muted small mb-0">Fires when: {preview}</p>}
+              {testResult && (
+                <div className="mt-3">
+                  <h6>Test Results</h6>
+                  <p className="small text-muted">
+                    Tested {describeRule(testResult.rule)} against {testResult.readings} loaded readings and marked where it would fire on the trend chart. Nothing is raised and no alarm sounds.
+                  </p>
+                  {testResult.fired.length === 0 ? (
+                    <p className="mb-0">Would not have fired.</p>
+                  ) : (
+                    <>
+                      <p>
+                        Would have fired {testResult.fired.length} time{testResult.fired.length === 1 ? '' : 's'} on{' '}
+                        {testResult.panels.length} panel{testResult.panels.length === 1 ? '' : 's'}.
+                      </p>
+                      <table className="table table-sm mt-2 mb-0">
+                        <thead>
+                          <tr>
+                            <th>Panel ID</th>
+                            <th>Alerts</th>
+                            <th>When</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {testResult.panels.map(p => (
+                            <tr key={p.id}>
+                              <td>{p.id}</td>
+                              <td>{p.count}</td>
+                              <td className="small">
+                                {p.times.slice(0, TIMES_SHOWN).map(when => new Date(when).toLocaleString()).join(', ')}
+                                {p.count > TIMES_SHOWN && ` and ${p.count - TIMES_SHOWN} more`}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </>
+                  )}
+                </div>
+              )}
+            </div>
+            <div className="modal-footer">
+              <button type="button" className="btn btn-outline-primary me-auto" onClick={test}>Test Rule</button>
+              <button type="button" className="btn btn-primary" onClick={save}>Save Rule</button>
+              <button type="button" className="btn btn-secondary" onClick={onCancel}>Cancel</button>
+            </div>
+          </div>
+        </div>
+      </div>
+      <div className="modal-backdrop show"></div>
+    </>
+  );
+}
+
+export default RuleEditor;
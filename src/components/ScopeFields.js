@@ -0,0 +1,76 @@
+// Scope Fields
+// Inputs for choosing which panels a rule or threshold override applies to.
+import React from 'react';
+import { SCOPE_TYPES } from '../engine/scope';
+
+function ScopeFields({ scope, groups, onChange, idPrefix }) {
+  const type = scope ? scope.type : 'all';
+  const ids = scope && Array.isArray(scope.ids) ? scope.ids.join(', ') : (scope && scope.ids) || '';
+
+  const changeType = (e) => {
+    const next = e.target.value;
+    if (next === 'group') onChange({ type: next, group: groups.length > 0 ? groups[0].name : '' });
+    else if (next === 'pattern') onChange({ type: next, pattern: '' });
+    else if (next === 'all') onChange({ type: next });
+    else onChange({ type: next, ids: '' });
+  };
+
+  return (
+    <div className="row g-2">
+      <div className="col-md-4">
+        <label className="form-label" htmlFor={`${idPrefix}ScopeType`}>Applies to:</label>
+        <select id={`${idPrefix}ScopeType`} className="form-select" value={type} onChange={changeType}>
+          {Object.entries(SCOPE_TYPES).map(([key, label]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+      </div>
+      {(type === 'panels' || type === 'strings') && (
+        <div className="col-md-8">
+          <label className="form-label" htmlFor={`${idPrefix}ScopeIds`}>
+            {type === 'panels' ? 'Panel IDs:' : 'String IDs:'}
+          </label>
+          <input
+            id={`${idPrefix}ScopeIds`}
+            type="text"
+            className="form-control"
+            value={ids}
+            onChange={(e) => onChange({ type, ids: e.target.value })}
+            placeholder={type === 'panels' ? 'e.g., PV001, PV002' : 'e.g., S1, S2'}
+          />
+        </div>
+      )}
+      {type === 'pattern' && (
+        <div className="col-md-8">
+          <label className="form-label" htmlFor={`${idPrefix}ScopePattern`}>Panel ID pattern:</label>
+          <input
+            id={`${idPrefix}ScopePattern`}
+            type="text"
+            className="form-control"
+            value={scope.pattern}
+            onChange={(e) => onChange({ type, pattern: e.target.value })}
+            placeholder="e.g., PV0* or /^PV0\d+$/"
+          />
+        </div>
+      )}
+      {type === 'group' && (
+        <div className="col-md-8">
+          <label className="form-label" htmlFor={`${idPrefix}ScopeGroup`}>Group:</label>
+          <select
+            id={`${idPrefix}ScopeGroup`}
+            className="form-select"
+            value={scope.group}
+            onChange={(e) => onChange({ type, group: e.target.value })}
+          >
+            {groups.length === 0 && <option value="">No groups defined</option>}
+            {groups.map(g => (
+              <option key={g.name} value={g.name}>{g.name}</option>
+            ))}
+          </select>
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default ScopeFields;
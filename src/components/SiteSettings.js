@@ -0,0 +1,73 @@
+// Site Location Settings
+// Latitude, longitude and timezone of the array, used to tell daylight from
+// night, plus what to do with readings that show no production at night.
+import React from 'react';
+import { siteConfigured, solarPosition, sunTimes } from '../engine/solar';
+
+// Format a moment in the site timezone, falling back to the browser's
+const siteTime = (date, timezone) => {
+  if (!date) return '—';
+  try {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', timeZone: timezone });
+  } catch (error) {
+    return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+  }
+};
+
+function SiteSettings({ site, onChange, now = new Date() }) {
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    onChange({ ...site, [name]: value });
+  };
+
+  const handleNumberChange = (e) => {
+    const { name, value } = e.target;
+    const number = parseFloat(value);
+    onChange({ ...site, [name]: isNaN(number) ? site[name] : number });
+  };
+
+  const located = siteConfigured(site);
+  const sun = located ? sunTimes(now, site) : null;
+  const elevation = located ? solarPosition(now, parseFloat(site.latitude), parseFloat(site.longitude)).elevation : null;
+
+  return (
+    <div>
+      <div className="row g-2">
+        <div className="col-md-4">
+          <label className="form-label" htmlFor="siteLatitude">Latitude:</label>
+          <input id="siteLatitude" type="number" step="any" className="form-control" name="latitude" value={site.latitude} onChange={handleChange} placeholder="e.g., 52.52" />
+        </div>
+        <div className="col-md-4">
+          <label className="form-label" htmlFor="siteLongitude">Longitude:</label>
+          <input id="siteLongitude" type="number" step="any" className="form-control" name="longitude" value={site.longitude} onChange={handleChange} placeholder="e.g., 13.40" />
+        </div>
+        <div className="col-md-4">
+          <label className="form-label" htmlFor="siteTimezone">Timezone:</label>
+          <input id="siteTimezone" type="text" className="form-control" name="timezone" value={site.timezone} onChange={handleChange} placeholder="e.g., Europe/Berlin" />
+        </div>
+        <div className="col-md-4">
+          <label className="form-label" htmlFor="siteDaylightElevation">Daylight above (° elevation):</label>
+          <input id="siteDaylightElevation" type="number" className="form-control" name="daylightElevation" value={site.daylightElevation} onChange={handleNumberChange} />
+        </div>
+        <div className="col-md-4">
+          <label className="form-label" htmlFor="siteNightProduction">No production at night:</label>
+          <select id="siteNightProduction" className="form-select" name="nightProduction" value={site.nightProduction} onChange={handleChange}>
+            <option value="suppress">Expected, no alert</option>
+            <option value="warn">Warning only</option>
+          </select>
+        </div>
+        <div className="col-md-4">
+          <label className="form-label" htmlFor="siteNightVoltageFloor">Night voltage lost at or below (V):</label>
+          <input id="siteNightVoltageFloor" type="number" className="form-control" name="nightVoltageFloor" value={site.nightVoltageFloor} onChange={handleNumberChange} />
+        </div>
+      </div>
+      <p className="text-muted small mt-2 mb-0">
+        {located
+          ? `Today: sunrise ${siteTime(sun.sunrise, site.timezone)}, sunset ${siteTime(sun.sunset, site.timezone)} (${site.timezone}); sun now at ${elevation.toFixed(1)}°.`
+          : 'Set the site location to stop night-time readings raising offline and low power alerts.'}
+      </p>
+    </div>
+  );
+}
+
+export default SiteSettings;
@@ -0,0 +1,121 @@
+// Alarm Sound Settings
+// How often each severity may sound and how loud, whether critical alarms repeat
+// until acknowledged, and the quiet hours when warnings stay silent.
+import React from 'react';
+import { SEVERITIES } from '../audio/soundManager';
+
+const SEVERITY_LABELS = { critical: 'Critical', warning: 'Warning' };
+
+function SoundSettings({ settings, onChange }) {
+  const update = (name, value) => onChange({ ...settings, [name]: value });
+  const updateSeverity = (severity, name, value) => update(severity, { ...settings[severity], [name]: value });
+  const updateQuietHours = (name, value) => update('quietHours', { ...settings.quietHours, [name]: value });
+
+  return (
+    <div>
+      <div className="row g-2">
+        {SEVERITIES.map(severity => (
+          <React.Fragment key={severity}>
+            <div className="col-md-3">
+              <label className="form-label" htmlFor={`${severity}SoundInterval`}>{SEVERITY_LABELS[severity]} at most every (s):</label>
+              <input
+                id={`${severity}SoundInterval`}
+                type="number"
+                min="0"
+                className="form-control"
+                value={settings[severity].interval}
+                onChange={(e) => updateSeverity(severity, 'interval', Math.max(parseFloat(e.target.value) || 0, 0))}
+              />
+            </div>
+            <div className="col-md-3">
+              <label className="form-label" htmlFor={`${severity}SoundVolume`}>{SEVERITY_LABELS[severity]} volume: {settings[severity].volume}%</label>
+              <input
+                id={`${severity}SoundVolume`}
+                type="range"
+                min="0"
+                max="100"
+                className="form-range"
+                value={settings[severity].volume}
+                onChange={(e) => updateSeverity(severity, 'volume', parseInt(e.target.value, 10))}
+              />
+            </div>
+          </React.Fragment>
+        ))}
+      </div>
+      <div className="row g-2 align-items-end mt-1">
+        <div className="col-md-6">
+          <div className="form-check">
+            <input
+              id="repeatCritical"
+              type="checkbox"
+              className="form-check-input"
+              checked={settings.repeatCritical}
+              onChange={(e) => update('repeatCritical', e.target.checked)}
+            />
+            <label className="form-check-label" htmlFor="repeatCritical">Repeat critical alarm until acknowledged</label>
+          </div>
+        </div>
+        <div className="col-md-6">
+          <label className="form-label" htmlFor="repeatInterval">Repeat every (s):</label>
+          <input
+            id="repeatInterval"
+            type="number"
+            min="5"
+            className="form-control"
+            value={settings.repeatInterval}
+            disabled={!settings.repeatCritical}
+            onChange={(e) => update('repeatInterval', parseFloat(e.target.value) || settings.repeatInterval)}
+          />
+        </div>
+      </div>
+      <div className="row g-2 align-items-end mt-1">
+        <div className="col-md-3">
+          <div className="form-check">
+            <input
+              id="quietHoursEnabled"
+              type="checkbox"
+              className="form-check-input"
+              checked={settings.quietHours.enabled}
+              onChange={(e) => updateQuietHours('enabled', e.target.checked)}
+            />
+            <label className="form-check-label" htmlFor="quietHoursEnabled">Quiet hours</label>
+          </div>
+        </div>
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="quietHoursStart">From:</label>
+          <input
+            id="quietHoursStart"
+            type="time"
+            className="form-control"
+            value={settings.quietHours.start}
+            onChange={(e) => updateQuietHours('start', e.target.value || settings.quietHours.start)}
+          />
+        </div>
+        <div className="col-md-3">
+          <label className="form-label" htmlFor="quietHoursEnd">Until:</label>
+          <input
+            id="quietHoursEnd"
+            type="time"
+            className="form-control"
+            value={settings.quietHours.end}
+            onChange={(e) => updateQuietHours('end', e.target.value || settings.quietHours.end)}
+          />
+        </div>
+        <div className="col-md-3">
+          <div className="form-check">
+            <input
+              id="quietHoursCritical"
+              type="checkbox"
+              className="form-check-input"
+              checked={settings.quietHours.critical}
+              onChange={(e) => updateQuietHours('critical', e.target.checked)}
+            />
+            <label className="form-check-label" htmlFor="quietHoursCritical">Critical still sounds</label>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default SoundSettings;
@@ -0,0 +1,61 @@
+// Theft Detection Settings
+// How close together panel drops must be, how many neighbours must go, and the
+// confidence needed before a "theft suspected" alert is raised.
+import React from 'react';
+
+function TheftSettings({ settings, onChange }) {
+  const update = (name, value) => onChange({ ...settings, [name]: value });
+
+  return (
+    <div className="row g-2 align-items-end">
+      <div className="col-md-3">
+        <div className="form-check">
+          <input
+            id="theftEnabled"
+            type="checkbox"
+            className="form-check-input"
+            checked={settings.enabled}
+            onChange={(e) => update('enabled', e.target.checked)}
+          />
+          <label className="form-check-label" htmlFor="theftEnabled">Detect theft signatures</label>
+        </div>
+      </div>
+      <div className="col-md-3">
+        <label className="form-label" htmlFor="theftWindow">Within minutes:</label>
+        <input
+          id="theftWindow"
+          type="number"
+          min="1"
+          className="form-control"
+          value={settings.windowMinutes}
+          onChange={(e) => update('windowMinutes', parseInt(e.target.value, 10) || settings.windowMinutes)}
+        />
+      </div>
+      <div className="col-md-3">
+        <label className="form-label" htmlFor="theftMinPanels">Minimum panels:</label>
+        <input
+          id="theftMinPanels"
+          type="number"
+          min="2"
+          className="form-control"
+          value={settings.minPanels}
+          onChange={(e) => update('minPanels', Math.max(parseInt(e.target.value, 10) || settings.minPanels, 2))}
+        />
+      </div>
+      <div className="col-md-3">
+        <label className="form-label" htmlFor="theftConfidence">Minimum confidence %:</label>
+        <input
+          id="theftConfidence"
+          type="number"
+          min="1"
+          max="100"
+          className="form-control"
+          value={settings.minConfidence}
+          onChange={(e) => update('minConfidence', parseFloat(e.target.value) || settings.minConfidence)}
+        />
+      </div>
+    </div>
+  );
+}
+
+export default TheftSettings;
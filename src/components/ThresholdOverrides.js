@@ -0,0 +1,72 @@
+// Threshold Overrides
+// Power and voltage thresholds for a subset of panels, e.g. 600 W modules on
+// a higher string voltage. The first override covering a panel wins.
+import React, { useState } from 'react';
+import { cleanScope, describeScope, scopeError } from '../engine/scope';
+import ScopeFields from './ScopeFields';
+
+function ThresholdOverrides({ overrides, groups, onAdd, onDelete }) {
+  const [scope, setScope] = useState({ type: 'pattern', pattern: '' });
+  const [power, setPower] = useState('');
+  const [voltage, setVoltage] = useState('');
+
+  const addOverride = () => {
+    const problem = scope.type === 'all' ? 'Overrides need a scope narrower than all panels.' : scopeError(scope, groups);
+    if (problem || isNaN(parseFloat(power)) || isNaN(parseFloat(voltage))) {
+      alert(problem || 'Please enter numeric power and voltage thresholds.');
+      return;
+    }
+    onAdd({ scope: cleanScope(scope), power: parseFloat(power), voltage: parseFloat(voltage) });
+    setScope({ type: 'pattern', pattern: '' });
+    setPower('');
+    setVoltage('');
+  };
+
+  return (
+    <div>
+      <h4 className="h6">Threshold Overrides</h4>
+      <ScopeFields scope={scope} groups={groups} onChange={setScope} idPrefix="override" />
+      <div className="row g-2 mt-1 mb-2">
+        <div className="col-md-4">
+          <input
+            type="number"
+            className="form-control"
+            aria-label="Override power threshold"
+            value={power}
+            onChange={(e) => setPower(e.target.value)}
+            placeholder="Power (W)"
+          />
+        </div>
+        <div className="col-md-4">
+          <input
+            type="number"
+            className="form-control"
+            aria-label="Override voltage threshold"
+            value={voltage}
+            onChange={(e) => setVoltage(e.target.value)}
+            placeholder="Voltage (V)"
+          />
+        </div>
+        <div className="col-md-4">
+          <button className="btn btn-outline-primary w-100" onClick={addOverride}>Add Override</button>
+        </div>
+      </div>
+      <table className="table table-sm">
+        <tbody>
+          {overrides.map(o => (
+            <tr key={o._id}>
+              <td>{describeScope(o.scope)}</td>
+              <td>{o.power} W</td>
+              <td>{o.voltage} V</td>
+              <td className="text-end">
+                <button className="btn btn-sm btn-outline-danger" onClick={() => onDelete(o._id)}>Delete</button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+export default ThresholdOverrides;
@@ -0,0 +1,316 @@
+// Solar PV alarm engine
+// Pure detection logic shared by the dashboard, tests and any future backend.
+// No React, audio or clock access in here: callers assign IDs and play sounds.
+import { METRICS, OPTIONAL_METRICS, EQUIPMENT_COLUMNS } from './metrics';
+import { evaluateRules, describeRule } from './rules';
+import { matchesScope, describeScope } from './scope';
+import { ANOMALY_DETECTORS, DEFAULT_DETECTORS, detectAnomalies, findRampReadings } from './anomaly';
+import { DEFAULT_PEER_SETTINGS, detectUnderperformance } from './peers';
+import { isDaylight, siteConfigured } from './solar';
+import { panelSeries } from './history';
+import {
+  DEFAULT_REGISTRY_SETTINGS,
+  detectOverRating,
+  findUnregistered,
+  ratedThresholds,
+  registryIndex,
+  withEquipment,
+} from './registry';
+import { DEFAULT_THEFT_SETTINGS, detectTheft } from './theft';
+import { DEFAULT_INTEGRITY_CHECKS, INTEGRITY_CHECKS, detectIntegrityIssues } from './integrity';
+import { applyMaintenance } from './maintenance';
+
+export const DEFAULT_THRESHOLDS = {
+  power: 50,
+  voltage: 200,
+};
+
+export { METRICS, OPTIONAL_METRICS, EQUIPMENT_COLUMNS, metricValue } from './metrics';
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+
+// Validate raw CSV rows and turn them into readings. Nothing is dropped silently:
+// rows without a panel ID or a usable timestamp are rejected, and unreadable power
+// or voltage cells are coerced to 0 (a blank power cell is what a cut cable looks
+// like, so it is kept as an offline reading). Every rejected or coerced row is
+// listed in the report with its source line number. A timestampError set by the
+// import mapping rejects the row with that reason.
+export const validateRows = (rows) => {
+  const readings = [];
+  const rejected = [];
+  const coerced = [];
+
+  rows.forEach((row, index) => {
+    const line = row.line || index + 2; // line 1 is the header
+    if (isBlank(row.id_panel)) {
+      rejected.push({ line, row, reason: 'Missing panel ID' });
+      return;
+    }
+    if (isBlank(row.timestamp)) {
+      rejected.push({ line, row, reason: 'Missing timestamp' });
+      return;
+    }
+    if (row.timestampError) {
+      rejected.push({ line, row, reason: row.timestampError });
+      return;
+    }
+    const timestamp = new Date(row.timestamp);
+    if (isNaN(timestamp.getTime())) {
+      rejected.push({ line, row, reason: `Unparseable timestamp "${row.timestamp}"` });
+      return;
+    }
+
+    const reasons = [];
+    const power = parseFloat(row.power);
+    const voltage = parseFloat(row.voltage);
+    if (isBlank(row.power)) reasons.push('Blank power treated as offline');
+    else if (isNaN(power)) reasons.push(`Non-numeric power "${row.power}" treated as offline`);
+    if (isBlank(row.voltage)) reasons.push('Blank voltage read as 0 V');
+    else if (isNaN(voltage)) reasons.push(`Non-numeric voltage "${row.voltage}" read as 0 V`);
+
+    const reading = {
+      id_panel: String(row.id_panel).trim(),
+      powerOut: !isNaN(power) ? power : 0,
+      voltage: !isNaN(voltage) ? voltage : 0,
+      when: timestamp,
+    };
+    OPTIONAL_METRICS.forEach(metric => {
+      const { column, field, label } = METRICS[metric];
+      if (isBlank(row[column])) return;
+      const value = parseFloat(row[column]);
+      if (isNaN(value)) reasons.push(`Non-numeric ${label.toLowerCase()} "${row[column]}" ignored`);
+      else reading[field] = value;
+    });
+    Object.entries(EQUIPMENT_COLUMNS).forEach(([column, field]) => {
+      if (!isBlank(row[column])) reading[field] = String(row[column]).trim();
+    });
+
+    if (reasons.length > 0) coerced.push({ line, row, reasons });
+    readings.push(reading);
+  });
+
+  return {
+    readings,
+    report: {
+      total: rows.length,
+      accepted: readings.length,
+      rejected,
+      coerced,
+    },
+  };
+};
+
+// Turn raw rows into readings, discarding the validation report
+export const parseReadings = (rows) => validateRows(rows).readings;
+
+// Classify a reading as offline, low or normal. Outside daylight no or low
+// production is expected, so those readings are 'night' instead.
+export const classifyReading = (reading, thresholds = DEFAULT_THRESHOLDS, daylight = true) => {
+  const power = reading.powerOut;
+  if (isNaN(power) || power === 0) return daylight ? 'offline' : 'night';
+  if (power < thresholds.power) return daylight ? 'low' : 'night';
+  return 'normal';
+};
+
+// Thresholds that apply to one reading: the first override whose scope covers the
+// panel wins, then the thresholds from the panel's rating (see ratedThresholds),
+// otherwise the site-wide defaults. The override is returned with them, and
+// rated: true when the rating supplied them.
+export const resolveThresholds = (reading, thresholds = DEFAULT_THRESHOLDS, overrides = [], groups = [], rated = null) => {
+  const override = overrides.find(o => matchesScope(o.scope, reading, groups));
+  if (override) return { thresholds: { power: override.power, voltage: override.voltage }, override };
+  if (rated) return { thresholds: rated, override: null, rated: true };
+  return { thresholds, override: null };
+};
+
+const makeAlert = (reading, type, severityLevel, alertMessage, extra = {}) => ({
+  id_panel: reading.id_panel,
+  type,
+  alertMessage,
+  severityLevel,
+  when: reading.when,
+  ...extra,
+});
+
+// Run the built-in detectors over a reading and return the alerts it raises
+// The override that supplied the thresholds, if any, is recorded on threshold alerts.
+// Outside daylight production and voltage checks are skipped, or with
+// nightProduction 'warn' a reading without production raises a warning instead.
+export const detectReadingAlerts = (reading, {
+  thresholds = DEFAULT_THRESHOLDS,
+  override = null,
+  rated = false,
+  daylight = true,
+  nightProduction = 'suppress',
+}) => {
+  const alerts = [];
+  const status = reading.panelStatus || classifyReading(reading, thresholds, daylight);
+  if (!daylight) {
+    if (status === 'night' && nightProduction === 'warn') {
+      alerts.push(makeAlert(reading, 'night_production', 'warning',
+        `Panel ${reading.id_panel} reports ${reading.powerOut > 0 ? 'low' : 'no'} power outside daylight`));
+    }
+    return alerts;
+  }
+  let source = { scope: describeScope(null) };
+  if (override) source = { thresholdId: override._id, scope: describeScope(override.scope) };
+  else if (rated) source = { scope: 'Panel rating' };
+
+  // Default rules. A single panel going dark is an equipment fault; theft is
+  // judged across panels by the theft detector.
+  if (status === 'offline') {
+    alerts.push(makeAlert(reading, 'offline', 'warning', `Panel ${reading.id_panel} is offline`));
+  } else if (status === 'low') {
+    alerts.push(makeAlert(reading, 'low_power', 'warning',
+      `Panel ${reading.id_panel} has low power: ${reading.powerOut.toFixed(2)}W`, source));
+  }
+  if (reading.voltage < thresholds.voltage) {
+    alerts.push(makeAlert(reading, 'low_voltage', 'warning',
+      `Panel ${reading.id_panel} has low voltage: ${reading.voltage.toFixed(2)}V`, source));
+  }
+
+  return alerts;
+};
+
+// Alert raised when a data source stops answering: losing contact with a
+// datalogger is itself a theft or sabotage signal
+export const sourceUnreachableAlert = (source, error, when) => ({
+  id_panel: source.name,
+  type: 'source_unreachable',
+  alertMessage: `Data source ${source.name} unreachable: ${error.message}. Possible theft or sabotage`,
+  severityLevel: 'critical',
+  when,
+});
+
+// Night-time disconnection check: a panel whose voltage falls to the floor after
+// reading above it, outside daylight, has most likely been physically disconnected
+export const detectNightVoltageLoss = (readings, history, site) => {
+  const fresh = new Set(readings);
+  const found = [];
+  panelSeries(history.concat(readings)).forEach(series => {
+    series.forEach((reading, i) => {
+      if (i === 0 || !fresh.has(reading) || isDaylight(reading.when, site)) return;
+      const before = series[i - 1].voltage;
+      if (reading.voltage <= site.nightVoltageFloor && before > site.nightVoltageFloor) found.push(reading);
+    });
+  });
+  return found;
+};
+
+// Evaluate a batch of readings: returns readings tagged with panelStatus and
+// relativePerformance (% of the peer median, or null) and the alerts raised.
+// Readings already evaluated can be passed as history, and readings resent by
+// the source as resent; both inform the checks but raise no alerts themselves.
+export const runAlarmEngine = (batch, {
+  thresholds = DEFAULT_THRESHOLDS,
+  overrides = [],
+  groups = [],
+  rules = [],
+  detectors = DEFAULT_DETECTORS,
+  peers = DEFAULT_PEER_SETTINGS,
+  site = null,
+  history = [],
+  registry = [],
+  registrySettings = DEFAULT_REGISTRY_SETTINGS,
+  theft = DEFAULT_THEFT_SETTINGS,
+  layout = null,
+  integrity = DEFAULT_INTEGRITY_CHECKS,
+  now = null,
+  maintenance = [],
+  resent = [],
+} = {}) => {
+  const index = registryIndex(registry);
+  const readings = batch.map(r => withEquipment(r, index.get(r.id_panel)));
+  const located = siteConfigured(site);
+  const daytime = (r) => !located || isDaylight(r.when, site);
+  const daylight = readings.map(daytime);
+  const resolved = readings.map(r => resolveThresholds(r, thresholds, overrides, groups,
+    ratedThresholds(index.get(r.id_panel), thresholds, registrySettings)));
+  // Peers are only compared in daylight: at dusk and dawn small differences in
+  // orientation dwarf the little power there is
+  const { performance, underperforming } = detectUnderperformance(readings.filter(daytime), history.filter(daytime), peers);
+  const panels = readings.map((r, i) => ({
+    ...r,
+    panelStatus: classifyReading(r, resolved[i].thresholds, daylight[i]),
+    relativePerformance: performance.has(r) ? performance.get(r).percent : null,
+  }));
+  const alerts = panels.flatMap((p, i) => detectReadingAlerts(p, {
+    ...resolved[i],
+    daylight: daylight[i],
+    nightProduction: located ? site.nightProduction : 'suppress',
+  }));
+
+  // Voltage disappearing at night means a physical disconnection
+  const nightLosses = located ? detectNightVoltageLoss(panels, history, site) : [];
+  nightLosses.forEach(reading => {
+    alerts.push(makeAlert(reading, 'voltage_lost', 'critical',
+      `Panel ${reading.id_panel}${reading.stringId ? ` on string ${reading.stringId}` : ''} lost voltage at night: Possible physical disconnection`));
+  });
+
+  // Several panels disconnected together, at night or dropping out of the feed
+  detectTheft(panels, { history, nightLosses, layout, settings: theft }).forEach(({ site: siteId, reading, panels: affected, confidence, signals }) => {
+    const shown = affected.length > 5 ? `${affected.slice(0, 5).join(', ')} and ${affected.length - 5} more` : affected.join(', ');
+    alerts.push(makeAlert({ ...reading, id_panel: siteId || 'Site' }, 'theft', 'critical',
+      `Theft suspected${siteId ? ` at ${siteId}` : ''}: ${affected.length} panels (${shown}), ${confidence}% confidence`,
+      { panels: affected, confidence, signals }));
+  });
+
+  // Readings the panel cannot physically produce
+  detectOverRating(panels, index, registrySettings).forEach(({ reading, metric, value, limit }) => {
+    const detail = metric === 'power'
+      ? `Power ${value.toFixed(2)}W above its ${limit}Wp rating`
+      : `Voltage ${value.toFixed(2)}V above its ${limit}V Voc`;
+    alerts.push(makeAlert(reading, 'over_rating', 'warning', `Panel ${reading.id_panel} reads beyond its nameplate: ${detail}`,
+      { category: 'integrity' }));
+  });
+
+  // Devices missing from the registry
+  if (registrySettings.flagUnregistered) {
+    findUnregistered(panels, index).forEach(reading => {
+      alerts.push(makeAlert(reading, 'unregistered', 'warning',
+        `Unregistered device ${reading.id_panel} is reporting: New panel or spoofed feed`, { category: 'integrity' }));
+    });
+  }
+
+  // Telemetry that cannot be trusted; replayed sequences point to a spoofed feed
+  const copies = resent.map(r => withEquipment(r, index.get(r.id_panel)));
+  detectIntegrityIssues(panels, history, integrity, now, copies).forEach(({ reading, check, detail }) => {
+    alerts.push(makeAlert(reading, 'integrity', check === 'replay' ? 'critical' : 'warning',
+      `Integrity check on ${reading.id_panel} (${INTEGRITY_CHECKS[check].label}): ${detail}`,
+      { check, category: 'integrity' }));
+  });
+
+  // Panels staying below their peers at the same timestamps
+  underperforming.forEach(({ reading, percent, median, group }) => {
+    alerts.push(makeAlert(reading, 'underperforming', 'warning',
+      `Panel ${reading.id_panel} underperforming vs peers: ${percent.toFixed(1)}% of the ${group} median (${median.toFixed(2)}W)`,
+      { relativePerformance: percent }));
+  });
+
+  // Anomalies against each panel's own recent readings, within its rating. Without
+  // a location the sun cannot time dawn and dusk, so the panel's own ramps are left out.
+  const ramps = located ? new Set() : findRampReadings(history.concat(panels));
+  const judged = (r) => daytime(r) && !ramps.has(r);
+  detectAnomalies(panels.filter(judged), history.filter(judged), detectors, index).forEach(({ reading, detector, low, high, drift }) => {
+    const prefix = `Anomaly in ${reading.id_panel} (${ANOMALY_DETECTORS[detector].label}): Power ${reading.powerOut.toFixed(2)}W`;
+    alerts.push(drift
+      ? makeAlert(reading, 'anomaly', 'warning',
+        `${prefix} drifting ${drift.direction} its ${drift.baseline.toFixed(2)}W baseline, cumulative ${drift.sum.toFixed(1)}σ over the ${drift.limit}σ limit`,
+        { detector, drift })
+      : makeAlert(reading, 'anomaly', 'warning', `${prefix} outside expected ${low.toFixed(2)}–${high.toFixed(2)}W`,
+        { detector, expected: { low, high } }));
+  });
+
+  // Custom rules
+  evaluateRules(rules, panels, history, groups).forEach(({ rule, reading }) => {
+    alerts.push(makeAlert(reading, 'custom', rule.severity,
+      rule.message || `Custom alert: ${describeRule(rule)}`,
+      { ruleId: rule._id, scope: describeScope(rule.scope) }));
+  });
+
+  // Scheduled work: windows match panels by ID or string, taken from the panel's
+  // latest reading or its registry entry
+  const byId = new Map(history.concat(panels).map(p => [p.id_panel, p]));
+  const locate = (id) => byId.get(id) || withEquipment({ id_panel: id }, index.get(id));
+  return { panels, alerts: applyMaintenance(alerts, maintenance, { groups, locate }) };
+};
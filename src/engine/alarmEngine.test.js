@@ -0,0 +1,387 @@
+import {
+  DEFAULT_THRESHOLDS,
+  metricValue,
+  validateRows,
+  parseReadings,
+  classifyReading,
+  resolveThresholds,
+  detectReadingAlerts,
+  sourceUnreachableAlert,
+  runAlarmEngine,
+} from './alarmEngine';
+import { DEFAULT_REGISTRY_SETTINGS } from './registry';
+import { DEFAULT_THEFT_SETTINGS } from './theft';
+
+const reading = (id_panel, powerOut, voltage = 220, when = new Date('2025-07-20T10:00:00')) => ({
+  id_panel,
+  powerOut,
+  voltage,
+  when,
+});
+
+describe('parseReadings', () => {
+  test('converts CSV rows into numeric readings', () => {
+    const [r] = parseReadings([{ id_panel: 'PV001', power: '500.5', voltage: '220', timestamp: '2025-07-20 10:00:00' }]);
+    expect(r).toEqual({ id_panel: 'PV001', powerOut: 500.5, voltage: 220, when: new Date('2025-07-20 10:00:00') });
+  });
+
+  test('keeps rows with a blank power cell as offline readings', () => {
+    const [r] = parseReadings([{ id_panel: 'PV001', power: '', voltage: '220', timestamp: '2025-07-20 10:00:00' }]);
+    expect(r.powerOut).toBe(0);
+    expect(classifyReading(r)).toBe('offline');
+  });
+
+  test('maps non-numeric power to zero', () => {
+    const [r] = parseReadings([{ id_panel: 'PV001', power: 'n/a', voltage: '220', timestamp: '2025-07-20 10:00:00' }]);
+    expect(r.powerOut).toBe(0);
+  });
+});
+
+describe('validateRows', () => {
+  const row = (overrides = {}) => ({ id_panel: 'PV001', power: '400', voltage: '220', timestamp: '2025-07-20 10:00:00', ...overrides });
+
+  test('accepts clean rows without reporting them', () => {
+    const { readings, report } = validateRows([row(), row({ id_panel: 'PV002' })]);
+    expect(readings).toHaveLength(2);
+    expect(report).toEqual({ total: 2, accepted: 2, rejected: [], coerced: [] });
+  });
+
+  test('rejects rows without a panel ID or usable timestamp, with line numbers', () => {
+    const { readings, report } = validateRows([
+      row({ id_panel: ' ' }),
+      row({ timestamp: '' }),
+      row({ timestamp: 'yesterday' }),
+      row(),
+    ]);
+    expect(readings).toHaveLength(1);
+    expect(report.rejected.map(r => [r.line, r.reason])).toEqual([
+      [2, 'Missing panel ID'],
+      [3, 'Missing timestamp'],
+      [4, 'Unparseable timestamp "yesterday"'],
+    ]);
+  });
+
+  test('coerces unreadable power and voltage cells and says why', () => {
+    const { readings, report } = validateRows([row({ power: '', voltage: 'err', line: 17 })]);
+    expect(readings[0]).toEqual(expect.objectContaining({ powerOut: 0, voltage: 0 }));
+    expect(report.accepted).toBe(1);
+    expect(report.coerced).toEqual([{
+      line: 17,
+      row: expect.any(Object),
+      reasons: ['Blank power treated as offline', 'Non-numeric voltage "err" read as 0 V'],
+    }]);
+  });
+});
+
+describe('optional telemetry columns', () => {
+  const row = {
+    id_panel: 'PV001',
+    power: '400',
+    voltage: '220',
+    timestamp: '2025-07-20 10:00:00',
+    current_dc: '1.8',
+    current_ac: '',
+    temperature: '41.5',
+    irradiance: 'sensor fault',
+    inverter_id: ' INV-1 ',
+    string_id: 'S2',
+  };
+
+  test('are carried onto the reading when present', () => {
+    const { readings, report } = validateRows([row]);
+    expect(readings[0]).toEqual({
+      id_panel: 'PV001',
+      powerOut: 400,
+      voltage: 220,
+      when: new Date('2025-07-20 10:00:00'),
+      currentDc: 1.8,
+      moduleTemp: 41.5,
+      inverterId: 'INV-1',
+      stringId: 'S2',
+    });
+    expect(report.coerced[0].reasons).toEqual(['Non-numeric irradiance "sensor fault" ignored']);
+  });
+
+  test('metricValue reads any metric and returns null when absent', () => {
+    const [r] = parseReadings([row]);
+    expect(metricValue(r, 'power')).toBe(400);
+    expect(metricValue(r, 'currentDc')).toBe(1.8);
+    expect(metricValue(r, 'currentAc')).toBeNull();
+    expect(metricValue(r, 'unknown')).toBeNull();
+  });
+});
+
+describe('classifyReading', () => {
+  test('zero power is offline', () => {
+    expect(classifyReading(reading('PV001', 0))).toBe('offline');
+  });
+
+  test('power below threshold is low', () => {
+    expect(classifyReading(reading('PV001', 49))).toBe('low');
+    expect(classifyReading(reading('PV001', 90), { ...DEFAULT_THRESHOLDS, power: 100 })).toBe('low');
+  });
+
+  test('power at or above threshold is normal', () => {
+    expect(classifyReading(reading('PV001', 50))).toBe('normal');
+  });
+
+  test('no or low power outside daylight is night', () => {
+    expect(classifyReading(reading('PV001', 0), DEFAULT_THRESHOLDS, false)).toBe('night');
+    expect(classifyReading(reading('PV001', 20), DEFAULT_THRESHOLDS, false)).toBe('night');
+    expect(classifyReading(reading('PV001', 400), DEFAULT_THRESHOLDS, false)).toBe('normal');
+  });
+});
+
+describe('resolveThresholds', () => {
+  const overrides = [
+    { _id: 1, scope: { type: 'pattern', pattern: 'PV1*' }, power: 150, voltage: 300 },
+    { _id: 2, scope: { type: 'pattern', pattern: 'PV*' }, power: 80, voltage: 250 },
+  ];
+
+  test('the first override covering the panel wins', () => {
+    expect(resolveThresholds(reading('PV101', 100), DEFAULT_THRESHOLDS, overrides)).toEqual({
+      thresholds: { power: 150, voltage: 300 },
+      override: overrides[0],
+    });
+    expect(resolveThresholds(reading('PV001', 100), DEFAULT_THRESHOLDS, overrides).override).toBe(overrides[1]);
+  });
+
+  test('falls back to the defaults', () => {
+    expect(resolveThresholds(reading('INV1', 100), DEFAULT_THRESHOLDS, overrides)).toEqual({ thresholds: DEFAULT_THRESHOLDS, override: null });
+  });
+});
+
+describe('detectReadingAlerts', () => {
+  test('offline readings raise an equipment fault warning', () => {
+    const alerts = detectReadingAlerts(reading('PV001', 0), {});
+    expect(alerts).toEqual([
+      expect.objectContaining({
+        id_panel: 'PV001',
+        type: 'offline',
+        severityLevel: 'warning',
+        alertMessage: 'Panel PV001 is offline',
+      }),
+    ]);
+  });
+
+  test('low power and low voltage raise warnings', () => {
+    const alerts = detectReadingAlerts(reading('PV001', 20, 150), {});
+    expect(alerts.map(a => a.type)).toEqual(['low_power', 'low_voltage']);
+    expect(alerts.every(a => a.severityLevel === 'warning')).toBe(true);
+  });
+});
+
+describe('sourceUnreachableAlert', () => {
+  test('is a critical alert attributed to the data source', () => {
+    const when = new Date('2025-07-20T10:00:00Z');
+    expect(sourceUnreachableAlert({ name: 'Roof logger' }, new Error('timeout'), when)).toEqual({
+      id_panel: 'Roof logger',
+      type: 'source_unreachable',
+      alertMessage: 'Data source Roof logger unreachable: timeout. Possible theft or sabotage',
+      severityLevel: 'critical',
+      when,
+    });
+  });
+});
+
+describe('runAlarmEngine', () => {
+  test('tags readings with status and collects alerts without assigning ids', () => {
+    const readings = [reading('PV001', 500), reading('PV002', 0), reading('PV003', 30)];
+    const { panels, alerts } = runAlarmEngine(readings, { thresholds: DEFAULT_THRESHOLDS, rules: [] });
+    expect(panels.map(p => p.panelStatus)).toEqual(['normal', 'offline', 'low']);
+    expect(alerts.map(a => a.type)).toEqual(['offline', 'low_power']);
+    expect(panels.concat(alerts).some(x => '_id' in x)).toBe(false);
+  });
+
+  test('history feeds the per-panel anomaly detectors but raises no alerts', () => {
+    const at = (minute) => new Date(Date.UTC(2025, 6, 20, 10, minute));
+    const history = [100, 104, 98, 101, 97, 103, 99, 102].map((p, i) => reading('PV001', p, 220, at(i * 5)));
+    const { panels, alerts } = runAlarmEngine([reading('PV001', 600, 220, at(45)), reading('PV002', 600, 220, at(45))], { history });
+    expect(panels).toHaveLength(2);
+    expect(alerts).toEqual([expect.objectContaining({ id_panel: 'PV001', type: 'anomaly', detector: 'zscore' })]);
+    expect(alerts[0].alertMessage).toMatch(/^Anomaly in PV001 \(EWMA z-score\): Power 600\.00W outside expected \d+\.\d{2}–\d+\.\d{2}W$/);
+  });
+
+  test('without a site location the dawn ramp is not judged against the day before', () => {
+    const at = (day, hour, minute = 0) => new Date(2025, 6, day, hour, minute);
+    const afternoon = [400, 404, 398, 401, 397, 403, 399, 402].map((p, i) => reading('PV001', p, 220, at(20, 14, i * 5)));
+    const night = [reading('PV001', 0, 0, at(20, 21)), reading('PV001', 0, 0, at(21, 4, 30))];
+    const dawn = [reading('PV001', 40, 200, at(21, 5, 30))];
+    expect(runAlarmEngine(dawn, { history: afternoon.concat(night) }).alerts.map(a => a.type)).not.toContain('anomaly');
+    const midday = [reading('PV001', 40, 200, at(20, 14, 45))];
+    expect(runAlarmEngine(midday, { history: afternoon }).alerts.map(a => a.type)).toContain('anomaly');
+  });
+
+  test('CUSUM alerts report the cumulative drift against the decision limit', () => {
+    const at = (minute) => new Date(Date.UTC(2025, 6, 20, 10, minute));
+    const detectors = {
+      zscore: { enabled: false, window: 20, sensitivity: 3 },
+      iqr: { enabled: false, window: 20, sensitivity: 1.5 },
+      cusum: { enabled: true, window: 5, sensitivity: 2 },
+    };
+    const history = [100, 104, 96, 102, 98].map((p, i) => reading('PV001', p, 220, at(i * 5)));
+    const { alerts } = runAlarmEngine([reading('PV001', 90, 220, at(25))], { history, detectors });
+    expect(alerts).toEqual([expect.objectContaining({
+      detector: 'cusum',
+      drift: { direction: 'below', sum: expect.any(Number), limit: 2, baseline: 100 },
+    })]);
+    expect(alerts[0].alertMessage).toMatch(/^Anomaly in PV001 \(CUSUM drift\): Power 90\.00W drifting below its 100\.00W baseline, cumulative \d+\.\dσ over the 2σ limit$/);
+  });
+
+  test('custom rules carry their severity, message and rule id', () => {
+    const rule = { _id: 7, metric: 'power', condition: '<', value: 400, severity: 'critical', message: 'Too low' };
+    const { alerts } = runAlarmEngine([reading('PV001', 300)], { rules: [rule] });
+    expect(alerts).toEqual([expect.objectContaining({ type: 'custom', severityLevel: 'critical', alertMessage: 'Too low', ruleId: 7 })]);
+  });
+
+  test('custom rules without a message get a generated one', () => {
+    const rule = { _id: 1, metric: 'voltage', condition: '>', value: 100, severity: 'warning' };
+    const { alerts } = runAlarmEngine([reading('PV001', 300)], { rules: [rule] });
+    expect(alerts[0].alertMessage).toBe('Custom alert: voltage > 100');
+  });
+
+  test('threshold overrides apply to their scope and are recorded on the alert', () => {
+    const overrides = [{ _id: 9, scope: { type: 'panels', ids: ['PV002'] }, power: 500, voltage: 200 }];
+    const { panels, alerts } = runAlarmEngine([reading('PV001', 400), reading('PV002', 400)], { overrides });
+    expect(panels.map(p => p.panelStatus)).toEqual(['normal', 'low']);
+    expect(alerts).toEqual([expect.objectContaining({ id_panel: 'PV002', type: 'low_power', thresholdId: 9, scope: 'Panels PV002' })]);
+  });
+
+  test('scoped rules only fire inside their scope', () => {
+    const groups = [{ name: 'West', members: ['PV00*'] }];
+    const rule = { _id: 4, metric: 'power', condition: '<', value: 450, severity: 'warning', scope: { type: 'group', group: 'West' } };
+    const { alerts } = runAlarmEngine([reading('PV001', 400), reading('PV101', 400)], { rules: [rule], groups });
+    expect(alerts).toEqual([expect.objectContaining({ id_panel: 'PV001', ruleId: 4, scope: 'Group West' })]);
+  });
+
+  test('duration rules see the panel history', () => {
+    const at = (minute) => new Date(Date.UTC(2025, 6, 20, 10, minute));
+    const rule = { _id: 2, logic: 'AND', conditions: [{ type: 'threshold', metric: 'power', condition: '<', value: 400 }], duration: { type: 'readings', value: 3 }, severity: 'warning' };
+    const history = [reading('PV001', 300, 220, at(0)), reading('PV001', 300, 220, at(5))];
+    const { alerts } = runAlarmEngine([reading('PV001', 300, 220, at(10))], { rules: [rule], history });
+    expect(alerts.filter(a => a.type === 'custom')).toHaveLength(1);
+    expect(alerts[alerts.length - 1].alertMessage).toBe('Custom alert: power < 400 for 3 consecutive readings');
+  });
+
+  describe('with a panel registry', () => {
+    const registry = [
+      { id_panel: 'PV001', ratedPower: 300, vmp: 30, voc: 40, stringId: 'S1' },
+      { id_panel: 'PV002', ratedPower: 600 },
+    ];
+
+    test('judges registered panels against their own rating, below any override', () => {
+      const overrides = [{ _id: 9, scope: { type: 'panels', ids: ['PV003'] }, power: 500, voltage: 200 }];
+      const { panels, alerts } = runAlarmEngine(
+        [reading('PV001', 40, 31), reading('PV002', 40), reading('PV003', 400)],
+        { registry: [...registry, { id_panel: 'PV003', ratedPower: 600 }], overrides },
+      );
+      expect(panels.map(p => p.panelStatus)).toEqual(['normal', 'low', 'low']);
+      expect(panels[0].stringId).toBe('S1');
+      expect(alerts.map(a => [a.id_panel, a.type, a.scope])).toEqual([
+        ['PV002', 'low_power', 'Panel rating'],
+        ['PV003', 'low_power', 'Panels PV003'],
+      ]);
+    });
+
+    test('flags readings beyond the nameplate and devices it does not list', () => {
+      const { alerts } = runAlarmEngine([reading('PV001', 350, 45), reading('PV009', 400), reading('PV009', 410, 220, new Date('2025-07-20T10:05:00'))], { registry });
+      expect(alerts.map(a => a.alertMessage)).toEqual([
+        'Panel PV001 reads beyond its nameplate: Power 350.00W above its 300Wp rating',
+        'Panel PV001 reads beyond its nameplate: Voltage 45.00V above its 40V Voc',
+        'Unregistered device PV009 is reporting: New panel or spoofed feed',
+      ]);
+      const off = runAlarmEngine([reading('PV009', 400)], { registry, registrySettings: { ...DEFAULT_REGISTRY_SETTINGS, flagUnregistered: false } });
+      expect(off.alerts).toEqual([]);
+      expect(runAlarmEngine([reading('PV009', 400)]).alerts).toEqual([]);
+    });
+  });
+
+  describe('with a site location', () => {
+    const site = { latitude: 52.52, longitude: 13.405, timezone: 'Europe/Berlin', daylightElevation: 5, nightProduction: 'suppress', nightVoltageFloor: 5 };
+    const night = new Date('2025-07-20T23:00:00Z');
+    const day = new Date('2025-07-20T11:00:00Z');
+
+    test('suppresses production and voltage alerts outside daylight', () => {
+      const { panels, alerts } = runAlarmEngine([reading('PV001', 0, 0, night), reading('PV002', 0, 220, day)], { site });
+      expect(panels.map(p => p.panelStatus)).toEqual(['night', 'offline']);
+      expect(alerts.map(a => [a.id_panel, a.type])).toEqual([['PV002', 'offline']]);
+    });
+
+    test('can downgrade night readings to warnings instead', () => {
+      const { alerts } = runAlarmEngine([reading('PV001', 0, 0, night)], { site: { ...site, nightProduction: 'warn' } });
+      expect(alerts).toEqual([expect.objectContaining({ type: 'night_production', severityLevel: 'warning' })]);
+    });
+
+    test('compares peers in daylight only', () => {
+      const dusk = (minute) => new Date(Date.UTC(2025, 6, 20, 19, 30 + minute));
+      const batch = [0, 5, 10].flatMap(minute => [
+        { ...reading('PV001', 2, 40, dusk(minute)), stringId: 'S1' },
+        { ...reading('PV002', 10, 40, dusk(minute)), stringId: 'S1' },
+        { ...reading('PV003', 10, 40, dusk(minute)), stringId: 'S1' },
+      ]);
+      const { panels, alerts } = runAlarmEngine(batch, { site });
+      expect(alerts.filter(a => a.type === 'underperforming')).toEqual([]);
+      expect(panels.every(p => p.relativePerformance === null)).toBe(true);
+      expect(runAlarmEngine(batch).alerts.filter(a => a.type === 'underperforming')).toHaveLength(1);
+    });
+
+    test('flags voltage disappearing at night', () => {
+      const history = [{ ...reading('PV001', 0, 40, new Date('2025-07-20T22:00:00Z')), stringId: 'S1' }];
+      const { alerts } = runAlarmEngine([{ ...reading('PV001', 0, 0, night), stringId: 'S1' }], { site, history });
+      expect(alerts).toEqual([expect.objectContaining({
+        type: 'voltage_lost',
+        severityLevel: 'critical',
+        alertMessage: 'Panel PV001 on string S1 lost voltage at night: Possible physical disconnection',
+      })]);
+    });
+  });
+
+  test('raises one theft alert for neighbouring panels going dark together', () => {
+    const before = new Date('2025-07-20T09:55:00');
+    const history = ['PV001', 'PV002', 'PV003'].map(id => ({ ...reading(id, 300, 220, before), stringId: 'S1', panelStatus: 'normal' }));
+    const batch = ['PV001', 'PV002', 'PV003'].map(id => ({ ...reading(id, 0), stringId: 'S1' }));
+    const layout = { rows: 1, columns: 3, background: null, positions: { PV001: { row: 0, col: 0 }, PV002: { row: 0, col: 1 } } };
+    const theft = runAlarmEngine(batch, { history, layout }).alerts.filter(a => a.type === 'theft');
+    expect(theft).toEqual([expect.objectContaining({
+      id_panel: 'Site',
+      severityLevel: 'critical',
+      panels: ['PV001', 'PV002', 'PV003'],
+      confidence: 70,
+      alertMessage: 'Theft suspected: 3 panels (PV001, PV002, PV003), 70% confidence',
+    })]);
+    expect(runAlarmEngine(batch, { history, layout, theft: { ...DEFAULT_THEFT_SETTINGS, enabled: false } }).alerts
+      .filter(a => a.type === 'theft')).toEqual([]);
+  });
+
+  test('raises data integrity alerts apart from equipment faults', () => {
+    const history = [300, 310, 320, 305].map((power, i) => reading('PV001', power, 220, new Date(Date.UTC(2025, 6, 20, 8, 40 + i * 5))));
+    const batch = [300, 310, 320, 305].map((power, i) => reading('PV001', power, 220, new Date(Date.UTC(2025, 6, 20, 9, i * 5))));
+    const { alerts } = runAlarmEngine([...batch, reading('PV002', 300, 220, new Date(Date.UTC(2025, 6, 21)))], {
+      history,
+      now: new Date(Date.UTC(2025, 6, 20, 12)),
+    });
+    expect(alerts.map(a => [a.id_panel, a.check, a.severityLevel, a.category])).toEqual([
+      ['PV002', 'future', 'warning', 'integrity'],
+      ['PV001', 'replay', 'critical', 'integrity'],
+    ]);
+    expect(alerts[1].alertMessage).toMatch(/^Integrity check on PV001 \(Replayed sequence\): Last 4 readings repeat those from /);
+  });
+
+  test('suppresses alerts from panels in a maintenance window, locating them by string', () => {
+    const maintenance = [{ _id: 1, name: 'Cleaning', scope: { type: 'strings', ids: ['S1'] }, start: '2025-07-20T09:00', end: '2025-07-20T11:00', recurrence: 'none', mode: 'suppress' }];
+    const { alerts } = runAlarmEngine([reading('PV001', 0), reading('PV002', 0)], {
+      registry: [{ id_panel: 'PV001', stringId: 'S1' }, { id_panel: 'PV002', stringId: 'S2' }],
+      maintenance,
+    });
+    expect(alerts.map(a => [a.id_panel, a.suppressed, a.maintenance])).toEqual([
+      ['PV001', true, 'Cleaning'],
+      ['PV002', undefined, undefined],
+    ]);
+  });
+
+  test('does not mutate its input', () => {
+    const readings = [reading('PV001', 0)];
+    runAlarmEngine(readings);
+    expect(readings[0]).not.toHaveProperty('panelStatus');
+  });
+});
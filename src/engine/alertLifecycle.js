@@ -0,0 +1,48 @@
+// Alert lifecycle
+// Alerts move through new -> acknowledged -> in progress -> resolved (or false
+// positive) and carry an assignee, free-text notes and an audit trail of who
+// changed what. Closed alerts are kept for reporting, never deleted.
+
+export const ALERT_STATES = {
+  new: 'New',
+  acknowledged: 'Acknowledged',
+  in_progress: 'In progress',
+  resolved: 'Resolved',
+  false_positive: 'False positive',
+};
+
+export const OPEN_STATES = ['new', 'acknowledged', 'in_progress'];
+
+// Fields the operator can change, in the order the history lists them
+export const EDITABLE_FIELDS = ['state', 'assignee', 'notes'];
+
+// Give a freshly raised (or legacy, pre-lifecycle) alert its lifecycle fields
+export const withLifecycle = (alert) => ({
+  state: 'new',
+  assignee: '',
+  notes: '',
+  history: [],
+  ...alert,
+});
+
+export const isOpen = (alert) => OPEN_STATES.includes(alert.state || 'new');
+
+// Apply operator changes and record each changed field in the history as
+// { at, user, field, from, to }. Unchanged fields leave no trace.
+export const updateAlert = (alert, changes, { user, at }) => {
+  const current = withLifecycle(alert);
+  const entries = EDITABLE_FIELDS
+    .filter(field => field in changes && changes[field] !== current[field])
+    .map(field => ({ at, user, field, from: current[field], to: changes[field] }));
+  if (entries.length === 0) return current;
+  const updated = { ...current, history: [...current.history, ...entries] };
+  entries.forEach(({ field, to }) => { updated[field] = to; });
+  return updated;
+};
+
+// Does an alert pass the Alerts table state filter ('open', 'all' or a state)?
+export const matchesStateFilter = (alert, filter) => {
+  if (filter === 'all') return true;
+  if (filter === 'open') return isOpen(alert);
+  return (alert.state || 'new') === filter;
+};
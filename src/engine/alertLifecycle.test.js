@@ -0,0 +1,42 @@
+import { withLifecycle, isOpen, updateAlert, matchesStateFilter } from './alertLifecycle';
+
+const alert = { _id: 1, id_panel: 'PV001', type: 'offline', severityLevel: 'critical', when: new Date('2025-07-20T10:00:00Z') };
+const at = new Date('2025-07-20T11:00:00Z');
+
+describe('withLifecycle', () => {
+  test('fills in lifecycle fields without overwriting existing ones', () => {
+    expect(withLifecycle(alert)).toEqual({ ...alert, state: 'new', assignee: '', notes: '', history: [] });
+    expect(withLifecycle({ ...alert, state: 'resolved' }).state).toBe('resolved');
+  });
+});
+
+describe('updateAlert', () => {
+  test('records who changed which field from what to what', () => {
+    const updated = updateAlert(withLifecycle(alert), { state: 'acknowledged', assignee: 'Sam', notes: '' }, { user: 'Alex', at });
+    expect(updated.state).toBe('acknowledged');
+    expect(updated.assignee).toBe('Sam');
+    expect(updated.history).toEqual([
+      { at, user: 'Alex', field: 'state', from: 'new', to: 'acknowledged' },
+      { at, user: 'Alex', field: 'assignee', from: '', to: 'Sam' },
+    ]);
+  });
+
+  test('appends to the history and leaves unchanged alerts alone', () => {
+    const once = updateAlert(alert, { state: 'in_progress' }, { user: 'Alex', at });
+    const twice = updateAlert(once, { state: 'resolved', notes: 'Cable reconnected' }, { user: 'Sam', at });
+    expect(twice.history.map(h => h.to)).toEqual(['in_progress', 'resolved', 'Cable reconnected']);
+    expect(updateAlert(twice, { state: 'resolved' }, { user: 'Sam', at })).toEqual(twice);
+    expect(alert).not.toHaveProperty('history');
+  });
+});
+
+describe('state filters', () => {
+  test('open covers new, acknowledged and in progress', () => {
+    expect(isOpen(alert)).toBe(true);
+    expect(isOpen({ ...alert, state: 'in_progress' })).toBe(true);
+    expect(isOpen({ ...alert, state: 'false_positive' })).toBe(false);
+    expect(matchesStateFilter({ ...alert, state: 'resolved' }, 'open')).toBe(false);
+    expect(matchesStateFilter({ ...alert, state: 'resolved' }, 'resolved')).toBe(true);
+    expect(matchesStateFilter({ ...alert, state: 'resolved' }, 'all')).toBe(true);
+  });
+});
@@ -0,0 +1,190 @@
+// Per-panel anomaly detection
+// Each panel's power is judged against its own recent readings rather than
+// the whole fleet: an EWMA z-score and an IQR fence catch sudden outliers,
+// and CUSUM catches slow drift away from the panel's early baseline.
+// A registered panel's expected range never reaches past its rated power.
+// Zero/offline readings are left to the offline check and skipped here.
+// Without a site location the dawn and dusk ramps are found from each panel's
+// own start-up and shut-down times, so they are not judged against midday.
+import { panelSeries } from './history';
+
+export const ANOMALY_DETECTORS = {
+  zscore: { label: 'EWMA z-score', sensitivityLabel: 'z limit' },
+  iqr: { label: 'IQR', sensitivityLabel: 'IQR multiplier' },
+  cusum: { label: 'CUSUM drift', sensitivityLabel: 'Decision limit (σ)' },
+};
+
+// window is the number of previous readings each detector looks at;
+// for CUSUM it is the size of the baseline taken from the start of the series
+export const DEFAULT_DETECTORS = {
+  zscore: { enabled: true, window: 20, sensitivity: 3 },
+  iqr: { enabled: false, window: 20, sensitivity: 1.5 },
+  cusum: { enabled: true, window: 20, sensitivity: 5 },
+};
+
+// Fewer previous readings than this and a panel is not judged yet
+export const MIN_SAMPLES = 5;
+
+// CUSUM slack in standard deviations: smaller shifts are treated as noise
+const CUSUM_SLACK = 0.5;
+
+// Readings this close to a panel's start-up or shut-down are part of the ramp
+export const RAMP_MINUTES = 90;
+
+// A silence this long between readings is taken for the night
+const NIGHT_GAP_MS = 6 * 3600000;
+
+const DAY_MS = 86400000;
+
+const timeOf = (value) => new Date(value).getTime();
+
+const isProducing = (reading) => !isNaN(reading.powerOut) && reading.powerOut > 0;
+
+// Expected range from an exponentially weighted mean and variance
+export const ewmaRange = (values, sensitivity) => {
+  const alpha = 2 / (values.length + 1);
+  let mean = values[0];
+  let variance = 0;
+  values.slice(1).forEach(x => {
+    const diff = x - mean;
+    const step = alpha * diff;
+    mean += step;
+    variance = (1 - alpha) * (variance + diff * step);
+  });
+  const spread = sensitivity * Math.sqrt(variance);
+  return spread > 0 ? { low: mean - spread, high: mean + spread } : null;
+};
+
+// Linear-interpolated quantile of an ascending list
+export const quantile = (sorted, q) => {
+  const pos = (sorted.length - 1) * q;
+  const base = Math.floor(pos);
+  const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+  return sorted[base] + (pos - base) * (next - sorted[base]);
+};
+
+// Tukey fences: [Q1 - k·IQR, Q3 + k·IQR]. A flat window has no spread to judge against.
+export const iqrRange = (values, sensitivity) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+  const iqr = q3 - q1;
+  return iqr > 0 ? { low: q1 - sensitivity * iqr, high: q3 + sensitivity * iqr } : null;
+};
+
+const meanAndStdDev = (values) => {
+  const mean = values.reduce((sum, x) => sum + x, 0) / values.length;
+  const stdDev = Math.sqrt(values.reduce((sum, x) => sum + Math.pow(x - mean, 2), 0) / values.length);
+  return { mean, stdDev };
+};
+
+// A range capped at the panel's rated power, when it has one
+const withinRating = (range, ratedPower) => (ratedPower == null ? range : {
+  low: Math.min(range.low, ratedPower),
+  high: Math.min(range.high, ratedPower),
+});
+
+// Anomalies in one panel's time-ordered series: { reading, detector, low, high }
+// for the z-score and IQR ranges, and { reading, detector, drift } for CUSUM,
+// where drift is { direction, sum, limit, baseline } with sum and limit in σ
+export const detectSeriesAnomalies = (series, detectors = DEFAULT_DETECTORS, ratedPower = null) => {
+  const producing = series.filter(r => !isNaN(r.powerOut) && r.powerOut > 0);
+  const values = producing.map(r => r.powerOut);
+  const found = [];
+
+  ['zscore', 'iqr'].forEach(detector => {
+    const { enabled, window, sensitivity } = detectors[detector];
+    if (!enabled) return;
+    producing.forEach((reading, i) => {
+      const previous = values.slice(Math.max(0, i - window), i);
+      if (previous.length < MIN_SAMPLES) return;
+      const fitted = detector === 'zscore' ? ewmaRange(previous, sensitivity) : iqrRange(previous, sensitivity);
+      const range = fitted && withinRating(fitted, ratedPower);
+      if (range && (reading.powerOut < range.low || reading.powerOut > range.high)) {
+        found.push({ reading, detector, ...range });
+      }
+    });
+  });
+
+  const cusum = detectors.cusum;
+  if (cusum.enabled && producing.length > Math.max(cusum.window, MIN_SAMPLES)) {
+    const baselineSize = Math.max(cusum.window, MIN_SAMPLES);
+    const { mean, stdDev } = meanAndStdDev(values.slice(0, baselineSize));
+    if (stdDev > 0) {
+      let below = 0;
+      let above = 0;
+      producing.slice(baselineSize).forEach(reading => {
+        const z = (reading.powerOut - mean) / stdDev;
+        below = Math.max(0, below - z - CUSUM_SLACK);
+        above = Math.max(0, above + z - CUSUM_SLACK);
+        if (below > cusum.sensitivity || above > cusum.sensitivity) {
+          const direction = below > cusum.sensitivity ? 'below' : 'above';
+          const drift = { direction, sum: direction === 'below' ? below : above, limit: cusum.sensitivity, baseline: mean };
+          found.push({ reading, detector: 'cusum', drift });
+          below = 0;
+          above = 0;
+        }
+      });
+    }
+  }
+
+  return found;
+};
+
+// Readings on the dawn and dusk ramps, for when no site location times them.
+// A panel's day starts at its first producing reading of the day when zeros or
+// a night's silence came before it, and ends at its last producing reading
+// before them; a day that has not ended yet is expected to end when the day
+// before did.
+export const findRampReadings = (readings) => {
+  const rampMs = RAMP_MINUTES * 60000;
+  const ramps = new Set();
+  panelSeries(readings).forEach(series => {
+    const days = new Map();
+    const dayOf = (time) => {
+      const key = new Date(time).toDateString();
+      if (!days.has(key)) days.set(key, { start: null, end: null, produced: false });
+      return days.get(key);
+    };
+    series.forEach((reading, i) => {
+      const time = timeOf(reading.when);
+      const day = dayOf(time);
+      const previous = series[i - 1];
+      const night = !previous || time - timeOf(previous.when) >= NIGHT_GAP_MS;
+      if (isProducing(reading)) {
+        if (!day.produced && previous && (night || !isProducing(previous))) day.start = time;
+        day.produced = true;
+        // Production resumed after an outage: the day has not ended
+        day.end = null;
+      }
+      if (previous && isProducing(previous) && (night || !isProducing(reading))) {
+        dayOf(timeOf(previous.when)).end = timeOf(previous.when);
+      }
+    });
+    series.forEach(reading => {
+      const time = timeOf(reading.when);
+      const day = dayOf(time);
+      const before = days.get(new Date(time - DAY_MS).toDateString());
+      const end = day.end !== null ? day.end : before && before.end !== null ? before.end + DAY_MS : null;
+      const dawn = day.start !== null && time >= day.start && time - day.start < rampMs;
+      const dusk = end !== null && Math.abs(end - time) < rampMs;
+      if (dawn || dusk) ramps.add(reading);
+    });
+  });
+  return ramps;
+};
+
+// Anomalies at the new readings, judged against each panel's history and,
+// for panels in the registry index, their rated power
+export const detectAnomalies = (readings, history = [], detectors = DEFAULT_DETECTORS, index = new Map()) => {
+  if (readings.length === 0) return [];
+  const fresh = new Set(readings);
+  const found = [];
+  panelSeries(history.concat(readings)).forEach(series => {
+    const entry = index.get(series[0].id_panel);
+    detectSeriesAnomalies(series, detectors, entry ? entry.ratedPower : null).forEach(anomaly => {
+      if (fresh.has(anomaly.reading)) found.push(anomaly);
+    });
+  });
+  return found;
+};
@@ -0,0 +1,133 @@
+import {
+  DEFAULT_DETECTORS,
+  ewmaRange,
+  quantile,
+  iqrRange,
+  detectSeriesAnomalies,
+  detectAnomalies,
+  findRampReadings,
+} from './anomaly';
+
+const at = (minute) => new Date(Date.UTC(2025, 6, 20, 10, minute));
+
+const series = (id_panel, powers) => powers.map((powerOut, i) => ({ id_panel, powerOut, voltage: 220, when: at(i * 5) }));
+
+const only = (detector, settings = {}) => ({
+  zscore: { ...DEFAULT_DETECTORS.zscore, enabled: false },
+  iqr: { ...DEFAULT_DETECTORS.iqr, enabled: false },
+  cusum: { ...DEFAULT_DETECTORS.cusum, enabled: false },
+  [detector]: { ...DEFAULT_DETECTORS[detector], enabled: true, ...settings },
+});
+
+const noisy = [400, 410, 395, 405, 398, 402, 407, 393, 401, 399];
+
+describe('ranges', () => {
+  test('ewmaRange widens with the sensitivity and needs some spread', () => {
+    const narrow = ewmaRange(noisy, 2);
+    const wide = ewmaRange(noisy, 4);
+    expect(narrow.low).toBeLessThan(400);
+    expect(narrow.high).toBeGreaterThan(400);
+    expect(wide.high - wide.low).toBeCloseTo(2 * (narrow.high - narrow.low));
+    expect(ewmaRange([5, 5, 5], 3)).toBeNull();
+  });
+
+  test('quantile interpolates and iqrRange builds Tukey fences', () => {
+    expect(quantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+    expect(iqrRange([1, 2, 3, 4, 5], 1.5)).toEqual({ low: -1, high: 7 });
+    expect(iqrRange([5, 5, 5, 5, 5], 1.5)).toBeNull();
+  });
+});
+
+describe('detectSeriesAnomalies', () => {
+  test('z-score flags a spike against the panel\'s own recent readings', () => {
+    const found = detectSeriesAnomalies(series('PV001', [...noisy, 600]), only('zscore'));
+    expect(found).toHaveLength(1);
+    expect(found[0]).toEqual(expect.objectContaining({ detector: 'zscore' }));
+    expect(found[0].reading.powerOut).toBe(600);
+    expect(found[0].high).toBeLessThan(600);
+  });
+
+  test('higher sensitivity values tolerate more', () => {
+    expect(detectSeriesAnomalies(series('PV001', [...noisy, 430]), only('zscore', { sensitivity: 3 }))).toHaveLength(1);
+    expect(detectSeriesAnomalies(series('PV001', [...noisy, 430]), only('zscore', { sensitivity: 10 }))).toHaveLength(0);
+  });
+
+  test('IQR flags readings outside the fences', () => {
+    const found = detectSeriesAnomalies(series('PV001', [...noisy, 300]), only('iqr'));
+    expect(found.map(f => f.reading.powerOut)).toEqual([300]);
+  });
+
+  test('panels are not judged before they have enough readings', () => {
+    expect(detectSeriesAnomalies(series('PV001', [400, 410, 395, 900]), only('zscore'))).toEqual([]);
+  });
+
+  test('CUSUM catches slow drift that the z-score misses', () => {
+    const drifting = [...noisy, ...Array.from({ length: 20 }, (_, i) => 395 - i * 2)];
+    const cusum = detectSeriesAnomalies(series('PV001', drifting), only('cusum', { window: 10 }));
+    expect(cusum.length).toBeGreaterThan(0);
+    expect(cusum[0].drift).toEqual({ direction: 'below', sum: expect.any(Number), limit: 5, baseline: 401 });
+    expect(cusum[0].drift.sum).toBeGreaterThan(5);
+    expect(detectSeriesAnomalies(series('PV001', drifting), only('zscore'))).toEqual([]);
+  });
+
+  test('zero readings are skipped', () => {
+    expect(detectSeriesAnomalies(series('PV001', [...noisy, 0]), only('zscore'))).toEqual([]);
+  });
+});
+
+describe('detectAnomalies', () => {
+  test('only reports new readings, judged per panel', () => {
+    const history = [...series('PV001', noisy), ...series('PV002', noisy.map(p => p + 200))];
+    const fresh = [
+      { id_panel: 'PV001', powerOut: 600, voltage: 220, when: at(60) },
+      { id_panel: 'PV002', powerOut: 600, voltage: 220, when: at(60) },
+    ];
+    const found = detectAnomalies(fresh, history, only('zscore'));
+    expect(found.map(f => f.reading)).toEqual([fresh[0]]);
+  });
+
+  test('caps each registered panel\'s expected range at its own rating', () => {
+    const history = [...series('PV001', noisy), ...series('PV002', noisy)];
+    const fresh = [
+      { id_panel: 'PV001', powerOut: 408, voltage: 220, when: at(60) },
+      { id_panel: 'PV002', powerOut: 408, voltage: 220, when: at(60) },
+    ];
+    const index = new Map([['PV001', { id_panel: 'PV001', ratedPower: 400 }], ['PV002', { id_panel: 'PV002', ratedPower: 500 }]]);
+    const found = detectAnomalies(fresh, history, only('zscore', { sensitivity: 10 }), index);
+    expect(found).toEqual([expect.objectContaining({ reading: fresh[0], high: 400 })]);
+    expect(detectAnomalies(fresh, history, only('zscore', { sensitivity: 10 }))).toEqual([]);
+  });
+});
+
+describe('findRampReadings', () => {
+  const local = (day, hour, minute = 0) => new Date(2025, 6, day, hour, minute);
+  // A sunny day every half hour from 03:00 to 23:00: producing from 05:00 to 20:00
+  const sunnyDay = (day) => Array.from({ length: 41 }, (_, i) => {
+    const hour = 3 + i / 2;
+    const powerOut = hour >= 5 && hour <= 20 ? 400 * Math.sin(Math.PI * (hour - 4.5) / 16) : 0;
+    return { id_panel: 'PV001', powerOut, voltage: 220, when: local(day, Math.floor(hour), (i % 2) * 30) };
+  });
+  const at = (readings, day, hour, minute = 0) => readings.find(r => r.when.getTime() === local(day, hour, minute).getTime());
+
+  test('finds the ramps from when the panel starts and stops producing', () => {
+    const readings = sunnyDay(20);
+    const ramps = findRampReadings(readings);
+    expect(ramps.has(at(readings, 20, 5, 30))).toBe(true);
+    expect(ramps.has(at(readings, 20, 6, 30))).toBe(false);
+    expect(ramps.has(at(readings, 20, 12))).toBe(false);
+    expect(ramps.has(at(readings, 20, 18, 30))).toBe(false);
+    expect(ramps.has(at(readings, 20, 19))).toBe(true);
+  });
+
+  test('expects a day still producing to end when the day before did', () => {
+    const readings = sunnyDay(20).concat(sunnyDay(21).filter(r => r.when <= local(21, 19)));
+    const ramps = findRampReadings(readings);
+    expect(ramps.has(at(readings, 21, 13))).toBe(false);
+    expect(ramps.has(at(readings, 21, 19))).toBe(true);
+  });
+
+  test('does not take the start of the data or a midday outage for a ramp', () => {
+    const readings = [400, 410, 0, 405, 398].map((powerOut, i) => ({ id_panel: 'PV001', powerOut, voltage: 220, when: local(20, 10, i * 10) }));
+    expect(findRampReadings(readings).size).toBe(0);
+  });
+});
@@ -0,0 +1,117 @@
+// Site hierarchy
+// Panels sit on strings, strings on inverters and inverters at sites. The
+// dashboard drills down this tree, and every level aggregates the readings and
+// incidents beneath it. A panel's place comes from its latest reading's site,
+// inverter and string IDs, else the panel registry, else "Unassigned".
+import { metricValue } from './metrics';
+
+export const LEVELS = ['site', 'inverter', 'string', 'panel'];
+
+export const LEVEL_LABELS = { site: 'Site', inverter: 'Inverter', string: 'String', panel: 'Panel' };
+
+export const UNASSIGNED = 'Unassigned';
+
+// Readings within the same minute form one point of a trend
+const BUCKET_MS = 60000;
+
+const timeOf = (value) => new Date(value).getTime();
+
+// Where a reading sits: { site, inverter, string, panel }
+export const locate = (reading, entry = null) => ({
+  site: reading.siteId || (entry && entry.siteId) || UNASSIGNED,
+  inverter: reading.inverterId || (entry && entry.inverterId) || UNASSIGNED,
+  string: reading.stringId || (entry && entry.stringId) || UNASSIGNED,
+  panel: reading.id_panel,
+});
+
+// Does a location fall under a path, the IDs chosen from the site down?
+// The empty path is every site.
+export const underPath = (location, path) => Boolean(location) && path.every((id, i) => location[LEVELS[i]] === id);
+
+// The panels an alert or incident concerns: all those listed for one spanning
+// several panels (suspected theft), else its own panel
+export const panelsOf = (item) => item.panels || [item.id_panel];
+
+// Panel ID -> its latest reading
+export const latestByPanel = (readings) => {
+  const latest = new Map();
+  readings.forEach(r => {
+    const current = latest.get(r.id_panel);
+    if (!current || timeOf(r.when) >= timeOf(current.when)) latest.set(r.id_panel, r);
+  });
+  return latest;
+};
+
+// Panel ID -> location, for registered panels and every panel with readings
+export const panelLocations = (readings, index = new Map()) => {
+  const locations = new Map();
+  index.forEach((entry, id) => locations.set(id, locate({ id_panel: id }, entry)));
+  latestByPanel(readings).forEach((reading, id) => locations.set(id, locate(reading, index.get(id))));
+  return locations;
+};
+
+// Stat card figures for a set of readings: panels seen, how many are producing
+// or offline at their latest reading, and the average power across readings
+export const summarize = (readings) => {
+  const latest = [...latestByPanel(readings).values()];
+  return {
+    panels: latest.length,
+    active: latest.filter(r => r.panelStatus === 'normal').length,
+    offline: latest.filter(r => r.panelStatus === 'offline').length,
+    avgPower: readings.length > 0 ? readings.reduce((sum, r) => sum + r.powerOut, 0) / readings.length : 0,
+  };
+};
+
+// The nodes one level below a path, each with its summary, the total power of
+// its panels' latest readings and the number of open incidents beneath it.
+// Returns null once the path reaches a panel.
+export const childNodes = (readings, path, locations, openIncidents = []) => {
+  const level = LEVELS[path.length];
+  if (!level) return null;
+  const groups = new Map();
+  readings.forEach(r => {
+    const location = locations.get(r.id_panel);
+    if (!underPath(location, path)) return;
+    if (!groups.has(location[level])) groups.set(location[level], []);
+    groups.get(location[level]).push(r);
+  });
+  return [...groups.entries()]
+    .sort(([a], [b]) => a.localeCompare(b, undefined, { numeric: true }))
+    .map(([id, group]) => ({
+      id,
+      level,
+      ...summarize(group),
+      power: [...latestByPanel(group).values()].reduce((sum, r) => sum + r.powerOut, 0),
+      incidents: openIncidents.filter(i => panelsOf(i).some(panel => underPath(locations.get(panel), [...path, id]))).length,
+    }));
+};
+
+// One point per minute across a set of readings, using each panel's latest value
+// in that minute: power is summed (the output of the whole level), other
+// metrics are averaged. A point is flagged when one of the alerts given was
+// raised for one of its panels in that minute. Returns [{ when, value, panels,
+// alert }] in time order.
+export const aggregateTrend = (readings, metric = 'power', alerts = []) => {
+  const bucketOf = (when) => Math.floor(timeOf(when) / BUCKET_MS) * BUCKET_MS;
+  const buckets = new Map();
+  [...readings].sort((a, b) => timeOf(a.when) - timeOf(b.when)).forEach(r => {
+    const value = metricValue(r, metric);
+    if (value === null) return;
+    const bucket = bucketOf(r.when);
+    if (!buckets.has(bucket)) buckets.set(bucket, new Map());
+    buckets.get(bucket).set(r.id_panel, value);
+  });
+  const alerted = new Set(alerts.flatMap(a => panelsOf(a).map(id => `${bucketOf(a.when)}|${id}`)));
+  return [...buckets.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([bucket, values]) => {
+      const total = [...values.values()].reduce((sum, v) => sum + v, 0);
+      const panels = [...values.keys()];
+      return {
+        when: new Date(bucket),
+        value: metric === 'power' ? total : total / values.size,
+        panels,
+        alert: panels.some(id => alerted.has(`${bucket}|${id}`)),
+      };
+    });
+};
@@ -0,0 +1,63 @@
+import { aggregateTrend, childNodes, locate, panelLocations, summarize, underPath } from './hierarchy';
+
+const at = (minute, second = 0) => new Date(Date.UTC(2025, 6, 20, 10, minute, second));
+const reading = (id_panel, minute, powerOut, extra = {}) => ({
+  id_panel,
+  powerOut,
+  voltage: 220,
+  when: at(minute),
+  panelStatus: powerOut === 0 ? 'offline' : 'normal',
+  ...extra,
+});
+const roof = (id, string, minute, powerOut) => reading(id, minute, powerOut, { siteId: 'Roof', inverterId: 'INV1', stringId: string });
+
+const readings = [
+  roof('PV001', 'S1', 0, 300),
+  roof('PV002', 'S1', 0, 0),
+  roof('PV003', 'S2', 0, 250),
+  roof('PV001', 'S1', 5, 310),
+  reading('PV100', 0, 200, { siteId: 'Barn' }),
+];
+
+test('places panels by their own IDs, then the registry, then as unassigned', () => {
+  expect(locate(reading('PV009', 0, 1), { id_panel: 'PV009', siteId: 'Barn', stringId: 'S9' })).toEqual({
+    site: 'Barn',
+    inverter: 'Unassigned',
+    string: 'S9',
+    panel: 'PV009',
+  });
+  const locations = panelLocations(readings, new Map([['PV200', { id_panel: 'PV200', siteId: 'Barn' }]]));
+  expect(locations.get('PV001')).toEqual({ site: 'Roof', inverter: 'INV1', string: 'S1', panel: 'PV001' });
+  expect(underPath(locations.get('PV200'), ['Barn'])).toBe(true);
+  expect(underPath(locations.get('PV003'), ['Roof', 'INV1', 'S1'])).toBe(false);
+  expect(underPath(undefined, [])).toBe(false);
+});
+
+test('summarizes panels by their latest reading', () => {
+  expect(summarize(readings.slice(0, 4))).toEqual({ panels: 3, active: 2, offline: 1, avgPower: 215 });
+});
+
+test('lists the children of a path with their totals and open incidents', () => {
+  const locations = panelLocations(readings);
+  const incidents = [{ id_panel: 'PV002' }, { id_panel: 'Roof logger' }];
+  expect(childNodes(readings, [], locations, incidents).map(n => [n.id, n.level, n.panels, n.power, n.incidents])).toEqual([
+    ['Barn', 'site', 1, 200, 0],
+    ['Roof', 'site', 3, 560, 1],
+  ]);
+  expect(childNodes(readings, ['Roof', 'INV1'], locations, incidents).map(n => [n.id, n.panels, n.offline, n.incidents])).toEqual([
+    ['S1', 2, 1, 1],
+    ['S2', 1, 0, 0],
+  ]);
+  expect(childNodes(readings, ['Roof', 'INV1', 'S1', 'PV001'], locations)).toBeNull();
+});
+
+test('sums power and averages other metrics per minute, flagging alerted points', () => {
+  const trend = aggregateTrend([...readings, roof('PV001', 'S1', 5, 320)], 'power', [
+    { id_panel: 'PV002', when: at(0, 30) },
+  ]);
+  expect(trend.map(p => [p.when.getTime(), p.value, p.alert])).toEqual([
+    [at(0).getTime(), 750, true],
+    [at(5).getTime(), 320, false],
+  ]);
+  expect(aggregateTrend(readings.slice(0, 3), 'voltage')[0].value).toBe(220);
+});
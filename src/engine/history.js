@@ -0,0 +1,39 @@
+// Panel history
+// Merges successive uploads or streamed batches into one de-duplicated
+// time series per panel.
+
+const timeOf = (reading) => new Date(reading.when).getTime();
+
+// Identity of a reading: one value per panel per timestamp
+export const readingKey = (reading) => `${reading.id_panel}@${timeOf(reading)}`;
+
+// Merge new readings into history. Readings whose (id_panel, timestamp) is already
+// known, in history or earlier in the batch, are dropped. Returns the merged list
+// sorted by time, the readings that were actually new, the ones dropped and their count.
+export const mergeReadings = (history, readings) => {
+  const seen = new Set(history.map(readingKey));
+  const added = [];
+  const dropped = [];
+  readings.forEach(reading => {
+    const key = readingKey(reading);
+    if (seen.has(key)) {
+      dropped.push(reading);
+      return;
+    }
+    seen.add(key);
+    added.push(reading);
+  });
+  const merged = history.concat(added).sort((a, b) => timeOf(a) - timeOf(b));
+  return { merged, added, dropped, duplicates: dropped.length };
+};
+
+// Group readings into a time-ordered series per panel
+export const panelSeries = (readings) => {
+  const series = new Map();
+  readings.forEach(reading => {
+    if (!series.has(reading.id_panel)) series.set(reading.id_panel, []);
+    series.get(reading.id_panel).push(reading);
+  });
+  series.forEach(list => list.sort((a, b) => timeOf(a) - timeOf(b)));
+  return series;
+};
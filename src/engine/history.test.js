@@ -0,0 +1,46 @@
+import { readingKey, mergeReadings, panelSeries } from './history';
+
+const reading = (id_panel, time, powerOut = 400) => ({
+  id_panel,
+  powerOut,
+  voltage: 220,
+  when: new Date(`2025-07-20T${time}:00Z`),
+});
+
+describe('readingKey', () => {
+  test('treats Date and serialized timestamps alike', () => {
+    const r = reading('PV001', '10:00');
+    expect(readingKey(r)).toBe(readingKey({ ...r, when: r.when.toISOString() }));
+  });
+});
+
+describe('mergeReadings', () => {
+  test('appends only readings with a new panel and timestamp', () => {
+    const history = [reading('PV001', '10:00'), reading('PV002', '10:00')];
+    const batch = [reading('PV001', '10:00', 1), reading('PV001', '10:10'), reading('PV001', '10:10')];
+    const { merged, added, dropped, duplicates } = mergeReadings(history, batch);
+    expect(added).toEqual([reading('PV001', '10:10')]);
+    expect(dropped).toEqual([batch[0], batch[2]]);
+    expect(duplicates).toBe(2);
+    expect(merged).toHaveLength(3);
+  });
+
+  test('keeps the merged history in time order', () => {
+    const { merged } = mergeReadings([reading('PV001', '12:00')], [reading('PV002', '09:00'), reading('PV001', '11:00')]);
+    expect(merged.map(r => r.when.toISOString().slice(11, 16))).toEqual(['09:00', '11:00', '12:00']);
+  });
+
+  test('does not mutate the history', () => {
+    const history = [reading('PV001', '10:00')];
+    mergeReadings(history, [reading('PV001', '09:00')]);
+    expect(history).toHaveLength(1);
+  });
+});
+
+describe('panelSeries', () => {
+  test('groups readings per panel in time order', () => {
+    const series = panelSeries([reading('PV002', '10:00'), reading('PV001', '11:00'), reading('PV001', '10:00')]);
+    expect([...series.keys()]).toEqual(['PV002', 'PV001']);
+    expect(series.get('PV001').map(r => r.when.getUTCHours())).toEqual([10, 11]);
+  });
+});
@@ -0,0 +1,229 @@
+// Alert incidents
+// Repeated alerts for the same panel and rule are one incident with first/last
+// seen times and an occurrence count. An incident closes by itself once a later
+// reading from its panel no longer meets the condition (for a site's theft
+// incident, once every panel it names reports again), and open warning
+// incidents escalate to critical when they drag on or spread across panels.
+// Incidents carry the alert lifecycle fields; callers assign their IDs.
+import { isOpen, withLifecycle } from './alertLifecycle';
+import { panelSeries } from './history';
+import { ruleMatches } from './rules';
+import { matchesScope } from './scope';
+
+export const DEFAULT_ESCALATION = {
+  enabled: true,
+  openMinutes: 60, // a warning incident open this long becomes critical
+  panelCount: 3, // or when this many panels have one open for the same rule
+};
+
+export const SYSTEM_USER = 'System';
+
+// What an alert is about, regardless of panel: a custom rule, an anomaly
+// detector, an integrity check or one of the built-in checks
+export const ruleKey = (alert) => {
+  if (alert.ruleId != null) return `rule:${alert.ruleId}`;
+  if (alert.detector) return `anomaly:${alert.detector}`;
+  if (alert.check) return `integrity:${alert.check}`;
+  return alert.type;
+};
+
+export const incidentKey = (alert) => `${alert.id_panel}|${ruleKey(alert)}`;
+
+const timeOf = (value) => new Date(value).getTime();
+
+const addHistory = (incident, entry) => ({ ...incident, history: [...incident.history, entry] });
+
+// Start an incident from its first alert; openedAt is when it was opened, which
+// for imported data can be long after the alert itself
+const openIncident = (alert, openedAt) => withLifecycle({
+  key: incidentKey(alert),
+  id_panel: alert.id_panel,
+  type: alert.type,
+  ruleId: alert.ruleId,
+  scope: alert.scope,
+  detector: alert.detector,
+  check: alert.check,
+  category: alert.category,
+  expected: alert.expected,
+  drift: alert.drift,
+  panels: alert.panels,
+  confidence: alert.confidence,
+  signals: alert.signals,
+  maintenance: alert.maintenance,
+  alertMessage: alert.alertMessage,
+  severityLevel: alert.severityLevel,
+  baseSeverity: alert.severityLevel,
+  when: alert.when,
+  firstSeen: alert.when,
+  lastSeen: alert.when,
+  openedAt,
+  count: 1,
+  occurrences: [alert._id],
+  escalation: null,
+  closedAt: null,
+});
+
+// Fold another occurrence into an open incident
+const recordOccurrence = (incident, alert) => ({
+  ...incident,
+  alertMessage: alert.alertMessage,
+  expected: alert.expected || incident.expected,
+  drift: alert.drift || incident.drift,
+  panels: alert.panels ? [...new Set([...(incident.panels || []), ...alert.panels])] : incident.panels,
+  returned: alert.panels && incident.returned ? incident.returned.filter(id => !alert.panels.includes(id)) : incident.returned,
+  confidence: alert.confidence != null ? Math.max(alert.confidence, incident.confidence || 0) : incident.confidence,
+  signals: alert.signals ? [...new Set([...(incident.signals || []), ...alert.signals])] : incident.signals,
+  maintenance: alert.maintenance,
+  lastSeen: timeOf(alert.when) > timeOf(incident.lastSeen) ? alert.when : incident.lastSeen,
+  count: incident.count + 1,
+  occurrences: [...incident.occurrences, alert._id],
+});
+
+// Close an incident as resolved by the system, with the reason in its history
+export const closeIncident = (incident, at, reason) => addHistory(
+  { ...incident, state: 'resolved', closedAt: at },
+  { at, user: SYSTEM_USER, field: 'state', from: incident.state, to: 'resolved', reason },
+);
+
+// A panel named in a theft incident is back once it reports without being offline
+const reportsAgain = (reading) => reading.panelStatus !== 'offline' && (reading.powerOut > 0 || reading.voltage > 0);
+
+// Production checks cannot be judged at night
+const DAYTIME_TYPES = ['offline', 'low_power', 'low_voltage', 'underperforming'];
+
+// Conditions that only alert when they start (duration rules, peer runs, night
+// voltage loss, unregistered devices) stay active on later readings without
+// raising new alerts. previous is the panel's reading before this one, which
+// rate-of-change rules compare against.
+const conditionPersists = (incident, reading, previous, { rules = [], groups = [], peers, site, registry }) => {
+  if (reading.panelStatus === 'night' && DAYTIME_TYPES.includes(incident.type)) return true;
+  switch (incident.type) {
+    case 'custom': {
+      const rule = rules.find(r => r._id === incident.ruleId);
+      return Boolean(rule) && matchesScope(rule.scope, reading, groups) && ruleMatches(rule, reading, previous);
+    }
+    case 'underperforming':
+      return Boolean(peers) && reading.relativePerformance != null && reading.relativePerformance < peers.threshold;
+    case 'voltage_lost':
+      return Boolean(site) && reading.voltage <= site.nightVoltageFloor;
+    case 'unregistered':
+      return Boolean(registry) && !registry.some(entry => entry.id_panel === reading.id_panel);
+    case 'theft':
+      return incident.panels.some(id => !(incident.returned || []).includes(id));
+    default:
+      return false;
+  }
+};
+
+// Escalate open warning incidents that have been open too long or that the
+// same rule has open on too many panels at once, unless under maintenance.
+// Time open is the longer of the span of its alerts and the time since it was
+// opened, up to `at`, so an incident with no new readings still escalates.
+export const escalateIncidents = (incidents, escalation = DEFAULT_ESCALATION, at) => {
+  if (!escalation.enabled) return { incidents, escalated: [] };
+  const open = incidents.filter(i => isOpen(i) && i.severityLevel === 'warning' && !i.maintenance);
+  const panelsByRule = new Map();
+  open.forEach(i => {
+    const key = i.key.slice(i.key.indexOf('|') + 1);
+    if (!panelsByRule.has(key)) panelsByRule.set(key, new Set());
+    panelsByRule.get(key).add(i.id_panel);
+  });
+
+  const escalated = [];
+  const result = incidents.map(incident => {
+    if (!open.includes(incident)) return incident;
+    const spread = panelsByRule.get(incident.key.slice(incident.key.indexOf('|') + 1)).size;
+    const span = timeOf(incident.lastSeen) - timeOf(incident.firstSeen);
+    const minutesOpen = Math.max(span, incident.openedAt ? timeOf(at) - timeOf(incident.openedAt) : 0) / 60000;
+    let reason = null;
+    if (spread >= escalation.panelCount) reason = `Open on ${spread} panels at once`;
+    else if (minutesOpen > escalation.openMinutes) reason = `Open for over ${escalation.openMinutes} minutes`;
+    if (!reason) return incident;
+    const next = addHistory(
+      { ...incident, severityLevel: 'critical', escalation: reason },
+      { at, user: SYSTEM_USER, field: 'severity', from: 'warning', to: 'critical', reason },
+    );
+    escalated.push(next);
+    return next;
+  });
+  return { incidents: result, escalated };
+};
+
+// Fold a batch of alerts (with their IDs assigned) and the readings they came
+// from into the incident list. options carries the settings needed to tell
+// whether a condition persists, the readings before this batch as history, the
+// escalation settings and `at`, the time incidents are opened and escalated
+// (defaults to the latest alert).
+// Returns the updated list plus the incidents opened, escalated or closed by
+// this batch. New incidents have no _id yet.
+export const applyAlerts = (incidents, alerts, readings = [], options = {}) => {
+  const { escalation = DEFAULT_ESCALATION, history = [] } = options;
+  const readingId = (r) => `${r.id_panel}|${timeOf(r.when)}`;
+  const readingIds = new Set(readings.map(readingId));
+  const lastAlert = alerts.reduce((latest, a) => (latest === null || timeOf(a.when) > timeOf(latest) ? a.when : latest), null);
+  const at = options.at || lastAlert;
+  let list = [...incidents];
+  const openedKeys = new Set();
+  const closed = [];
+
+  // Each new reading's predecessor on its panel, from the batch or the history
+  const previousOf = new Map();
+  const fresh = new Set(readings);
+  panelSeries(history.concat(readings)).forEach(series => series.forEach((reading, i) => {
+    if (i > 0 && fresh.has(reading)) previousOf.set(reading, series[i - 1]);
+  }));
+
+  // Alerts suppressed by maintenance never open or add to an incident
+  const absorb = (alert) => {
+    if (alert.suppressed) return;
+    const key = incidentKey(alert);
+    const index = list.findIndex(i => i.key === key && isOpen(i));
+    if (index === -1) {
+      list.push(openIncident(alert, at));
+      openedKeys.add(key);
+    } else {
+      list[index] = recordOccurrence(list[index], alert);
+    }
+  };
+
+  // Alerts attached to a reading are replayed in reading order so each reading
+  // can clear the incidents it no longer shows
+  const byReading = new Map();
+  const loose = [];
+  alerts.forEach(alert => {
+    const id = readingId(alert);
+    if (readingIds.has(id)) {
+      if (!byReading.has(id)) byReading.set(id, []);
+      byReading.get(id).push(alert);
+    } else {
+      loose.push(alert);
+    }
+  });
+
+  [...readings].sort((a, b) => timeOf(a.when) - timeOf(b.when)).forEach(reading => {
+    const id = readingId(reading);
+    const raised = byReading.get(id) || [];
+    byReading.delete(id);
+    raised.forEach(absorb);
+    const raisedKeys = new Set(raised.map(incidentKey));
+    list = list.map(incident => {
+      if (!isOpen(incident) || raisedKeys.has(incident.key)) return incident;
+      if (timeOf(reading.when) <= timeOf(incident.lastSeen)) return incident;
+      // Theft incidents belong to a site and follow the panels they name
+      const theft = incident.type === 'theft' && (incident.panels || []).includes(reading.id_panel);
+      if (!theft && incident.id_panel !== reading.id_panel) return incident;
+      if (theft && !reportsAgain(reading)) return incident;
+      const current = theft ? { ...incident, returned: [...new Set([...(incident.returned || []), reading.id_panel])] } : incident;
+      if (conditionPersists(current, reading, previousOf.get(reading) || null, options)) return current;
+      const next = closeIncident(current, reading.when, theft ? 'Panels reporting again' : 'Condition cleared');
+      closed.push(next);
+      return next;
+    });
+  });
+  loose.forEach(absorb);
+
+  const { incidents: escalatedList, escalated } = at ? escalateIncidents(list, escalation, at) : { incidents: list, escalated: [] };
+  // Incidents opened by this batch, even if a later reading in it already cleared them
+  const opened = escalatedList.filter(i => !i._id && openedKeys.has(i.key));
+  return { incidents: escalatedList, opened, escalated, closed };
+};
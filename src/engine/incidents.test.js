@@ -0,0 +1,165 @@
+import { DEFAULT_ESCALATION, ruleKey, incidentKey, applyAlerts, escalateIncidents } from './incidents';
+
+const at = (minute) => new Date(Date.UTC(2025, 6, 20, 10, minute));
+
+let lastId = 0;
+const alert = (id_panel, minute, extra = {}) => {
+  lastId += 1;
+  return { _id: lastId, id_panel, type: 'offline', severityLevel: 'critical', alertMessage: `Panel ${id_panel} is offline`, when: at(minute), ...extra };
+};
+const reading = (id_panel, minute, powerOut = 0, extra = {}) => ({ id_panel, powerOut, voltage: 220, when: at(minute), ...extra });
+
+// Give new incidents IDs the way the dashboard does
+const withIds = (incidents) => incidents.map((i, n) => (i._id ? i : { _id: 1000 + n, ...i }));
+
+describe('keys', () => {
+  test('group by panel and by rule, detector or built-in check', () => {
+    expect(ruleKey({ type: 'custom', ruleId: 7 })).toBe('rule:7');
+    expect(ruleKey({ type: 'anomaly', detector: 'cusum' })).toBe('anomaly:cusum');
+    expect(ruleKey({ type: 'integrity', check: 'frozen' })).toBe('integrity:frozen');
+    expect(incidentKey({ id_panel: 'PV001', type: 'offline' })).toBe('PV001|offline');
+  });
+});
+
+describe('applyAlerts', () => {
+  test('folds repeated alerts into one incident with first/last seen and count', () => {
+    const alerts = [alert('PV001', 0), alert('PV001', 5), alert('PV001', 10)];
+    const readings = [reading('PV001', 0), reading('PV001', 5), reading('PV001', 10)];
+    const { incidents, opened } = applyAlerts([], alerts, readings);
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0]).toEqual(expect.objectContaining({
+      key: 'PV001|offline',
+      state: 'new',
+      firstSeen: at(0),
+      lastSeen: at(10),
+      count: 3,
+      occurrences: alerts.map(a => a._id),
+    }));
+    expect(opened).toHaveLength(1);
+  });
+
+  test('continues an open incident across batches and opens a new one after it closes', () => {
+    const first = withIds(applyAlerts([], [alert('PV001', 0)], [reading('PV001', 0)]).incidents);
+    const second = applyAlerts(first, [alert('PV001', 5)], [reading('PV001', 5)]);
+    expect(second.opened).toEqual([]);
+    expect(second.incidents[0].count).toBe(2);
+
+    const cleared = applyAlerts(second.incidents, [], [reading('PV001', 10, 400)]);
+    expect(cleared.closed).toHaveLength(1);
+    expect(cleared.incidents[0]).toEqual(expect.objectContaining({ state: 'resolved', closedAt: at(10) }));
+    expect(cleared.incidents[0].history).toEqual([
+      { at: at(10), user: 'System', field: 'state', from: 'new', to: 'resolved', reason: 'Condition cleared' },
+    ]);
+
+    const again = applyAlerts(cleared.incidents, [alert('PV001', 15)], [reading('PV001', 15)]);
+    expect(again.incidents).toHaveLength(2);
+    expect(again.opened).toHaveLength(1);
+  });
+
+  test('keeps incidents open while a started condition persists', () => {
+    const rule = { _id: 3, metric: 'power', condition: '<', value: 100, duration: { type: 'readings', value: 2 }, conditions: [{ type: 'threshold', metric: 'power', condition: '<', value: 100 }] };
+    const custom = alert('PV001', 5, { type: 'custom', ruleId: 3, severityLevel: 'warning' });
+    const start = withIds(applyAlerts([], [custom], [reading('PV001', 5, 50)]).incidents);
+    expect(applyAlerts(start, [], [reading('PV001', 10, 60)], { rules: [rule] }).closed).toEqual([]);
+    expect(applyAlerts(start, [], [reading('PV001', 10, 160)], { rules: [rule] }).closed).toHaveLength(1);
+  });
+
+  test('judges a rate-of-change rule against the previous reading', () => {
+    const rule = { _id: 4, logic: 'AND', conditions: [{ type: 'change', metric: 'power', direction: 'drop', percent: 20 }], duration: { type: 'readings', value: 2 } };
+    const custom = alert('PV001', 10, { type: 'custom', ruleId: 4, severityLevel: 'warning' });
+    const history = [reading('PV001', 0, 400), reading('PV001', 5, 300), reading('PV001', 10, 200)];
+    const start = withIds(applyAlerts([], [custom], [history[2]]).incidents);
+    expect(applyAlerts(start, [], [reading('PV001', 15, 100)], { rules: [rule], history }).closed).toEqual([]);
+    expect(applyAlerts(start, [], [reading('PV001', 15, 195)], { rules: [rule], history }).closed).toHaveLength(1);
+  });
+
+  test('keeps an unregistered device open until the panel is registered', () => {
+    const unknown = alert('PV009', 0, { type: 'unregistered', severityLevel: 'warning' });
+    const start = withIds(applyAlerts([], [unknown], [reading('PV009', 0, 400)]).incidents);
+    const registry = [{ id_panel: 'PV001' }];
+    expect(applyAlerts(start, [], [reading('PV009', 5, 400)], { registry }).closed).toEqual([]);
+    expect(applyAlerts(start, [], [reading('PV009', 5, 400)], { registry: [...registry, { id_panel: 'PV009' }] }).closed).toHaveLength(1);
+  });
+
+  test('night readings do not clear production incidents', () => {
+    const start = withIds(applyAlerts([], [alert('PV001', 0)], [reading('PV001', 0)]).incidents);
+    expect(applyAlerts(start, [], [reading('PV001', 5, 0, { panelStatus: 'night' })]).closed).toEqual([]);
+  });
+
+  test('alerts without a reading, such as a lost data source, still group', () => {
+    const lost = (minute) => alert('Roof logger', minute, { type: 'source_unreachable' });
+    const { incidents } = applyAlerts([], [lost(0), lost(1)], []);
+    expect(incidents).toHaveLength(1);
+    expect(incidents[0].count).toBe(2);
+  });
+
+  test('suppressed alerts keep an incident open without opening or adding to one', () => {
+    const start = withIds(applyAlerts([], [alert('PV001', 0)], [reading('PV001', 0)]).incidents);
+    const quiet = (id_panel, minute) => alert(id_panel, minute, { maintenance: 'Cleaning', suppressed: true });
+    const next = applyAlerts(start, [quiet('PV001', 5), quiet('PV002', 5)], [reading('PV001', 5), reading('PV002', 5)]);
+    expect(next.closed).toEqual([]);
+    expect(next.opened).toEqual([]);
+    expect(next.incidents).toEqual([expect.objectContaining({ id_panel: 'PV001', count: 1 })]);
+  });
+
+  test('a theft incident gathers its panels and signals and stays open until all of them report again', () => {
+    const theft = (minute, panels, confidence, signals) => alert('Roof', minute, { type: 'theft', panels, confidence, signals });
+    const first = theft(0, ['PV001', 'PV002'], 55, ['2 adjacent panels dropped to zero: PV001, PV002']);
+    const start = withIds(applyAlerts([], [first], [reading('PV001', 0), reading('PV002', 0)]).incidents);
+    const next = applyAlerts(start, [theft(5, ['PV003'], 45, ['1 voltage lost at night: PV003'])], [reading('PV001', 5, 300)]);
+    expect(next.closed).toEqual([]);
+    expect(next.incidents).toEqual([expect.objectContaining({
+      id_panel: 'Roof',
+      panels: ['PV001', 'PV002', 'PV003'],
+      confidence: 55,
+      signals: ['2 adjacent panels dropped to zero: PV001, PV002', '1 voltage lost at night: PV003'],
+      count: 2,
+    })]);
+
+    const back = applyAlerts(next.incidents, [], [reading('PV002', 10, 300), reading('PV003', 10, 0, { voltage: 0 })]);
+    expect(back.closed).toEqual([]);
+    expect(applyAlerts(back.incidents, [], [reading('PV003', 15, 250)]).closed).toEqual([
+      expect.objectContaining({ id_panel: 'Roof', state: 'resolved', history: [expect.objectContaining({ reason: 'Panels reporting again' })] }),
+    ]);
+  });
+});
+
+describe('escalation', () => {
+  const warning = (id_panel, minute) => alert(id_panel, minute, { type: 'low_power', severityLevel: 'warning' });
+
+  test('escalates a warning incident open for too long', () => {
+    const alerts = [warning('PV001', 0), warning('PV001', 30), warning('PV001', 61)];
+    const readings = [reading('PV001', 0, 20), reading('PV001', 30, 20), reading('PV001', 61, 20)];
+    const { incidents, escalated } = applyAlerts([], alerts, readings);
+    expect(escalated).toHaveLength(1);
+    expect(incidents[0]).toEqual(expect.objectContaining({ severityLevel: 'critical', baseSeverity: 'warning', escalation: 'Open for over 60 minutes' }));
+    expect(incidents[0].history[0]).toEqual(expect.objectContaining({ field: 'severity', from: 'warning', to: 'critical', user: 'System' }));
+  });
+
+  test('escalates by the time since opening when no new readings arrive', () => {
+    const { incidents } = applyAlerts([], [warning('PV001', 0)], [reading('PV001', 0, 20)], { at: at(0) });
+    expect(escalateIncidents(incidents, DEFAULT_ESCALATION, at(30)).escalated).toEqual([]);
+    const { escalated } = escalateIncidents(incidents, DEFAULT_ESCALATION, at(61));
+    expect(escalated).toEqual([expect.objectContaining({ severityLevel: 'critical', escalation: 'Open for over 60 minutes' })]);
+  });
+
+  test('escalates when the same rule is open on enough panels', () => {
+    const alerts = ['PV001', 'PV002', 'PV003'].map(id => warning(id, 0));
+    const { incidents, escalated } = applyAlerts([], alerts, alerts.map(a => reading(a.id_panel, 0, 20)));
+    expect(escalated).toHaveLength(3);
+    expect(incidents.every(i => i.escalation === 'Open on 3 panels at once')).toBe(true);
+  });
+
+  test('leaves incidents raised during maintenance alone', () => {
+    const warning = (id_panel) => alert(id_panel, 0, { type: 'low_power', severityLevel: 'warning', maintenance: 'Cleaning' });
+    const { incidents } = applyAlerts([], ['PV001', 'PV002', 'PV003'].map(warning), []);
+    expect(escalateIncidents(incidents, DEFAULT_ESCALATION, at(0)).escalated).toEqual([]);
+  });
+
+  test('can be disabled', () => {
+    const alerts = ['PV001', 'PV002', 'PV003'].map(id => warning(id, 0));
+    const { incidents } = applyAlerts([], alerts, [], { escalation: { ...DEFAULT_ESCALATION, enabled: false } });
+    expect(escalateIncidents(incidents, { ...DEFAULT_ESCALATION, enabled: false }, at(0)).escalated).toEqual([]);
+    expect(incidents.every(i => i.severityLevel === 'warning')).toBe(true);
+  });
+});
@@ -0,0 +1,213 @@
+// Telemetry integrity checks
+// Signs that the data itself cannot be trusted, whether from a failing logger or
+// a spoofed feed: copies of readings, resends that disagree with the original,
+// earlier sequences replayed under new timestamps, sensors stuck on one value,
+// readings no panel can produce, timestamps in the future or arriving out of
+// order, and sudden gaps in reporting. Their alerts form the data integrity category, kept apart from
+// electrical faults.
+import { panelSeries, readingKey } from './history';
+
+export const ALERT_CATEGORIES = {
+  equipment: 'Equipment',
+  integrity: 'Data integrity',
+};
+
+// Alerts without a category are about the equipment
+export const alertCategory = (alert) => alert.category || 'equipment';
+
+// limit is each check's one setting, where it has one
+export const INTEGRITY_CHECKS = {
+  duplicate: { label: 'Duplicate reading' },
+  conflict: { label: 'Conflicting resend' },
+  replay: { label: 'Replayed sequence', limitLabel: 'Sequence length (readings)' },
+  frozen: { label: 'Frozen sensor', limitLabel: 'Unchanged readings' },
+  impossible: { label: 'Impossible value', limitLabel: 'V×I tolerance (%)' },
+  future: { label: 'Future timestamp', limitLabel: 'Minutes ahead' },
+  out_of_order: { label: 'Out-of-order timestamp' },
+  gap: { label: 'Reporting gap', limitLabel: '× usual interval' },
+};
+
+export const DEFAULT_INTEGRITY_CHECKS = {
+  duplicate: { enabled: true },
+  conflict: { enabled: true },
+  replay: { enabled: true, limit: 4 },
+  frozen: { enabled: true, limit: 5 },
+  impossible: { enabled: true, limit: 20 },
+  future: { enabled: true, limit: 5 },
+  out_of_order: { enabled: true },
+  gap: { enabled: true, limit: 4 },
+};
+
+// Intervals a panel needs before a gap can stand out from its usual rhythm
+const MIN_INTERVALS = 3;
+
+// Below this many watts a V×I mismatch is measurement noise
+const MIN_CHECKED_POWER = 5;
+
+const timeOf = (value) => new Date(value).getTime();
+
+const minutes = (ms) => Math.round(ms / 60000);
+
+// Everything a reading measured, to compare readings by value
+const valuesOf = (reading) => [reading.powerOut, reading.voltage, reading.currentDc, reading.currentAc, reading.moduleTemp, reading.irradiance].join('|');
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const copyKey = (reading) => `${reading.id_panel}@${timeOf(reading.when)}|${valuesOf(reading)}`;
+
+// Exact copies (same panel, time and values) within the batch, and resent
+// readings that copy one already received
+const findDuplicates = (readings, history, resent) => {
+  const seen = new Set(resent.length > 0 ? history.map(copyKey) : []);
+  const found = [];
+  const flag = (reading) => found.push({ reading, check: 'duplicate', detail: 'Exact copy of a reading already received' });
+  readings.forEach(reading => {
+    const key = copyKey(reading);
+    if (seen.has(key)) flag(reading);
+    seen.add(key);
+  });
+  resent.forEach(reading => {
+    if (seen.has(copyKey(reading))) flag(reading);
+  });
+  return found;
+};
+
+// Readings for a panel and time already received with other values, in history
+// or earlier in the batch: only one of them can be kept
+const findConflicts = (readings, history, resent) => {
+  const known = new Map(history.map(r => [readingKey(r), r]));
+  const found = [];
+  readings.concat(resent).forEach(reading => {
+    const key = readingKey(reading);
+    const original = known.get(key);
+    if (!original) known.set(key, reading);
+    else if (valuesOf(original) !== valuesOf(reading)) {
+      found.push({
+        reading,
+        check: 'conflict',
+        detail: `Differs from the reading already received for this time (${original.powerOut.toFixed(2)}W, ${original.voltage.toFixed(2)}V)`,
+      });
+    }
+  });
+  return found;
+};
+
+// A run of `length` readings whose values repeat an earlier, non-overlapping run.
+// Flat or zero runs are left to the frozen sensor and offline checks.
+const findReplays = (series, fresh, length) => {
+  const found = [];
+  const firstSeen = new Map();
+  const keys = series.map(valuesOf);
+  for (let end = length - 1; end < series.length; end += 1) {
+    const window = keys.slice(end - length + 1, end + 1);
+    if (new Set(window).size === 1 || series.slice(end - length + 1, end + 1).every(r => r.powerOut === 0)) continue;
+    const key = window.join(';');
+    if (!firstSeen.has(key)) {
+      firstSeen.set(key, end);
+      continue;
+    }
+    const earlier = firstSeen.get(key);
+    if (earlier <= end - length && fresh.has(series[end])) {
+      const from = series[earlier - length + 1].when;
+      found.push({ reading: series[end], check: 'replay', detail: `Last ${length} readings repeat those from ${new Date(from).toLocaleString()}` });
+    }
+  }
+  return found;
+};
+
+// Producing readings identical to the limit - 1 before them
+const findFrozen = (series, fresh, limit) => {
+  const found = [];
+  let run = 0;
+  series.forEach((reading, i) => {
+    // Copies at the same time are the duplicate check's concern
+    if (i > 0 && timeOf(reading.when) === timeOf(series[i - 1].when)) return;
+    run = i > 0 && valuesOf(reading) === valuesOf(series[i - 1]) ? run + 1 : 1;
+    if (run >= limit && reading.powerOut > 0 && fresh.has(reading)) {
+      found.push({ reading, check: 'frozen', detail: `Values unchanged for ${run} readings` });
+    }
+  });
+  return found;
+};
+
+// Negative power or voltage, or power that does not match voltage × DC current
+const findImpossible = (readings, tolerance) => readings.flatMap(reading => {
+  if (reading.powerOut < 0) return [{ reading, check: 'impossible', detail: `Negative power ${reading.powerOut.toFixed(2)}W` }];
+  if (reading.voltage < 0) return [{ reading, check: 'impossible', detail: `Negative voltage ${reading.voltage.toFixed(2)}V` }];
+  if (reading.currentDc == null) return [];
+  const product = reading.voltage * reading.currentDc;
+  if (Math.max(product, reading.powerOut) < MIN_CHECKED_POWER) return [];
+  if (Math.abs(reading.powerOut - product) <= (tolerance / 100) * Math.max(product, reading.powerOut)) return [];
+  return [{ reading, check: 'impossible', detail: `Power ${reading.powerOut.toFixed(2)}W does not match V×I ${product.toFixed(2)}W` }];
+});
+
+// Timestamps more than the limit ahead of now
+const findFuture = (readings, now, limit) => readings
+  .filter(reading => timeOf(reading.when) - timeOf(now) > limit * 60000)
+  .map(reading => ({ reading, check: 'future', detail: `Timestamp ${minutes(timeOf(reading.when) - timeOf(now))} minutes in the future` }));
+
+// Readings arriving after a later one from the same panel, earlier in the batch
+// or already in history
+const findOutOfOrder = (readings, history) => {
+  const latest = new Map();
+  history.forEach(r => {
+    if (!latest.has(r.id_panel) || timeOf(r.when) > latest.get(r.id_panel)) latest.set(r.id_panel, timeOf(r.when));
+  });
+  const found = [];
+  readings.forEach(reading => {
+    const last = latest.get(reading.id_panel);
+    if (last !== undefined && timeOf(reading.when) < last) {
+      found.push({ reading, check: 'out_of_order', detail: `Arrived after a reading from ${new Date(last).toLocaleString()}` });
+    } else {
+      latest.set(reading.id_panel, timeOf(reading.when));
+    }
+  });
+  return found;
+};
+
+// A reading after a silence longer than `factor` times the panel's usual interval.
+// Panels that stop reporting at night are not flagged for it.
+const findGaps = (series, fresh, factor) => {
+  const found = [];
+  const intervals = [];
+  series.forEach((reading, i) => {
+    if (i === 0) return;
+    const previous = series[i - 1];
+    const interval = timeOf(reading.when) - timeOf(previous.when);
+    if (fresh.has(reading) && intervals.length >= MIN_INTERVALS && previous.panelStatus !== 'night' && reading.panelStatus !== 'night') {
+      const usual = median(intervals);
+      if (usual > 0 && interval > factor * usual) {
+        found.push({ reading, check: 'gap', detail: `No readings for ${minutes(interval)} minutes, usually every ${minutes(usual)}` });
+      }
+    }
+    if (interval > 0) intervals.push(interval);
+  });
+  return found;
+};
+
+// Run the enabled checks over a batch (in arrival order, tagged with panelStatus)
+// against the readings already evaluated. now is the current time for the future
+// timestamp check, which is skipped without it. resent holds readings dropped
+// before evaluation because their panel and timestamp were already known; the
+// exact copies among them are flagged, and those with other values as conflicts.
+// Returns [{ reading, check, detail }].
+export const detectIntegrityIssues = (readings, history = [], checks = DEFAULT_INTEGRITY_CHECKS, now = null, resent = []) => {
+  const fresh = new Set(readings);
+  const found = [];
+  if (checks.duplicate.enabled) found.push(...findDuplicates(readings, history, resent));
+  if (checks.conflict.enabled) found.push(...findConflicts(readings, history, resent));
+  if (checks.impossible.enabled) found.push(...findImpossible(readings, checks.impossible.limit));
+  if (checks.future.enabled && now) found.push(...findFuture(readings, now, checks.future.limit));
+  if (checks.out_of_order.enabled) found.push(...findOutOfOrder(readings, history));
+  panelSeries(history.concat(readings)).forEach(series => {
+    if (!series.some(r => fresh.has(r))) return;
+    if (checks.replay.enabled) found.push(...findReplays(series, fresh, checks.replay.limit));
+    if (checks.frozen.enabled) found.push(...findFrozen(series, fresh, checks.frozen.limit));
+    if (checks.gap.enabled) found.push(...findGaps(series, fresh, checks.gap.limit));
+  });
+  return found;
+};
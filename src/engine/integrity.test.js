@@ -0,0 +1,109 @@
+import { DEFAULT_INTEGRITY_CHECKS, alertCategory, detectIntegrityIssues } from './integrity';
+
+const at = (minute) => new Date(Date.UTC(2025, 6, 20, 10, minute));
+
+const reading = (id_panel, powerOut, minute, extra = {}) => ({
+  id_panel,
+  powerOut,
+  voltage: 220,
+  when: at(minute),
+  panelStatus: powerOut > 0 ? 'normal' : 'offline',
+  ...extra,
+});
+
+const only = (check, limit) => Object.fromEntries(Object.entries(DEFAULT_INTEGRITY_CHECKS).map(([key, settings]) => [
+  key,
+  { ...settings, enabled: key === check, ...(key === check && limit ? { limit } : {}) },
+]));
+
+const found = (issues) => issues.map(i => [i.reading.id_panel, i.check, i.detail]);
+
+test('alerts without a category are about the equipment', () => {
+  expect(alertCategory({ type: 'offline' })).toBe('equipment');
+  expect(alertCategory({ type: 'integrity', category: 'integrity' })).toBe('integrity');
+});
+
+test('flags exact copies within a batch but not differing readings at one time', () => {
+  const batch = [reading('PV001', 300, 0), reading('PV001', 300, 0), reading('PV002', 300, 0), reading('PV002', 310, 0)];
+  expect(found(detectIntegrityIssues(batch, [], only('duplicate')))).toEqual([
+    ['PV001', 'duplicate', 'Exact copy of a reading already received'],
+  ]);
+});
+
+test('flags resent readings that copy one already received', () => {
+  const history = [reading('PV001', 300, 0), reading('PV002', 300, 0)];
+  const resent = [reading('PV001', 300, 0), reading('PV002', 310, 0)];
+  expect(found(detectIntegrityIssues([reading('PV001', 305, 5)], history, only('duplicate'), null, resent))).toEqual([
+    ['PV001', 'duplicate', 'Exact copy of a reading already received'],
+  ]);
+});
+
+test('flags readings for a known panel and time that carry other values', () => {
+  const history = [reading('PV001', 300, 0)];
+  const resent = [reading('PV001', 300, 0), reading('PV001', 280, 0)];
+  expect(found(detectIntegrityIssues([reading('PV002', 300, 0), reading('PV002', 310, 0)], history, only('conflict'), null, resent))).toEqual([
+    ['PV002', 'conflict', 'Differs from the reading already received for this time (300.00W, 220.00V)'],
+    ['PV001', 'conflict', 'Differs from the reading already received for this time (300.00W, 220.00V)'],
+  ]);
+});
+
+test('flags an earlier sequence replayed under new timestamps', () => {
+  const values = [300, 310, 320, 305];
+  const history = values.map((power, i) => reading('PV001', power, i * 5));
+  const batch = [...values, 330].map((power, i) => reading('PV001', power, 30 + i * 5));
+  const issues = detectIntegrityIssues(batch, history, only('replay'));
+  expect(issues).toHaveLength(1);
+  expect(issues[0].reading).toBe(batch[3]);
+  expect(issues[0].detail).toMatch(/^Last 4 readings repeat those from /);
+  // A different order is not a replay
+  expect(detectIntegrityIssues([310, 300, 320, 305].map((p, i) => reading('PV001', p, 30 + i * 5)), history, only('replay'))).toEqual([]);
+});
+
+test('flags producing sensors stuck on one value, not panels reading zero', () => {
+  const stuck = [0, 5, 10, 15, 20, 25].map(minute => reading('PV001', 300, minute));
+  const dark = [0, 5, 10, 15, 20].map(minute => reading('PV002', 0, minute));
+  expect(found(detectIntegrityIssues([...stuck, ...dark], [], only('frozen')))).toEqual([
+    ['PV001', 'frozen', 'Values unchanged for 5 readings'],
+    ['PV001', 'frozen', 'Values unchanged for 6 readings'],
+  ]);
+});
+
+test('flags negative readings and power that does not match voltage times current', () => {
+  const batch = [
+    reading('PV001', -20, 0),
+    reading('PV002', 300, 0, { voltage: -5 }),
+    reading('PV003', 400, 0, { voltage: 40, currentDc: 7.5 }),
+    reading('PV004', 310, 0, { voltage: 40, currentDc: 7.5 }),
+  ];
+  expect(found(detectIntegrityIssues(batch, [], only('impossible')))).toEqual([
+    ['PV001', 'impossible', 'Negative power -20.00W'],
+    ['PV002', 'impossible', 'Negative voltage -5.00V'],
+    ['PV003', 'impossible', 'Power 400.00W does not match V×I 300.00W'],
+  ]);
+});
+
+test('flags timestamps ahead of now, and none without a clock', () => {
+  const batch = [reading('PV001', 300, 10), reading('PV002', 300, 30)];
+  expect(found(detectIntegrityIssues(batch, [], only('future'), at(20)))).toEqual([
+    ['PV002', 'future', 'Timestamp 10 minutes in the future'],
+  ]);
+  expect(detectIntegrityIssues(batch, [], only('future'))).toEqual([]);
+});
+
+test('flags readings arriving after a later one from the same panel', () => {
+  const history = [reading('PV001', 300, 20)];
+  const batch = [reading('PV001', 300, 10), reading('PV002', 300, 15), reading('PV002', 300, 5), reading('PV002', 300, 25)];
+  expect(found(detectIntegrityIssues(batch, history, only('out_of_order'))).map(([id, check]) => [id, check])).toEqual([
+    ['PV001', 'out_of_order'],
+    ['PV002', 'out_of_order'],
+  ]);
+});
+
+test('flags a silence well beyond the panel\'s usual interval, except overnight', () => {
+  const history = [0, 5, 10, 15].map(minute => reading('PV001', 300 + minute, minute));
+  expect(found(detectIntegrityIssues([reading('PV001', 320, 20), reading('PV001', 330, 45)], history, only('gap')))).toEqual([
+    ['PV001', 'gap', 'No readings for 25 minutes, usually every 5'],
+  ]);
+  expect(detectIntegrityIssues([reading('PV001', 330, 45, { panelStatus: 'night' })], history, only('gap'))).toEqual([]);
+  expect(detectIntegrityIssues([reading('PV001', 330, 45)], history.slice(1), only('gap'))).toEqual([]);
+});
@@ -0,0 +1,101 @@
+// Physical panel layout
+// Where each panel sits on the array, as a row and column on a grid sized to
+// the roof or field, with an optional background image (a drone shot or site
+// plan). The live map colours each cell by the panel's status and picks out
+// clusters of adjacent offline panels: several neighbours going dark together
+// is what theft looks like, where a single offline panel is usually a fault.
+
+export const DEFAULT_LAYOUT = {
+  rows: 10,
+  columns: 20,
+  background: null, // image data URL
+  positions: {}, // panel ID -> { row, col }, both from 0
+};
+
+// Largest grid the editor offers
+export const MAX_GRID = 200;
+
+const cellKey = (row, col) => `${row},${col}`;
+
+// "row,col" -> panel ID for every placed panel inside the grid
+export const cellIndex = (layout) => {
+  const cells = new Map();
+  Object.entries(layout.positions).forEach(([id, { row, col }]) => {
+    if (row < layout.rows && col < layout.columns) cells.set(cellKey(row, col), id);
+  });
+  return cells;
+};
+
+// Is the panel on the map? Positions left outside a shrunken grid do not count.
+export const isPlaced = (layout, id) => {
+  const position = layout.positions[id];
+  return Boolean(position) && position.row < layout.rows && position.col < layout.columns;
+};
+
+// Put a panel in a cell. A panel already in that cell is taken off the map.
+export const placePanel = (layout, id, row, col) => {
+  const positions = {};
+  Object.entries(layout.positions).forEach(([other, position]) => {
+    if (other !== id && !(position.row === row && position.col === col)) positions[other] = position;
+  });
+  positions[id] = { row, col };
+  return { ...layout, positions };
+};
+
+// Take whatever panel is in a cell off the map
+export const clearCell = (layout, row, col) => {
+  const positions = {};
+  Object.entries(layout.positions).forEach(([id, position]) => {
+    if (!(position.row === row && position.col === col)) positions[id] = position;
+  });
+  return { ...layout, positions };
+};
+
+// Place panels not yet on the map into the free cells, row by row. Panels that
+// do not fit stay unplaced.
+export const autoPlace = (layout, ids) => {
+  const cells = cellIndex(layout);
+  const unplaced = ids.filter(id => !isPlaced(layout, id));
+  const positions = { ...layout.positions };
+  let next = 0;
+  for (let row = 0; row < layout.rows && next < unplaced.length; row += 1) {
+    for (let col = 0; col < layout.columns && next < unplaced.length; col += 1) {
+      if (!cells.has(cellKey(row, col))) {
+        positions[unplaced[next]] = { row, col };
+        next += 1;
+      }
+    }
+  }
+  return { ...layout, positions };
+};
+
+// Groups of at least minSize placed panels whose status is offline and that
+// touch each other, diagonals included. Returns arrays of panel IDs, largest first.
+export const offlineClusters = (layout, statuses, minSize = 2) => {
+  const cells = cellIndex(layout);
+  const offline = new Set([...cells.values()].filter(id => statuses.get(id) === 'offline'));
+  const seen = new Set();
+  const clusters = [];
+  offline.forEach(start => {
+    if (seen.has(start)) return;
+    const cluster = [];
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const id = queue.shift();
+      cluster.push(id);
+      const { row, col } = layout.positions[id];
+      for (let dr = -1; dr <= 1; dr += 1) {
+        for (let dc = -1; dc <= 1; dc += 1) {
+          const neighbour = cells.get(cellKey(row + dr, col + dc));
+          if (neighbour && offline.has(neighbour) && !seen.has(neighbour)) {
+            seen.add(neighbour);
+            queue.push(neighbour);
+          }
+        }
+      }
+    }
+    if (cluster.length >= minSize) clusters.push(cluster);
+  });
+  return clusters.sort((a, b) => b.length - a.length);
+};
@@ -0,0 +1,38 @@
+import { DEFAULT_LAYOUT, autoPlace, cellIndex, clearCell, offlineClusters, placePanel } from './layout';
+
+const layout = (positions, rows = 4, columns = 4) => ({ ...DEFAULT_LAYOUT, rows, columns, positions });
+
+test('places a panel, moving it and taking any other panel out of the cell', () => {
+  const start = layout({ PV001: { row: 0, col: 0 }, PV002: { row: 0, col: 1 } });
+  const moved = placePanel(start, 'PV001', 0, 1);
+  expect(moved.positions).toEqual({ PV001: { row: 0, col: 1 } });
+  expect(clearCell(moved, 0, 1).positions).toEqual({});
+  expect(start.positions).toHaveProperty('PV002');
+});
+
+test('fills free cells row by row with the panels not yet placed', () => {
+  const start = layout({ PV001: { row: 0, col: 1 }, PV009: { row: 5, col: 5 } }, 2, 2);
+  const placed = autoPlace(start, ['PV001', 'PV002', 'PV003', 'PV009', 'PV004']);
+  expect(placed.positions).toEqual({
+    PV001: { row: 0, col: 1 },
+    PV002: { row: 0, col: 0 },
+    PV003: { row: 1, col: 0 },
+    PV009: { row: 1, col: 1 },
+  });
+  expect([...cellIndex(start).values()]).toEqual(['PV001']);
+});
+
+test('finds clusters of touching offline panels, largest first', () => {
+  // A B . .
+  // . C . .
+  // . . . D
+  // E . . F
+  const map = layout({
+    A: { row: 0, col: 0 }, B: { row: 0, col: 1 }, C: { row: 1, col: 1 },
+    D: { row: 2, col: 3 }, E: { row: 3, col: 0 }, F: { row: 3, col: 3 },
+  });
+  const statuses = new Map(['A', 'B', 'C', 'D', 'E', 'F'].map(id => [id, 'offline']));
+  statuses.set('B', 'normal');
+  expect(offlineClusters(map, statuses).map(c => c.sort())).toEqual([['A', 'C'], ['D', 'F']]);
+  expect(offlineClusters(map, statuses, 3)).toEqual([]);
+});
@@ -0,0 +1,100 @@
+// Maintenance windows
+// Scheduled work on the array: cleaning, module swaps, inverter service. A
+// window covers a scope of panels (some IDs, some strings or the whole site)
+// once or on a daily or weekly schedule. Alerts raised inside a window are
+// either suppressed or downgraded to warnings tagged "during maintenance".
+// Suppressed alerts are still returned, flagged, so they can be audited.
+import { cleanScope, matchesScope, scopeError } from './scope';
+
+export const MAINTENANCE_MODES = {
+  suppress: 'Suppress alerts',
+  downgrade: 'Downgrade to warning',
+};
+
+export const RECURRENCES = {
+  none: 'One-off',
+  daily: 'Daily',
+  weekly: 'Weekly',
+};
+
+const RECURRENCE_DAYS = { daily: 1, weekly: 7 };
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const timeOf = (value) => new Date(value).getTime();
+
+// A window as stored: name, scope, start and end (the first occurrence),
+// recurrence and mode
+export const cleanWindow = (window) => ({
+  name: String(window.name || '').trim(),
+  scope: cleanScope(window.scope),
+  start: window.start,
+  end: window.end,
+  recurrence: RECURRENCES[window.recurrence] ? window.recurrence : 'none',
+  mode: MAINTENANCE_MODES[window.mode] ? window.mode : 'suppress',
+});
+
+// Why a window cannot be saved, or null when it is fine
+export const windowError = (window, groups = []) => {
+  if (String(window.name || '').trim() === '') return 'Give the window a name.';
+  if (isNaN(timeOf(window.start)) || isNaN(timeOf(window.end))) return 'Enter a start and an end time.';
+  if (timeOf(window.end) <= timeOf(window.start)) return 'The window must end after it starts.';
+  const days = RECURRENCE_DAYS[window.recurrence];
+  if (days && timeOf(window.end) - timeOf(window.start) > days * DAY_MS) return 'A recurring window cannot be longer than its repeat interval.';
+  return scopeError(window.scope, groups);
+};
+
+// The start of the occurrence `days` after the first, at the same local time of day
+const shiftDays = (date, days) => {
+  const shifted = new Date(date);
+  shifted.setDate(shifted.getDate() + days);
+  return shifted;
+};
+
+// Is a window open at a time? Recurring windows repeat at the same local time.
+export const windowActiveAt = (window, when) => {
+  const at = timeOf(when);
+  const start = new Date(window.start);
+  const length = timeOf(window.end) - start.getTime();
+  if (at < start.getTime()) return false;
+  const step = RECURRENCE_DAYS[window.recurrence];
+  if (!step) return at < start.getTime() + length;
+  // Latest occurrence starting at or before the time: start one step past the
+  // estimate and walk back, as DST changes move occurrences by an hour
+  let days = (Math.floor((at - start.getTime()) / DAY_MS / step) + 1) * step;
+  while (days > 0 && shiftDays(start, days).getTime() > at) days -= step;
+  return at < shiftDays(start, days).getTime() + length;
+};
+
+// The first window open at a time whose scope covers a reading, or null
+export const maintenanceFor = (windows, reading, groups = [], when = reading.when) =>
+  windows.find(w => windowActiveAt(w, when) && matchesScope(w.scope, reading, groups)) || null;
+
+// Apply the windows to alerts. locate turns a panel ID into a reading-like
+// object for scope matching (with its string); alerts about several panels
+// fall inside a window only when it covers all of them.
+export const applyMaintenance = (alerts, windows, { groups = [], locate = (id) => ({ id_panel: id }) } = {}) => {
+  if (windows.length === 0) return alerts;
+  return alerts.map(alert => {
+    const covered = (alert.panels || [alert.id_panel]).map(locate);
+    const window = windows.find(w => windowActiveAt(w, alert.when) && covered.every(r => matchesScope(w.scope, r, groups)));
+    if (!window) return alert;
+    if (window.mode === 'suppress') return { ...alert, maintenance: window.name, suppressed: true };
+    return {
+      ...alert,
+      maintenance: window.name,
+      severityLevel: 'warning',
+      originalSeverity: alert.severityLevel,
+      alertMessage: `${alert.alertMessage} (during maintenance)`,
+    };
+  });
+};
+
+// Short schedule label, e.g. "20/07/2025, 08:00:00 – 10:00:00, daily"
+export const describeSchedule = (window) => {
+  const start = new Date(window.start);
+  const end = new Date(window.end);
+  const sameDay = start.toDateString() === end.toDateString();
+  const range = `${start.toLocaleString()} – ${sameDay ? end.toLocaleTimeString() : end.toLocaleString()}`;
+  return window.recurrence === 'none' ? range : `${range}, ${RECURRENCES[window.recurrence].toLowerCase()}`;
+};
@@ -0,0 +1,84 @@
+import { applyMaintenance, cleanWindow, maintenanceFor, windowActiveAt, windowError } from './maintenance';
+
+const window = (extra = {}) => ({
+  _id: 1,
+  name: 'Cleaning',
+  scope: { type: 'all' },
+  start: '2025-07-20T08:00',
+  end: '2025-07-20T10:00',
+  recurrence: 'none',
+  mode: 'suppress',
+  ...extra,
+});
+
+const local = (text) => new Date(text);
+
+test('a one-off window is open between its start and end', () => {
+  expect(windowActiveAt(window(), local('2025-07-20T07:59'))).toBe(false);
+  expect(windowActiveAt(window(), local('2025-07-20T08:00'))).toBe(true);
+  expect(windowActiveAt(window(), local('2025-07-20T10:00'))).toBe(false);
+  expect(windowActiveAt(window(), local('2025-07-21T09:00'))).toBe(false);
+});
+
+test('recurring windows repeat at the same local time', () => {
+  const daily = window({ recurrence: 'daily' });
+  expect(windowActiveAt(daily, local('2025-11-03T09:30'))).toBe(true);
+  expect(windowActiveAt(daily, local('2025-11-03T10:30'))).toBe(false);
+  expect(windowActiveAt(daily, local('2025-07-19T09:00'))).toBe(false);
+  const weekly = window({ recurrence: 'weekly' });
+  expect(windowActiveAt(weekly, local('2025-07-27T09:00'))).toBe(true);
+  expect(windowActiveAt(weekly, local('2025-07-28T09:00'))).toBe(false);
+  // Overnight windows carry into the next day
+  const overnight = window({ start: '2025-07-20T22:00', end: '2025-07-21T02:00', recurrence: 'daily' });
+  expect(windowActiveAt(overnight, local('2025-07-25T01:00'))).toBe(true);
+});
+
+test('checks windows before saving', () => {
+  expect(windowError(window({ name: ' ' }))).toBe('Give the window a name.');
+  expect(windowError(window({ end: '' }))).toBe('Enter a start and an end time.');
+  expect(windowError(window({ end: '2025-07-20T07:00' }))).toBe('The window must end after it starts.');
+  expect(windowError(window({ end: '2025-07-22T08:00', recurrence: 'daily' }))).toBe('A recurring window cannot be longer than its repeat interval.');
+  expect(windowError(window({ scope: { type: 'strings', ids: '' } }))).toBe('Enter at least one string ID.');
+  expect(windowError(window())).toBeNull();
+  expect(cleanWindow(window({ scope: { type: 'strings', ids: 'S1, S2' }, mode: 'bogus' }))).toEqual({
+    name: 'Cleaning',
+    scope: { type: 'strings', ids: ['S1', 'S2'] },
+    start: '2025-07-20T08:00',
+    end: '2025-07-20T10:00',
+    recurrence: 'none',
+    mode: 'suppress',
+  });
+});
+
+test('finds the window covering a panel', () => {
+  const windows = [window({ scope: { type: 'strings', ids: ['S1'] } })];
+  expect(maintenanceFor(windows, { id_panel: 'PV001', stringId: 'S1', when: local('2025-07-20T09:00') })).toBe(windows[0]);
+  expect(maintenanceFor(windows, { id_panel: 'PV002', stringId: 'S2', when: local('2025-07-20T09:00') })).toBeNull();
+});
+
+test('suppresses or downgrades alerts inside a window and leaves the rest', () => {
+  const offline = (id_panel, when) => ({ id_panel, type: 'offline', severityLevel: 'critical', alertMessage: `Panel ${id_panel} is offline`, when: local(when) });
+  const scope = { type: 'panels', ids: ['PV001', 'PV002'] };
+  const alerts = [offline('PV001', '2025-07-20T09:00'), offline('PV003', '2025-07-20T09:00'), offline('PV001', '2025-07-20T11:00')];
+  const suppressed = applyMaintenance(alerts, [window({ scope })]);
+  expect(suppressed[0]).toEqual({ ...alerts[0], maintenance: 'Cleaning', suppressed: true });
+  expect(suppressed.slice(1)).toEqual(alerts.slice(1));
+
+  const [downgraded] = applyMaintenance(alerts, [window({ scope, mode: 'downgrade' })]);
+  expect(downgraded).toEqual(expect.objectContaining({
+    severityLevel: 'warning',
+    originalSeverity: 'critical',
+    maintenance: 'Cleaning',
+    alertMessage: 'Panel PV001 is offline (during maintenance)',
+  }));
+  expect(downgraded).not.toHaveProperty('suppressed');
+});
+
+test('alerts about several panels need all of them covered', () => {
+  const theft = (panels) => ({ id_panel: 'Site', type: 'theft', severityLevel: 'critical', alertMessage: 'Theft suspected', when: local('2025-07-20T09:00'), panels });
+  const locate = (id) => ({ id_panel: id, stringId: id === 'PV003' ? 'S2' : 'S1' });
+  const windows = [window({ scope: { type: 'strings', ids: ['S1'] } })];
+  const [covered, partly] = applyMaintenance([theft(['PV001', 'PV002']), theft(['PV002', 'PV003'])], windows, { locate });
+  expect(covered.suppressed).toBe(true);
+  expect(partly).not.toHaveProperty('suppressed');
+});
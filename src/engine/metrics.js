@@ -0,0 +1,29 @@
+// Telemetry metrics
+
+// Metrics a reading can carry. power and voltage are always present; the rest
+// come from optional CSV columns and are left off the reading when absent.
+export const METRICS = {
+  power: { label: 'Power', unit: 'W', field: 'powerOut', column: 'power' },
+  voltage: { label: 'Voltage', unit: 'V', field: 'voltage', column: 'voltage' },
+  currentDc: { label: 'DC Current', unit: 'A', field: 'currentDc', column: 'current_dc' },
+  currentAc: { label: 'AC Current', unit: 'A', field: 'currentAc', column: 'current_ac' },
+  moduleTemp: { label: 'Module Temperature', unit: '°C', field: 'moduleTemp', column: 'temperature' },
+  irradiance: { label: 'Irradiance', unit: 'W/m²', field: 'irradiance', column: 'irradiance' },
+};
+
+export const OPTIONAL_METRICS = ['currentDc', 'currentAc', 'moduleTemp', 'irradiance'];
+
+// Optional equipment identifiers: CSV column -> reading field
+export const EQUIPMENT_COLUMNS = {
+  site_id: 'siteId',
+  inverter_id: 'inverterId',
+  string_id: 'stringId',
+};
+
+// Value of a metric on a reading, or null when the reading does not carry it
+export const metricValue = (reading, metric) => {
+  const definition = METRICS[metric];
+  if (!definition) return null;
+  const value = reading[definition.field];
+  return value == null || isNaN(value) ? null : value;
+};
@@ -0,0 +1,92 @@
+// Peer comparison
+// Panels on the same string (or inverter, or the whole site when readings
+// carry no equipment IDs) see the same sun at the same moment, so a panel
+// well below its peers' median is shaded, soiled, failing or being removed.
+
+export const DEFAULT_PEER_SETTINGS = {
+  enabled: true,
+  threshold: 80, // % of the peer median below which a panel underperforms
+  readings: 3, // consecutive comparisons it must stay below before alerting
+  minPeers: 2, // other panels needed at a timestamp for a fair comparison
+};
+
+// Readings within the same minute are compared with each other
+const BUCKET_MS = 60000;
+
+// The peer group a reading belongs to: its string, else its inverter, else the site
+export const peerGroup = (reading) => {
+  if (reading.stringId) return `string ${reading.stringId}`;
+  if (reading.inverterId) return `inverter ${reading.inverterId}`;
+  return 'site';
+};
+
+export const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 === 1 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Compare every reading with the median power of the other panels in its peer
+// group at the same timestamp. Returns a Map of reading -> { percent, median, group }.
+export const comparePeers = (readings, { minPeers = DEFAULT_PEER_SETTINGS.minPeers } = {}) => {
+  const buckets = new Map();
+  readings.forEach(r => {
+    const key = `${peerGroup(r)}|${Math.floor(new Date(r.when).getTime() / BUCKET_MS)}`;
+    if (!buckets.has(key)) buckets.set(key, []);
+    buckets.get(key).push(r);
+  });
+
+  const result = new Map();
+  buckets.forEach(bucket => {
+    if (bucket.length < minPeers + 1) return;
+    bucket.forEach(reading => {
+      const others = bucket.filter(r => r !== reading && r.id_panel !== reading.id_panel).map(r => r.powerOut);
+      if (others.length < minPeers) return;
+      const peerMedian = median(others);
+      if (!(peerMedian > 0) || isNaN(reading.powerOut)) return;
+      result.set(reading, {
+        percent: (reading.powerOut / peerMedian) * 100,
+        median: peerMedian,
+        group: peerGroup(reading),
+      });
+    });
+  });
+  return result;
+};
+
+// Peer comparisons for the new readings, and the readings at which a panel has
+// stayed below the threshold for the configured number of comparisons (once per
+// run). Offline readings are left to the offline check and break a run.
+export const detectUnderperformance = (readings, history = [], settings = DEFAULT_PEER_SETTINGS) => {
+  const all = history.concat(readings);
+  const comparisons = comparePeers(all, settings);
+  const fresh = new Set(readings);
+  const underperforming = [];
+
+  const byPanel = new Map();
+  all.forEach(r => {
+    if (!comparisons.has(r)) return;
+    if (!byPanel.has(r.id_panel)) byPanel.set(r.id_panel, []);
+    byPanel.get(r.id_panel).push(r);
+  });
+
+  if (settings.enabled) {
+    byPanel.forEach(series => {
+      series.sort((a, b) => new Date(a.when) - new Date(b.when));
+      let run = 0;
+      series.forEach(reading => {
+        const below = reading.powerOut > 0 && comparisons.get(reading).percent < settings.threshold;
+        run = below ? run + 1 : 0;
+        if (run === settings.readings && fresh.has(reading)) {
+          underperforming.push({ reading, ...comparisons.get(reading) });
+        }
+      });
+    });
+  }
+
+  const performance = new Map();
+  readings.forEach(r => {
+    if (comparisons.has(r)) performance.set(r, comparisons.get(r));
+  });
+  return { performance, underperforming };
+};
@@ -0,0 +1,72 @@
+import { DEFAULT_PEER_SETTINGS, peerGroup, median, comparePeers, detectUnderperformance } from './peers';
+
+const at = (minute, second = 0) => new Date(Date.UTC(2025, 6, 20, 10, minute, second));
+
+const reading = (id_panel, powerOut, when, extra = {}) => ({ id_panel, powerOut, voltage: 220, when, ...extra });
+
+// Four panels on one string at each timestamp; PV004 produces `weak` W
+const snapshot = (minute, weak = 400) => [
+  reading('PV001', 400, at(minute)),
+  reading('PV002', 410, at(minute, 5)),
+  reading('PV003', 390, at(minute, 10)),
+  reading('PV004', weak, at(minute, 15)),
+];
+
+describe('peerGroup and median', () => {
+  test('groups by string, then inverter, then site', () => {
+    expect(peerGroup({ stringId: 'S1', inverterId: 'INV1' })).toBe('string S1');
+    expect(peerGroup({ inverterId: 'INV1' })).toBe('inverter INV1');
+    expect(peerGroup({})).toBe('site');
+  });
+
+  test('median of odd and even lists', () => {
+    expect(median([3, 1, 2])).toBe(2);
+    expect(median([4, 1, 3, 2])).toBe(2.5);
+  });
+});
+
+describe('comparePeers', () => {
+  test('compares each panel with the median of the others at the same minute', () => {
+    const readings = snapshot(0, 200);
+    const result = comparePeers(readings);
+    expect(result.get(readings[3])).toEqual({ percent: 50, median: 400, group: 'site' });
+    expect(result.get(readings[0]).percent).toBeCloseTo(400 / 390 * 100);
+  });
+
+  test('keeps strings apart and needs enough peers', () => {
+    const readings = [
+      reading('PV001', 400, at(0), { stringId: 'S1' }),
+      reading('PV002', 400, at(0), { stringId: 'S1' }),
+      reading('PV003', 100, at(0), { stringId: 'S2' }),
+      reading('PV004', 100, at(0), { stringId: 'S2' }),
+    ];
+    expect(comparePeers(readings).size).toBe(0);
+    expect(comparePeers(readings, { minPeers: 1 }).get(readings[2]).percent).toBe(100);
+  });
+});
+
+describe('detectUnderperformance', () => {
+  test('alerts once a panel stays below the threshold for N comparisons', () => {
+    const history = [...snapshot(0, 250), ...snapshot(5, 250)];
+    const fresh = snapshot(10, 250);
+    const { performance, underperforming } = detectUnderperformance(fresh, history);
+    expect(underperforming).toHaveLength(1);
+    expect(underperforming[0].reading).toBe(fresh[3]);
+    expect(underperforming[0].percent).toBeCloseTo(62.5);
+    expect(performance.get(fresh[0]).percent).toBeGreaterThan(100);
+  });
+
+  test('a recovered or offline reading breaks the run', () => {
+    const history = [...snapshot(0, 250), ...snapshot(5, 0)];
+    const { underperforming } = detectUnderperformance(snapshot(10, 250), history);
+    expect(underperforming).toEqual([]);
+  });
+
+  test('can be disabled while still reporting relative performance', () => {
+    const fresh = snapshot(10, 250);
+    const settings = { ...DEFAULT_PEER_SETTINGS, enabled: false, readings: 1 };
+    const { performance, underperforming } = detectUnderperformance(fresh, [], settings);
+    expect(underperforming).toEqual([]);
+    expect(performance.size).toBe(4);
+  });
+});
@@ -0,0 +1,140 @@
+// Panel registry
+// The installed panels and their nameplate data: rated power, expected
+// open-circuit (Voc) and maximum-power (Vmp) voltages, make, serial number,
+// install date, location and site/inverter/string assignment. A registered
+// panel is judged against its own rating instead of the site-wide thresholds,
+// and once the registry is filled in, readings from IDs it does not list are
+// flagged: a new device, or a spoofed feed standing in for a stolen panel.
+
+// Registry fields with their CSV column and how the value is read
+export const REGISTRY_FIELDS = {
+  id_panel: { label: 'Panel ID', column: 'id_panel', type: 'text' },
+  ratedPower: { label: 'Rated power (Wp)', column: 'rated_power', type: 'number' },
+  voc: { label: 'Voc (V)', column: 'voc', type: 'number' },
+  vmp: { label: 'Vmp (V)', column: 'vmp', type: 'number' },
+  manufacturer: { label: 'Manufacturer', column: 'manufacturer', type: 'text' },
+  serial: { label: 'Serial number', column: 'serial', type: 'text' },
+  installDate: { label: 'Install date', column: 'install_date', type: 'date' },
+  location: { label: 'Location', column: 'location', type: 'text' },
+  siteId: { label: 'Site', column: 'site_id', type: 'text' },
+  stringId: { label: 'String', column: 'string_id', type: 'text' },
+  inverterId: { label: 'Inverter', column: 'inverter_id', type: 'text' },
+};
+
+export const DEFAULT_REGISTRY_SETTINGS = {
+  lowPowerPercent: 10, // % of rated power below which a registered panel has low power
+  lowVoltagePercent: 90, // % of Vmp below which a registered panel has low voltage
+  overRatingPercent: 110, // % of rated power or Voc above which a reading is implausible
+  flagUnregistered: true,
+};
+
+// Full scale of the health bar for panels without a rating
+export const DEFAULT_RATED_POWER = 600;
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+
+// Panel ID -> registry entry
+export const registryIndex = (registry = []) => new Map(registry.map(entry => [entry.id_panel, entry]));
+
+// Check and tidy an entry: text trimmed, blanks removed, numbers parsed.
+// Returns { entry, error }; error is null when the entry can be saved.
+export const cleanEntry = (raw) => {
+  const entry = {};
+  let error = null;
+  Object.entries(REGISTRY_FIELDS).forEach(([field, { label, type }]) => {
+    const value = raw[field];
+    if (isBlank(value)) return;
+    if (type === 'number') {
+      const number = parseFloat(value);
+      if (isNaN(number) || number <= 0) error = error || `${label} must be a positive number`;
+      else entry[field] = number;
+    } else if (type === 'date') {
+      if (isNaN(new Date(value).getTime())) error = error || `${label} "${value}" is not a date`;
+      else entry[field] = String(value).trim();
+    } else {
+      entry[field] = String(value).trim();
+    }
+  });
+  if (!entry.id_panel) error = 'Panel ID is required';
+  return { entry, error };
+};
+
+// Registry entries from parsed CSV rows (see parseCsv), with the rows that could
+// not be used as { line, reason }. A panel listed twice keeps its last row.
+export const parseRegistryRows = (rows) => {
+  const entries = new Map();
+  const rejected = [];
+  rows.forEach((row, index) => {
+    const raw = {};
+    Object.entries(REGISTRY_FIELDS).forEach(([field, { column }]) => {
+      raw[field] = row[column] !== undefined ? row[column] : row[field];
+    });
+    const { entry, error } = cleanEntry(raw);
+    if (error) rejected.push({ line: row._line || index + 2, reason: error });
+    else entries.set(entry.id_panel, entry);
+  });
+  return { entries: [...entries.values()], rejected };
+};
+
+// Add or update entries by panel ID, keeping the rest of the registry
+export const mergeRegistry = (registry, entries) => {
+  const incoming = new Set(entries.map(e => e.id_panel));
+  return [...registry.filter(e => !incoming.has(e.id_panel)), ...entries];
+};
+
+// Thresholds implied by a panel's rating: low power as a share of rated power,
+// low voltage as a share of Vmp. Returns null when the entry rates neither.
+export const ratedThresholds = (entry, fallback, settings = DEFAULT_REGISTRY_SETTINGS) => {
+  if (!entry || (entry.ratedPower == null && entry.vmp == null)) return null;
+  return {
+    power: entry.ratedPower != null ? (entry.ratedPower * settings.lowPowerPercent) / 100 : fallback.power,
+    voltage: entry.vmp != null ? (entry.vmp * settings.lowVoltagePercent) / 100 : fallback.voltage,
+  };
+};
+
+// Power as a percentage of the panel's rating, capped at 100
+export const healthPercent = (reading, entry) => {
+  const rated = (entry && entry.ratedPower) || DEFAULT_RATED_POWER;
+  return Math.max(0, Math.min((reading.powerOut / rated) * 100, 100));
+};
+
+// The registry's site, inverter and string for readings that do not carry their own
+export const withEquipment = (reading, entry) => {
+  if (!entry) return reading;
+  const filled = { ...reading };
+  if (!filled.siteId && entry.siteId) filled.siteId = entry.siteId;
+  if (!filled.stringId && entry.stringId) filled.stringId = entry.stringId;
+  if (!filled.inverterId && entry.inverterId) filled.inverterId = entry.inverterId;
+  return filled;
+};
+
+// Readings beyond what the panel can physically produce: power over its rated
+// power or voltage over its Voc, by more than the allowed margin. Returns
+// { reading, metric, value, limit } for each.
+export const detectOverRating = (readings, index, settings = DEFAULT_REGISTRY_SETTINGS) => {
+  const factor = settings.overRatingPercent / 100;
+  const found = [];
+  readings.forEach(reading => {
+    const entry = index.get(reading.id_panel);
+    if (!entry) return;
+    if (entry.ratedPower != null && reading.powerOut > entry.ratedPower * factor) {
+      found.push({ reading, metric: 'power', value: reading.powerOut, limit: entry.ratedPower });
+    }
+    if (entry.voc != null && reading.voltage > entry.voc * factor) {
+      found.push({ reading, metric: 'voltage', value: reading.voltage, limit: entry.voc });
+    }
+  });
+  return found;
+};
+
+// The first reading in the batch from each panel the registry does not list.
+// An empty registry flags nothing: the site has simply not been registered yet.
+export const findUnregistered = (readings, index) => {
+  if (index.size === 0) return [];
+  const seen = new Set();
+  return readings.filter(reading => {
+    if (index.has(reading.id_panel) || seen.has(reading.id_panel)) return false;
+    seen.add(reading.id_panel);
+    return true;
+  });
+};
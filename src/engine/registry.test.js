@@ -0,0 +1,59 @@
+import {
+  DEFAULT_RATED_POWER,
+  DEFAULT_REGISTRY_SETTINGS,
+  cleanEntry,
+  healthPercent,
+  mergeRegistry,
+  parseRegistryRows,
+  ratedThresholds,
+  withEquipment,
+} from './registry';
+
+describe('cleanEntry', () => {
+  test('parses numbers and drops blank fields', () => {
+    expect(cleanEntry({ id_panel: ' PV001 ', ratedPower: '400', voc: '', manufacturer: 'Acme ', installDate: '2024-05-01' })).toEqual({
+      entry: { id_panel: 'PV001', ratedPower: 400, manufacturer: 'Acme', installDate: '2024-05-01' },
+      error: null,
+    });
+  });
+
+  test('rejects entries without an ID or with unreadable values', () => {
+    expect(cleanEntry({ ratedPower: '400' }).error).toBe('Panel ID is required');
+    expect(cleanEntry({ id_panel: 'PV001', ratedPower: 'big' }).error).toBe('Rated power (Wp) must be a positive number');
+    expect(cleanEntry({ id_panel: 'PV001', installDate: 'last spring' }).error).toBe('Install date "last spring" is not a date');
+  });
+});
+
+test('reads registry CSV rows by column name and reports unusable lines', () => {
+  const { entries, rejected } = parseRegistryRows([
+    { id_panel: 'PV001', rated_power: '400', string_id: 'S1', _line: 2 },
+    { id_panel: '', rated_power: '400', _line: 3 },
+    { id_panel: 'PV001', rated_power: '410', string_id: 'S1', _line: 4 },
+  ]);
+  expect(entries).toEqual([{ id_panel: 'PV001', ratedPower: 410, stringId: 'S1' }]);
+  expect(rejected).toEqual([{ line: 3, reason: 'Panel ID is required' }]);
+});
+
+test('merges entries by panel ID', () => {
+  const registry = [{ id_panel: 'PV001', ratedPower: 400 }, { id_panel: 'PV002', ratedPower: 400 }];
+  expect(mergeRegistry(registry, [{ id_panel: 'PV002', ratedPower: 450 }, { id_panel: 'PV003' }])).toEqual([
+    { id_panel: 'PV001', ratedPower: 400 },
+    { id_panel: 'PV002', ratedPower: 450 },
+    { id_panel: 'PV003' },
+  ]);
+});
+
+test('derives thresholds and health from the rating', () => {
+  const fallback = { power: 50, voltage: 200 };
+  expect(ratedThresholds({ id_panel: 'PV001', ratedPower: 400, vmp: 40 }, fallback)).toEqual({ power: 40, voltage: 36 });
+  expect(ratedThresholds({ id_panel: 'PV001', ratedPower: 400 }, fallback, { ...DEFAULT_REGISTRY_SETTINGS, lowPowerPercent: 25 })).toEqual({ power: 100, voltage: 200 });
+  expect(ratedThresholds({ id_panel: 'PV001' }, fallback)).toBeNull();
+
+  expect(healthPercent({ powerOut: 200 }, { ratedPower: 400 })).toBe(50);
+  expect(healthPercent({ powerOut: DEFAULT_RATED_POWER * 2 }, null)).toBe(100);
+});
+
+test('fills in equipment IDs the reading does not carry', () => {
+  const entry = { id_panel: 'PV001', stringId: 'S1', inverterId: 'INV1' };
+  expect(withEquipment({ id_panel: 'PV001', stringId: 'S9' }, entry)).toEqual({ id_panel: 'PV001', stringId: 'S9', inverterId: 'INV1' });
+});
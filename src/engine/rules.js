@@ -0,0 +1,150 @@
+// Custom alarm rules
+// A rule combines threshold and rate-of-change conditions with AND/OR and can
+// require them to persist for a number of consecutive readings or minutes.
+// Rules are evaluated over each panel's time series, not isolated rows.
+import { metricValue } from './metrics';
+import { panelSeries } from './history';
+import { ALL_PANELS, matchesScope } from './scope';
+
+export const COMPARISONS = ['<', '<=', '>', '>=', '='];
+
+export const DURATION_TYPES = ['none', 'readings', 'minutes'];
+
+// Bring rules saved before compound conditions and scopes existed
+// ({ metric, condition, value }) into the { logic, conditions, duration, scope } shape
+export const normalizeRule = (rule) => {
+  const scope = rule.scope || ALL_PANELS;
+  if (Array.isArray(rule.conditions)) {
+    return {
+      ...rule,
+      logic: rule.logic === 'OR' ? 'OR' : 'AND',
+      duration: rule.duration || { type: 'none', value: 0 },
+      scope,
+    };
+  }
+  return {
+    ...rule,
+    logic: 'AND',
+    conditions: [{ type: 'threshold', metric: rule.metric, condition: rule.condition, value: rule.value }],
+    duration: { type: 'none', value: 0 },
+    scope,
+  };
+};
+
+// Check one condition against a reading and the panel's previous reading
+export const conditionMet = (condition, reading, previous) => {
+  const value = metricValue(reading, condition.metric);
+  if (value === null) return false;
+
+  if (condition.type === 'change') {
+    const before = previous ? metricValue(previous, condition.metric) : null;
+    if (before === null || before === 0) return false;
+    const percent = parseFloat(condition.percent);
+    const change = ((value - before) / Math.abs(before)) * 100;
+    return condition.direction === 'rise' ? change >= percent : -change >= percent;
+  }
+
+  const target = parseFloat(condition.value);
+  switch (condition.condition) {
+    case '<': return value < target;
+    case '<=': return value <= target;
+    case '>': return value > target;
+    case '>=': return value >= target;
+    case '=': return value === target;
+    default: return false;
+  }
+};
+
+// Check a rule's combined conditions at one reading, ignoring its duration
+export const ruleMatches = (rule, reading, previous = null) => {
+  const { logic, conditions } = normalizeRule(rule);
+  if (conditions.length === 0) return false;
+  return logic === 'OR'
+    ? conditions.some(c => conditionMet(c, reading, previous))
+    : conditions.every(c => conditionMet(c, reading, previous));
+};
+
+const timeOf = (reading) => new Date(reading.when).getTime();
+
+// Readings in one panel's time-ordered series at which a rule fires. Without a
+// duration every matching reading fires; with one, the rule fires once per
+// unbroken run of matches, at the reading where the run reaches the duration.
+export const evaluateRuleSeries = (rule, series) => {
+  const { duration } = normalizeRule(rule);
+  const fired = [];
+  let runLength = 0;
+  let runStart = null;
+  let firedInRun = false;
+
+  series.forEach((reading, i) => {
+    if (!ruleMatches(rule, reading, i > 0 ? series[i - 1] : null)) {
+      runLength = 0;
+      runStart = null;
+      firedInRun = false;
+      return;
+    }
+    runLength += 1;
+    if (runStart === null) runStart = timeOf(reading);
+
+    let persisted = true;
+    if (duration.type === 'readings') persisted = runLength >= duration.value;
+    else if (duration.type === 'minutes') persisted = timeOf(reading) - runStart >= duration.value * 60000;
+
+    if (duration.type === 'none') {
+      fired.push(reading);
+    } else if (persisted && !firedInRun) {
+      firedInRun = true;
+      fired.push(reading);
+    }
+  });
+
+  return fired;
+};
+
+// Evaluate rules over the per-panel series formed by history plus new readings,
+// keeping only the readings inside each rule's scope. Only firings at new
+// readings are returned, as { rule, reading } pairs.
+export const evaluateRules = (rules, readings, history = [], groups = []) => {
+  if (rules.length === 0 || readings.length === 0) return [];
+  const fresh = new Set(readings);
+  const series = panelSeries(history.concat(readings));
+  const firings = [];
+  rules.map(normalizeRule).forEach(rule => {
+    series.forEach(list => {
+      const scoped = list.filter(r => matchesScope(rule.scope, r, groups));
+      evaluateRuleSeries(rule, scoped).forEach(reading => {
+        if (fresh.has(reading)) firings.push({ rule, reading });
+      });
+    });
+  });
+  return firings;
+};
+
+// Try a rule on readings already loaded without raising anything: the readings
+// it would fire on, in time order, and per panel how often and when
+export const backtestRule = (rule, readings, groups = []) => {
+  const fired = evaluateRules([rule], readings, [], groups)
+    .map(f => f.reading)
+    .sort((a, b) => timeOf(a) - timeOf(b));
+  const byPanel = new Map();
+  fired.forEach(reading => {
+    if (!byPanel.has(reading.id_panel)) byPanel.set(reading.id_panel, []);
+    byPanel.get(reading.id_panel).push(reading.when);
+  });
+  const panels = [...byPanel].map(([id, times]) => ({ id, count: times.length, times }))
+    .sort((a, b) => b.count - a.count || a.id.localeCompare(b.id, undefined, { numeric: true }));
+  return { fired, panels };
+};
+
+// Human-readable summary, e.g. "voltage > 200 AND power < 10 for 3 consecutive readings"
+export const describeRule = (rule) => {
+  const { logic, conditions, duration } = normalizeRule(rule);
+  const text = conditions
+    .map(c => (c.type === 'change'
+      ? `${c.metric} ${c.direction === 'rise' ? 'rises' : 'drops'} > ${c.percent}%`
+      : `${c.metric} ${c.condition} ${c.value}`))
+    .join(` ${logic} `);
+  if (duration.type === 'readings') return `${text} for ${duration.value} consecutive readings`;
+  if (duration.type === 'minutes') return `${text} for ${duration.value} minutes`;
+  return text;
+};
@@ -0,0 +1,145 @@
+import {
+  normalizeRule,
+  conditionMet,
+  ruleMatches,
+  evaluateRuleSeries,
+  evaluateRules,
+  backtestRule,
+  describeRule,
+} from './rules';
+
+const at = (minute) => new Date(Date.UTC(2025, 6, 20, 10, minute));
+
+const reading = (id_panel, powerOut, voltage = 220, when = at(0)) => ({
+  id_panel,
+  powerOut,
+  voltage,
+  when,
+});
+
+const threshold = (metric, condition, value) => ({ type: 'threshold', metric, condition, value });
+
+describe('normalizeRule', () => {
+  test('turns a single-condition rule into a compound one', () => {
+    expect(normalizeRule({ _id: 1, metric: 'power', condition: '<', value: 100, severity: 'warning' })).toEqual(expect.objectContaining({
+      _id: 1,
+      logic: 'AND',
+      conditions: [threshold('power', '<', 100)],
+      duration: { type: 'none', value: 0 },
+    }));
+  });
+});
+
+describe('ruleMatches', () => {
+  test.each([
+    [{ metric: 'power', condition: '<', value: 100 }, true],
+    [{ metric: 'power', condition: '>', value: 100 }, false],
+    [{ metric: 'voltage', condition: '>', value: 200 }, true],
+    [{ metric: 'voltage', condition: '=', value: '220' }, true],
+    [{ metric: 'voltage', condition: '>=', value: 220 }, true],
+    [{ metric: 'power', condition: '!', value: 1 }, false],
+  ])('%o -> %s', (rule, expected) => {
+    expect(ruleMatches(rule, reading('PV001', 80, 220))).toBe(expected);
+  });
+
+  test('combines conditions with AND and OR', () => {
+    const conditions = [threshold('voltage', '>', 200), threshold('power', '<', 10)];
+    expect(ruleMatches({ logic: 'AND', conditions }, reading('PV001', 5, 220))).toBe(true);
+    expect(ruleMatches({ logic: 'AND', conditions }, reading('PV001', 80, 220))).toBe(false);
+    expect(ruleMatches({ logic: 'OR', conditions }, reading('PV001', 80, 220))).toBe(true);
+    expect(ruleMatches({ logic: 'OR', conditions: [] }, reading('PV001', 80, 220))).toBe(false);
+  });
+
+  test('rules on a metric the reading lacks never match', () => {
+    const r = { ...reading('PV001', 80), currentDc: 1.8 };
+    expect(ruleMatches({ metric: 'currentAc', condition: '<', value: 1 }, r)).toBe(false);
+    expect(ruleMatches({ metric: 'currentDc', condition: '<', value: 2 }, r)).toBe(true);
+  });
+});
+
+describe('conditionMet', () => {
+  const drop = { type: 'change', metric: 'power', direction: 'drop', percent: 60 };
+
+  test('rate-of-change compares against the previous reading', () => {
+    expect(conditionMet(drop, reading('PV001', 100), reading('PV001', 400))).toBe(true);
+    expect(conditionMet(drop, reading('PV001', 200), reading('PV001', 400))).toBe(false);
+    expect(conditionMet({ ...drop, direction: 'rise', percent: 50 }, reading('PV001', 300), reading('PV001', 200))).toBe(true);
+  });
+
+  test('rate-of-change needs a non-zero previous reading', () => {
+    expect(conditionMet(drop, reading('PV001', 0), null)).toBe(false);
+    expect(conditionMet(drop, reading('PV001', 0), reading('PV001', 0))).toBe(false);
+  });
+});
+
+describe('evaluateRuleSeries', () => {
+  const low = [threshold('power', '<', 50)];
+  const series = [10, 10, 10, 10, 400, 10, 10].map((p, i) => reading('PV001', p, 220, at(i * 10)));
+
+  test('fires at every matching reading without a duration', () => {
+    expect(evaluateRuleSeries({ conditions: low }, series)).toHaveLength(6);
+  });
+
+  test('fires once per run of N consecutive readings', () => {
+    const fired = evaluateRuleSeries({ conditions: low, duration: { type: 'readings', value: 3 } }, series);
+    expect(fired).toEqual([series[2]]);
+  });
+
+  test('fires once the condition has held for M minutes', () => {
+    const fired = evaluateRuleSeries({ conditions: low, duration: { type: 'minutes', value: 10 } }, series);
+    expect(fired).toEqual([series[1], series[6]]);
+  });
+
+  test('rate-of-change rules fire on the reading after the drop', () => {
+    const rule = { conditions: [{ type: 'change', metric: 'power', direction: 'drop', percent: 60 }] };
+    expect(evaluateRuleSeries(rule, series)).toEqual([series[5]]);
+  });
+});
+
+describe('evaluateRules', () => {
+  test('evaluates each panel separately and only reports new readings', () => {
+    const rule = { _id: 3, conditions: [threshold('power', '<', 50)], duration: { type: 'readings', value: 2 } };
+    const history = [reading('PV001', 10, 220, at(0)), reading('PV002', 400, 220, at(0))];
+    const fresh = [reading('PV001', 10, 220, at(10)), reading('PV002', 10, 220, at(10))];
+    const firings = evaluateRules([rule], fresh, history);
+    expect(firings).toHaveLength(1);
+    expect(firings[0].reading).toBe(fresh[0]);
+    expect(firings[0].rule._id).toBe(3);
+  });
+
+  test('returns nothing without rules or readings', () => {
+    expect(evaluateRules([], [reading('PV001', 10)])).toEqual([]);
+    expect(evaluateRules([{ metric: 'power', condition: '<', value: 50 }], [])).toEqual([]);
+  });
+});
+
+describe('backtestRule', () => {
+  test('lists every reading the rule would fire on, by panel', () => {
+    const rule = { conditions: [threshold('power', '<', 50)], duration: { type: 'readings', value: 2 }, scope: { type: 'panels', ids: ['PV001', 'PV002'] } };
+    const readings = [
+      reading('PV002', 10, 220, at(10)), reading('PV002', 10, 220, at(15)),
+      reading('PV001', 10, 220, at(0)), reading('PV001', 10, 220, at(5)), reading('PV001', 400, 220, at(10)),
+      reading('PV001', 10, 220, at(15)), reading('PV001', 10, 220, at(20)),
+      reading('PV003', 10, 220, at(0)), reading('PV003', 10, 220, at(5)),
+    ];
+    const { fired, panels } = backtestRule(rule, readings);
+    expect(fired.map(r => [r.id_panel, r.when])).toEqual([['PV001', at(5)], ['PV002', at(15)], ['PV001', at(20)]]);
+    expect(panels).toEqual([{ id: 'PV001', count: 2, times: [at(5), at(20)] }, { id: 'PV002', count: 1, times: [at(15)] }]);
+    expect(backtestRule(rule, [])).toEqual({ fired: [], panels: [] });
+  });
+});
+
+describe('describeRule', () => {
+  test('summarises conditions, logic and duration', () => {
+    expect(describeRule({
+      logic: 'AND',
+      conditions: [threshold('voltage', '>', 200), threshold('power', '<', 10)],
+      duration: { type: 'readings', value: 3 },
+    })).toBe('voltage > 200 AND power < 10 for 3 consecutive readings');
+    expect(describeRule({
+      logic: 'OR',
+      conditions: [{ type: 'change', metric: 'power', direction: 'drop', percent: 60 }],
+      duration: { type: 'minutes', value: 30 },
+    })).toBe('power drops > 60% for 30 minutes');
+  });
+});
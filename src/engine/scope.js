@@ -0,0 +1,110 @@
+// Rule and threshold scopes
+// A scope picks the panels a rule or threshold override applies to: every
+// panel, a list of panel IDs, a wildcard or /regex/ pattern on the panel ID,
+// a list of string IDs, or a named panel group.
+
+export const ALL_PANELS = { type: 'all' };
+
+export const SCOPE_TYPES = {
+  all: 'All panels',
+  panels: 'Panel IDs',
+  pattern: 'Pattern',
+  strings: 'Strings',
+  group: 'Group',
+};
+
+// Split "PV001, PV002 PV003" into IDs
+export const parseIdList = (text) => String(text || '')
+  .split(/[\s,;]+/)
+  .map(id => id.trim())
+  .filter(id => id !== '');
+
+// "/^PV0\d$/" is a regular expression; anything else is a wildcard pattern where
+// * matches any run of characters and ? a single one. Returns null when invalid.
+export const patternRegExp = (pattern) => {
+  const text = String(pattern || '').trim();
+  if (text === '') return null;
+  const regex = text.match(/^\/(.+)\/([a-z]*)$/);
+  try {
+    if (regex) return new RegExp(regex[1], regex[2]);
+    const escaped = text.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    return new RegExp(`^${escaped}$`);
+  } catch (error) {
+    return null;
+  }
+};
+
+const matchesAny = (patterns, id) => patterns.some(p => {
+  const re = patternRegExp(p);
+  return re !== null && re.test(id);
+});
+
+// Keep only the fields a scope type uses, with ID lists as arrays
+export const cleanScope = (scope) => {
+  switch (scope && scope.type) {
+    case 'panels':
+    case 'strings':
+      return { type: scope.type, ids: parseIdList(scope.ids) };
+    case 'pattern':
+      return { type: 'pattern', pattern: String(scope.pattern).trim() };
+    case 'group':
+      return { type: 'group', group: scope.group };
+    default:
+      return ALL_PANELS;
+  }
+};
+
+// Why a scope cannot be used, or null when it is fine
+export const scopeError = (scope, groups = []) => {
+  switch (scope.type) {
+    case 'all':
+      return null;
+    case 'panels':
+    case 'strings':
+      return parseIdList(scope.ids).length === 0 ? `Enter at least one ${scope.type === 'panels' ? 'panel' : 'string'} ID.` : null;
+    case 'pattern':
+      return patternRegExp(scope.pattern) === null ? 'Enter a valid wildcard or /regex/ pattern.' : null;
+    case 'group':
+      return groups.some(g => g.name === scope.group) ? null : 'Choose a panel group.';
+    default:
+      return 'Unknown scope.';
+  }
+};
+
+// Does a reading fall inside a scope? Missing scopes mean every panel.
+export const matchesScope = (scope, reading, groups = []) => {
+  if (!scope || scope.type === 'all') return true;
+  switch (scope.type) {
+    case 'panels':
+      return parseIdList(scope.ids).includes(reading.id_panel);
+    case 'strings':
+      return reading.stringId != null && parseIdList(scope.ids).includes(reading.stringId);
+    case 'pattern': {
+      const re = patternRegExp(scope.pattern);
+      return re !== null && re.test(reading.id_panel);
+    }
+    case 'group': {
+      const group = groups.find(g => g.name === scope.group);
+      return Boolean(group) && matchesAny(parseIdList(group.members), reading.id_panel);
+    }
+    default:
+      return false;
+  }
+};
+
+// Short label for tables and alerts, e.g. "Panels PV001, PV002" or "Pattern PV0*"
+export const describeScope = (scope) => {
+  if (!scope || scope.type === 'all') return SCOPE_TYPES.all;
+  switch (scope.type) {
+    case 'panels':
+      return `Panels ${parseIdList(scope.ids).join(', ')}`;
+    case 'strings':
+      return `Strings ${parseIdList(scope.ids).join(', ')}`;
+    case 'pattern':
+      return `Pattern ${scope.pattern}`;
+    case 'group':
+      return `Group ${scope.group}`;
+    default:
+      return scope.type;
+  }
+};
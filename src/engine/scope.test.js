@@ -0,0 +1,77 @@
+import {
+  parseIdList,
+  patternRegExp,
+  cleanScope,
+  scopeError,
+  matchesScope,
+  describeScope,
+} from './scope';
+
+const reading = (id_panel, extra = {}) => ({ id_panel, powerOut: 400, voltage: 220, when: new Date(), ...extra });
+
+const groups = [{ name: 'East roof', members: ['PV001', 'PV1*'] }];
+
+describe('parseIdList', () => {
+  test('splits on commas, semicolons and whitespace', () => {
+    expect(parseIdList(' PV001, PV002;PV003\nPV004 ')).toEqual(['PV001', 'PV002', 'PV003', 'PV004']);
+    expect(parseIdList(['PV001', 'PV002'])).toEqual(['PV001', 'PV002']);
+    expect(parseIdList('')).toEqual([]);
+  });
+});
+
+describe('patternRegExp', () => {
+  test('treats * and ? as wildcards and escapes everything else', () => {
+    expect(patternRegExp('PV0*').test('PV012')).toBe(true);
+    expect(patternRegExp('PV0*').test('XPV012')).toBe(false);
+    expect(patternRegExp('PV00?').test('PV001')).toBe(true);
+    expect(patternRegExp('PV.1').test('PVX1')).toBe(false);
+  });
+
+  test('accepts /regex/ with flags and rejects invalid ones', () => {
+    expect(patternRegExp('/^pv0\\d$/i').test('PV05')).toBe(true);
+    expect(patternRegExp('/([/')).toBeNull();
+    expect(patternRegExp('  ')).toBeNull();
+  });
+});
+
+describe('matchesScope', () => {
+  test.each([
+    [undefined, 'PV123', true],
+    [{ type: 'all' }, 'PV123', true],
+    [{ type: 'panels', ids: ['PV001', 'PV002'] }, 'PV002', true],
+    [{ type: 'panels', ids: 'PV001 PV002' }, 'PV003', false],
+    [{ type: 'pattern', pattern: 'PV0*' }, 'PV042', true],
+    [{ type: 'pattern', pattern: 'PV0*' }, 'PV142', false],
+    [{ type: 'group', group: 'East roof' }, 'PV150', true],
+    [{ type: 'group', group: 'East roof' }, 'PV002', false],
+    [{ type: 'group', group: 'Missing' }, 'PV001', false],
+  ])('%o covers %s -> %s', (scope, id, expected) => {
+    expect(matchesScope(scope, reading(id), groups)).toBe(expected);
+  });
+
+  test('string scopes use the reading string ID', () => {
+    const scope = { type: 'strings', ids: ['S1'] };
+    expect(matchesScope(scope, reading('PV001', { stringId: 'S1' }))).toBe(true);
+    expect(matchesScope(scope, reading('PV001'))).toBe(false);
+  });
+});
+
+describe('scopeError', () => {
+  test('explains incomplete scopes', () => {
+    expect(scopeError({ type: 'all' })).toBeNull();
+    expect(scopeError({ type: 'panels', ids: ' ' })).toBe('Enter at least one panel ID.');
+    expect(scopeError({ type: 'pattern', pattern: '/(/' })).toBe('Enter a valid wildcard or /regex/ pattern.');
+    expect(scopeError({ type: 'group', group: 'East roof' }, groups)).toBeNull();
+    expect(scopeError({ type: 'group', group: '' }, groups)).toBe('Choose a panel group.');
+  });
+});
+
+describe('cleanScope and describeScope', () => {
+  test('store ID lists as arrays and label each scope type', () => {
+    expect(cleanScope({ type: 'panels', ids: 'PV001, PV002', pattern: 'stale' })).toEqual({ type: 'panels', ids: ['PV001', 'PV002'] });
+    expect(describeScope({ type: 'panels', ids: ['PV001', 'PV002'] })).toBe('Panels PV001, PV002');
+    expect(describeScope({ type: 'pattern', pattern: 'PV0*' })).toBe('Pattern PV0*');
+    expect(describeScope({ type: 'group', group: 'East roof' })).toBe('Group East roof');
+    expect(describeScope(null)).toBe('All panels');
+  });
+});
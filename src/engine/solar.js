@@ -0,0 +1,85 @@
+// Site location and solar position
+// Low-precision solar ephemeris (good to a few hundredths of a degree), enough
+// to tell daylight from night at the site so zero power after sunset is not
+// reported as theft.
+
+export const DEFAULT_SITE = {
+  latitude: '',
+  longitude: '',
+  timezone: 'UTC',
+  daylightElevation: 5, // degrees; below this the panels are not expected to produce
+  nightProduction: 'suppress', // 'suppress' or 'warn' for offline/low readings outside daylight
+  nightVoltageFloor: 5, // volts; a panel falling to or below this at night has lost voltage
+};
+
+// Geometric sunrise/sunset: the sun's upper limb on the horizon, with refraction
+export const HORIZON_ELEVATION = -0.833;
+
+const RAD = Math.PI / 180;
+const DAY_MS = 86400000;
+
+const mod = (value, base) => ((value % base) + base) % base;
+
+// Is the site set up with a usable location?
+export const siteConfigured = (site) => {
+  if (!site || site.latitude === '' || site.longitude === '') return false;
+  const lat = parseFloat(site.latitude);
+  const lon = parseFloat(site.longitude);
+  return lat >= -90 && lat <= 90 && lon >= -180 && lon <= 180;
+};
+
+// Sun elevation and azimuth (degrees, azimuth clockwise from north) at a moment and place
+export const solarPosition = (date, latitude, longitude) => {
+  const n = new Date(date).getTime() / DAY_MS + 2440587.5 - 2451545.0;
+  const meanLongitude = mod(280.460 + 0.9856474 * n, 360);
+  const meanAnomaly = mod(357.528 + 0.9856003 * n, 360) * RAD;
+  const eclipticLongitude = (meanLongitude + 1.915 * Math.sin(meanAnomaly) + 0.020 * Math.sin(2 * meanAnomaly)) * RAD;
+  const obliquity = (23.439 - 0.0000004 * n) * RAD;
+
+  const rightAscension = Math.atan2(Math.cos(obliquity) * Math.sin(eclipticLongitude), Math.cos(eclipticLongitude));
+  const declination = Math.asin(Math.sin(obliquity) * Math.sin(eclipticLongitude));
+  const siderealDegrees = mod(280.46061837 + 360.98564736629 * n, 360);
+  const hourAngle = (siderealDegrees + longitude) * RAD - rightAscension;
+
+  const lat = latitude * RAD;
+  const elevation = Math.asin(Math.sin(lat) * Math.sin(declination) + Math.cos(lat) * Math.cos(declination) * Math.cos(hourAngle));
+  const azimuth = Math.atan2(-Math.sin(hourAngle), Math.tan(declination) * Math.cos(lat) - Math.sin(lat) * Math.cos(hourAngle));
+  return { elevation: elevation / RAD, azimuth: mod(azimuth / RAD, 360) };
+};
+
+const elevationAt = (time, site) => solarPosition(new Date(time), parseFloat(site.latitude), parseFloat(site.longitude)).elevation;
+
+// Is the sun high enough at the site for the panels to produce?
+export const isDaylight = (date, site) => elevationAt(new Date(date).getTime(), site) > site.daylightElevation;
+
+// Bisect for the moment the elevation crosses the horizon between two times
+const crossing = (from, to, site) => {
+  const risingAtFrom = elevationAt(from, site) < HORIZON_ELEVATION;
+  let lo = from;
+  let hi = to;
+  for (let i = 0; i < 30; i += 1) {
+    const mid = (lo + hi) / 2;
+    const below = elevationAt(mid, site) < HORIZON_ELEVATION;
+    if (below === risingAtFrom) lo = mid;
+    else hi = mid;
+  }
+  return new Date((lo + hi) / 2);
+};
+
+// Sunrise and sunset on the solar day around a date. Sunrise/sunset are null during
+// polar day or night.
+export const sunTimes = (date, site) => {
+  const time = new Date(date).getTime();
+  const longitude = parseFloat(site.longitude);
+  let noon = Math.floor(time / DAY_MS) * DAY_MS + (12 - longitude / 15) * 3600000;
+  if (time - noon > DAY_MS / 2) noon += DAY_MS;
+  if (noon - time > DAY_MS / 2) noon -= DAY_MS;
+
+  const up = elevationAt(noon, site) > HORIZON_ELEVATION;
+  const downBefore = elevationAt(noon - DAY_MS / 2, site) < HORIZON_ELEVATION;
+  const downAfter = elevationAt(noon + DAY_MS / 2, site) < HORIZON_ELEVATION;
+  return {
+    sunrise: up && downBefore ? crossing(noon - DAY_MS / 2, noon, site) : null,
+    sunset: up && downAfter ? crossing(noon, noon + DAY_MS / 2, site) : null,
+  };
+};
@@ -0,0 +1,50 @@
+import { DEFAULT_SITE, siteConfigured, solarPosition, isDaylight, sunTimes } from './solar';
+
+const berlin = { ...DEFAULT_SITE, latitude: 52.52, longitude: 13.405, timezone: 'Europe/Berlin' };
+
+const minutesFrom = (date, iso) => Math.abs(date.getTime() - new Date(iso).getTime()) / 60000;
+
+describe('siteConfigured', () => {
+  test('needs a latitude and longitude in range', () => {
+    expect(siteConfigured(DEFAULT_SITE)).toBe(false);
+    expect(siteConfigured(berlin)).toBe(true);
+    expect(siteConfigured({ ...berlin, latitude: '95' })).toBe(false);
+    expect(siteConfigured(null)).toBe(false);
+  });
+});
+
+describe('solarPosition', () => {
+  test('puts the sun high and due south at Berlin midsummer noon', () => {
+    const { elevation, azimuth } = solarPosition(new Date('2025-06-21T11:10:00Z'), 52.52, 13.405);
+    expect(elevation).toBeCloseTo(60.9, 0);
+    expect(azimuth).toBeCloseTo(180, -1);
+  });
+
+  test('puts the sun below the horizon at midnight', () => {
+    expect(solarPosition(new Date('2025-06-21T23:00:00Z'), 52.52, 13.405).elevation).toBeLessThan(0);
+  });
+});
+
+describe('isDaylight', () => {
+  test('uses the configured minimum elevation', () => {
+    expect(isDaylight(new Date('2025-06-21T10:00:00Z'), berlin)).toBe(true);
+    expect(isDaylight(new Date('2025-06-21T22:00:00Z'), berlin)).toBe(false);
+    // Just after sunrise the sun is up but too low to produce
+    expect(isDaylight(new Date('2025-06-21T03:00:00Z'), berlin)).toBe(false);
+    expect(isDaylight(new Date('2025-06-21T03:00:00Z'), { ...berlin, daylightElevation: 0 })).toBe(true);
+  });
+});
+
+describe('sunTimes', () => {
+  test('matches published sunrise and sunset within a few minutes', () => {
+    const summer = sunTimes(new Date('2025-06-21T12:00:00Z'), berlin);
+    expect(minutesFrom(summer.sunrise, '2025-06-21T02:43:00Z')).toBeLessThan(3);
+    expect(minutesFrom(summer.sunset, '2025-06-21T19:33:00Z')).toBeLessThan(3);
+    const sydney = sunTimes(new Date('2025-07-20T02:00:00Z'), { latitude: -33.87, longitude: 151.21 });
+    expect(minutesFrom(sydney.sunrise, '2025-07-19T20:56:00Z')).toBeLessThan(3);
+  });
+
+  test('returns null during polar day', () => {
+    expect(sunTimes(new Date('2025-06-21T12:00:00Z'), { latitude: 78.2, longitude: 15.6 })).toEqual({ sunrise: null, sunset: null });
+  });
+});
@@ -0,0 +1,173 @@
+// Theft signatures
+// A single module going offline is usually a fault; a thief leaves patterns.
+// Three signals are looked for in each batch:
+// - several neighbouring panels (adjacent on the layout map, or on one string)
+//   dropping to zero within a short window
+// - voltage collapsing to zero outside daylight (a panel being disconnected)
+// - a run of panel IDs, or neighbouring panels, dropping out of the feed while
+//   the rest of their site keeps reporting
+// Each signal scores a confidence; signals at the same site combine into one
+// "theft suspected" alert naming the affected panels.
+import { panelSeries } from './history';
+
+export const DEFAULT_THEFT_SETTINGS = {
+  enabled: true,
+  windowMinutes: 15, // drops closer together than this count as one event
+  minPanels: 2, // neighbouring panels needed for a drop or disappearance signal
+  minConfidence: 60, // % below which no alert is raised
+};
+
+// Confidence of a signal with n panels: a base plus a step per extra panel
+const SIGNAL_SCORES = {
+  adjacentDrop: { base: 40, step: 15, label: 'adjacent panels dropped to zero' },
+  stringDrop: { base: 30, step: 15, label: 'panels on one string dropped to zero' },
+  nightLoss: { base: 45, step: 15, label: 'voltage lost at night' },
+  disappeared: { base: 35, step: 15, label: 'panels dropped out of the feed' },
+};
+
+const MAX_SIGNAL_CONFIDENCE = 95;
+
+const timeOf = (value) => new Date(value).getTime();
+
+export const signalConfidence = (kind, panels) => {
+  const { base, step } = SIGNAL_SCORES[kind];
+  return Math.min(base + step * (panels - 1), MAX_SIGNAL_CONFIDENCE);
+};
+
+// Independent signals reinforce each other: 1 - Π(1 - c)
+export const combineConfidence = (confidences) =>
+  100 * (1 - confidences.reduce((remaining, c) => remaining * (1 - c / 100), 1));
+
+// Are two panels neighbours on the layout map (diagonals included)?
+const adjacentOnMap = (layout, a, b) => {
+  const pa = layout && layout.positions[a];
+  const pb = layout && layout.positions[b];
+  return Boolean(pa && pb) && Math.abs(pa.row - pb.row) <= 1 && Math.abs(pa.col - pb.col) <= 1;
+};
+
+// "PV011" -> { prefix: 'PV', number: 11 }, or null without a trailing number
+const idNumber = (id) => {
+  const match = String(id).match(/^(.*?)(\d+)$/);
+  return match ? { prefix: match[1], number: parseInt(match[2], 10) } : null;
+};
+
+const sequentialIds = (a, b) => {
+  const na = idNumber(a);
+  const nb = idNumber(b);
+  return Boolean(na && nb) && na.prefix === nb.prefix && Math.abs(na.number - nb.number) === 1;
+};
+
+// Split items into groups of linked items (linked(a, b) is symmetric)
+const linkedGroups = (items, linked) => {
+  const seen = new Set();
+  const groups = [];
+  items.forEach(start => {
+    if (seen.has(start)) return;
+    const group = [];
+    const queue = [start];
+    seen.add(start);
+    while (queue.length > 0) {
+      const item = queue.shift();
+      group.push(item);
+      items.forEach(other => {
+        if (!seen.has(other) && linked(item, other)) {
+          seen.add(other);
+          queue.push(other);
+        }
+      });
+    }
+    groups.push(group);
+  });
+  return groups;
+};
+
+// Fresh readings at which a panel that was producing reads zero in daylight
+export const findDrops = (readings, history = []) => {
+  const fresh = new Set(readings);
+  const drops = [];
+  panelSeries(history.concat(readings)).forEach(series => {
+    series.forEach((reading, i) => {
+      if (i === 0 || !fresh.has(reading) || reading.panelStatus !== 'offline') return;
+      if (series[i - 1].powerOut > 0) drops.push(reading);
+    });
+  });
+  return drops;
+};
+
+// Panels whose last reading became more than the window old with this batch,
+// while other panels at their site are still reporting in it. A panel already
+// overdue when the history ended was reported by an earlier batch.
+export const findDisappeared = (readings, history, windowMs) => {
+  if (readings.length === 0 || history.length === 0) return [];
+  const latest = Math.max(...readings.map(r => timeOf(r.when)));
+  const before = Math.max(...history.map(r => timeOf(r.when)));
+  const reporting = new Set(readings.map(r => r.id_panel));
+  const sites = new Set(readings.map(r => r.siteId || null));
+  const last = new Map();
+  history.forEach(r => {
+    if (!last.has(r.id_panel) || timeOf(r.when) > timeOf(last.get(r.id_panel).when)) last.set(r.id_panel, r);
+  });
+  return [...last.values()].filter(r => !reporting.has(r.id_panel) && sites.has(r.siteId || null)
+    && latest - timeOf(r.when) > windowMs && before - timeOf(r.when) <= windowMs);
+};
+
+// Score the theft signals in a batch. readings are the evaluated batch (with
+// panelStatus), nightLosses the readings at which voltage vanished at night.
+// Returns one suspicion per site that reaches the minimum confidence:
+// { site, reading, panels, confidence, signals: [text] }.
+export const detectTheft = (readings, {
+  history = [],
+  nightLosses = [],
+  layout = null,
+  settings = DEFAULT_THEFT_SETTINGS,
+} = {}) => {
+  if (!settings.enabled || readings.length === 0) return [];
+  const windowMs = settings.windowMinutes * 60000;
+  const bySite = new Map();
+  const addSignal = (kind, group) => {
+    const site = group[0].siteId || null;
+    if (!bySite.has(site)) bySite.set(site, { panels: new Set(), confidences: [], signals: [], latest: group[0] });
+    const suspicion = bySite.get(site);
+    group.forEach(r => {
+      suspicion.panels.add(r.id_panel);
+      if (timeOf(r.when) > timeOf(suspicion.latest.when)) suspicion.latest = r;
+    });
+    const ids = [...new Set(group.map(r => r.id_panel))];
+    suspicion.confidences.push(signalConfidence(kind, ids.length));
+    suspicion.signals.push(`${ids.length} ${SIGNAL_SCORES[kind].label}: ${ids.join(', ')}`);
+  };
+  const sameSite = (a, b) => (a.siteId || null) === (b.siteId || null);
+  const close = (a, b) => Math.abs(timeOf(a.when) - timeOf(b.when)) <= windowMs;
+
+  // Neighbours dropping to zero together; a map neighbour is stronger evidence than a shared string
+  linkedGroups(findDrops(readings, history), (a, b) => sameSite(a, b) && close(a, b)
+    && (adjacentOnMap(layout, a.id_panel, b.id_panel) || (a.stringId != null && a.stringId === b.stringId)))
+    .filter(group => group.length >= settings.minPanels)
+    .forEach(group => {
+      const adjacent = group.some(a => group.some(b => a !== b && adjacentOnMap(layout, a.id_panel, b.id_panel)));
+      addSignal(adjacent ? 'adjacentDrop' : 'stringDrop', group);
+    });
+
+  // Night-time disconnections; any number of panels counts
+  linkedGroups(nightLosses, (a, b) => sameSite(a, b) && close(a, b)).forEach(group => addSignal('nightLoss', group));
+
+  // Sequential or neighbouring panels missing from the feed
+  linkedGroups(findDisappeared(readings, history, windowMs), (a, b) => sameSite(a, b)
+    && (sequentialIds(a.id_panel, b.id_panel) || adjacentOnMap(layout, a.id_panel, b.id_panel)))
+    .filter(group => group.length >= settings.minPanels)
+    .forEach(group => addSignal('disappeared', group));
+
+  const suspicions = [];
+  bySite.forEach((suspicion, site) => {
+    const confidence = combineConfidence(suspicion.confidences);
+    if (confidence < settings.minConfidence) return;
+    suspicions.push({
+      site,
+      reading: suspicion.latest,
+      panels: [...suspicion.panels].sort((a, b) => a.localeCompare(b, undefined, { numeric: true })),
+      confidence: Math.round(confidence),
+      signals: suspicion.signals,
+    });
+  });
+  return suspicions;
+};
@@ -0,0 +1,79 @@
+import { DEFAULT_THEFT_SETTINGS, combineConfidence, detectTheft, findDisappeared, findDrops, signalConfidence } from './theft';
+
+const at = (minute) => new Date(Date.UTC(2025, 6, 20, 10, minute));
+
+const reading = (id_panel, powerOut, minute, extra = {}) => ({
+  id_panel,
+  powerOut,
+  voltage: powerOut > 0 ? 220 : 0,
+  when: at(minute),
+  panelStatus: powerOut > 0 ? 'normal' : 'offline',
+  ...extra,
+});
+
+const layout = { rows: 2, columns: 4, background: null, positions: { PV001: { row: 0, col: 0 }, PV002: { row: 0, col: 1 }, PV004: { row: 1, col: 3 } } };
+
+test('scores signals by panel count and combines them', () => {
+  expect(signalConfidence('adjacentDrop', 2)).toBe(55);
+  expect(signalConfidence('stringDrop', 20)).toBe(95);
+  expect(combineConfidence([50, 50])).toBeCloseTo(75);
+  expect(combineConfidence([])).toBe(0);
+});
+
+test('a drop is a panel reading zero after producing', () => {
+  const history = [reading('PV001', 300, 0), reading('PV002', 0, 0)];
+  const batch = [reading('PV001', 0, 5), reading('PV002', 0, 5), reading('PV003', 0, 5)];
+  expect(findDrops(batch, history).map(r => r.id_panel)).toEqual(['PV001']);
+});
+
+test('panels missing from the feed longer than the window, while their site reports', () => {
+  const history = [reading('PV001', 300, 0), reading('PV002', 300, 0), reading('PV003', 300, 0, { siteId: 'Barn' })];
+  const batch = [reading('PV001', 300, 30)];
+  expect(findDisappeared(batch, history, 15 * 60000).map(r => r.id_panel)).toEqual(['PV002']);
+  expect(findDisappeared(batch, history, 60 * 60000)).toEqual([]);
+});
+
+test('a missing panel is only reported by the batch in which it became overdue', () => {
+  const history = [reading('PV001', 300, 0), reading('PV002', 300, 0), reading('PV001', 300, 30)];
+  expect(findDisappeared([reading('PV001', 300, 35)], history, 15 * 60000)).toEqual([]);
+});
+
+test('adjacent panels dropping together raise one suspicion', () => {
+  const history = ['PV001', 'PV002', 'PV004'].map(id => reading(id, 300, 0));
+  const batch = [reading('PV001', 0, 5), reading('PV002', 0, 8), reading('PV004', 0, 8)];
+  expect(detectTheft(batch, { history, layout, settings: { ...DEFAULT_THEFT_SETTINGS, minConfidence: 50 } })).toEqual([{
+    site: null,
+    reading: batch[1],
+    panels: ['PV001', 'PV002'],
+    confidence: 55,
+    signals: ['2 adjacent panels dropped to zero: PV001, PV002'],
+  }]);
+  // One panel, or drops further apart than the window, is an ordinary fault
+  expect(detectTheft(batch, { history, layout, settings: { ...DEFAULT_THEFT_SETTINGS, minConfidence: 50, windowMinutes: 1 } })).toEqual([]);
+});
+
+test('drops on one string and panels vanishing in sequence reinforce each other', () => {
+  const ids = ['PV010', 'PV011', 'PV012', 'PV020', 'PV021', 'PV030'];
+  const history = ids.map(id => reading(id, 300, 0, { stringId: id < 'PV020' ? 'S1' : 'S2' }));
+  const batch = [
+    reading('PV010', 0, 30, { stringId: 'S1' }),
+    reading('PV011', 0, 31, { stringId: 'S1' }),
+    reading('PV012', 0, 31, { stringId: 'S1' }),
+    reading('PV030', 300, 31, { stringId: 'S2' }),
+  ];
+  const [suspicion] = detectTheft(batch, { history });
+  expect(suspicion.panels).toEqual(['PV010', 'PV011', 'PV012', 'PV020', 'PV021']);
+  expect(suspicion.signals).toEqual([
+    '3 panels on one string dropped to zero: PV010, PV011, PV012',
+    '2 panels dropped out of the feed: PV020, PV021',
+  ]);
+  // 1 - (1 - 0.60)(1 - 0.50)
+  expect(suspicion.confidence).toBe(80);
+});
+
+test('night voltage losses count at any panel count and sites are kept apart', () => {
+  const losses = [reading('PV001', 0, 0, { siteId: 'Roof' }), reading('PV002', 0, 2, { siteId: 'Roof' }), reading('PV003', 0, 2, { siteId: 'Barn' })];
+  const result = detectTheft(losses, { nightLosses: losses });
+  expect(result.map(s => [s.site, s.panels, s.confidence])).toEqual([['Roof', ['PV001', 'PV002'], 60]]);
+  expect(detectTheft(losses, { nightLosses: losses, settings: { ...DEFAULT_THEFT_SETTINGS, enabled: false } })).toEqual([]);
+});
@@ -0,0 +1,230 @@
+// CSV import settings
+// Maps vendor CSV exports (column names, units, decimal separator, timestamp
+// format and timezone) onto the canonical id_panel,power,voltage,timestamp rows.
+import Papa from 'papaparse';
+
+export const IMPORT_FIELDS = ['id_panel', 'power', 'voltage', 'timestamp'];
+
+// Columns that may be mapped but are not required
+export const OPTIONAL_IMPORT_FIELDS = ['current_dc', 'current_ac', 'temperature', 'irradiance', 'site_id', 'inverter_id', 'string_id'];
+
+const NUMERIC_OPTIONAL_FIELDS = ['current_dc', 'current_ac', 'temperature', 'irradiance'];
+
+export const POWER_UNITS = { W: 1, kW: 1000, MW: 1000000 };
+export const VOLTAGE_UNITS = { V: 1, mV: 0.001, kV: 1000 };
+
+export const TIMESTAMP_FORMATS = [
+  'auto',
+  'YYYY-MM-DD HH:mm:ss',
+  'DD/MM/YYYY HH:mm:ss',
+  'MM/DD/YYYY HH:mm:ss',
+  'DD.MM.YYYY HH:mm:ss',
+  'unix',
+  'unix_ms',
+];
+
+export const DEFAULT_IMPORT_SETTINGS = {
+  delimiter: '',
+  decimal: '.',
+  powerUnit: 'W',
+  voltageUnit: 'V',
+  timestampFormat: 'auto',
+  timezone: 'local',
+  columns: {
+    id_panel: 'id_panel',
+    power: 'power',
+    voltage: 'voltage',
+    timestamp: 'timestamp',
+    current_dc: 'current_dc',
+    current_ac: 'current_ac',
+    temperature: 'temperature',
+    irradiance: 'irradiance',
+    site_id: 'site_id',
+    inverter_id: 'inverter_id',
+    string_id: 'string_id',
+  },
+};
+
+const COLUMN_SYNONYMS = {
+  id_panel: ['idpanel', 'panelid', 'panel', 'moduleid', 'module', 'id', 'serial', 'sn'],
+  power: ['power', 'pkw', 'pw', 'p', 'pac', 'pdc'],
+  voltage: ['voltage', 'udc', 'uac', 'vdc', 'vac', 'u', 'v'],
+  timestamp: ['timestamp', 'time', 'datetime', 'date', 'ts'],
+  current_dc: ['currentdc', 'dccurrent', 'idc'],
+  current_ac: ['currentac', 'accurrent', 'iac'],
+  temperature: ['temperature', 'moduletemperature', 'moduletemp', 'tmodule', 'tmod', 'temp'],
+  irradiance: ['irradiance', 'irr', 'poa', 'gti', 'ghi'],
+  site_id: ['siteid', 'site', 'plantid', 'plant'],
+  inverter_id: ['inverterid', 'inverter', 'inv'],
+  string_id: ['stringid', 'string', 'str'],
+};
+
+const normalizeHeader = (header) => header.toLowerCase().replace(/\(.*?\)/g, '').replace(/[^a-z0-9]/g, '');
+
+const countNewlines = (text) => (text.match(/\n/g) || []).length;
+
+// Parse CSV text into its headers and rows. Blank lines are skipped, and every row
+// is tagged with the source line it starts on (_line) for the import report.
+// Quoted cells may span lines, so lines are counted up to each row's cursor.
+export const parseCsv = (text, delimiter = '') => {
+  let headers = [];
+  let cursor = 0;
+  Papa.parse(text, {
+    delimiter,
+    step: (result, parser) => {
+      headers = result.data;
+      cursor = result.meta.cursor;
+      parser.abort();
+    },
+  });
+  let line = 1 + countNewlines(text.slice(0, cursor));
+  const rows = [];
+  Papa.parse(text, {
+    header: true,
+    skipEmptyLines: false,
+    delimiter,
+    step: (result) => {
+      const start = line;
+      line += countNewlines(text.slice(cursor, result.meta.cursor));
+      cursor = result.meta.cursor;
+      headers = result.meta.fields || headers;
+      const row = result.data;
+      const blank = Object.values(row).every(value => value == null || String(value).trim() === '');
+      if (!blank) rows.push({ ...row, _line: start });
+    },
+  });
+  return { headers, rows };
+};
+
+// Suggest a column mapping (and units, when the header names them) for a set of headers
+export const guessSettings = (headers, base = DEFAULT_IMPORT_SETTINGS) => {
+  const columns = {};
+  IMPORT_FIELDS.concat(OPTIONAL_IMPORT_FIELDS).forEach(field => {
+    const exact = headers.find(h => h === field);
+    const synonym = COLUMN_SYNONYMS[field]
+      .map(name => headers.find(h => normalizeHeader(h) === name))
+      .find(Boolean);
+    columns[field] = exact || synonym || '';
+  });
+  const settings = { ...base, columns };
+  if (/kw/i.test(columns.power)) settings.powerUnit = 'kW';
+  if (/mv/i.test(columns.voltage)) settings.voltageUnit = 'mV';
+  if (/utc/i.test(columns.timestamp)) settings.timezone = 'UTC';
+  return settings;
+};
+
+// True when every required field maps onto one of the headers
+export const columnsMatch = (headers, settings) =>
+  IMPORT_FIELDS.every(field => headers.includes(settings.columns[field]));
+
+// Parse a number honouring the decimal separator; thousands separators are dropped
+export const parseNumber = (text, decimal = '.') => {
+  if (text == null) return NaN;
+  let value = String(text).trim().replace(/\s/g, '');
+  if (value === '') return NaN;
+  value = decimal === ','
+    ? value.replace(/\./g, '').replace(',', '.')
+    : value.replace(/,/g, '');
+  return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value) ? parseFloat(value) : NaN;
+};
+
+// Offset of an IANA timezone from UTC, in milliseconds, at the given instant
+const zoneOffset = (time, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+  }).formatToParts(new Date(time));
+  const get = (type) => parseInt(parts.find(p => p.type === type).value, 10);
+  return Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second')) - time;
+};
+
+// Turn wall-clock parts in a timezone ('local', 'UTC', '+02:00' or an IANA name) into a Date
+export const zonedTime = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timezone = 'local') => {
+  if (timezone === 'local') return new Date(year, month - 1, day, hour, minute, second);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+  if (timezone === 'UTC') return new Date(wallClock);
+  const fixed = /^([+-])(\d{2}):?(\d{2})$/.exec(timezone);
+  if (fixed) {
+    const offset = (parseInt(fixed[2], 10) * 60 + parseInt(fixed[3], 10)) * 60000;
+    return new Date(wallClock - (fixed[1] === '+' ? offset : -offset));
+  }
+  try {
+    // Re-check the offset at the result so DST transitions land on the right side
+    const guess = wallClock - zoneOffset(wallClock, timezone);
+    return new Date(wallClock - zoneOffset(guess, timezone));
+  } catch (error) {
+    return new Date(NaN);
+  }
+};
+
+// Trim floating point noise from unit conversion (1.1 kW -> 1100, not 1100.0000000000002)
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const FORMAT_TOKENS = { YYYY: 'year', MM: 'month', DD: 'day', HH: 'hour', mm: 'minute', ss: 'second' };
+
+// Parse a timestamp with a format such as 'DD/MM/YYYY HH:mm:ss', 'unix', 'unix_ms' or 'auto'.
+// Returns an Invalid Date when the text does not fit.
+export const parseTimestamp = (text, format = 'auto', timezone = 'local') => {
+  const value = String(text == null ? '' : text).trim();
+  if (value === '') return new Date(NaN);
+  if (format === 'unix' || format === 'unix_ms') {
+    const number = parseFloat(value);
+    return new Date(isNaN(number) ? NaN : format === 'unix' ? number * 1000 : number);
+  }
+  if (format === 'auto') {
+    // Explicit offsets and non-ISO text are left to the Date parser
+    const explicitZone = /(z|[+-]\d{2}:?\d{2})$/i.test(value);
+    if (explicitZone || !/^\d{4}-\d{1,2}-\d{1,2}/.test(value)) return new Date(value);
+    return parseTimestamp(value, 'YYYY-MM-DD HH:mm:ss', timezone);
+  }
+  const tokens = format.match(/YYYY|MM|DD|HH|mm|ss/g) || [];
+  const numbers = value.match(/\d+/g) || [];
+  const parts = {};
+  tokens.forEach((token, i) => {
+    if (numbers[i] !== undefined) parts[FORMAT_TOKENS[token]] = parseInt(numbers[i], 10);
+  });
+  if (!parts.year || !parts.month || !parts.day || parts.month > 12 || parts.day > 31) return new Date(NaN);
+  return zonedTime(parts, timezone);
+};
+
+// Map one raw CSV row onto a canonical row. Cells that cannot be converted are
+// passed through untouched so the alarm engine treats them as it always has,
+// except timestamps: one that does not fit the chosen format gets a
+// timestampError so the row is rejected rather than left to the Date parser.
+export const mapRow = (row, settings = DEFAULT_IMPORT_SETTINGS) => {
+  const cell = (field) => (row[settings.columns[field]] == null ? '' : row[settings.columns[field]]);
+  const power = parseNumber(cell('power'), settings.decimal) * (POWER_UNITS[settings.powerUnit] || 1);
+  const voltage = parseNumber(cell('voltage'), settings.decimal) * (VOLTAGE_UNITS[settings.voltageUnit] || 1);
+  const timestamp = parseTimestamp(cell('timestamp'), settings.timestampFormat, settings.timezone);
+  const mapped = {
+    id_panel: String(cell('id_panel')).trim(),
+    power: isNaN(power) ? cell('power') : String(round(power)),
+    voltage: isNaN(voltage) ? cell('voltage') : String(round(voltage)),
+    timestamp: isNaN(timestamp.getTime()) ? cell('timestamp') : timestamp.toISOString(),
+    line: row._line,
+  };
+  if (isNaN(timestamp.getTime()) && String(cell('timestamp')).trim() !== '') {
+    mapped.timestampError = settings.timestampFormat === 'auto'
+      ? `Unparseable timestamp "${cell('timestamp')}"`
+      : `Timestamp "${cell('timestamp')}" does not match ${settings.timestampFormat}`;
+  }
+  OPTIONAL_IMPORT_FIELDS.forEach(field => {
+    if (!settings.columns[field] || cell(field) === '') return;
+    if (NUMERIC_OPTIONAL_FIELDS.includes(field)) {
+      const value = parseNumber(cell(field), settings.decimal);
+      mapped[field] = isNaN(value) ? cell(field) : String(round(value));
+    } else {
+      mapped[field] = String(cell(field)).trim();
+    }
+  });
+  return mapped;
+};
+
+export const applyImportSettings = (rows, settings = DEFAULT_IMPORT_SETTINGS) =>
+  rows.map(row => mapRow(row, settings));
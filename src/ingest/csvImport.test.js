@@ -0,0 +1,146 @@
+import {
+  DEFAULT_IMPORT_SETTINGS,
+  parseCsv,
+  guessSettings,
+  columnsMatch,
+  parseNumber,
+  parseTimestamp,
+  zonedTime,
+  mapRow,
+  applyImportSettings,
+} from './csvImport';
+
+describe('parseCsv', () => {
+  test('skips blank lines and tags rows with their source line', () => {
+    const { headers, rows } = parseCsv('PanelID;P_kW\nPV001;0,5\n\nPV002;0,4\n', ';');
+    expect(headers).toEqual(['PanelID', 'P_kW']);
+    expect(rows).toEqual([
+      { PanelID: 'PV001', P_kW: '0,5', _line: 2 },
+      { PanelID: 'PV002', P_kW: '0,4', _line: 4 },
+    ]);
+  });
+
+  test('counts lines inside quoted cells', () => {
+    const { rows } = parseCsv('id_panel,note\r\nPV001,"two\r\nlines"\r\nPV002,ok\r\n\r\nPV003,"a\nb\nc"\r\nPV004,x');
+    expect(rows.map(r => [r.id_panel, r._line])).toEqual([['PV001', 2], ['PV002', 4], ['PV003', 6], ['PV004', 9]]);
+  });
+});
+
+describe('guessSettings', () => {
+  test('maps a vendor header row and picks up units and timezone from it', () => {
+    const settings = guessSettings(['PanelID', 'P_kW', 'Udc', 'Time (UTC)']);
+    expect(settings.columns).toEqual(expect.objectContaining({ id_panel: 'PanelID', power: 'P_kW', voltage: 'Udc', timestamp: 'Time (UTC)' }));
+    expect(settings.powerUnit).toBe('kW');
+    expect(settings.timezone).toBe('UTC');
+  });
+
+  test('maps optional columns it recognises', () => {
+    const { columns } = guessSettings(['id_panel', 'power', 'voltage', 'timestamp', 'Idc', 'T_mod', 'POA', 'Inverter']);
+    expect(columns).toEqual(expect.objectContaining({
+      current_dc: 'Idc',
+      current_ac: '',
+      temperature: 'T_mod',
+      irradiance: 'POA',
+      inverter_id: 'Inverter',
+    }));
+  });
+
+  test('leaves unknown fields unmapped', () => {
+    expect(guessSettings(['foo', 'bar']).columns.power).toBe('');
+  });
+});
+
+describe('columnsMatch', () => {
+  test('requires every field to map onto a header', () => {
+    expect(columnsMatch(['id_panel', 'power', 'voltage', 'timestamp'], DEFAULT_IMPORT_SETTINGS)).toBe(true);
+    expect(columnsMatch(['id_panel', 'power', 'voltage'], DEFAULT_IMPORT_SETTINGS)).toBe(false);
+  });
+});
+
+describe('parseNumber', () => {
+  test.each([
+    ['1,234.5', '.', 1234.5],
+    ['1.234,5', ',', 1234.5],
+    ['0,42', ',', 0.42],
+    [' 12 ', '.', 12],
+    ['', '.', NaN],
+    ['n/a', '.', NaN],
+  ])('%s with "%s" decimal -> %s', (text, decimal, expected) => {
+    expect(parseNumber(text, decimal)).toBe(expected);
+  });
+});
+
+describe('parseTimestamp', () => {
+  test('parses formats in UTC and fixed offsets', () => {
+    expect(parseTimestamp('20/07/2025 10:30', 'DD/MM/YYYY HH:mm:ss', 'UTC').toISOString()).toBe('2025-07-20T10:30:00.000Z');
+    expect(parseTimestamp('07/20/2025 10:30:15', 'MM/DD/YYYY HH:mm:ss', '+02:00').toISOString()).toBe('2025-07-20T08:30:15.000Z');
+  });
+
+  test('parses IANA timezones across daylight saving time', () => {
+    expect(parseTimestamp('2025-01-15 12:00:00', 'auto', 'Europe/Berlin').toISOString()).toBe('2025-01-15T11:00:00.000Z');
+    expect(parseTimestamp('2025-07-15 12:00:00', 'auto', 'Europe/Berlin').toISOString()).toBe('2025-07-15T10:00:00.000Z');
+  });
+
+  test('parses unix timestamps', () => {
+    expect(parseTimestamp('1753005600', 'unix').toISOString()).toBe('2025-07-20T10:00:00.000Z');
+    expect(parseTimestamp('1753005600000', 'unix_ms').toISOString()).toBe('2025-07-20T10:00:00.000Z');
+  });
+
+  test('auto keeps explicit offsets and local time by default', () => {
+    expect(parseTimestamp('2025-07-20T10:00:00Z', 'auto', 'Europe/Berlin').toISOString()).toBe('2025-07-20T10:00:00.000Z');
+    expect(parseTimestamp('2025-07-20 10:00:00')).toEqual(new Date(2025, 6, 20, 10, 0, 0));
+  });
+
+  test('returns an invalid date for text that does not fit', () => {
+    expect(isNaN(parseTimestamp('yesterday', 'DD/MM/YYYY HH:mm:ss').getTime())).toBe(true);
+    expect(isNaN(parseTimestamp('', 'auto').getTime())).toBe(true);
+    expect(isNaN(zonedTime({ year: 2025, month: 1, day: 1 }, 'Not/AZone').getTime())).toBe(true);
+  });
+});
+
+describe('mapRow', () => {
+  const settings = {
+    ...DEFAULT_IMPORT_SETTINGS,
+    decimal: ',',
+    powerUnit: 'kW',
+    voltageUnit: 'mV',
+    timestampFormat: 'DD.MM.YYYY HH:mm:ss',
+    timezone: 'UTC',
+    columns: { id_panel: 'PanelID', power: 'P_kW', voltage: 'Udc', timestamp: 'Time' },
+  };
+
+  test('converts units, decimals and timestamps', () => {
+    expect(mapRow({ PanelID: ' PV001 ', P_kW: '0,5123', Udc: '221000', Time: '20.07.2025 10:00:00' }, settings)).toEqual({
+      id_panel: 'PV001',
+      power: '512.3',
+      voltage: '221',
+      timestamp: '2025-07-20T10:00:00.000Z',
+    });
+  });
+
+  test('passes unconvertible cells through untouched', () => {
+    expect(mapRow({ PanelID: 'PV001', P_kW: 'n/a', Udc: '', Time: '' }, settings)).toEqual({
+      id_panel: 'PV001',
+      power: 'n/a',
+      voltage: '',
+      timestamp: '',
+    });
+  });
+
+  test('flags timestamps that do not fit the chosen format', () => {
+    const mapped = mapRow({ PanelID: 'PV001', P_kW: '0,5', Udc: '1', Time: '2025-07-20' }, settings);
+    expect(mapped.timestamp).toBe('2025-07-20');
+    expect(mapped.timestampError).toBe('Timestamp "2025-07-20" does not match DD.MM.YYYY HH:mm:ss');
+  });
+
+  test('maps optional columns with the decimal separator', () => {
+    const optional = { ...settings, columns: { ...settings.columns, current_dc: 'Idc', string_id: 'Str', irradiance: '' } };
+    const mapped = mapRow({ PanelID: 'PV001', P_kW: '0,5', Udc: '1', Time: '20.07.2025 10:00:00', Idc: '1,25', Str: ' S1 ' }, optional);
+    expect(mapped).toEqual(expect.objectContaining({ current_dc: '1.25', string_id: 'S1' }));
+    expect(mapped).not.toHaveProperty('irradiance');
+  });
+
+  test('applyImportSettings maps every row', () => {
+    expect(applyImportSettings([{}, {}], settings)).toHaveLength(2);
+  });
+});
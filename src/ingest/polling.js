@@ -0,0 +1,162 @@
+// REST data source polling
+// Polls an inverter/datalogger API on an interval with axios and maps the
+// JSON response onto readings using simple JSON-path style field paths.
+import axios from 'axios';
+import { validateRows } from '../engine/alarmEngine';
+
+export const DEFAULT_DATA_SOURCE = {
+  name: 'Datalogger',
+  url: '',
+  interval: 60,
+  headers: '',
+  failureThreshold: 1,
+  mapping: {
+    root: '$',
+    id_panel: 'id_panel',
+    power: 'power',
+    voltage: 'voltage',
+    timestamp: 'timestamp',
+    current_dc: '',
+    current_ac: '',
+    temperature: '',
+    irradiance: '',
+    site_id: '',
+    inverter_id: '',
+    string_id: '',
+  },
+};
+
+// Fields read from each response item; only the first four are required
+export const MAPPED_FIELDS = Object.keys(DEFAULT_DATA_SOURCE.mapping).filter(field => field !== 'root');
+
+// Resolve a path such as "$.data.items[0].value" or "metrics.p" against an object
+export const getPath = (obj, path) => {
+  if (!path || path === '$') return obj;
+  const tokens = path
+    .replace(/^\$\.?/, '')
+    .replace(/\[(\d+)\]/g, '.$1')
+    .split('.')
+    .filter(token => token !== '');
+  return tokens.reduce((value, token) => (value == null ? undefined : value[token]), obj);
+};
+
+// Parse "Header: value" lines into an axios headers object
+export const parseHeaderLines = (text) => (text || '')
+  .split('\n')
+  .map(line => line.trim())
+  .filter(line => line && line.includes(':'))
+  .reduce((headers, line) => {
+    const index = line.indexOf(':');
+    headers[line.slice(0, index).trim()] = line.slice(index + 1).trim();
+    return headers;
+  }, {});
+
+// Map a response body onto readings using the configured field paths. Returns
+// { readings, items, rejected }: the number of items found under the root and
+// the items that could not be read, with their reasons (see validateRows).
+export const mapResponse = (body, mapping = DEFAULT_DATA_SOURCE.mapping) => {
+  const root = getPath(body, mapping.root);
+  const items = Array.isArray(root) ? root : root != null ? [root] : [];
+  const rows = items.map(item => {
+    const row = {};
+    MAPPED_FIELDS.forEach(name => {
+      if (!mapping[name]) return;
+      const value = getPath(item, mapping[name]);
+      row[name] = value == null ? '' : String(value);
+    });
+    return row;
+  });
+  const { readings, report } = validateRows(rows);
+  return { readings, items: items.length, rejected: report.rejected };
+};
+
+// Polls one data source. onUnreachable fires once per outage, after
+// failureThreshold consecutive failed requests; onRecovered when it answers again.
+// Only the request itself counts as a failure: a response that cannot be mapped,
+// or whose items all fail to map, is reported as 'mapping_error', and a reading
+// that fails to process as 'processing_error'. Statuses after a response carry
+// the number of items dropped from it. Each start begins a new poll loop; requests still in
+// flight from an earlier one are ignored.
+export const createPoller = ({
+  source,
+  onReadings = () => {},
+  onUnreachable = () => {},
+  onRecovered = () => {},
+  onStatus = () => {},
+  http = axios,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+}) => {
+  let timer = null;
+  let running = false;
+  let generation = 0; // Poll loop started last; older loops stop at their next step
+  let failures = 0;
+  let outage = false;
+
+  const poll = async (loop) => {
+    timer = null;
+    let response;
+    try {
+      response = await http.get(source.url, {
+        headers: parseHeaderLines(source.headers),
+        timeout: Math.max(source.interval * 1000 - 100, 1000),
+      });
+    } catch (error) {
+      if (loop !== generation) return;
+      failures += 1;
+      onStatus('unreachable', { error, failures });
+      if (!outage && failures >= (source.failureThreshold || 1)) {
+        outage = true;
+        onUnreachable(error);
+      }
+      timer = setTimer(() => poll(loop), source.interval * 1000);
+      return;
+    }
+    if (loop !== generation) return;
+    failures = 0;
+    if (outage) {
+      outage = false;
+      onRecovered();
+    }
+    const lastPoll = new Date();
+    let mapped = null;
+    try {
+      mapped = mapResponse(response.data, source.mapping);
+    } catch (error) {
+      onStatus('mapping_error', { error, lastPoll });
+    }
+    if (mapped && mapped.items > 0 && mapped.readings.length === 0) {
+      const error = new Error(`None of the ${mapped.items} items could be mapped: ${mapped.rejected[0].reason}`);
+      onStatus('mapping_error', { error, lastPoll, dropped: mapped.rejected.length });
+    } else if (mapped) {
+      onStatus('polling', { lastPoll, dropped: mapped.rejected.length });
+      try {
+        if (mapped.readings.length > 0) onReadings(mapped.readings);
+      } catch (error) {
+        console.error('Failed to process polled readings:', error);
+        onStatus('processing_error', { error, lastPoll });
+      }
+    }
+    if (loop === generation) timer = setTimer(() => poll(loop), source.interval * 1000);
+  };
+
+  const start = () => {
+    if (running) return;
+    running = true;
+    generation += 1;
+    failures = 0;
+    outage = false;
+    onStatus('polling', {});
+    return poll(generation);
+  };
+
+  const stop = () => {
+    running = false;
+    generation += 1;
+    if (timer) clearTimer(timer);
+    timer = null;
+    onStatus('idle', {});
+  };
+
+  return { start, stop };
+};
@@ -0,0 +1,171 @@
+import {
+  DEFAULT_DATA_SOURCE,
+  getPath,
+  parseHeaderLines,
+  mapResponse,
+  createPoller,
+} from './polling';
+
+describe('getPath', () => {
+  const body = { data: { items: [{ metrics: { p: 410 } }] } };
+
+  test('resolves dotted paths with array indexes', () => {
+    expect(getPath(body, '$.data.items[0].metrics.p')).toBe(410);
+    expect(getPath(body, 'data.items.0.metrics.p')).toBe(410);
+  });
+
+  test('returns the whole object for the root path', () => {
+    expect(getPath(body, '$')).toBe(body);
+    expect(getPath(body, '')).toBe(body);
+  });
+
+  test('returns undefined for missing branches', () => {
+    expect(getPath(body, 'data.missing.value')).toBeUndefined();
+  });
+});
+
+describe('parseHeaderLines', () => {
+  test('parses one header per line and keeps colons in values', () => {
+    expect(parseHeaderLines('Authorization: Bearer abc\n\nX-Url: http://x:1\ninvalid')).toEqual({
+      Authorization: 'Bearer abc',
+      'X-Url': 'http://x:1',
+    });
+  });
+});
+
+describe('mapResponse', () => {
+  test('maps vendor fields onto readings', () => {
+    const body = {
+      result: {
+        modules: [
+          { sn: 'PV001', dc: { p: 512.3, u: 221 }, ts: '2025-07-20T10:00:00Z' },
+          { sn: 'PV002', dc: { p: 0, u: 0 }, ts: '2025-07-20T10:00:00Z' },
+        ],
+      },
+    };
+    const mapping = { root: '$.result.modules', id_panel: 'sn', power: 'dc.p', voltage: 'dc.u', timestamp: 'ts' };
+    expect(mapResponse(body, mapping).readings).toEqual([
+      { id_panel: 'PV001', powerOut: 512.3, voltage: 221, when: new Date('2025-07-20T10:00:00Z') },
+      { id_panel: 'PV002', powerOut: 0, voltage: 0, when: new Date('2025-07-20T10:00:00Z') },
+    ]);
+  });
+
+  test('maps optional fields when a path is configured', () => {
+    const body = [{ id: 'PV001', p: 1, u: 2, t: '2025-07-20T10:00:00Z', dc: { i: 3.5 }, inv: 'INV-1' }];
+    const mapping = { ...DEFAULT_DATA_SOURCE.mapping, id_panel: 'id', power: 'p', voltage: 'u', timestamp: 't', current_dc: 'dc.i', inverter_id: 'inv' };
+    const [reading] = mapResponse(body, mapping).readings;
+    expect(reading.currentDc).toBe(3.5);
+    expect(reading.inverterId).toBe('INV-1');
+    expect(reading).not.toHaveProperty('moduleTemp');
+  });
+
+  test('treats a single object root as one reading', () => {
+    const body = { id_panel: 'PV001', power: 1, voltage: 2, timestamp: '2025-07-20T10:00:00Z' };
+    expect(mapResponse(body).readings).toHaveLength(1);
+  });
+
+  test('returns nothing when the root is missing', () => {
+    expect(mapResponse({}, { ...DEFAULT_DATA_SOURCE.mapping, root: 'data' })).toEqual({ readings: [], items: 0, rejected: [] });
+  });
+
+  test('counts the items it could not read', () => {
+    const body = [{ sn: 'PV001', ts: '2025-07-20T10:00:00Z' }, { id_panel: 'PV002', timestamp: '2025-07-20T10:00:00Z' }];
+    const { readings, items, rejected } = mapResponse(body);
+    expect(readings.map(r => r.id_panel)).toEqual(['PV002']);
+    expect(items).toBe(2);
+    expect(rejected).toEqual([expect.objectContaining({ reason: 'Missing panel ID' })]);
+  });
+});
+
+describe('createPoller', () => {
+  const source = { ...DEFAULT_DATA_SOURCE, url: 'http://logger/api', interval: 30, headers: 'X-Key: secret', failureThreshold: 2 };
+  const row = { id_panel: 'PV001', power: 400, voltage: 220, timestamp: '2025-07-20T10:00:00Z' };
+
+  const setup = (responses, options = {}) => {
+    const timers = [];
+    const events = [];
+    const statuses = [];
+    const http = {
+      get: jest.fn(() => {
+        const next = responses.shift();
+        return next instanceof Error ? Promise.reject(next) : Promise.resolve({ data: next });
+      }),
+    };
+    const poller = createPoller({
+      source,
+      http,
+      onReadings: readings => events.push(['readings', readings.length]),
+      onUnreachable: error => events.push(['unreachable', error.message]),
+      onRecovered: () => events.push(['recovered']),
+      setTimer: (fn, delay) => timers.push({ fn, delay }),
+      clearTimer: jest.fn(),
+      onStatus: status => statuses.push(status),
+      ...options,
+    });
+    return { poller, http, timers, events, statuses };
+  };
+
+  test('polls with the configured headers and reschedules itself', async () => {
+    const { poller, http, timers, events } = setup([[row, row]]);
+    await poller.start();
+    expect(http.get).toHaveBeenCalledWith('http://logger/api', expect.objectContaining({ headers: { 'X-Key': 'secret' } }));
+    expect(events).toEqual([['readings', 2]]);
+    expect(timers[0].delay).toBe(30000);
+  });
+
+  test('reports unreachable once per outage after the failure threshold', async () => {
+    const down = new Error('Network Error');
+    const { poller, timers, events } = setup([down, down, down, [row]]);
+    await poller.start();
+    expect(events).toEqual([]);
+    await timers.shift().fn();
+    await timers.shift().fn();
+    await timers.shift().fn();
+    expect(events).toEqual([['unreachable', 'Network Error'], ['recovered'], ['readings', 1]]);
+  });
+
+  test('reports responses it cannot map or process without counting them as failures', async () => {
+    const unreadable = { get items() { throw new Error('bad body'); } };
+    const { poller, timers, events, statuses } = setup([unreadable, { items: [row] }], {
+      source: { ...source, failureThreshold: 1, mapping: { ...source.mapping, root: 'items' } },
+      onReadings: () => { throw new Error('pipeline broke'); },
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await poller.start();
+    await timers.shift().fn();
+    expect(statuses).toEqual(['polling', 'mapping_error', 'polling', 'processing_error']);
+    expect(events).toEqual([]);
+    expect(timers).toHaveLength(1);
+    console.error.mockRestore();
+  });
+
+  test('reports a mapping error when no item in a response maps', async () => {
+    const infos = [];
+    const { poller, events, statuses } = setup([[{ sn: 'PV001', p: 400 }, { sn: 'PV002', p: 410 }]], {
+      onStatus: (status, info) => { statuses.push(status); infos.push(info); },
+    });
+    await poller.start();
+    expect(statuses).toEqual(['polling', 'mapping_error']);
+    expect(infos[1].dropped).toBe(2);
+    expect(infos[1].error.message).toBe('None of the 2 items could be mapped: Missing panel ID');
+    expect(events).toEqual([]);
+  });
+
+  test('stop cancels the next poll and ignores in-flight results', async () => {
+    const { poller, timers, events } = setup([[row]]);
+    const pending = poller.start();
+    poller.stop();
+    await pending;
+    expect(events).toEqual([]);
+    expect(timers).toHaveLength(0);
+  });
+
+  test('a restart while a request is in flight keeps a single poll loop', async () => {
+    const { poller, timers } = setup([[row], [row]]);
+    const first = poller.start();
+    poller.stop();
+    const second = poller.start();
+    await Promise.all([first, second]);
+    expect(timers).toHaveLength(1);
+  });
+});
@@ -0,0 +1,123 @@
+// Live telemetry client
+// Streams readings from a WebSocket or Server-Sent Events endpoint and
+// reconnects with exponential backoff when the connection drops.
+import { parseReadings } from '../engine/alarmEngine';
+
+export const TRANSPORTS = ['websocket', 'sse'];
+
+export const DEFAULT_BACKOFF = {
+  initialDelay: 1000,
+  maxDelay: 30000,
+  factor: 2,
+};
+
+// Delay before reconnect attempt number `attempt` (0-based)
+export const backoffDelay = (attempt, backoff = DEFAULT_BACKOFF) =>
+  Math.min(backoff.initialDelay * Math.pow(backoff.factor, attempt), backoff.maxDelay);
+
+// Decode one message into readings. Accepts a single row object or an array of rows
+// using the CSV column names (id_panel, power, voltage, timestamp); rows without a
+// timestamp are stamped with receivedAt.
+export const parseTelemetryMessage = (data, receivedAt = new Date()) => {
+  let payload;
+  try {
+    payload = typeof data === 'string' ? JSON.parse(data) : data;
+  } catch (error) {
+    return [];
+  }
+  const rows = (Array.isArray(payload) ? payload : [payload])
+    .filter(row => row && typeof row === 'object')
+    .map(row => ({
+      ...row,
+      power: row.power != null ? String(row.power) : '',
+      voltage: row.voltage != null ? String(row.voltage) : '',
+      timestamp: row.timestamp || receivedAt.toISOString(),
+    }));
+  return parseReadings(rows);
+};
+
+export const createTelemetryClient = ({
+  url,
+  transport = 'websocket',
+  onReadings = () => {},
+  onStatus = () => {},
+  backoff = DEFAULT_BACKOFF,
+  WebSocketImpl,
+  EventSourceImpl,
+  setTimer = setTimeout,
+  clearTimer = clearTimeout,
+}) => {
+  let socket = null;
+  let retryTimer = null;
+  let attempt = 0;
+  let stopped = true;
+
+  const handleMessage = (data) => {
+    const readings = parseTelemetryMessage(data);
+    if (readings.length > 0) onReadings(readings);
+  };
+
+  const scheduleReconnect = () => {
+    if (stopped) return;
+    const delay = backoffDelay(attempt, backoff);
+    attempt += 1;
+    onStatus('reconnecting', { attempt, delay });
+    retryTimer = setTimer(open, delay);
+  };
+
+  // Ignore late events from a socket that has already been replaced
+  const dropHandler = (source) => () => {
+    if (socket !== source) return;
+    socket = null;
+    source.close();
+    scheduleReconnect();
+  };
+
+  function open() {
+    retryTimer = null;
+    if (stopped) return;
+    onStatus('connecting', { attempt });
+    try {
+      const current = transport === 'sse'
+        ? new (EventSourceImpl || window.EventSource)(url)
+        : new (WebSocketImpl || window.WebSocket)(url);
+      socket = current;
+      current.onopen = () => {
+        attempt = 0;
+        onStatus('connected', {});
+      };
+      current.onmessage = (event) => handleMessage(event.data);
+      current.onerror = dropHandler(current);
+      // EventSource has no close event; errors are its only drop signal
+      if (transport === 'websocket') current.onclose = dropHandler(current);
+    } catch (error) {
+      socket = null;
+      onStatus('error', { error });
+      scheduleReconnect();
+    }
+  }
+
+  const connect = () => {
+    if (!stopped) return;
+    if (!TRANSPORTS.includes(transport)) {
+      throw new Error(`Unsupported telemetry transport: ${transport}`);
+    }
+    stopped = false;
+    attempt = 0;
+    open();
+  };
+
+  const disconnect = () => {
+    stopped = true;
+    if (retryTimer) clearTimer(retryTimer);
+    retryTimer = null;
+    if (socket) {
+      const current = socket;
+      socket = null;
+      current.close();
+    }
+    onStatus('disconnected', {});
+  };
+
+  return { connect, disconnect };
+};
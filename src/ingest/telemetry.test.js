@@ -0,0 +1,162 @@
+/**
+ * @jest-environment node
+ */
+import WebSocket from 'ws';
+import {
+  backoffDelay,
+  parseTelemetryMessage,
+  createTelemetryClient,
+} from './telemetry';
+import { createMockTelemetryServer } from '../../scripts/mockTelemetryServer';
+
+// Minimal socket double: tests drive its lifecycle by hand
+class FakeSocket {
+  static instances = [];
+
+  constructor(url) {
+    this.url = url;
+    this.closed = false;
+    FakeSocket.instances.push(this);
+  }
+
+  close() {
+    this.closed = true;
+  }
+}
+
+beforeEach(() => {
+  FakeSocket.instances = [];
+});
+
+describe('backoffDelay', () => {
+  test('grows exponentially up to the cap', () => {
+    const backoff = { initialDelay: 100, maxDelay: 1000, factor: 2 };
+    expect([0, 1, 2, 3, 4, 5].map(n => backoffDelay(n, backoff))).toEqual([100, 200, 400, 800, 1000, 1000]);
+  });
+});
+
+describe('parseTelemetryMessage', () => {
+  test('accepts a single reading or an array of readings', () => {
+    const row = { id_panel: 'PV001', power: 420, voltage: 221, timestamp: '2025-07-20T10:00:00Z' };
+    expect(parseTelemetryMessage(JSON.stringify(row))).toEqual([
+      { id_panel: 'PV001', powerOut: 420, voltage: 221, when: new Date('2025-07-20T10:00:00Z') },
+    ]);
+    expect(parseTelemetryMessage(JSON.stringify([row, { ...row, id_panel: 'PV002' }]))).toHaveLength(2);
+  });
+
+  test('keeps zero power readings', () => {
+    const [r] = parseTelemetryMessage({ id_panel: 'PV001', power: 0, voltage: 0, timestamp: '2025-07-20T10:00:00Z' });
+    expect(r.powerOut).toBe(0);
+  });
+
+  test('stamps readings without a timestamp with the receive time', () => {
+    const receivedAt = new Date('2025-07-20T12:00:00Z');
+    const [r] = parseTelemetryMessage({ id_panel: 'PV001', power: 1, voltage: 1 }, receivedAt);
+    expect(r.when).toEqual(receivedAt);
+  });
+
+  test('ignores malformed messages', () => {
+    expect(parseTelemetryMessage('not json')).toEqual([]);
+    expect(parseTelemetryMessage('null')).toEqual([]);
+  });
+});
+
+describe('createTelemetryClient', () => {
+  const setup = (transport = 'websocket') => {
+    const timers = [];
+    const statuses = [];
+    const readings = [];
+    const client = createTelemetryClient({
+      url: 'ws://test',
+      transport,
+      onReadings: r => readings.push(...r),
+      onStatus: status => statuses.push(status),
+      backoff: { initialDelay: 10, maxDelay: 40, factor: 2 },
+      WebSocketImpl: FakeSocket,
+      EventSourceImpl: FakeSocket,
+      setTimer: (fn, delay) => timers.push({ fn, delay }),
+      clearTimer: jest.fn(),
+    });
+    return { client, timers, statuses, readings };
+  };
+
+  test('forwards parsed readings and reports connection status', () => {
+    const { client, statuses, readings } = setup();
+    client.connect();
+    const socket = FakeSocket.instances[0];
+    socket.onopen();
+    socket.onmessage({ data: JSON.stringify({ id_panel: 'PV001', power: 5, voltage: 220, timestamp: '2025-07-20T10:00:00Z' }) });
+    expect(statuses).toEqual(['connecting', 'connected']);
+    expect(readings.map(r => r.id_panel)).toEqual(['PV001']);
+  });
+
+  test('reconnects with backoff and resets it after a successful connection', () => {
+    const { client, timers } = setup();
+    client.connect();
+    FakeSocket.instances[0].onclose();
+    timers.shift().fn();
+    FakeSocket.instances[1].onerror();
+    timers.shift().fn();
+    FakeSocket.instances[2].onclose();
+    expect(timers[0].delay).toBe(40);
+
+    timers.shift().fn();
+    FakeSocket.instances[3].onopen();
+    FakeSocket.instances[3].onclose();
+    expect(timers[0].delay).toBe(10);
+  });
+
+  test('ignores late events from replaced sockets', () => {
+    const { client, timers } = setup();
+    client.connect();
+    const first = FakeSocket.instances[0];
+    first.onerror();
+    timers.shift().fn();
+    first.onclose();
+    expect(timers).toHaveLength(0);
+    expect(FakeSocket.instances[1].closed).toBe(false);
+  });
+
+  test('uses EventSource for the sse transport', () => {
+    const { client, timers } = setup('sse');
+    client.connect();
+    expect(FakeSocket.instances[0].onclose).toBeUndefined();
+    FakeSocket.instances[0].onerror();
+    expect(timers).toHaveLength(1);
+  });
+
+  test('disconnect stops reconnecting', () => {
+    const { client, timers, statuses } = setup();
+    client.connect();
+    client.disconnect();
+    expect(FakeSocket.instances[0].closed).toBe(true);
+    expect(timers).toHaveLength(0);
+    expect(statuses[statuses.length - 1]).toBe('disconnected');
+  });
+
+  test('rejects unknown transports', () => {
+    const { client } = setup('carrier-pigeon');
+    expect(() => client.connect()).toThrow('Unsupported telemetry transport');
+  });
+});
+
+describe('mock telemetry server', () => {
+  test('streams readings to a WebSocket client', async () => {
+    const mock = createMockTelemetryServer({ port: 0, interval: 20, panels: 3 });
+    const port = await mock.start();
+    const received = await new Promise((resolve, reject) => {
+      const client = createTelemetryClient({
+        url: `ws://localhost:${port}`,
+        WebSocketImpl: WebSocket,
+        onReadings: readings => {
+          client.disconnect();
+          resolve(readings);
+        },
+        onStatus: (status, info) => status === 'error' && reject(info.error),
+      });
+      client.connect();
+    });
+    await mock.stop();
+    expect(received.map(r => r.id_panel)).toEqual(['PV001', 'PV002', 'PV003']);
+  });
+});
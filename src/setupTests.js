@@ -3,3 +3,7 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+import { deserialize, serialize } from 'v8';
+
+// jsdom has no structuredClone, which fake-indexeddb copies records with
+if (!global.structuredClone) global.structuredClone = (value) => deserialize(serialize(value));
@@ -0,0 +1,257 @@
+// Browser storage
+// Readings, alerts, incidents, rules and settings live in IndexedDB rather than
+// localStorage: there is no 5MB quota, Dates come back as Dates, and readings,
+// alerts and incidents are indexed by panel and time. The schema is versioned;
+// each migration runs once, in order, when a browser opens a newer database.
+
+export const DB_NAME = 'solar-pv-dashboard';
+
+// Record stores and the time field each is indexed by
+const TIME_FIELDS = { readings: 'when', alerts: 'when', incidents: 'lastSeen' };
+
+// Migrations by schema version; MIGRATIONS[n] upgrades a database from version n to n + 1
+const MIGRATIONS = [
+  // 1: records keyed by _id, indexed by panel, time and panel + time; settings keyed by name
+  (db) => {
+    Object.entries(TIME_FIELDS).forEach(([name, timeField]) => {
+      const store = db.createObjectStore(name, { keyPath: '_id' });
+      store.createIndex('panel', 'id_panel');
+      store.createIndex('time', timeField);
+      store.createIndex('panelTime', ['id_panel', timeField]);
+    });
+    db.createObjectStore('rules', { keyPath: '_id' });
+    db.createObjectStore('settings');
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+export const RECORD_STORES = ['readings', 'alerts', 'incidents', 'rules'];
+
+export const DEFAULT_RETENTION = {
+  readingsDays: 90,
+  alertsDays: 730, // alerts and closed incidents
+};
+
+const DAY_MS = 86400000;
+
+// The times before which readings, and alerts and closed incidents, expire
+export const retentionCutoffs = (retention = DEFAULT_RETENTION, now = new Date()) => ({
+  readings: new Date(now.getTime() - retention.readingsDays * DAY_MS),
+  alerts: new Date(now.getTime() - retention.alertsDays * DAY_MS),
+});
+
+// Records whose time field is at or after the cutoff, plus any keep() holds on
+// to. Returns the same list when nothing has expired.
+export const unexpired = (records, field, cutoff, keep = () => false) => {
+  const kept = records.filter(record => new Date(record[field]) >= cutoff || keep(record));
+  return kept.length === records.length ? records : kept;
+};
+
+// What to write to bring a store from the records last saved to the current
+// ones: records that are new or were replaced, and the IDs no longer present.
+// Records are compared by identity, as state updates replace what they change.
+export const recordChanges = (saved, records) => {
+  const before = new Map(saved.map(record => [record._id, record]));
+  const current = new Set(records.map(record => record._id));
+  return {
+    put: records.filter(record => before.get(record._id) !== record),
+    removed: saved.filter(record => !current.has(record._id)).map(record => record._id),
+  };
+};
+
+// Wrap an IDBRequest or a transaction's completion in a promise
+const requestResult = (req) => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+
+const completion = (tx) => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = () => reject(tx.error);
+  tx.onabort = () => reject(tx.error || new Error('Storage transaction aborted'));
+});
+
+// Delete every record an index cursor visits, optionally only those passing keep === false
+const deleteRange = (index, range, keep = () => false) => new Promise((resolve, reject) => {
+  let deleted = 0;
+  const req = index.openCursor(range);
+  req.onsuccess = () => {
+    const cursor = req.result;
+    if (!cursor) {
+      resolve(deleted);
+      return;
+    }
+    if (!keep(cursor.value)) {
+      cursor.delete();
+      deleted += 1;
+    }
+    cursor.continue();
+  };
+  req.onerror = () => reject(req.error);
+});
+
+// Records saved before IndexedDB went through JSON, so their dates are strings
+const DATE_FIELDS = ['when', 'firstSeen', 'lastSeen', 'closedAt'];
+
+export const reviveDates = (record) => {
+  const revived = { ...record };
+  DATE_FIELDS.forEach(field => {
+    if (typeof revived[field] === 'string') revived[field] = new Date(revived[field]);
+  });
+  if (Array.isArray(revived.history)) {
+    revived.history = revived.history.map(entry => (typeof entry.at === 'string' ? { ...entry, at: new Date(entry.at) } : entry));
+  }
+  return revived;
+};
+
+// Explain a storage failure in words an operator can act on
+export const describeStorageError = (error) => {
+  if (error && error.name === 'QuotaExceededError') return 'Browser storage is full. Lower the retention periods or clear old data.';
+  return (error && error.message) || String(error);
+};
+
+// Open (creating or upgrading) the dashboard database
+export const openDatabase = ({ indexedDB = window.indexedDB, name = DB_NAME } = {}) => new Promise((resolve, reject) => {
+  if (!indexedDB) {
+    reject(new Error('IndexedDB is not available in this browser'));
+    return;
+  }
+  const req = indexedDB.open(name, SCHEMA_VERSION);
+  req.onupgradeneeded = (event) => {
+    for (let version = event.oldVersion; version < SCHEMA_VERSION; version += 1) {
+      MIGRATIONS[version](req.result, req.transaction);
+    }
+  };
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+  req.onblocked = () => reject(new Error('Close other dashboard tabs so the database can be upgraded'));
+});
+
+// Store operations over an open database
+export const createStore = (db) => {
+  const transaction = (names, mode = 'readonly') => db.transaction(names, mode);
+
+  // Every record in each record store, plus the settings as { name: value }
+  const loadAll = async () => {
+    const tx = transaction([...RECORD_STORES, 'settings']);
+    const [records, keys, values] = await Promise.all([
+      Promise.all(RECORD_STORES.map(name => requestResult(tx.objectStore(name).getAll()))),
+      requestResult(tx.objectStore('settings').getAllKeys()),
+      requestResult(tx.objectStore('settings').getAll()),
+    ]);
+    const result = { settings: {} };
+    RECORD_STORES.forEach((name, i) => { result[name] = records[i]; });
+    keys.forEach((key, i) => { result.settings[key] = values[i]; });
+    return result;
+  };
+
+  // Replace a record store's contents in one transaction
+  const replaceAll = (name, records) => {
+    const tx = transaction([name], 'readwrite');
+    const store = tx.objectStore(name);
+    store.clear();
+    records.forEach(record => store.put(record));
+    return completion(tx);
+  };
+
+  // Write changed records and delete removed ones (see recordChanges) in one transaction
+  const saveChanges = (name, { put = [], removed = [] }) => {
+    const tx = transaction([name], 'readwrite');
+    const store = tx.objectStore(name);
+    put.forEach(record => store.put(record));
+    removed.forEach(id => store.delete(id));
+    return completion(tx);
+  };
+
+  // Add or update records without touching the rest
+  const putAll = (name, records) => saveChanges(name, { put: records });
+
+  // Save settings by name; null or undefined deletes the setting
+  const saveSettings = (settings) => {
+    const tx = transaction(['settings'], 'readwrite');
+    const store = tx.objectStore('settings');
+    Object.entries(settings).forEach(([key, value]) => {
+      if (value == null) store.delete(key);
+      else store.put(value, key);
+    });
+    return completion(tx);
+  };
+
+  const getSetting = (key) => requestResult(transaction(['settings']).objectStore('settings').get(key));
+
+  // Drop readings, alerts and closed incidents older than the retention periods.
+  // Open incidents are kept however old they are.
+  const prune = async (retention = DEFAULT_RETENTION, now = new Date()) => {
+    const { readings: readingsBefore, alerts: alertsBefore } = retentionCutoffs(retention, now);
+    const tx = transaction(['readings', 'alerts', 'incidents'], 'readwrite');
+    const index = (name) => tx.objectStore(name).index('time');
+    const [readings, alerts, incidents] = await Promise.all([
+      deleteRange(index('readings'), IDBKeyRange.upperBound(readingsBefore, true)),
+      deleteRange(index('alerts'), IDBKeyRange.upperBound(alertsBefore, true)),
+      deleteRange(index('incidents'), IDBKeyRange.upperBound(alertsBefore, true), i => !['resolved', 'false_positive'].includes(i.state)),
+    ]);
+    await completion(tx);
+    return { readings, alerts, incidents };
+  };
+
+  return { loadAll, replaceAll, putAll, saveChanges, saveSettings, getSetting, prune, close: () => db.close() };
+};
+
+export const openStore = async (options) => createStore(await openDatabase(options));
+
+// localStorage keys from before IndexedDB: record arrays and JSON or plain-string settings
+const LEGACY_RECORDS = { panels: 'readings', alerts: 'alerts', incidents: 'incidents', rules: 'rules' };
+export const LEGACY_SETTINGS = [
+  'groups',
+  'thresholdOverrides',
+  'anomalyDetectors',
+  'peerSettings',
+  'site',
+  'escalation',
+  'soundSettings',
+  'dataSource',
+  'importPresets',
+];
+const LEGACY_STRINGS = ['criticalAudio', 'warningAudio'];
+
+// Move data saved in localStorage by earlier versions into the store, then
+// remove it from localStorage. Unreadable keys are dropped. Returns the number
+// of keys moved.
+export const importLocalStorage = async (store, storage = window.localStorage) => {
+  let moved = 0;
+  const parse = (key) => {
+    try {
+      return JSON.parse(storage.getItem(key));
+    } catch (error) {
+      console.error(`Dropping unreadable saved ${key}:`, error);
+      return null;
+    }
+  };
+
+  for (const [key, name] of Object.entries(LEGACY_RECORDS)) {
+    if (storage.getItem(key) === null) continue;
+    const records = parse(key);
+    if (Array.isArray(records)) {
+      await store.putAll(name, records.map(reviveDates));
+      moved += 1;
+    }
+    storage.removeItem(key);
+  }
+
+  const settings = {};
+  LEGACY_SETTINGS.forEach(key => {
+    if (storage.getItem(key) === null) return;
+    const value = parse(key);
+    if (value !== null) settings[key] = value;
+  });
+  LEGACY_STRINGS.forEach(key => {
+    if (storage.getItem(key) !== null) settings[key] = storage.getItem(key);
+  });
+  if (Object.keys(settings).length > 0) {
+    await store.saveSettings(settings);
+    moved += Object.keys(settings).length;
+  }
+  [...LEGACY_SETTINGS, ...LEGACY_STRINGS].forEach(key => storage.removeItem(key));
+  return moved;
+};
@@ -0,0 +1,129 @@
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  SCHEMA_VERSION,
+  importLocalStorage,
+  openDatabase,
+  openStore,
+  recordChanges,
+  retentionCutoffs,
+  reviveDates,
+  describeStorageError,
+  unexpired,
+} from './db';
+
+const at = (day, hour = 10) => new Date(Date.UTC(2025, 6, day, hour));
+const reading = (_id, id_panel, when) => ({ _id, id_panel, powerOut: 400, voltage: 220, when });
+
+// A fresh database per test
+let indexedDB;
+beforeEach(() => {
+  indexedDB = new IDBFactory();
+});
+
+// Just enough of localStorage for the legacy import
+const memoryStorage = (items) => {
+  const data = { ...items };
+  return {
+    getItem: (key) => (key in data ? data[key] : null),
+    removeItem: (key) => { delete data[key]; },
+    keys: () => Object.keys(data),
+  };
+};
+
+test('creates the current schema with panel and time indexes', async () => {
+  const db = await openDatabase({ indexedDB });
+  expect(db.version).toBe(SCHEMA_VERSION);
+  expect([...db.objectStoreNames].sort()).toEqual(['alerts', 'incidents', 'readings', 'rules', 'settings']);
+  expect([...db.transaction('readings').objectStore('readings').indexNames].sort()).toEqual(['panel', 'panelTime', 'time']);
+  db.close();
+});
+
+test('keeps Dates as Dates across a reload', async () => {
+  const store = await openStore({ indexedDB });
+  await store.replaceAll('readings', [reading(1, 'PV001', at(20))]);
+  await store.saveSettings({ site: { latitude: 52.5 }, criticalAudio: 'data:audio/wav;base64,AAAA' });
+  store.close();
+
+  const reopened = await openStore({ indexedDB });
+  const { readings, settings } = await reopened.loadAll();
+  expect(readings[0].when.getTime()).toBe(at(20).getTime());
+  expect(settings).toEqual({ site: { latitude: 52.5 }, criticalAudio: 'data:audio/wav;base64,AAAA' });
+
+  await reopened.saveSettings({ criticalAudio: null });
+  expect(await reopened.getSetting('criticalAudio')).toBeUndefined();
+  reopened.close();
+});
+
+test('writes only the records that changed since the last save', async () => {
+  const store = await openStore({ indexedDB });
+  const saved = [reading(1, 'PV001', at(20)), reading(2, 'PV001', at(21)), reading(3, 'PV002', at(21))];
+  await store.replaceAll('readings', saved);
+  const updated = { ...saved[1], powerOut: 0 };
+  const current = [saved[0], updated, reading(4, 'PV001', at(22))];
+
+  const changes = recordChanges(saved, current);
+  expect(changes).toEqual({ put: [updated, current[2]], removed: [3] });
+  await store.saveChanges('readings', changes);
+  const { readings } = await store.loadAll();
+  expect(readings).toEqual(current);
+  store.close();
+});
+
+test('drops expired records from a list, keeping what it is told to', () => {
+  const cutoffs = retentionCutoffs({ readingsDays: 1, alertsDays: 2 }, at(22));
+  expect(cutoffs).toEqual({ readings: at(21), alerts: at(20) });
+  const readings = [reading(1, 'PV001', at(20)), reading(2, 'PV001', at(21)), reading(3, 'PV002', at(22))];
+  expect(unexpired(readings, 'when', cutoffs.readings).map(r => r._id)).toEqual([2, 3]);
+  expect(unexpired(readings, 'when', cutoffs.readings, r => r.id_panel === 'PV001').map(r => r._id)).toEqual([1, 2, 3]);
+  expect(unexpired(readings, 'when', cutoffs.alerts)).toBe(readings);
+});
+
+test('prunes old readings and alerts but keeps open incidents', async () => {
+  const store = await openStore({ indexedDB });
+  const now = new Date(Date.UTC(2025, 9, 30));
+  await store.replaceAll('readings', [reading(1, 'PV001', new Date(Date.UTC(2025, 6, 1))), reading(2, 'PV001', new Date(Date.UTC(2025, 9, 1)))]);
+  await store.replaceAll('alerts', [{ _id: 3, id_panel: 'PV001', when: new Date(Date.UTC(2023, 0, 1)) }, { _id: 4, id_panel: 'PV001', when: new Date(Date.UTC(2025, 0, 1)) }]);
+  await store.replaceAll('incidents', [
+    { _id: 5, id_panel: 'PV001', state: 'resolved', lastSeen: new Date(Date.UTC(2023, 0, 1)) },
+    { _id: 6, id_panel: 'PV002', state: 'new', lastSeen: new Date(Date.UTC(2023, 0, 1)) },
+  ]);
+
+  expect(await store.prune({ readingsDays: 90, alertsDays: 730 }, now)).toEqual({ readings: 1, alerts: 1, incidents: 1 });
+  const { readings, alerts, incidents } = await store.loadAll();
+  expect(readings.map(r => r._id)).toEqual([2]);
+  expect(alerts.map(a => a._id)).toEqual([4]);
+  expect(incidents.map(i => i._id)).toEqual([6]);
+  store.close();
+});
+
+test('moves data saved in localStorage into the store', async () => {
+  const store = await openStore({ indexedDB });
+  const storage = memoryStorage({
+    panels: JSON.stringify([reading(1, 'PV001', at(20))]),
+    incidents: JSON.stringify([{ _id: 2, id_panel: 'PV001', lastSeen: at(20), history: [{ at: at(20), field: 'state' }] }]),
+    site: JSON.stringify({ latitude: 52.5 }),
+    criticalAudio: 'data:audio/wav;base64,AAAA',
+    groups: '{not json',
+    theme: 'dark',
+  });
+
+  expect(await importLocalStorage(store, storage)).toBe(4);
+  const { readings, incidents, settings } = await store.loadAll();
+  expect(readings[0].when).toEqual(at(20));
+  expect(incidents[0].history[0].at).toEqual(at(20));
+  expect(settings).toEqual({ site: { latitude: 52.5 }, criticalAudio: 'data:audio/wav;base64,AAAA' });
+  expect(storage.keys()).toEqual(['theme']);
+  store.close();
+});
+
+test('revives JSON dates and explains quota errors', () => {
+  expect(reviveDates({ when: '2025-07-20T10:00:00.000Z', powerOut: 1 })).toEqual({ when: at(20), powerOut: 1 });
+  const quota = new Error('quota');
+  quota.name = 'QuotaExceededError';
+  expect(describeStorageError(quota)).toMatch(/storage is full/);
+});
+
+test('reports a browser without IndexedDB', async () => {
+  await expect(openDatabase({ indexedDB: null })).rejects.toThrow('IndexedDB is not available');
+});
@@ -0,0 +1,281 @@
+// Settings profiles
+// The dashboard's whole configuration as one versioned JSON document, so a
+// configured site can be copied to other sites or kept in version control.
+// Importing validates the file, shows what would change against the current
+// settings, and either replaces or merges the chosen sections. The data
+// source's request headers hold credentials and never leave the browser.
+import { DEFAULT_SOUND_SETTINGS } from '../audio/soundManager';
+import { DEFAULT_DETECTORS } from '../engine/anomaly';
+import { DEFAULT_ESCALATION } from '../engine/incidents';
+import { DEFAULT_INTEGRITY_CHECKS } from '../engine/integrity';
+import { DEFAULT_LAYOUT } from '../engine/layout';
+import { DEFAULT_PEER_SETTINGS } from '../engine/peers';
+import { DEFAULT_REGISTRY_SETTINGS } from '../engine/registry';
+import { normalizeRule } from '../engine/rules';
+import { SCOPE_TYPES } from '../engine/scope';
+import { DEFAULT_SITE } from '../engine/solar';
+import { DEFAULT_THEFT_SETTINGS } from '../engine/theft';
+import { DEFAULT_IMPORT_SETTINGS } from '../ingest/csvImport';
+import { DEFAULT_DATA_SOURCE } from '../ingest/polling';
+import { DEFAULT_RETENTION } from './db';
+
+export const PROFILE_FORMAT = 'solar-pv-settings-profile';
+export const PROFILE_VERSION = 1;
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isNumber = (value) => typeof value === 'number' && !isNaN(value);
+const isTime = (value) => (typeof value === 'string' || isNumber(value)) && !isNaN(new Date(value).getTime());
+const hasScope = (item) => isObject(item.scope) && item.scope.type in SCOPE_TYPES;
+
+// Check a value against the shape of its default, field by field: numbers,
+// text and switches must keep their type, and nested objects are completed
+// from the default so a partial profile cannot leave the engine a hole. Top-level
+// fields the profile leaves out stay out, so merging keeps the local value.
+// Blank text defaults (latitude, URL) also take numbers; null ones take text.
+// Returns { value, error }.
+const conform = (value, defaults, path = '', nested = false) => {
+  const at = path ? `${path} ` : '';
+  if (defaults === null) {
+    return value === null || typeof value === 'string' ? { value, error: null } : { value, error: `${at}must be text or null` };
+  }
+  if (isObject(defaults)) {
+    if (!isObject(value)) return { value, error: `${at}must be an object` };
+    const result = nested ? { ...defaults, ...value } : { ...value };
+    for (const [field, fieldDefault] of Object.entries(defaults)) {
+      if (value[field] === undefined) continue;
+      const checked = conform(value[field], fieldDefault, path ? `${path}.${field}` : field, true);
+      if (checked.error) return checked;
+      result[field] = checked.value;
+    }
+    return { value: result, error: null };
+  }
+  if (typeof defaults === 'number' && !isNumber(value)) return { value, error: `${at}must be a number` };
+  if (typeof defaults === 'boolean' && typeof value !== 'boolean') return { value, error: `${at}must be true or false` };
+  if (typeof defaults === 'string' && typeof value !== 'string' && !(defaults === '' && isNumber(value))) {
+    return { value, error: `${at}must be text` };
+  }
+  return { value, error: null };
+};
+
+// Check every item of a list section: it must be an object with the section's
+// key, then match itemDefaults (completed from them) and pass the item check.
+// Returns { value, error }.
+const conformList = (items, section) => {
+  const value = [];
+  for (const [i, item] of items.entries()) {
+    const at = `item ${i + 1}`;
+    if (!isObject(item) || item[section.key] == null) return { value, error: `${at} needs a ${section.key}` };
+    const { value: checked, error } = section.itemDefaults ? conform(item, section.itemDefaults, '', true) : { value: item, error: null };
+    const problem = error || (section.item ? section.item(checked) : null);
+    if (problem) return { value, error: `${at} ${problem}` };
+    value.push(checked);
+  }
+  return { value, error: null };
+};
+
+// Each section: its label, the kind of value it holds and, for lists, the field
+// that identifies an item (used to diff and merge). check returns an error or null;
+// objects with defaults are checked against their shape (see conform), and list
+// items against itemDefaults and item (see conformList). exported prepares a
+// section for the profile file.
+export const PROFILE_SECTIONS = {
+  thresholds: {
+    label: 'Thresholds',
+    kind: 'object',
+    check: (value) => (isNumber(value.power) && isNumber(value.voltage) ? null : 'power and voltage must be numbers'),
+  },
+  thresholdOverrides: {
+    label: 'Threshold overrides',
+    kind: 'list',
+    key: '_id',
+    item: (o) => (hasScope(o) && isNumber(o.power) && isNumber(o.voltage) ? null : 'needs a scope and numeric power and voltage'),
+  },
+  maintenanceWindows: {
+    label: 'Maintenance windows',
+    kind: 'list',
+    key: '_id',
+    item: (w) => (hasScope(w) && isTime(w.start) && isTime(w.end) && new Date(w.end) > new Date(w.start)
+      ? null : 'needs a scope and a start before its end'),
+  },
+  rules: {
+    label: 'Rules',
+    kind: 'list',
+    key: '_id',
+    check: (rules) => {
+      const bad = rules.findIndex(rule => {
+        const normalized = normalizeRule(rule);
+        return !Array.isArray(normalized.conditions) || normalized.conditions.length === 0
+          || !['warning', 'critical'].includes(rule.severity) || typeof rule.message !== 'string';
+      });
+      return bad === -1 ? null : `rule ${bad + 1} needs conditions, a severity and a message`;
+    },
+  },
+  groups: {
+    label: 'Panel groups',
+    kind: 'list',
+    key: 'name',
+    item: (group) => (Array.isArray(group.members) ? null : 'needs a list of members'),
+  },
+  anomalyDetectors: { label: 'Anomaly detection', kind: 'object', defaults: DEFAULT_DETECTORS },
+  integrityChecks: { label: 'Data integrity checks', kind: 'object', defaults: DEFAULT_INTEGRITY_CHECKS },
+  peerSettings: { label: 'Peer comparison', kind: 'object', defaults: DEFAULT_PEER_SETTINGS },
+  site: { label: 'Site location', kind: 'object', defaults: DEFAULT_SITE },
+  theftSettings: { label: 'Theft detection', kind: 'object', defaults: DEFAULT_THEFT_SETTINGS },
+  registry: {
+    label: 'Panel registry',
+    kind: 'list',
+    key: 'id_panel',
+    item: (entry) => (['ratedPower', 'voc', 'vmp'].every(field => entry[field] == null || (isNumber(entry[field]) && entry[field] > 0))
+      ? null : 'needs positive numbers for its rated power, Voc and Vmp'),
+  },
+  registrySettings: { label: 'Panel registry settings', kind: 'object', defaults: DEFAULT_REGISTRY_SETTINGS },
+  layout: {
+    label: 'Panel layout',
+    kind: 'object',
+    defaults: DEFAULT_LAYOUT,
+    check: (value) => (Object.values(value.positions || {}).every(p => isObject(p) && isNumber(p.row) && isNumber(p.col))
+      ? null : 'every position needs a row and a column'),
+  },
+  escalation: { label: 'Incident escalation', kind: 'object', defaults: DEFAULT_ESCALATION },
+  soundSettings: { label: 'Alarm sound settings', kind: 'object', defaults: DEFAULT_SOUND_SETTINGS },
+  sounds: { label: 'Custom alarm sounds', kind: 'object', defaults: { critical: null, warning: null } },
+  dataSource: {
+    label: 'Data source',
+    kind: 'object',
+    defaults: DEFAULT_DATA_SOURCE,
+    exported: ({ headers, ...rest }) => rest,
+  },
+  importPresets: {
+    label: 'Import presets',
+    kind: 'list',
+    key: 'name',
+    itemDefaults: { name: '', settings: DEFAULT_IMPORT_SETTINGS },
+    check: (presets) => (presets.length > 0 ? null : 'needs at least one preset'),
+  },
+  retention: { label: 'Data retention', kind: 'object', defaults: DEFAULT_RETENTION },
+  theme: {
+    label: 'Theme',
+    kind: 'value',
+    check: (value) => (['light', 'dark'].includes(value) ? null : 'must be "light" or "dark"'),
+  },
+};
+
+// Wrap the current settings in a profile document
+export const buildProfile = (settings, exportedAt = new Date()) => ({
+  format: PROFILE_FORMAT,
+  version: PROFILE_VERSION,
+  exportedAt: exportedAt.toISOString(),
+  settings: Object.fromEntries(Object.entries(PROFILE_SECTIONS).filter(([name]) => name in settings).map(([name, section]) => [
+    name,
+    section.exported ? section.exported(settings[name]) : settings[name],
+  ])),
+});
+
+// Check a parsed profile. Returns { settings, errors, warnings }; settings holds
+// only the sections that passed, and any error means the file should not be used.
+export const validateProfile = (doc) => {
+  const errors = [];
+  const warnings = [];
+  const settings = {};
+  if (!isObject(doc) || doc.format !== PROFILE_FORMAT) {
+    return { settings, errors: ['Not a settings profile.'], warnings };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    errors.push('The profile has no valid version.');
+  } else if (doc.version > PROFILE_VERSION) {
+    errors.push(`The profile is version ${doc.version}, newer than this dashboard supports (${PROFILE_VERSION}).`);
+  }
+  if (!isObject(doc.settings)) {
+    errors.push('The profile has no settings.');
+    return { settings, errors, warnings };
+  }
+
+  Object.entries(doc.settings).forEach(([name, value]) => {
+    const section = PROFILE_SECTIONS[name];
+    if (!section) {
+      warnings.push(`Ignoring unknown section "${name}".`);
+      return;
+    }
+    let problem = null;
+    let checked = value;
+    if (section.kind === 'list') {
+      if (!Array.isArray(value)) problem = 'must be a list';
+      else ({ value: checked, error: problem } = conformList(value, section));
+    } else if (section.kind === 'object' && !isObject(value)) {
+      problem = 'must be an object';
+    } else if (section.defaults) {
+      ({ value: checked, error: problem } = conform(value, section.defaults));
+    }
+    if (!problem && section.check) problem = section.check(checked);
+    if (problem) errors.push(`${section.label}: ${problem}.`);
+    else settings[name] = checked;
+  });
+  return { settings, errors, warnings };
+};
+
+const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// How a list item is named in the preview
+const itemLabel = (name, item) => {
+  if (name === 'rules') return `"${item.message}"`;
+  if (name === 'thresholdOverrides') return `#${item._id}`;
+  if (name === 'registry') return item.id_panel;
+  return `"${item[PROFILE_SECTIONS[name].key]}"`;
+};
+
+// Describe what importing each section would change. Returns one entry per
+// section in the profile: { name, label, changed, changes: [text] }.
+export const diffProfile = (current, incoming) => Object.keys(incoming).map(name => {
+  const section = PROFILE_SECTIONS[name];
+  const before = current[name];
+  const after = incoming[name];
+  const changes = [];
+  if (section.kind === 'list') {
+    const key = section.key;
+    const beforeItems = new Map((before || []).map(item => [item[key], item]));
+    const afterItems = new Map(after.map(item => [item[key], item]));
+    afterItems.forEach((item, id) => {
+      if (!beforeItems.has(id)) changes.push(`Add ${itemLabel(name, item)}`);
+      else if (!same(beforeItems.get(id), item)) changes.push(`Update ${itemLabel(name, item)}`);
+    });
+    beforeItems.forEach((item, id) => {
+      if (!afterItems.has(id)) changes.push(`Only here: ${itemLabel(name, item)} (removed when replacing)`);
+    });
+  } else if (section.kind === 'object') {
+    const keys = new Set([...Object.keys(before || {}), ...Object.keys(after)]);
+    keys.forEach(field => {
+      if (!(field in after)) return;
+      const from = (before || {})[field];
+      if (!same(from, after[field])) {
+        const shown = (value) => (typeof value === 'string' && value.length > 40 ? `${value.slice(0, 37)}...` : JSON.stringify(value));
+        changes.push(`${field}: ${from === undefined ? '(not set)' : shown(from)} → ${shown(after[field])}`);
+      }
+    });
+  } else if (!same(before, after)) {
+    changes.push(`${JSON.stringify(before)} → ${JSON.stringify(after)}`);
+  }
+  const changed = changes.some(change => !change.startsWith('Only here'));
+  return { name, label: section.label, changed, changes };
+});
+
+// Apply the chosen sections of a profile. 'replace' takes the profile's value;
+// 'merge' keeps list items only found here and fields the profile leaves out,
+// with the profile winning wherever both have a value.
+export const mergeProfile = (current, incoming, sections, mode = 'replace') => {
+  const result = {};
+  sections.filter(name => name in incoming).forEach(name => {
+    const section = PROFILE_SECTIONS[name];
+    const before = current[name];
+    const after = incoming[name];
+    if (mode === 'replace' || before == null || section.kind === 'value') {
+      result[name] = after;
+    } else if (section.kind === 'list') {
+      const key = section.key;
+      const incomingIds = new Set(after.map(item => item[key]));
+      result[name] = [...before.filter(item => !incomingIds.has(item[key])), ...after];
+    } else {
+      result[name] = { ...before, ...after };
+    }
+  });
+  return result;
+};
@@ -0,0 +1,155 @@
+import { DEFAULT_IMPORT_SETTINGS } from '../ingest/csvImport';
+import { PROFILE_FORMAT, buildProfile, validateProfile, diffProfile, mergeProfile } from './profile';
+
+const rule = (_id, message, value = 100) => ({
+  _id,
+  logic: 'AND',
+  conditions: [{ type: 'threshold', metric: 'power', condition: '<', value }],
+  duration: { type: 'none', value: 0 },
+  severity: 'warning',
+  message,
+});
+
+const current = {
+  thresholds: { power: 50, voltage: 200 },
+  rules: [rule(1, 'Low power'), rule(2, 'Local rule')],
+  groups: [{ name: 'East roof', members: ['PV00*'] }],
+  site: { latitude: 52.5, longitude: 13.4, timezone: 'Europe/Berlin' },
+  theme: 'light',
+};
+
+describe('buildProfile / validateProfile', () => {
+  test('round-trips the current settings', () => {
+    const profile = buildProfile(current, new Date('2025-07-20T10:00:00Z'));
+    expect(profile).toEqual(expect.objectContaining({ format: PROFILE_FORMAT, version: 1, exportedAt: '2025-07-20T10:00:00.000Z' }));
+    const { settings, errors, warnings } = validateProfile(JSON.parse(JSON.stringify(profile)));
+    expect(errors).toEqual([]);
+    expect(warnings).toEqual([]);
+    expect(settings).toEqual(current);
+  });
+
+  test('rejects other files and newer versions', () => {
+    expect(validateProfile({ rules: [] }).errors).toEqual(['Not a settings profile.']);
+    expect(validateProfile({ format: PROFILE_FORMAT, version: 2, settings: {} }).errors[0]).toMatch(/version 2, newer/);
+  });
+
+  test('reports invalid sections and ignores unknown ones', () => {
+    const { settings, errors, warnings } = validateProfile({
+      format: PROFILE_FORMAT,
+      version: 1,
+      settings: {
+        thresholds: { power: '50', voltage: 200 },
+        rules: [{ _id: 1, conditions: [], severity: 'warning', message: 'x' }],
+        groups: [{ members: [] }],
+        theme: 'light',
+        colours: {},
+      },
+    });
+    expect(errors).toEqual([
+      'Thresholds: power and voltage must be numbers.',
+      'Rules: rule 1 needs conditions, a severity and a message.',
+      'Panel groups: item 1 needs a name.',
+    ]);
+    expect(warnings).toEqual(['Ignoring unknown section "colours".']);
+    expect(settings).toEqual({ theme: 'light' });
+  });
+});
+
+describe('section shapes', () => {
+  const profileOf = (settings) => ({ format: PROFILE_FORMAT, version: 1, settings });
+
+  test('leaves the data source\'s request headers out of the file', () => {
+    const dataSource = { name: 'Datalogger', url: 'https://logger.example/api', headers: 'Authorization: Bearer secret' };
+    const { settings } = buildProfile({ dataSource });
+    expect(settings.dataSource).toEqual({ name: 'Datalogger', url: 'https://logger.example/api' });
+    expect(JSON.stringify(settings)).not.toMatch(/secret/);
+  });
+
+  test('rejects settings of the wrong type, naming the field', () => {
+    const { errors } = validateProfile(profileOf({
+      anomalyDetectors: { zscore: null },
+      peerSettings: { threshold: '80' },
+      soundSettings: { quietHours: { enabled: 'yes' } },
+      layout: { positions: { PV001: { row: 1 } } },
+    }));
+    expect(errors).toEqual([
+      'Anomaly detection: zscore must be an object.',
+      'Peer comparison: threshold must be a number.',
+      'Alarm sound settings: quietHours.enabled must be true or false.',
+      'Panel layout: every position needs a row and a column.',
+    ]);
+  });
+
+  test('checks every list item for the fields the dashboard reads', () => {
+    const { settings, errors } = validateProfile(profileOf({
+      thresholdOverrides: [{ _id: 1, scope: { type: 'pattern', pattern: 'PV0*' }, power: 80 }],
+      maintenanceWindows: [{ _id: 1, name: 'Cleaning', scope: { type: 'all' } }],
+      groups: [{ name: 'East roof', members: 'PV001' }],
+      registry: [{ id_panel: 'PV001', ratedPower: '400' }],
+      importPresets: [{ name: 'Logger', settings: { powerUnit: 5 } }],
+    }));
+    expect(errors).toEqual([
+      'Threshold overrides: item 1 needs a scope and numeric power and voltage.',
+      'Maintenance windows: item 1 needs a scope and a start before its end.',
+      'Panel groups: item 1 needs a list of members.',
+      'Panel registry: item 1 needs positive numbers for its rated power, Voc and Vmp.',
+      'Import presets: item 1 settings.powerUnit must be text.',
+    ]);
+    expect(settings).toEqual({});
+  });
+
+  test('completes import presets from the default settings and keeps at least one', () => {
+    const { settings, errors } = validateProfile(profileOf({ importPresets: [{ name: 'Logger' }] }));
+    expect(errors).toEqual([]);
+    expect(settings.importPresets).toEqual([{ name: 'Logger', settings: DEFAULT_IMPORT_SETTINGS }]);
+    expect(validateProfile(profileOf({ importPresets: [] })).errors).toEqual(['Import presets: needs at least one preset.']);
+  });
+
+  test('completes nested settings from their defaults', () => {
+    const { settings, errors } = validateProfile(profileOf({ anomalyDetectors: { zscore: { enabled: false } } }));
+    expect(errors).toEqual([]);
+    expect(settings.anomalyDetectors).toEqual({ zscore: { enabled: false, window: 20, sensitivity: 3 } });
+  });
+});
+
+describe('diffProfile', () => {
+  test('lists added, updated and local-only items and changed fields', () => {
+    const incoming = {
+      thresholds: { power: 80, voltage: 200 },
+      rules: [rule(1, 'Low power', 60), rule(3, 'Shared rule')],
+      groups: [{ name: 'East roof', members: ['PV00*'] }],
+    };
+    expect(diffProfile(current, incoming)).toEqual([
+      { name: 'thresholds', label: 'Thresholds', changed: true, changes: ['power: 50 → 80'] },
+      {
+        name: 'rules',
+        label: 'Rules',
+        changed: true,
+        changes: ['Update "Low power"', 'Add "Shared rule"', 'Only here: "Local rule" (removed when replacing)'],
+      },
+      { name: 'groups', label: 'Panel groups', changed: false, changes: [] },
+    ]);
+  });
+});
+
+describe('mergeProfile', () => {
+  const incoming = {
+    rules: [rule(1, 'Low power', 60), rule(3, 'Shared rule')],
+    site: { latitude: 48.1, longitude: 11.6 },
+    theme: 'dark',
+  };
+
+  test('replaces the chosen sections', () => {
+    expect(mergeProfile(current, incoming, ['rules', 'site'], 'replace')).toEqual({
+      rules: incoming.rules,
+      site: incoming.site,
+    });
+  });
+
+  test('merges lists by key and objects by field, the profile winning', () => {
+    const merged = mergeProfile(current, incoming, ['rules', 'site', 'theme'], 'merge');
+    expect(merged.rules.map(r => [r._id, r.conditions[0].value])).toEqual([[2, 100], [1, 60], [3, 100]]);
+    expect(merged.site).toEqual({ latitude: 48.1, longitude: 11.6, timezone: 'Europe/Berlin' });
+    expect(merged.theme).toBe('dark');
+  });
+});